@@ -10,6 +10,7 @@ declare(strict_types=1);
 require_once __DIR__ . '/../includes/functions.php';
 require_once __DIR__ . '/../includes/session.php';
 require_once __DIR__ . '/../includes/auth.php';
+require_once __DIR__ . '/../includes/tile-events.php';
 
 Session::init();
 
@@ -25,6 +26,10 @@ if (!Auth::verifyCsrf()) {
     jsonError('Invalid security token', 403);
 }
 
+if (Auth::isKiosk()) {
+    jsonError('Read-only kiosk session', 403);
+}
+
 if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
     jsonError('Method not allowed', 405);
 }
@@ -107,10 +112,12 @@ switch ($action) {
                 'INSERT INTO bookmarks (user_id, url, title) VALUES (?, ?, ?)',
                 [$userId, $url, $title]
             );
+            $bookmarkId = (int) Database::lastInsertId();
+            TileEvents::publish($userId, ['bookmarks']);
             jsonResponse([
                 'success' => true,
                 'message' => 'Bookmark added',
-                'id' => (int) Database::lastInsertId(),
+                'id' => $bookmarkId,
                 'url' => $url,
                 'title' => $title
             ]);
@@ -134,6 +141,7 @@ switch ($action) {
             if ($deleted === 0) {
                 jsonError('Bookmark not found', 404);
             }
+            TileEvents::publish($userId, ['bookmarks']);
             jsonResponse(['success' => true, 'message' => 'Bookmark deleted']);
         } catch (Exception $e) {
             logMessage('Delete bookmark error: ' . $e->getMessage(), 'error');
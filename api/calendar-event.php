@@ -0,0 +1,169 @@
+<?php
+/**
+ * Calendar Event API – event detail and RSVP from the dashboard (Outlook via Microsoft Graph)
+ *
+ * POST body: { "event_id": "...", "action": "detail"|"accept"|"tentativelyAccept"|"decline", "comment": "..." }
+ * "detail" returns organiser, attendees with their responses, body preview and the online meeting join URL
+ * (or, without one, a meeting link found in the invite text, which is shown as plain text only);
+ * events from a calendar chosen on the tile also send its "calendar_id" and, for a mailbox opened by address, "mailbox".
+ * The RSVP actions send the response (with the optional comment) to the organiser. They are only offered for the
+ * default calendar, so nobody answers invitations in a shared or delegated calendar by accident.
+ */
+
+declare(strict_types=1);
+
+require_once __DIR__ . '/../includes/functions.php';
+require_once __DIR__ . '/../includes/session.php';
+require_once __DIR__ . '/../includes/auth.php';
+require_once __DIR__ . '/../includes/tile-events.php';
+
+define('CRASHBOARD_LOAD_TILES_FUNCTIONS_ONLY', true);
+require_once __DIR__ . '/tiles.php';
+
+Session::init();
+
+if (!Auth::check()) {
+    jsonError('Unauthorized', 401);
+}
+
+if (!isAjax() || ($_SERVER['REQUEST_METHOD'] ?? '') !== 'POST') {
+    jsonError('Invalid request', 400);
+}
+
+if (!Auth::verifyCsrf()) {
+    jsonError('Invalid security token', 403);
+}
+
+$input = json_decode(file_get_contents('php://input'), true) ?? [];
+$eventId = trim((string) ($input['event_id'] ?? ''));
+$action = trim((string) ($input['action'] ?? ''));
+$calendarId = trim((string) ($input['calendar_id'] ?? ''));
+$mailbox = mb_strtolower(trim((string) ($input['mailbox'] ?? '')));
+
+if ($eventId === '') {
+    jsonError('Missing event_id', 400);
+}
+
+if ($mailbox !== '' && !filter_var($mailbox, FILTER_VALIDATE_EMAIL)) {
+    jsonError('Invalid mailbox', 400);
+}
+
+$validActions = ['detail', 'accept', 'tentativelyAccept', 'decline'];
+if (!in_array($action, $validActions, true)) {
+    jsonError('Invalid action; use one of: ' . implode(', ', $validActions), 400);
+}
+
+if ($action !== 'detail' && Auth::isKiosk()) {
+    jsonError('Read-only kiosk session', 403);
+}
+
+if ($action !== 'detail' && ($calendarId !== '' || $mailbox !== '')) {
+    jsonError('Reply to invitations in other calendars from Outlook', 400);
+}
+
+$userId = Auth::id();
+$token = getOAuthToken($userId, 'microsoft');
+
+if (!$token) {
+    jsonError('Microsoft account not connected', 403);
+}
+
+$endpoint = calendarEventEndpoint($eventId, $calendarId, $mailbox);
+
+if ($action === 'detail') {
+    try {
+        $event = getCalendarEventDetail($token, $endpoint, $eventId);
+        $event['canRespond'] = $calendarId === '' && $mailbox === '';
+        jsonResponse(['success' => true, 'event' => $event]);
+    } catch (Exception $e) {
+        logMessage('Calendar event fetch error: ' . $e->getMessage(), 'error');
+        jsonError('Failed to load event: ' . $e->getMessage(), 500);
+    }
+}
+
+try {
+    callMicrosoftGraphPost($token, $endpoint . '/' . $action, [
+        'comment' => truncate(trim((string) ($input['comment'] ?? '')), 1000, ''),
+        'sendResponse' => true,
+    ]);
+
+    CalendarSources::clearCaches($userId);
+    TileEvents::publish($userId, ['calendar', 'calendar-heatmap', 'calendar-next', 'next-event', 'availability']);
+
+    jsonResponse(['success' => true]);
+} catch (Exception $e) {
+    logMessage('Calendar RSVP error: ' . $e->getMessage(), 'error');
+    jsonError('Failed to send response: ' . $e->getMessage(), 500);
+}
+
+/**
+ * Graph path for an event: the user's own events, or via its calendar (and the mailbox it was opened from)
+ */
+function calendarEventEndpoint(string $eventId, string $calendarId, string $mailbox): string
+{
+    $base = $mailbox !== '' ? '/users/' . rawurlencode($mailbox) : '/me';
+    if ($calendarId !== '') {
+        $base .= '/calendars/' . rawurlencode($calendarId);
+    }
+    return $base . '/events/' . rawurlencode($eventId);
+}
+
+/**
+ * Event details for the calendar overlay, with times in the app time zone
+ */
+function getCalendarEventDetail(string $token, string $endpoint, string $eventId): array
+{
+    $event = callMicrosoftGraph($token, $endpoint, [
+        '$select' => 'id,subject,start,end,isAllDay,location,organizer,attendees,bodyPreview,isOnlineMeeting,onlineMeeting,onlineMeetingUrl,webLink,responseStatus,isOrganizer,responseRequested,isCancelled',
+    ]);
+
+    $tz = new DateTimeZone(config('app.timezone', 'UTC'));
+    $toLocal = function (array $time) use ($tz): ?DateTime {
+        if (empty($time['dateTime'])) {
+            return null;
+        }
+        try {
+            return (new DateTime($time['dateTime'], new DateTimeZone($time['timeZone'] ?? 'UTC')))->setTimezone($tz);
+        } catch (Exception $e) {
+            return null;
+        }
+    };
+    $start = $toLocal($event['start'] ?? []);
+    $end = $toLocal($event['end'] ?? []);
+    $isAllDay = $event['isAllDay'] ?? false;
+
+    if ($start === null) {
+        $when = '';
+    } elseif ($isAllDay) {
+        $when = $start->format('l j M Y') . ' (all day)';
+    } else {
+        $when = $start->format('l j M Y, g:i A') . ($end !== null ? ' – ' . $end->format($end->format('Y-m-d') === $start->format('Y-m-d') ? 'g:i A' : 'j M, g:i A') : '');
+    }
+
+    $attendees = array_map(function ($attendee) {
+        return [
+            'name' => $attendee['emailAddress']['name'] ?? $attendee['emailAddress']['address'] ?? '',
+            'address' => $attendee['emailAddress']['address'] ?? '',
+            'type' => $attendee['type'] ?? 'required',
+            'response' => $attendee['status']['response'] ?? 'none',
+        ];
+    }, $event['attendees'] ?? []);
+
+    return [
+        'id' => $event['id'] ?? $eventId,
+        'subject' => $event['subject'] ?? '(No Title)',
+        'when' => $when,
+        'location' => $event['location']['displayName'] ?? '',
+        'organizer' => $event['organizer']['emailAddress']['name'] ?? $event['organizer']['emailAddress']['address'] ?? '',
+        'organizerAddress' => $event['organizer']['emailAddress']['address'] ?? '',
+        'isOrganizer' => $event['isOrganizer'] ?? false,
+        'isCancelled' => $event['isCancelled'] ?? false,
+        'responseRequested' => $event['responseRequested'] ?? true,
+        'myResponse' => $event['responseStatus']['response'] ?? 'none',
+        'attendees' => $attendees,
+        'bodyPreview' => html_entity_decode((string) ($event['bodyPreview'] ?? ''), ENT_QUOTES | ENT_HTML5, 'UTF-8'),
+        'joinUrl' => getGraphEventJoinUrl($event),
+        'meetingLink' => getGraphEventMeetingLink($event),
+        'webLink' => $event['webLink'] ?? '',
+    ];
+}
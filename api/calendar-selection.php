@@ -0,0 +1,186 @@
+<?php
+/**
+ * Calendar Tile Selection API
+ *
+ * Each calendar and calendar heat map tile can show its own set of calendars (tile settings
+ * "calendar_selection", see normalizeCalendarSelection() in tiles.php): any of the user's Outlook
+ * calendars, calendars shared with them, another mailbox's calendar they have delegate access to,
+ * and their ICS/CalDAV sources, each with a colour for the tile's legend.
+ *
+ * GET  ?action=calendars                 Outlook calendars and enabled ICS/CalDAV sources for the picker
+ * GET  ?action=mailbox&address=a@b.com   another mailbox's default calendar, if the user can read it
+ * POST { "action": "save", "tile_id": 12, "selection": { "calendars": [ ... ], "sources": [3] | null } }
+ */
+
+declare(strict_types=1);
+
+require_once __DIR__ . '/../includes/functions.php';
+require_once __DIR__ . '/../includes/session.php';
+require_once __DIR__ . '/../includes/auth.php';
+require_once __DIR__ . '/../includes/tile-events.php';
+
+define('CRASHBOARD_LOAD_TILES_FUNCTIONS_ONLY', true);
+require_once __DIR__ . '/tiles.php';
+
+Session::init();
+
+if (!Auth::check()) {
+    jsonError('Unauthorized', 401);
+}
+
+if (!isAjax()) {
+    jsonError('Invalid request', 400);
+}
+
+if (!Auth::verifyCsrf()) {
+    jsonError('Invalid security token', 403);
+}
+
+$userId = Auth::id();
+$input = json_decode(file_get_contents('php://input'), true) ?? [];
+$action = $input['action'] ?? $_GET['action'] ?? '';
+
+if ($action === 'calendars') {
+    $token = getOAuthToken($userId, 'microsoft');
+    try {
+        $sources = array_map(function ($source) {
+            return ['id' => (int) $source['id'], 'name' => $source['name'], 'color' => $source['color']];
+        }, CalendarSources::forUser($userId, true));
+        jsonResponse([
+            'success' => true,
+            'connected' => (bool) $token,
+            'calendars' => $token ? getSelectableCalendars($token) : [],
+            'sources' => $sources,
+        ]);
+    } catch (Exception $e) {
+        logMessage('Calendar list error: ' . $e->getMessage(), 'error');
+        jsonError('Failed to load calendars: ' . $e->getMessage(), 500);
+    }
+}
+
+if ($action === 'mailbox') {
+    $address = mb_strtolower(trim((string) ($_GET['address'] ?? '')));
+    if (!filter_var($address, FILTER_VALIDATE_EMAIL)) {
+        jsonError('Enter the email address of the mailbox', 400);
+    }
+    $token = getOAuthToken($userId, 'microsoft');
+    if (!$token) {
+        jsonError('Microsoft account not connected', 403);
+    }
+    try {
+        $calendar = callMicrosoftGraph($token, '/users/' . rawurlencode($address) . '/calendar', [
+            '$select' => 'id,name,color,hexColor,owner',
+        ]);
+        jsonResponse(['success' => true, 'calendar' => [
+            'id' => $calendar['id'],
+            'name' => $calendar['owner']['name'] ?? $address,
+            'color' => graphCalendarColor($calendar, 1),
+            'mailbox' => $address,
+            'shared' => true,
+            'default' => false,
+        ]]);
+    } catch (Exception $e) {
+        // Graph answers 403/404 alike when the mailbox isn't shared with the user
+        logMessage('Mailbox calendar error: ' . $e->getMessage(), 'info');
+        jsonError('Could not open that calendar. Ask its owner to share it with you or make you a delegate.', 404);
+    }
+}
+
+if ($action !== 'save' || ($_SERVER['REQUEST_METHOD'] ?? '') !== 'POST') {
+    jsonError('Unknown action', 400);
+}
+
+if (Auth::isKiosk()) {
+    jsonError('Read-only kiosk session', 403);
+}
+
+$tileId = (int) ($input['tile_id'] ?? 0);
+$tile = Database::queryOne(
+    'SELECT id, tile_type, settings FROM tiles WHERE id = ? AND user_id = ? AND tile_type IN (?, ?)',
+    [$tileId, $userId, 'calendar', 'calendar-heatmap']
+);
+if (!$tile) {
+    jsonError('Calendar tile not found', 404);
+}
+
+$selection = normalizeCalendarSelection(is_array($input['selection'] ?? null) ? $input['selection'] : []);
+
+try {
+    $settings = json_decode($tile['settings'] ?? '{}', true);
+    if (!is_array($settings)) {
+        $settings = [];
+    }
+    $settings['calendar_selection'] = $selection;
+    Database::execute(
+        'UPDATE tiles SET settings = ? WHERE id = ? AND user_id = ?',
+        [json_encode($settings), $tileId, $userId]
+    );
+
+    // Selections cache under calendar_{id}_…_{hash} / calendar_heatmap_v2_{id}_{hash}; "\_" keeps LIKE from matching other user ids
+    cacheClear($tile['tile_type'] === 'calendar' ? "calendar_{$userId}\\_%" : "calendar_heatmap_v2_{$userId}\\_%");
+    TileEvents::publish($userId, [$tile['tile_type']], $tileId);
+
+    jsonResponse(['success' => true, 'selection' => $selection]);
+} catch (Exception $e) {
+    logMessage('Calendar selection save error: ' . $e->getMessage(), 'error');
+    jsonError('Failed to save calendars: ' . $e->getMessage(), 500);
+}
+
+/**
+ * The user's calendars, default first. Calendars owned by someone else (shared with the user and
+ * added in Outlook) are marked shared; they are read through the user's own account.
+ */
+function getSelectableCalendars(string $token): array
+{
+    $response = callMicrosoftGraph($token, '/me/calendars', [
+        '$top' => 100,
+        '$select' => 'id,name,color,hexColor,isDefaultCalendar,owner',
+    ]);
+    $list = $response['value'] ?? [];
+
+    $ownAddress = '';
+    foreach ($list as $calendar) {
+        if (!empty($calendar['isDefaultCalendar'])) {
+            $ownAddress = mb_strtolower((string) ($calendar['owner']['address'] ?? ''));
+        }
+    }
+    usort($list, fn($a, $b) => !empty($b['isDefaultCalendar']) <=> !empty($a['isDefaultCalendar']));
+
+    $calendars = [];
+    foreach ($list as $index => $calendar) {
+        $owner = mb_strtolower((string) ($calendar['owner']['address'] ?? ''));
+        $shared = $owner !== '' && $ownAddress !== '' && $owner !== $ownAddress;
+        $calendars[] = [
+            'id' => $calendar['id'],
+            'name' => ($calendar['name'] ?? 'Calendar') . ($shared && !empty($calendar['owner']['name']) ? ' (' . $calendar['owner']['name'] . ')' : ''),
+            'color' => graphCalendarColor($calendar, $index),
+            'mailbox' => '',
+            'shared' => $shared,
+            'default' => !empty($calendar['isDefaultCalendar']),
+        ];
+    }
+    return $calendars;
+}
+
+/**
+ * A calendar's Outlook colour as "#rrggbb": its custom hexColor, else its named colour, else a palette colour
+ */
+function graphCalendarColor(array $calendar, int $index): string
+{
+    $named = [
+        'lightBlue' => '#3b82f6',
+        'lightGreen' => '#22c55e',
+        'lightOrange' => '#f97316',
+        'lightGray' => '#64748b',
+        'lightYellow' => '#eab308',
+        'lightTeal' => '#14b8a6',
+        'lightPink' => '#ec4899',
+        'lightBrown' => '#a16207',
+        'lightRed' => '#ef4444',
+    ];
+    $hex = strtolower((string) ($calendar['hexColor'] ?? ''));
+    if (preg_match('/^#[0-9a-f]{6}$/', $hex)) {
+        return $hex;
+    }
+    return $named[$calendar['color'] ?? ''] ?? CalendarSources::COLORS[$index % count(CalendarSources::COLORS)];
+}
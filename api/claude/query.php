@@ -3,6 +3,8 @@
  * Claude AI Query Endpoint
  *
  * Handles natural language queries and summarization requests.
+ * With "mode": "email_reply" (plus "email": { from, subject, body }) it drafts a reply
+ * to that message instead; "query" then holds optional instructions.
  */
 
 declare(strict_types=1);
@@ -25,11 +27,22 @@ if (!Auth::verifyCsrf()) {
     jsonError('Invalid security token', 403);
 }
 
+// Queries and reply drafts run on the owner's account and API budget, so not from a public kiosk screen
+if (Auth::isKiosk()) {
+    jsonError('Read-only kiosk session', 403);
+}
+
 // Get request data
 $input = json_decode(file_get_contents('php://input'), true);
 $query = trim($input['query'] ?? '');
+$mode = $input['mode'] ?? 'query';
+$email = is_array($input['email'] ?? null) ? $input['email'] : [];
 
-if (empty($query)) {
+if ($mode === 'email_reply') {
+    if (trim((string) ($email['body'] ?? '')) === '' && trim((string) ($email['subject'] ?? '')) === '') {
+        jsonError('No email to reply to', 400);
+    }
+} elseif (empty($query)) {
     jsonError('Please enter a question', 400);
 }
 
@@ -48,8 +61,37 @@ if (time() - $lastAttempt < 60) {
 }
 $_SESSION[$rateLimitKey . '_time'] = time();
 
-// Get dashboard context for the AI
 $userId = Auth::id();
+
+if ($mode === 'email_reply') {
+    $from = truncate(trim((string) ($email['from'] ?? '')), 200, '');
+    $subject = truncate(trim((string) ($email['subject'] ?? '')), 300, '');
+    $body = truncate(trim((string) ($email['body'] ?? '')), 8000);
+    // No dashboard context here: the email is written by someone else, and anything in the prompt could be
+    // talked into the draft (calendar, other mail, tasks) and sent back to them
+    $today = (new DateTime('now', new DateTimeZone(config('app.timezone', 'UTC'))))->format('l j F Y') . ' (' . config('app.timezone', 'UTC') . ')';
+
+    $systemPrompt = <<<PROMPT
+You draft email replies for the user from their dashboard. Write only the body of the reply: no subject line, no quoted original, no commentary before or after.
+Match the tone of the incoming email and keep it short (most replies are one to three sentences). Don't add a signature; Outlook adds one.
+If the email asks for something you can't know (dates, figures, decisions), leave a clear placeholder in square brackets rather than inventing it.
+Today is {$today}.
+PROMPT;
+
+    $message = "Draft a reply to this email.\n\nFrom: {$from}\nSubject: {$subject}\n\n{$body}";
+    if ($query !== '') {
+        $message .= "\n\nInstructions for the reply: {$query}";
+    }
+
+    try {
+        jsonResponse(['response' => trim(callClaudeAPI($systemPrompt, $message))]);
+    } catch (Exception $e) {
+        logMessage('Claude API error: ' . $e->getMessage(), 'error');
+        jsonError('Sorry, I couldn\'t draft a reply right now. Please try again.', 500);
+    }
+}
+
+// Get dashboard context for the AI
 $context = gatherDashboardContext($userId);
 
 // Build the prompt
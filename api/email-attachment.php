@@ -0,0 +1,64 @@
+<?php
+/**
+ * Email Attachment Download
+ *
+ * GET ?message_id=...&attachment_id=... streams one file attachment from Outlook
+ * (linked from the email overlay). Attached items such as forwarded messages can
+ * only be opened in Outlook.
+ */
+
+declare(strict_types=1);
+
+require_once __DIR__ . '/../includes/functions.php';
+require_once __DIR__ . '/../includes/session.php';
+require_once __DIR__ . '/../includes/auth.php';
+
+define('CRASHBOARD_LOAD_TILES_FUNCTIONS_ONLY', true);
+require_once __DIR__ . '/tiles.php';
+
+Session::init();
+
+if (!Auth::check()) {
+    http_response_code(401);
+    exit('Unauthorized');
+}
+
+$messageId = trim((string) get('message_id', ''));
+$attachmentId = trim((string) get('attachment_id', ''));
+
+if ($messageId === '' || $attachmentId === '') {
+    http_response_code(400);
+    exit('Missing message_id or attachment_id');
+}
+
+$token = getOAuthToken(Auth::id(), 'microsoft');
+if (!$token) {
+    http_response_code(403);
+    exit('Microsoft account not connected');
+}
+
+try {
+    $attachment = callMicrosoftGraph(
+        $token,
+        '/me/messages/' . rawurlencode($messageId) . '/attachments/' . rawurlencode($attachmentId)
+    );
+} catch (Exception $e) {
+    logMessage('Email attachment fetch error: ' . $e->getMessage(), 'error');
+    http_response_code(502);
+    exit('Failed to download attachment');
+}
+
+$bytes = isset($attachment['contentBytes']) ? base64_decode((string) $attachment['contentBytes'], true) : false;
+if ($bytes === false) {
+    http_response_code(404);
+    exit('This attachment can only be opened in Outlook');
+}
+
+$name = (string) ($attachment['name'] ?? 'attachment');
+// Always download rather than render inline, so attached HTML/SVG can't run on this origin
+header('Content-Type: application/octet-stream');
+header('Content-Disposition: attachment; filename="' . sanitizeFilename($name) . '"; filename*=UTF-8\'\'' . rawurlencode($name));
+header('Content-Length: ' . strlen($bytes));
+header('X-Content-Type-Options: nosniff');
+header('Cache-Control: private, no-store');
+echo $bytes;
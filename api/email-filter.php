@@ -0,0 +1,124 @@
+<?php
+/**
+ * Email Tile Filter API
+ *
+ * Each email tile can show its own slice of the mailbox (tile settings "email_filter",
+ * see normalizeEmailFilter() in tiles.php), so e.g. a "From clients" tile and a
+ * "Build alerts" tile can sit side by side.
+ *
+ * GET  ?action=folders  mail folders and search folders for the folder picker
+ * POST { "action": "save", "tile_id": 12, "title": "From clients", "filter": { ... } }
+ */
+
+declare(strict_types=1);
+
+require_once __DIR__ . '/../includes/functions.php';
+require_once __DIR__ . '/../includes/session.php';
+require_once __DIR__ . '/../includes/auth.php';
+require_once __DIR__ . '/../includes/tile-events.php';
+
+define('CRASHBOARD_LOAD_TILES_FUNCTIONS_ONLY', true);
+require_once __DIR__ . '/tiles.php';
+
+Session::init();
+
+if (!Auth::check()) {
+    jsonError('Unauthorized', 401);
+}
+
+if (!isAjax()) {
+    jsonError('Invalid request', 400);
+}
+
+if (!Auth::verifyCsrf()) {
+    jsonError('Invalid security token', 403);
+}
+
+$userId = Auth::id();
+$input = json_decode(file_get_contents('php://input'), true) ?? [];
+$action = $input['action'] ?? $_GET['action'] ?? '';
+
+if ($action === 'folders') {
+    $token = getOAuthToken($userId, 'microsoft');
+    if (!$token) {
+        jsonError('Microsoft account not connected', 403);
+    }
+    try {
+        jsonResponse(['success' => true, 'folders' => getEmailFilterFolders($token)]);
+    } catch (Exception $e) {
+        logMessage('Email folders error: ' . $e->getMessage(), 'error');
+        jsonError('Failed to load folders: ' . $e->getMessage(), 500);
+    }
+}
+
+if ($action !== 'save' || ($_SERVER['REQUEST_METHOD'] ?? '') !== 'POST') {
+    jsonError('Unknown action', 400);
+}
+
+if (Auth::isKiosk()) {
+    jsonError('Read-only kiosk session', 403);
+}
+
+$tileId = (int) ($input['tile_id'] ?? 0);
+$tile = Database::queryOne(
+    'SELECT id, title, settings FROM tiles WHERE id = ? AND user_id = ? AND tile_type = ?',
+    [$tileId, $userId, 'email']
+);
+if (!$tile) {
+    jsonError('Email tile not found', 404);
+}
+
+$filter = normalizeEmailFilter(is_array($input['filter'] ?? null) ? $input['filter'] : []);
+$title = trim((string) ($input['title'] ?? ''));
+$title = $title !== '' ? truncate($title, 100, '') : ($tile['title'] ?? 'Inbox');
+
+try {
+    $settings = json_decode($tile['settings'] ?? '{}', true);
+    if (!is_array($settings)) {
+        $settings = [];
+    }
+    $settings['email_filter'] = $filter;
+    Database::execute(
+        'UPDATE tiles SET title = ?, settings = ? WHERE id = ? AND user_id = ?',
+        [$title, json_encode($settings), $tileId, $userId]
+    );
+
+    // Filtered tiles cache under email_{id}_{chars}_{hash}; "\_" keeps LIKE from matching other user ids
+    cacheClear("email_{$userId}\\_%");
+    TileEvents::publish($userId, ['email'], $tileId);
+
+    jsonResponse(['success' => true, 'title' => $title, 'filter' => $filter]);
+} catch (Exception $e) {
+    logMessage('Email filter save error: ' . $e->getMessage(), 'error');
+    jsonError('Failed to save filter: ' . $e->getMessage(), 500);
+}
+
+/**
+ * Top-level mail folders, then search folders (Outlook keeps those under the well-known "searchfolders" folder)
+ */
+function getEmailFilterFolders(string $token): array
+{
+    $folders = [];
+    $response = callMicrosoftGraph($token, '/me/mailFolders', [
+        '$top' => 100,
+        '$select' => 'id,displayName',
+    ]);
+    foreach ($response['value'] ?? [] as $folder) {
+        $folders[] = ['id' => $folder['id'], 'name' => $folder['displayName'] ?? 'Folder', 'search' => false];
+    }
+
+    try {
+        $search = callMicrosoftGraph($token, '/me/mailFolders/searchfolders/childFolders', [
+            '$top' => 100,
+            '$select' => 'id,displayName',
+        ]);
+        foreach ($search['value'] ?? [] as $folder) {
+            $folders[] = ['id' => $folder['id'], 'name' => $folder['displayName'] ?? 'Search folder', 'search' => true];
+        }
+    } catch (Exception $e) {
+        // Mailboxes without search folders return 404
+        logMessage('Email search folders unavailable: ' . $e->getMessage(), 'info');
+    }
+
+    return $folders;
+}
@@ -0,0 +1,256 @@
+<?php
+/**
+ * Email API – read and triage a message from the dashboard (Outlook via Microsoft Graph)
+ *
+ * POST body: { "message_id": "...", "action": "message"|"read"|"unread"|"flag"|"unflag"|"complete"|"snooze"|"archive"|"delete"|"reply" }
+ * "message" returns the full message for the email overlay: sanitized HTML body, To/Cc and attachments.
+ * "complete" marks the flag complete. "snooze" also takes { "days": 1..30 } and hides the message from the
+ * flagged email reminder tile and email tiles until then (see includes/email-snoozes.php); Outlook is not changed.
+ * "delete" moves the message to Deleted Items, as Outlook does.
+ * "reply" also takes { "mode": "reply"|"replyAll"|"forward", "comment": "...", "to": ["a@b.com"], "send": bool }:
+ * sends straight away, or saves an Outlook draft and returns its webLink. "to" is required for forward.
+ * The dashboard never queues a send for offline replay (only drafts), so a send is always one the user just confirmed.
+ */
+
+declare(strict_types=1);
+
+require_once __DIR__ . '/../includes/functions.php';
+require_once __DIR__ . '/../includes/session.php';
+require_once __DIR__ . '/../includes/auth.php';
+require_once __DIR__ . '/../includes/tile-events.php';
+require_once __DIR__ . '/../includes/email-html.php';
+require_once __DIR__ . '/../includes/email-snoozes.php';
+
+define('CRASHBOARD_LOAD_TILES_FUNCTIONS_ONLY', true);
+require_once __DIR__ . '/tiles.php';
+
+Session::init();
+
+if (!Auth::check()) {
+    jsonError('Unauthorized', 401);
+}
+
+if (!isAjax() || ($_SERVER['REQUEST_METHOD'] ?? '') !== 'POST') {
+    jsonError('Invalid request', 400);
+}
+
+if (!Auth::verifyCsrf()) {
+    jsonError('Invalid security token', 403);
+}
+
+$input = json_decode(file_get_contents('php://input'), true) ?? [];
+$messageId = trim((string) ($input['message_id'] ?? ''));
+$action = trim((string) ($input['action'] ?? ''));
+
+if ($messageId === '') {
+    jsonError('Missing message_id', 400);
+}
+
+$validActions = ['message', 'read', 'unread', 'flag', 'unflag', 'complete', 'snooze', 'archive', 'delete', 'reply'];
+if (!in_array($action, $validActions, true)) {
+    jsonError('Invalid action; use one of: ' . implode(', ', $validActions), 400);
+}
+
+if ($action !== 'message' && Auth::isKiosk()) {
+    jsonError('Read-only kiosk session', 403);
+}
+
+$userId = Auth::id();
+
+if ($action === 'snooze') {
+    $days = (int) ($input['days'] ?? 1);
+    if ($days < 1 || $days > 30) {
+        jsonError('Snooze for 1 to 30 days', 400);
+    }
+    if (strlen($messageId) > 255) {
+        jsonError('Invalid message_id', 400);
+    }
+    try {
+        $until = strtotime('+' . $days . ' days');
+        EmailSnoozes::snooze($userId, $messageId, $until);
+        cacheClear("email_{$userId}");
+        cacheClear("email_{$userId}\\_%");
+        TileEvents::publish($userId, ['email', 'flagged-email']);
+        jsonResponse(['success' => true, 'snoozed_until' => date('c', $until)]);
+    } catch (Exception $e) {
+        logMessage('Email snooze error: ' . $e->getMessage(), 'error');
+        jsonError('Failed to snooze email: ' . $e->getMessage(), 500);
+    }
+}
+
+$token = getOAuthToken($userId, 'microsoft');
+
+if (!$token) {
+    jsonError('Microsoft account not connected', 403);
+}
+
+$endpoint = '/me/messages/' . rawurlencode($messageId);
+
+if ($action === 'message') {
+    try {
+        jsonResponse(['success' => true, 'message' => getEmailMessageDetail($token, $messageId)]);
+    } catch (Exception $e) {
+        logMessage('Email message fetch error: ' . $e->getMessage(), 'error');
+        jsonError('Failed to load email: ' . $e->getMessage(), 500);
+    }
+}
+
+if ($action === 'reply') {
+    $mode = (string) ($input['mode'] ?? 'reply');
+    if (!in_array($mode, ['reply', 'replyAll', 'forward'], true)) {
+        jsonError('Invalid mode; use reply, replyAll or forward', 400);
+    }
+    $comment = trim((string) ($input['comment'] ?? ''));
+    $send = !empty($input['send']);
+    $to = $input['to'] ?? [];
+    if (is_string($to)) {
+        $to = preg_split('/[,;\s]+/', $to);
+    }
+    $to = array_values(array_filter(array_map('trim', (array) $to)));
+    foreach ($to as $address) {
+        if (!filter_var($address, FILTER_VALIDATE_EMAIL)) {
+            jsonError('Invalid email address: ' . $address, 400);
+        }
+    }
+    if ($mode === 'forward' && empty($to)) {
+        jsonError('Add at least one recipient to forward to', 400);
+    }
+    if ($send && $mode !== 'forward' && $comment === '') {
+        jsonError('Write a reply before sending', 400);
+    }
+
+    // Graph puts the comment above the quoted message as HTML
+    $body = ['comment' => nl2br(e($comment))];
+    if ($mode === 'forward') {
+        $body['toRecipients'] = array_map(function ($address) {
+            return ['emailAddress' => ['address' => $address]];
+        }, $to);
+    }
+
+    try {
+        if ($send) {
+            callMicrosoftGraphPost($token, $endpoint . '/' . $mode, $body);
+            jsonResponse(['success' => true, 'sent' => true]);
+        }
+        $draft = callMicrosoftGraphPost($token, $endpoint . '/create' . ucfirst($mode), $body);
+        jsonResponse(['success' => true, 'sent' => false, 'webLink' => $draft['webLink'] ?? '']);
+    } catch (Exception $e) {
+        logMessage('Email reply error: ' . $e->getMessage(), 'error');
+        jsonError('Failed to ' . ($send ? 'send' : 'save draft') . ': ' . $e->getMessage(), 500);
+    }
+}
+
+try {
+    switch ($action) {
+        case 'read':
+        case 'unread':
+            callMicrosoftGraphPatch($token, $endpoint, ['isRead' => $action === 'read']);
+            break;
+
+        case 'flag':
+        case 'unflag':
+            callMicrosoftGraphPatch($token, $endpoint, [
+                'flag' => ['flagStatus' => $action === 'flag' ? 'flagged' : 'notFlagged'],
+            ]);
+            break;
+
+        case 'complete':
+            callMicrosoftGraphPatch($token, $endpoint, ['flag' => ['flagStatus' => 'complete']]);
+            break;
+
+        case 'archive':
+            callMicrosoftGraphPost($token, $endpoint . '/move', ['destinationId' => 'archive']);
+            break;
+
+        case 'delete':
+            callMicrosoftGraphPost($token, $endpoint . '/move', ['destinationId' => 'deleteditems']);
+            break;
+    }
+
+    // Generic key plus the per-preview-length keys (email_{id}_{chars}); "\_" keeps LIKE from matching other user ids
+    cacheClear("email_{$userId}");
+    cacheClear("email_{$userId}\\_%");
+    cacheClear("flagged_email_{$userId}");
+    cacheClear("flagged_email_count_{$userId}");
+    TileEvents::publish($userId, ['email', 'flagged-email', 'flagged-email-count']);
+
+    jsonResponse(['success' => true]);
+} catch (Exception $e) {
+    logMessage('Email action error: ' . $e->getMessage(), 'error');
+    jsonError('Failed to update email: ' . $e->getMessage(), 500);
+}
+
+/**
+ * Full message for the email overlay. Inline images (up to 2 MB each) are embedded in the body
+ * as data URIs; other attachments are listed for download via api/email-attachment.php.
+ */
+function getEmailMessageDetail(string $token, string $messageId): array
+{
+    $endpoint = '/me/messages/' . rawurlencode($messageId);
+    $message = callMicrosoftGraph($token, $endpoint, [
+        '$select' => 'id,subject,from,toRecipients,ccRecipients,receivedDateTime,body,hasAttachments,webLink',
+    ]);
+
+    $attachments = [];
+    $inlineImages = [];
+    if (!empty($message['hasAttachments']) || stripos((string) ($message['body']['content'] ?? ''), 'cid:') !== false) {
+        $list = callMicrosoftGraph($token, $endpoint . '/attachments', [
+            '$select' => 'id,name,size,contentType,isInline',
+        ]);
+        foreach ($list['value'] ?? [] as $attachment) {
+            $isImage = str_starts_with(strtolower((string) ($attachment['contentType'] ?? '')), 'image/');
+            if (!empty($attachment['isInline']) && $isImage && (int) ($attachment['size'] ?? 0) <= 2 * 1024 * 1024) {
+                try {
+                    $full = callMicrosoftGraph($token, $endpoint . '/attachments/' . rawurlencode($attachment['id']));
+                    if (!empty($full['contentId']) && !empty($full['contentBytes'])) {
+                        $inlineImages[trim($full['contentId'], '<>')] = 'data:' . $attachment['contentType'] . ';base64,' . $full['contentBytes'];
+                        continue;
+                    }
+                } catch (Exception $e) {
+                    logMessage('Inline image fetch failed: ' . $e->getMessage(), 'info');
+                }
+            }
+            $attachments[] = [
+                'id' => $attachment['id'],
+                'name' => $attachment['name'] ?? 'attachment',
+                'size' => (int) ($attachment['size'] ?? 0),
+                'sizeLabel' => formatBytes((int) ($attachment['size'] ?? 0), 1),
+                'contentType' => $attachment['contentType'] ?? '',
+                'downloadUrl' => '/api/email-attachment.php?' . http_build_query([
+                    'message_id' => $messageId,
+                    'attachment_id' => $attachment['id'],
+                ]),
+            ];
+        }
+    }
+
+    $content = (string) ($message['body']['content'] ?? '');
+    if (($message['body']['contentType'] ?? 'text') === 'html') {
+        $body = EmailHtml::sanitize($content, $inlineImages);
+    } else {
+        $body = ['html' => '<pre style="white-space: pre-wrap; font-family: inherit;">' . e($content) . '</pre>', 'remoteImages' => 0];
+    }
+
+    $recipients = function (array $list): array {
+        return array_map(function ($r) {
+            return [
+                'name' => $r['emailAddress']['name'] ?? '',
+                'address' => $r['emailAddress']['address'] ?? '',
+            ];
+        }, $list);
+    };
+
+    return [
+        'id' => $message['id'] ?? $messageId,
+        'subject' => $message['subject'] ?? '(No Subject)',
+        'from' => $message['from']['emailAddress']['name'] ?? $message['from']['emailAddress']['address'] ?? 'Unknown',
+        'fromAddress' => $message['from']['emailAddress']['address'] ?? '',
+        'to' => $recipients($message['toRecipients'] ?? []),
+        'cc' => $recipients($message['ccRecipients'] ?? []),
+        'receivedDateTime' => $message['receivedDateTime'] ?? '',
+        'webLink' => $message['webLink'] ?? '',
+        'bodyHtml' => $body['html'],
+        'remoteImages' => $body['remoteImages'],
+        'attachments' => $attachments,
+    ];
+}
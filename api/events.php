@@ -0,0 +1,87 @@
+<?php
+/**
+ * Live Tile Events (Server-Sent Events)
+ *
+ * GET, consumed by EventSource in dashboard.js. Streams "tile-update" events with
+ * data {"types": [...], "tile_id": int|null} whenever a write or the cron warm-up
+ * publishes through TileEvents. Each connection is held for events.max_connection_seconds
+ * and then closed; the browser reconnects and resumes from Last-Event-ID.
+ */
+
+declare(strict_types=1);
+
+require_once __DIR__ . '/../includes/functions.php';
+require_once __DIR__ . '/../includes/session.php';
+require_once __DIR__ . '/../includes/auth.php';
+require_once __DIR__ . '/../includes/tile-events.php';
+
+Session::init();
+
+if (!Auth::check()) {
+    jsonError('Unauthorized', 401);
+}
+
+if (($_SERVER['REQUEST_METHOD'] ?? '') !== 'GET') {
+    jsonError('Method not allowed', 405);
+}
+
+if (!config('events.enabled', true)) {
+    jsonError('Live updates are disabled', 404);
+}
+
+$userId = Auth::id();
+
+// Don't hold the session lock for the life of the stream
+session_write_close();
+
+$pollSeconds = max(1, (int) config('events.poll_seconds', 2));
+$maxSeconds = max(10, (int) config('events.max_connection_seconds', 55));
+set_time_limit($maxSeconds + 10);
+ignore_user_abort(false);
+
+try {
+    $lastEventId = (int) ($_SERVER['HTTP_LAST_EVENT_ID'] ?? $_GET['last_id'] ?? 0);
+    if ($lastEventId <= 0) {
+        $lastEventId = TileEvents::latestId($userId);
+    }
+} catch (Exception $e) {
+    logMessage('Tile events error: ' . $e->getMessage(), 'error');
+    jsonError('Failed to open live updates: ' . $e->getMessage(), 500);
+}
+
+header('Content-Type: text/event-stream');
+header('Cache-Control: no-cache');
+header('X-Accel-Buffering: no');
+while (ob_get_level() > 0) {
+    ob_end_flush();
+}
+
+echo "retry: 5000\n\n";
+flush();
+
+$startedAt = time();
+$lastHeartbeat = time();
+while (time() - $startedAt < $maxSeconds && !connection_aborted()) {
+    try {
+        foreach (TileEvents::since($userId, $lastEventId) as $event) {
+            $lastEventId = $event['id'];
+            echo 'id: ' . $event['id'] . "\n";
+            echo "event: tile-update\n";
+            echo 'data: ' . json_encode(['types' => $event['types'], 'tile_id' => $event['tile_id']]) . "\n\n";
+            flush();
+        }
+    } catch (Exception $e) {
+        logMessage('Tile events poll error: ' . $e->getMessage(), 'error');
+        break;
+    }
+
+    // Comment line keeps proxies from closing an idle connection
+    if (time() - $lastHeartbeat >= 15) {
+        echo ": ping\n\n";
+        flush();
+        $lastHeartbeat = time();
+    }
+
+    sleep($pollSeconds);
+}
+exit;
@@ -11,6 +11,7 @@ declare(strict_types=1);
 require_once __DIR__ . '/../includes/functions.php';
 require_once __DIR__ . '/../includes/session.php';
 require_once __DIR__ . '/../includes/auth.php';
+require_once __DIR__ . '/../includes/tile-events.php';
 
 Session::init();
 
@@ -205,6 +206,10 @@ if ($method !== 'POST') {
     jsonError('Method not allowed', 405);
 }
 
+if (Auth::isKiosk()) {
+    jsonError('Read-only kiosk session', 403);
+}
+
 switch ($action) {
     case 'add_category':
         $name = trim($input['name'] ?? '');
@@ -215,7 +220,9 @@ switch ($action) {
         $maxPos = Database::queryOne('SELECT COALESCE(MAX(position), -1) + 1 AS next_pos FROM link_board_categories WHERE user_id = ?', [$userId]);
         $pos = (int) ($maxPos['next_pos'] ?? 0);
         Database::execute('INSERT INTO link_board_categories (user_id, name, position) VALUES (?, ?, ?)', [$userId, $name, $pos]);
-        jsonResponse(['success' => true, 'id' => (int) Database::lastInsertId(), 'name' => $name, 'position' => $pos]);
+        $newId = (int) Database::lastInsertId();
+        TileEvents::publish($userId, ['link-board']);
+        jsonResponse(['success' => true, 'id' => $newId, 'name' => $name, 'position' => $pos]);
         break;
 
     case 'update_category':
@@ -229,6 +236,7 @@ switch ($action) {
         if ($n === 0) {
             jsonError('Category not found', 404);
         }
+        TileEvents::publish($userId, ['link-board']);
         jsonResponse(['success' => true]);
         break;
 
@@ -247,6 +255,7 @@ switch ($action) {
         if ($n === 0) {
             jsonError('Category not found', 404);
         }
+        TileEvents::publish($userId, ['link-board']);
         jsonResponse(['success' => true]);
         break;
 
@@ -278,9 +287,11 @@ switch ($action) {
             'INSERT INTO link_board_items (user_id, category_id, url, title, summary, position) VALUES (?, ?, ?, ?, NULL, ?)',
             [$userId, $categoryId, $url, $title, $pos]
         );
+        $newId = (int) Database::lastInsertId();
+        TileEvents::publish($userId, ['link-board']);
         jsonResponse([
             'success' => true,
-            'id' => (int) Database::lastInsertId(),
+            'id' => $newId,
             'category_id' => $categoryId,
             'url' => $url,
             'title' => $title,
@@ -322,6 +333,7 @@ switch ($action) {
         } else {
             Database::execute('UPDATE link_board_items SET url = ?, title = ? WHERE id = ? AND user_id = ?', [$url, $title, $id, $userId]);
         }
+        TileEvents::publish($userId, ['link-board']);
         jsonResponse(['success' => true]);
         break;
 
@@ -334,6 +346,7 @@ switch ($action) {
         if ($n === 0) {
             jsonError('Item not found', 404);
         }
+        TileEvents::publish($userId, ['link-board']);
         jsonResponse(['success' => true]);
         break;
 
@@ -352,6 +365,7 @@ switch ($action) {
         if ($n === 0) {
             jsonError('Item not found', 404);
         }
+        TileEvents::publish($userId, ['link-board']);
         jsonResponse(['success' => true]);
         break;
 
@@ -368,6 +382,7 @@ switch ($action) {
         $summary = $content !== '' ? summarizeWithClaude($content) : '';
         if ($summary !== '') {
             Database::execute('UPDATE link_board_items SET summary = ? WHERE id = ? AND user_id = ?', [$summary, $id, $userId]);
+            TileEvents::publish($userId, ['link-board']);
         }
         jsonResponse(['success' => true, 'summary' => $summary]);
         break;
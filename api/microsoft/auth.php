@@ -13,6 +13,11 @@ require_once __DIR__ . '/../../includes/auth.php';
 // Require authentication
 Auth::require();
 
+// Kiosk displays are read-only: no connecting, replacing or disconnecting the owner's account
+if (Auth::isKiosk()) {
+    redirect('/index.php');
+}
+
 $action = get('action', 'connect');
 $msConfig = config('microsoft');
 
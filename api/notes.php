@@ -10,6 +10,7 @@ declare(strict_types=1);
 require_once __DIR__ . '/../includes/functions.php';
 require_once __DIR__ . '/../includes/session.php';
 require_once __DIR__ . '/../includes/auth.php';
+require_once __DIR__ . '/../includes/tile-events.php';
 
 // Initialize session
 Session::init();
@@ -39,6 +40,10 @@ $input = json_decode(file_get_contents('php://input'), true);
 $action = $input['action'] ?? 'save';
 $userId = Auth::id();
 
+if (Auth::isKiosk() && $action !== 'load_note') {
+    jsonError('Read-only kiosk session', 403);
+}
+
 // Ensure notes table exists
 try {
     $tableExists = Database::queryOne("SHOW TABLES LIKE 'notes'");
@@ -101,6 +106,7 @@ switch ($action) {
                 'UPDATE tiles SET settings = ?, updated_at = NOW() WHERE id = ? AND user_id = ?',
                 [json_encode($settings), $tileId, $userId]
             );
+            TileEvents::publish($userId, ['notes'], $tileId);
             jsonResponse([
                 'success' => true,
                 'current_note_id' => null
@@ -187,6 +193,9 @@ switch ($action) {
                 [json_encode($settings), $tileId, $userId]
             );
 
+            TileEvents::publish($userId, ['notes'], $tileId);
+            TileEvents::publish($userId, ['notes-list']);
+
             jsonResponse([
                 'success' => true,
                 'message' => $currentNoteId ? 'Note updated' : 'Note saved to list',
@@ -239,6 +248,8 @@ switch ($action) {
                 }
             }
 
+            TileEvents::publish($userId, ['notes', 'notes-list']);
+
             jsonResponse([
                 'success' => true,
                 'message' => 'Note deleted',
@@ -350,6 +361,8 @@ switch ($action) {
                 [json_encode($settings), $tileId, $userId]
             );
 
+            TileEvents::publish($userId, ['notes'], $tileId);
+
             jsonResponse([
                 'success' => true,
                 'message' => 'Notes saved',
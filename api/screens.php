@@ -0,0 +1,91 @@
+<?php
+/**
+ * Dashboard Screens API Endpoint
+ *
+ * Add, rename, delete and reorder the user's dashboard screens (tabs).
+ * Deleting a screen moves its tiles to the first remaining screen.
+ */
+
+declare(strict_types=1);
+
+require_once __DIR__ . '/../includes/functions.php';
+require_once __DIR__ . '/../includes/session.php';
+require_once __DIR__ . '/../includes/auth.php';
+require_once __DIR__ . '/../includes/dashboard-screens.php';
+
+Session::init();
+
+if (!Auth::check()) {
+    jsonError('Unauthorized', 401);
+}
+
+if (!isAjax()) {
+    jsonError('Invalid request', 400);
+}
+
+if (!Auth::verifyCsrf()) {
+    jsonError('Invalid security token', 403);
+}
+
+$userId = Auth::id();
+$method = $_SERVER['REQUEST_METHOD'];
+$input = json_decode(file_get_contents('php://input'), true) ?? [];
+$action = $input['action'] ?? $_GET['action'] ?? '';
+
+if ($action === 'list' || $action === '') {
+    try {
+        jsonResponse(['screens' => DashboardScreens::forUser($userId)]);
+    } catch (Exception $e) {
+        logMessage('Dashboard screens error: ' . $e->getMessage(), 'error');
+        jsonError('Failed to load screens', 500);
+    }
+}
+
+if ($method !== 'POST') {
+    jsonError('Method not allowed', 405);
+}
+
+if (Auth::isKiosk()) {
+    jsonError('Read-only kiosk session', 403);
+}
+
+$screenId = trim((string) ($input['screen'] ?? ''));
+$label = (string) ($input['label'] ?? '');
+
+try {
+    switch ($action) {
+        case 'add':
+            $screen = DashboardScreens::create($userId, $label);
+            jsonResponse(['success' => true, 'screen' => $screen]);
+            break;
+
+        case 'rename':
+            if (!DashboardScreens::rename($userId, $screenId, $label)) {
+                jsonError('Screen not found', 404);
+            }
+            jsonResponse(['success' => true]);
+            break;
+
+        case 'delete':
+            $movedTo = DashboardScreens::delete($userId, $screenId);
+            jsonResponse(['success' => true, 'moved_to' => $movedTo]);
+            break;
+
+        case 'reorder':
+            $order = $input['order'] ?? [];
+            if (!is_array($order) || empty($order)) {
+                jsonError('Invalid order data', 400);
+            }
+            DashboardScreens::reorder($userId, $order);
+            jsonResponse(['success' => true]);
+            break;
+
+        default:
+            jsonError('Unknown action', 400);
+    }
+} catch (InvalidArgumentException $e) {
+    jsonError($e->getMessage(), 400);
+} catch (Exception $e) {
+    logMessage('Dashboard screens error: ' . $e->getMessage(), 'error');
+    jsonError('Failed to update screens: ' . $e->getMessage(), 500);
+}
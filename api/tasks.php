@@ -1,9 +1,16 @@
 <?php
 /**
- * Tasks API – mark a task complete (To Do or Planner)
+ * Tasks API – mark a task complete, or make a task from an email (To Do or Planner)
  *
  * POST body: { "task_id": "...", "source": "todo"|"planner", "list_id": "..." }
  * list_id required when source is "todo".
+ *
+ * "Make task" from the email overlay:
+ *   { "action": "targets" }                      To Do lists and Planner plans to choose from
+ *   { "action": "buckets", "plan_id": "..." }    buckets of one plan
+ *   { "action": "create", "source": "todo"|"planner", "message_id": "...", "title": "...",
+ *     "list_id": "..." | "plan_id": "...", "bucket_id": "...", "due": "YYYY-MM-DD", "importance": "low"|"normal"|"high" }
+ *   The task links back to the message (To Do linkedResource / Planner reference).
  */
 
 declare(strict_types=1);
@@ -11,6 +18,7 @@ declare(strict_types=1);
 require_once __DIR__ . '/../includes/functions.php';
 require_once __DIR__ . '/../includes/session.php';
 require_once __DIR__ . '/../includes/auth.php';
+require_once __DIR__ . '/../includes/tile-events.php';
 
 define('CRASHBOARD_LOAD_TILES_FUNCTIONS_ONLY', true);
 require_once __DIR__ . '/tiles.php';
@@ -29,7 +37,17 @@ if (!Auth::verifyCsrf()) {
     jsonError('Invalid security token', 403);
 }
 
+if (Auth::isKiosk()) {
+    jsonError('Read-only kiosk session', 403);
+}
+
 $input = json_decode(file_get_contents('php://input'), true) ?? [];
+$action = trim((string) ($input['action'] ?? 'complete'));
+
+if ($action !== 'complete') {
+    handleEmailTaskAction($action, $input);
+}
+
 $taskId = trim((string) ($input['task_id'] ?? ''));
 $source = trim((string) ($input['source'] ?? ''));
 $listId = trim((string) ($input['list_id'] ?? ''));
@@ -82,9 +100,207 @@ try {
     if ($source === 'planner') {
         cacheClear('planner_overview_v2_' . $userId);
     }
+    TileEvents::publish($userId, ['todo', 'todo-personal', 'overdue-tasks-count', 'planner-overview']);
 
     jsonResponse(['success' => true]);
 } catch (Exception $e) {
     logMessage('Task complete error: ' . $e->getMessage(), 'error');
     jsonError('Failed to update task: ' . $e->getMessage(), 500);
 }
+
+/**
+ * targets / buckets / create for "Make task" in the email overlay; always ends the request
+ */
+function handleEmailTaskAction(string $action, array $input): void
+{
+    $userId = Auth::id();
+    $token = getOAuthToken($userId, 'microsoft');
+    if (!$token) {
+        jsonError('Microsoft account not connected', 403);
+    }
+
+    if ($action === 'targets') {
+        try {
+            $lists = callMicrosoftGraph($token, '/me/todo/lists', ['$top' => 50]);
+            $todoLists = array_map(function ($list) {
+                return [
+                    'id' => $list['id'],
+                    'name' => $list['displayName'] ?? 'Tasks',
+                    'isDefault' => ($list['wellknownListName'] ?? '') === 'defaultList',
+                ];
+            }, $lists['value'] ?? []);
+        } catch (Exception $e) {
+            logMessage('Task targets error: ' . $e->getMessage(), 'error');
+            jsonError('Failed to load To Do lists: ' . $e->getMessage(), 500);
+        }
+        $plans = [];
+        try {
+            $response = callMicrosoftGraph($token, '/me/planner/plans', ['$select' => 'id,title']);
+            foreach ($response['value'] ?? [] as $plan) {
+                $plans[] = ['id' => $plan['id'], 'title' => $plan['title'] ?? 'Plan'];
+            }
+        } catch (Exception $e) {
+            // No Planner licence or no plans: To Do still works
+            logMessage('Planner plans unavailable: ' . $e->getMessage(), 'info');
+        }
+        jsonResponse(['success' => true, 'todoLists' => $todoLists, 'plans' => $plans]);
+    }
+
+    if ($action === 'buckets') {
+        $planId = trim((string) ($input['plan_id'] ?? ''));
+        if ($planId === '') {
+            jsonError('Missing plan_id', 400);
+        }
+        try {
+            $response = callMicrosoftGraph($token, '/planner/plans/' . rawurlencode($planId) . '/buckets', ['$select' => 'id,name,orderHint']);
+            $buckets = $response['value'] ?? [];
+            // Board order, as Planner shows it
+            usort($buckets, fn($a, $b) => strcmp((string) ($a['orderHint'] ?? ''), (string) ($b['orderHint'] ?? '')));
+            jsonResponse(['success' => true, 'buckets' => array_map(fn($b) => ['id' => $b['id'], 'name' => $b['name'] ?? 'Bucket'], $buckets)]);
+        } catch (Exception $e) {
+            logMessage('Planner buckets error: ' . $e->getMessage(), 'error');
+            jsonError('Failed to load buckets: ' . $e->getMessage(), 500);
+        }
+    }
+
+    if ($action !== 'create') {
+        jsonError('Unknown action', 400);
+    }
+
+    $source = trim((string) ($input['source'] ?? ''));
+    $messageId = trim((string) ($input['message_id'] ?? ''));
+    $title = trim((string) ($input['title'] ?? ''));
+    $due = trim((string) ($input['due'] ?? ''));
+    $importance = (string) ($input['importance'] ?? 'normal');
+
+    if ($source !== 'todo' && $source !== 'planner') {
+        jsonError('Invalid source; use "todo" or "planner"', 400);
+    }
+    if ($messageId === '') {
+        jsonError('Missing message_id', 400);
+    }
+    if ($due !== '' && !preg_match('/^\d{4}-\d{2}-\d{2}$/', $due)) {
+        jsonError('Invalid due date', 400);
+    }
+    if (!in_array($importance, ['low', 'normal', 'high'], true)) {
+        $importance = 'normal';
+    }
+
+    try {
+        $message = callMicrosoftGraph($token, '/me/messages/' . rawurlencode($messageId), [
+            '$select' => 'id,subject,from,webLink',
+        ]);
+        if ($title === '') {
+            $title = $message['subject'] ?? '(No Subject)';
+        }
+        $title = truncate($title, 255, '');
+
+        if ($source === 'todo') {
+            $listId = trim((string) ($input['list_id'] ?? ''));
+            if ($listId === '') {
+                jsonError('list_id required for To Do tasks', 400);
+            }
+            $task = createTodoTaskFromEmail($token, $listId, $title, $due, $importance, $message);
+        } else {
+            $planId = trim((string) ($input['plan_id'] ?? ''));
+            if ($planId === '') {
+                jsonError('plan_id required for Planner tasks', 400);
+            }
+            $task = createPlannerTaskFromEmail($token, $planId, trim((string) ($input['bucket_id'] ?? '')), $title, $due, $importance, $message);
+        }
+
+        cacheClear('todo_' . $userId);
+        cacheClear('todo_personal_' . $userId);
+        cacheClear('overdue_tasks_count_' . $userId);
+        if ($source === 'planner') {
+            cacheClear('planner_overview_v2_' . $userId);
+        }
+        TileEvents::publish($userId, ['todo', 'todo-personal', 'overdue-tasks-count', 'planner-overview']);
+
+        jsonResponse(['success' => true, 'task' => $task]);
+    } catch (Exception $e) {
+        logMessage('Task from email error: ' . $e->getMessage(), 'error');
+        jsonError('Failed to create task: ' . $e->getMessage(), 500);
+    }
+}
+
+/**
+ * To Do task with the message linked as a linkedResource (shown in To Do as a link back to Outlook)
+ */
+function createTodoTaskFromEmail(string $token, string $listId, string $title, string $due, string $importance, array $message): array
+{
+    $from = $message['from']['emailAddress']['name'] ?? $message['from']['emailAddress']['address'] ?? '';
+    $body = [
+        'title' => $title,
+        'importance' => $importance,
+        'body' => [
+            'contentType' => 'text',
+            'content' => 'From email' . ($from !== '' ? ' from ' . $from : '') . ': ' . ($message['subject'] ?? ''),
+        ],
+    ];
+    if ($due !== '') {
+        $body['dueDateTime'] = ['dateTime' => $due . 'T00:00:00', 'timeZone' => 'UTC'];
+    }
+    if (!empty($message['webLink'])) {
+        $body['linkedResources'] = [[
+            'webUrl' => $message['webLink'],
+            'applicationName' => 'Outlook',
+            'displayName' => $message['subject'] ?? 'Email',
+            'externalId' => $message['id'] ?? '',
+        ]];
+    }
+
+    $task = callMicrosoftGraphPost($token, '/me/todo/lists/' . rawurlencode($listId) . '/tasks', $body);
+    return ['id' => $task['id'] ?? '', 'source' => 'todo', 'title' => $task['title'] ?? $title];
+}
+
+/**
+ * Planner task assigned to the current user, with the message as an external reference
+ */
+function createPlannerTaskFromEmail(string $token, string $planId, string $bucketId, string $title, string $due, string $importance, array $message): array
+{
+    $me = callMicrosoftGraph($token, '/me', ['$select' => 'id']);
+    // Planner priority: 1 urgent, 3 important, 5 medium, 9 low
+    $priority = ['high' => 3, 'normal' => 5, 'low' => 9][$importance];
+    $body = [
+        'planId' => $planId,
+        'title' => $title,
+        'priority' => $priority,
+    ];
+    if ($bucketId !== '') {
+        $body['bucketId'] = $bucketId;
+    }
+    if ($due !== '') {
+        $body['dueDateTime'] = $due . 'T00:00:00Z';
+    }
+    if (!empty($me['id'])) {
+        $body['assignments'] = [
+            $me['id'] => ['@odata.type' => '#microsoft.graph.plannerAssignment', 'orderHint' => ' !'],
+        ];
+    }
+
+    $task = callMicrosoftGraphPost($token, '/planner/tasks', $body);
+    $taskId = $task['id'] ?? '';
+
+    if ($taskId !== '' && !empty($message['webLink'])) {
+        try {
+            // Reference keys are the URL with % . : @ # encoded, as Planner requires
+            $key = str_replace(['%', '.', ':', '@', '#'], ['%25', '%2E', '%3A', '%40', '%23'], $message['webLink']);
+            $details = callMicrosoftGraph($token, '/planner/tasks/' . rawurlencode($taskId) . '/details');
+            callMicrosoftGraphPatch($token, '/planner/tasks/' . rawurlencode($taskId) . '/details', [
+                'references' => [
+                    $key => [
+                        '@odata.type' => 'microsoft.graph.plannerExternalReference',
+                        'alias' => truncate('Email: ' . ($message['subject'] ?? ''), 100, ''),
+                        'type' => 'Other',
+                    ],
+                ],
+            ], 'v1.0', ['If-Match' => $details['@odata.etag'] ?? '*']);
+        } catch (Exception $e) {
+            // The task exists; a missing link back is not worth failing the request
+            logMessage('Planner email reference failed: ' . $e->getMessage(), 'info');
+        }
+    }
+
+    return ['id' => $taskId, 'source' => 'planner', 'title' => $task['title'] ?? $title];
+}
@@ -2,13 +2,14 @@
 /**
  * Tiles Move Screen API Endpoint
  *
- * Moves a tile to another dashboard screen (main or screen2).
+ * Moves a tile to another of the user's dashboard screens (see includes/dashboard-screens.php).
  */
 
 declare(strict_types=1);
 
 require_once __DIR__ . '/../includes/functions.php';
 require_once __DIR__ . '/../includes/auth.php';
+require_once __DIR__ . '/../includes/dashboard-screens.php';
 
 if (!Auth::check()) {
     jsonError('Unauthorized', 401);
@@ -22,6 +23,10 @@ if (!Auth::verifyCsrf()) {
     jsonError('Invalid security token', 403);
 }
 
+if (Auth::isKiosk()) {
+    jsonError('Read-only kiosk session', 403);
+}
+
 if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
     jsonError('Method not allowed', 405);
 }
@@ -34,14 +39,17 @@ if ($tileId <= 0) {
     jsonError('Invalid tile ID', 400);
 }
 
-$allowed = ['main', 'screen2'];
-if (!in_array($screen, $allowed, true)) {
-    jsonError('Invalid screen. Use "main" or "screen2".', 400);
+if ($screen === '') {
+    jsonError('Invalid screen', 400);
 }
 
 $userId = Auth::id();
 
 try {
+    if (!DashboardScreens::exists($userId, $screen)) {
+        jsonError('Screen not found', 404);
+    }
+
     $row = Database::queryOne(
         'SELECT id, screen FROM tiles WHERE id = ? AND user_id = ?',
         [$tileId, $userId]
@@ -57,10 +65,8 @@ try {
     Database::beginTransaction();
 
     $maxPos = Database::queryOne(
-        $screen === 'main'
-            ? "SELECT COALESCE(MAX(position), 0) AS max_pos FROM tiles WHERE user_id = ? AND is_enabled = TRUE AND (screen IS NULL OR screen = 'main')"
-            : "SELECT COALESCE(MAX(position), 0) AS max_pos FROM tiles WHERE user_id = ? AND is_enabled = TRUE AND screen = 'screen2'",
-        [$userId]
+        'SELECT COALESCE(MAX(position), 0) AS max_pos FROM tiles WHERE user_id = ? AND is_enabled = TRUE AND screen = ?',
+        [$userId, $screen]
     );
     $newPosition = (int) ($maxPos['max_pos'] ?? 0) + 1;
 
@@ -25,6 +25,10 @@ if (!Auth::verifyCsrf()) {
     jsonError('Invalid security token', 403);
 }
 
+if (Auth::isKiosk()) {
+    jsonError('Read-only kiosk session', 403);
+}
+
 // Only accept POST
 if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
     jsonError('Method not allowed', 405);
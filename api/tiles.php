@@ -10,6 +10,9 @@ declare(strict_types=1);
 require_once __DIR__ . '/../includes/functions.php';
 require_once __DIR__ . '/../includes/session.php';
 require_once __DIR__ . '/../includes/auth.php';
+require_once __DIR__ . '/../includes/tile-events.php';
+require_once __DIR__ . '/../includes/email-snoozes.php';
+require_once __DIR__ . '/../includes/calendar-sources.php';
 
 // Initialize session
 Session::init();
@@ -43,163 +46,352 @@ if (!defined('CRON_WARM_USER_ID')) {
 
     // Get request data
     $input = json_decode(file_get_contents('php://input'), true);
-    $tileType = $input['type'] ?? '';
-    $tileId = isset($input['tile_id']) ? (int)$input['tile_id'] : 0;
+    $input = is_array($input) ? $input : [];
     $userId = Auth::id();
 
-    // Validate tile ID for notes (required)
-    if ($tileType === 'notes' && $tileId <= 0) {
-        jsonError('Invalid tile ID for notes tile', 400);
+    // Batch mode: {"tiles": [{"key": ..., "type": ..., "tile_id": ...}, ...]}
+    if (isset($input['tiles']) && is_array($input['tiles'])) {
+        streamTileBatch($userId, $input['tiles']);
     }
 
-    // Route to appropriate handler
-    switch ($tileType) {
-    case 'email':
-        jsonResponse(getEmailData($userId));
-        break;
-    case 'calendar':
-        jsonResponse(getCalendarData($userId));
-        break;
-    case 'calendar-heatmap':
-        try {
-            jsonResponse(getCalendarHeatmapData($userId));
-        } catch (Exception $e) {
-            logMessage('Calendar heatmap tile error: ' . $e->getMessage(), 'error');
-            jsonError('Failed to load calendar heatmap: ' . $e->getMessage(), 500);
-        }
-        break;
-    case 'calendar-next':
-        if ($tileId <= 0) {
-            jsonError('Invalid tile ID for calendar-next tile', 400);
-        }
-        try {
-            jsonResponse(getNextEventByCategory($userId, $tileId));
-        } catch (Exception $e) {
-            logMessage('Calendar-next tile error: ' . $e->getMessage(), 'error');
-            jsonError('Failed to load next event: ' . $e->getMessage(), 500);
-        }
-        break;
-    case 'next-event':
-        if ($tileId <= 0) {
-            jsonError('Invalid tile ID for next-event tile', 400);
-        }
-        try {
-            jsonResponse(getNextCalendarEvent($userId, $tileId));
-        } catch (Exception $e) {
-            logMessage('Next-event tile error: ' . $e->getMessage(), 'error');
-            jsonError('Failed to load next event: ' . $e->getMessage(), 500);
-        }
-        break;
-    case 'todo':
-        jsonResponse(getTodoData($userId));
-        break;
-    case 'todo-personal':
-        jsonResponse(getTodoPersonalData($userId));
-        break;
-    case 'crm':
-        jsonResponse(getCrmData($userId));
-        break;
-    case 'weather':
-        jsonResponse(getWeatherData($userId));
-        break;
-    case 'notes':
-        try {
-            jsonResponse(getNotesData($userId, $tileId));
-        } catch (Exception $e) {
-            logMessage('Notes tile error: ' . $e->getMessage(), 'error');
-            jsonError('Failed to load notes: ' . $e->getMessage(), 500);
-        }
-        break;
-    case 'notes-list':
-        try {
-            jsonResponse(getNotesListData($userId));
-        } catch (Exception $e) {
-            logMessage('Notes list error: ' . $e->getMessage(), 'error');
-            jsonError('Failed to load notes list: ' . $e->getMessage(), 500);
-        }
-        break;
-    case 'bookmarks':
-        try {
-            jsonResponse(getBookmarksData($userId));
-        } catch (Exception $e) {
-            logMessage('Bookmarks error: ' . $e->getMessage(), 'error');
-            jsonError('Failed to load bookmarks: ' . $e->getMessage(), 500);
-        }
-        break;
-    case 'link-board':
-        try {
-            jsonResponse(getLinkBoardData($userId));
-        } catch (Exception $e) {
-            logMessage('Link board error: ' . $e->getMessage(), 'error');
-            jsonError('Failed to load link board: ' . $e->getMessage(), 500);
-        }
-        break;
-    case 'flagged-email':
-        try {
-            jsonResponse(getFlaggedEmailData($userId));
-        } catch (Exception $e) {
-            logMessage('Flagged email tile error: ' . $e->getMessage(), 'error');
-            jsonError('Failed to load flagged email: ' . $e->getMessage(), 500);
+    $tileType = (string) ($input['type'] ?? '');
+    $tileId = isset($input['tile_id']) ? (int)$input['tile_id'] : 0;
+
+    $result = loadTileResult($userId, $tileType, $tileId, $input);
+    if (isset($result['error'])) {
+        jsonError($result['error'], $result['status']);
+    }
+    jsonResponse($result['data']);
+}
+}
+
+/**
+ * Load one tile's data through its registered handler.
+ *
+ * Returns ['data' => array] on success or ['error' => string, 'status' => int] on failure,
+ * so single and batch requests report errors the same way.
+ */
+function loadTileResult(int $userId, string $tileType, int $tileId, array $input): array
+{
+    $tileHandlers = getTileHandlers();
+    if (!isset($tileHandlers[$tileType])) {
+        return ['error' => 'Unknown tile type', 'status' => 400];
+    }
+    $tileHandler = $tileHandlers[$tileType];
+    $tileLabel = $tileHandler['label'] ?? $tileType;
+
+    if (!empty($tileHandler['requires_tile_id']) && $tileId <= 0) {
+        return ['error' => "Invalid tile ID for {$tileType} tile", 'status' => 400];
+    }
+
+    try {
+        return ['data' => ($tileHandler['handler'])($userId, $tileId, $input)];
+    } catch (Exception $e) {
+        logMessage(ucfirst($tileLabel) . ' tile error: ' . $e->getMessage(), 'error');
+        return ['error' => 'Failed to load ' . $tileLabel . ': ' . $e->getMessage(), 'status' => 500];
+    }
+}
+
+/**
+ * Load several tiles in one request, streaming one JSON line per tile (NDJSON) as each completes.
+ *
+ * Each line is {"key", "type", "tile_id"} plus either "data" or "error". The client
+ * renders tiles as their lines arrive instead of waiting for the whole batch.
+ */
+function streamTileBatch(int $userId, array $items): void
+{
+    $maxTiles = 50;
+    if (count($items) > $maxTiles) {
+        jsonError('Too many tiles in batch (max ' . $maxTiles . ')', 400);
+    }
+
+    // Release the session lock so other requests (e.g. Claude suggestions) are not blocked while we stream
+    session_write_close();
+    set_time_limit(120);
+
+    http_response_code(200);
+    header('Content-Type: application/x-ndjson; charset=utf-8');
+    header('Cache-Control: no-cache');
+    header('X-Accel-Buffering: no');
+    while (ob_get_level() > 0) {
+        ob_end_flush();
+    }
+
+    foreach ($items as $index => $item) {
+        if (!is_array($item)) {
+            continue;
         }
-        break;
-    case 'flagged-email-count':
-        try {
-            jsonResponse(getFlaggedEmailCountData($userId));
-        } catch (Exception $e) {
-            logMessage('Flagged email count tile error: ' . $e->getMessage(), 'error');
-            jsonError('Failed to load flagged email count: ' . $e->getMessage(), 500);
+        $tileType = (string) ($item['type'] ?? '');
+        $tileId = isset($item['tile_id']) ? (int) $item['tile_id'] : 0;
+        $line = [
+            'key' => $item['key'] ?? $index,
+            'type' => $tileType,
+            'tile_id' => $tileId,
+        ];
+        $result = loadTileResult($userId, $tileType, $tileId, $item);
+        if (isset($result['error'])) {
+            $line['error'] = $result['error'];
+        } else {
+            $line['data'] = $result['data'];
         }
-        break;
-    case 'overdue-tasks-count':
-        try {
-            jsonResponse(getOverdueTasksCountData($userId));
-        } catch (Exception $e) {
-            logMessage('Overdue tasks count tile error: ' . $e->getMessage(), 'error');
-            jsonError('Failed to load overdue tasks count: ' . $e->getMessage(), 500);
+        echo json_encode($line, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES) . "\n";
+        flush();
+    }
+    exit;
+}
+
+/**
+ * Tile data handlers keyed by tile type.
+ *
+ * Each entry has a 'handler' callable (int $userId, int $tileId, array $input): array,
+ * a 'label' used in error messages and an optional 'requires_tile_id' flag.
+ * Custom tile types can be added without editing this file: every PHP file in
+ * includes/tiles/ is loaded and must return an array of entries in the same shape.
+ */
+function getTileHandlers(): array
+{
+    static $handlers = null;
+    if ($handlers !== null) {
+        return $handlers;
+    }
+
+    $handlers = [
+        'email' => [
+            'label' => 'email',
+            'handler' => fn(int $userId, int $tileId) => getEmailData($userId, $tileId),
+        ],
+        'calendar' => [
+            'label' => 'calendar',
+            'handler' => fn(int $userId, int $tileId, array $input) => getCalendarData($userId, (string) ($input['start'] ?? ''), (int) ($input['days'] ?? 1), $tileId),
+        ],
+        'calendar-heatmap' => [
+            'label' => 'calendar heatmap',
+            'handler' => fn(int $userId, int $tileId) => getCalendarHeatmapData($userId, $tileId),
+        ],
+        'calendar-next' => [
+            'label' => 'next event',
+            'requires_tile_id' => true,
+            'handler' => fn(int $userId, int $tileId) => getNextEventByCategory($userId, $tileId),
+        ],
+        'next-event' => [
+            'label' => 'next event',
+            'requires_tile_id' => true,
+            'handler' => fn(int $userId, int $tileId) => getNextCalendarEvent($userId, $tileId),
+        ],
+        'todo' => [
+            'label' => 'tasks',
+            'handler' => fn(int $userId) => getTodoData($userId),
+        ],
+        'todo-personal' => [
+            'label' => 'personal tasks',
+            'handler' => fn(int $userId) => getTodoPersonalData($userId),
+        ],
+        'crm' => [
+            'label' => 'CRM actions',
+            'handler' => fn(int $userId) => getCrmData($userId),
+        ],
+        'weather' => [
+            'label' => 'weather',
+            'handler' => fn(int $userId) => getWeatherData($userId),
+        ],
+        'notes' => [
+            'label' => 'notes',
+            'requires_tile_id' => true,
+            'handler' => fn(int $userId, int $tileId) => getNotesData($userId, $tileId),
+        ],
+        'notes-list' => [
+            'label' => 'notes list',
+            'handler' => fn(int $userId) => getNotesListData($userId),
+        ],
+        'bookmarks' => [
+            'label' => 'bookmarks',
+            'handler' => fn(int $userId) => getBookmarksData($userId),
+        ],
+        'link-board' => [
+            'label' => 'link board',
+            'handler' => fn(int $userId) => getLinkBoardData($userId),
+        ],
+        'flagged-email' => [
+            'label' => 'flagged email',
+            'handler' => fn(int $userId, int $tileId, array $input) => getFlaggedEmailData($userId, (string) ($input['exclude'] ?? '')),
+        ],
+        'flagged-email-count' => [
+            'label' => 'flagged email count',
+            'handler' => fn(int $userId) => getFlaggedEmailCountData($userId),
+        ],
+        'overdue-tasks-count' => [
+            'label' => 'overdue tasks count',
+            'handler' => fn(int $userId) => getOverdueTasksCountData($userId),
+        ],
+        'availability' => [
+            'label' => 'availability',
+            'handler' => fn(int $userId, int $tileId) => getAvailabilityData($userId, $tileId),
+        ],
+        'train-departures' => [
+            'label' => 'train departures',
+            'requires_tile_id' => true,
+            'handler' => fn(int $userId, int $tileId) => getTrainDeparturesData($userId, $tileId),
+        ],
+        'planner-overview' => [
+            'label' => 'Planner overview',
+            'handler' => function (int $userId, int $tileId, array $input): array {
+                $planId = isset($input['plan_id']) ? trim((string) $input['plan_id']) : '';
+                return $planId !== ''
+                    ? getPlannerSinglePlanData($userId, $planId)
+                    : getPlannerOverviewData($userId);
+            },
+        ],
+    ];
+
+    $customDir = __DIR__ . '/../includes/tiles';
+    if (is_dir($customDir)) {
+        foreach (glob($customDir . '/*.php') ?: [] as $file) {
+            $custom = require $file;
+            if (!is_array($custom)) {
+                logMessage('Custom tile file did not return an array: ' . basename($file), 'warning');
+                continue;
+            }
+            foreach ($custom as $type => $entry) {
+                if (is_string($type) && is_array($entry) && isset($entry['handler']) && is_callable($entry['handler'])) {
+                    $handlers[$type] = $entry;
+                }
+            }
         }
-        break;
-    case 'availability':
-        try {
-            jsonResponse(getAvailabilityData($userId));
-        } catch (Exception $e) {
-            logMessage('Availability tile error: ' . $e->getMessage(), 'error');
-            jsonError('Failed to load availability: ' . $e->getMessage(), 500);
+    }
+
+    return $handlers;
+}
+
+/**
+ * Default email tile filter: unread or flagged messages from the whole inbox
+ */
+function defaultEmailFilter(): array
+{
+    return [
+        'folder' => 'inbox',
+        'folder_name' => 'Inbox',
+        'focus' => 'all',
+        'show' => 'unread_or_flagged',
+        'senders' => [],
+        'keywords' => [],
+    ];
+}
+
+/**
+ * Validate an email tile filter (tile settings "email_filter"); unknown or bad values fall back to the defaults.
+ *
+ * folder:   mail folder or search folder id, or a well-known name such as "inbox"
+ * focus:    all | focused | other (Focused Inbox)
+ * show:     unread_or_flagged | unread | flagged | all
+ * senders:  addresses or domains ("client.com" / "@client.com"); empty = anyone
+ * keywords: subject must contain one of these; "-word" excludes subjects containing "word"
+ */
+function normalizeEmailFilter(array $raw): array
+{
+    $filter = defaultEmailFilter();
+
+    $folder = trim((string) ($raw['folder'] ?? ''));
+    if ($folder !== '' && strlen($folder) <= 300) {
+        $filter['folder'] = $folder;
+        $filter['folder_name'] = truncate(trim((string) ($raw['folder_name'] ?? '')), 100, '') ?: $folder;
+    }
+    if (in_array($raw['focus'] ?? '', ['all', 'focused', 'other'], true)) {
+        $filter['focus'] = $raw['focus'];
+    }
+    if (in_array($raw['show'] ?? '', ['unread_or_flagged', 'unread', 'flagged', 'all'], true)) {
+        $filter['show'] = $raw['show'];
+    }
+
+    $toList = function ($value): array {
+        if (is_string($value)) {
+            $value = preg_split('/[\n,;]+/', $value);
         }
-        break;
-    case 'train-departures':
-        if ($tileId <= 0) {
-            jsonError('Invalid tile ID for train-departures tile', 400);
+        $items = array_map(fn($item) => mb_strtolower(trim((string) $item)), is_array($value) ? $value : []);
+        return array_slice(array_values(array_unique(array_filter($items, fn($item) => $item !== '' && $item !== '-'))), 0, 50);
+    };
+    $filter['senders'] = array_map(fn($sender) => ltrim($sender, '@'), $toList($raw['senders'] ?? []));
+    $filter['keywords'] = $toList($raw['keywords'] ?? []);
+
+    return $filter;
+}
+
+/**
+ * The filter saved on an email tile, or the default for the built-in tile (id 0)
+ */
+function getEmailTileFilter(int $userId, int $tileId): array
+{
+    if ($tileId <= 0) {
+        return defaultEmailFilter();
+    }
+    $tile = Database::queryOne(
+        'SELECT settings FROM tiles WHERE id = ? AND user_id = ? AND tile_type = ?',
+        [$tileId, $userId, 'email']
+    );
+    $settings = json_decode($tile['settings'] ?? '{}', true);
+    return normalizeEmailFilter(is_array($settings['email_filter'] ?? null) ? $settings['email_filter'] : []);
+}
+
+/**
+ * Whether a Graph message passes an email tile filter
+ */
+function emailMatchesFilter(array $email, array $filter): bool
+{
+    $isRead = $email['isRead'] ?? true;
+    $isFlagged = ($email['flag']['flagStatus'] ?? 'notFlagged') === 'flagged';
+    $passesShow = match ($filter['show']) {
+        'unread' => !$isRead,
+        'flagged' => $isFlagged,
+        'all' => true,
+        default => !$isRead || $isFlagged,
+    };
+    if (!$passesShow) {
+        return false;
+    }
+
+    if ($filter['focus'] !== 'all' && ($email['inferenceClassification'] ?? 'focused') !== $filter['focus']) {
+        return false;
+    }
+
+    if (!empty($filter['senders'])) {
+        $address = mb_strtolower((string) ($email['from']['emailAddress']['address'] ?? ''));
+        $domain = substr((string) strrchr($address, '@'), 1);
+        $matched = false;
+        foreach ($filter['senders'] as $sender) {
+            if ($sender === $address || (!str_contains($sender, '@') && ($domain === $sender || str_ends_with($domain, '.' . $sender)))) {
+                $matched = true;
+                break;
+            }
         }
-        try {
-            jsonResponse(getTrainDeparturesData($userId, $tileId));
-        } catch (Exception $e) {
-            logMessage('Train departures tile error: ' . $e->getMessage(), 'error');
-            jsonError('Failed to load train departures: ' . $e->getMessage(), 500);
+        if (!$matched) {
+            return false;
         }
-        break;
-    case 'planner-overview':
-        try {
-            $planId = isset($input['plan_id']) ? trim((string) $input['plan_id']) : '';
-            if ($planId !== '') {
-                jsonResponse(getPlannerSinglePlanData($userId, $planId));
+    }
+
+    if (!empty($filter['keywords'])) {
+        $subject = mb_strtolower((string) ($email['subject'] ?? ''));
+        $include = [];
+        foreach ($filter['keywords'] as $keyword) {
+            if (str_starts_with($keyword, '-')) {
+                if (str_contains($subject, substr($keyword, 1))) {
+                    return false;
+                }
             } else {
-                jsonResponse(getPlannerOverviewData($userId));
+                $include[] = $keyword;
             }
-        } catch (Exception $e) {
-            logMessage('Planner overview tile error: ' . $e->getMessage(), 'error');
-            jsonError('Failed to load Planner overview: ' . $e->getMessage(), 500);
         }
-        break;
-    default:
-        jsonError('Unknown tile type', 400);
+        if (!empty($include) && !array_filter($include, fn($keyword) => str_contains($subject, $keyword))) {
+            return false;
+        }
     }
-}
+
+    return true;
 }
 
 /**
- * Get email data from Microsoft Graph API
+ * Get email data from Microsoft Graph API.
+ * $tileId selects that tile's filter (folder, Focused/Other, senders, keywords); 0 = default inbox view.
  */
-function getEmailData(int $userId): array
+function getEmailData(int $userId, int $tileId = 0): array
 {
     $token = getOAuthToken($userId, 'microsoft');
 
@@ -232,8 +424,14 @@ function getEmailData(int $userId): array
         // use default 320
     }
 
-    // Cache key includes preview length so changing the setting gets fresh data
+    $filter = getEmailTileFilter($userId, $tileId);
+    $isDefaultFilter = $filter === defaultEmailFilter();
+
+    // Cache key includes preview length so changing the setting gets fresh data, and the filter for filtered tiles
     $cacheKey = "email_{$userId}_{$previewFullLen}";
+    if (!$isDefaultFilter) {
+        $cacheKey .= '_' . substr(md5(json_encode($filter)), 0, 12);
+    }
     $cached = cache($cacheKey);
 
     if ($cached !== null) {
@@ -243,24 +441,25 @@ function getEmailData(int $userId): array
     try {
         // Microsoft bodyPreview is limited to 255 chars; only request full body when user wants more
         $needBody = $previewFullLen > 255;
-        $select = 'id,subject,from,receivedDateTime,isRead,bodyPreview,flag';
+        $select = 'id,conversationId,subject,from,receivedDateTime,isRead,bodyPreview,flag,inferenceClassification';
         if ($needBody) {
             $select .= ',body';
         }
 
-        // Fetch recent messages (no filter – flag filter not supported on API); filter in PHP for unread or flagged
-        $response = callMicrosoftGraph($token, '/me/mailFolders/inbox/messages', [
+        // Fetch recent messages (no filter – flag filter not supported on API); filter in PHP (emailMatchesFilter)
+        $response = callMicrosoftGraph($token, '/me/mailFolders/' . rawurlencode($filter['folder']) . '/messages', [
             '$top' => 200,
             '$select' => $select,
             '$orderby' => 'receivedDateTime desc',
         ]);
 
+        $snoozed = array_flip(EmailSnoozes::activeIds($userId));
         $candidates = [];
         foreach ($response['value'] ?? [] as $email) {
             $isRead = $email['isRead'] ?? true;
             $flagStatus = $email['flag']['flagStatus'] ?? 'notFlagged';
             $isFlagged = $flagStatus === 'flagged';
-            if (!$isRead || $isFlagged) {
+            if (!isset($snoozed[$email['id']]) && emailMatchesFilter($email, $filter)) {
                 $rawPreview = '';
                 if ($needBody && !empty($email['body']['content'])) {
                     $content = $email['body']['content'];
@@ -281,8 +480,10 @@ function getEmailData(int $userId): array
 
                 $candidates[] = [
                     'id' => $email['id'],
+                    'conversationId' => $email['conversationId'] ?? '',
                     'subject' => $email['subject'] ?? '(No Subject)',
                     'from' => $email['from']['emailAddress']['name'] ?? $email['from']['emailAddress']['address'] ?? 'Unknown',
+                    'fromAddress' => $email['from']['emailAddress']['address'] ?? '',
                     'preview' => $preview,
                     'previewFull' => $previewFull,
                     'receivedDateTime' => $email['receivedDateTime'] ?? '',
@@ -298,12 +499,16 @@ function getEmailData(int $userId): array
             'connected' => true,
             'emails' => $emails,
             'unreadCount' => count($emails),
+            'filtered' => !$isDefaultFilter,
+            'folderName' => $filter['folder_name'],
         ];
 
         // Cache for 5 minutes (key with length for this user's preview setting)
         cache($cacheKey, fn() => $result, config('refresh.email', 300));
-        // Also cache under generic key so suggestions API can read email data
-        cache("email_{$userId}", fn() => $result, config('refresh.email', 300));
+        // Also cache the default inbox view under the generic key so suggestions API can read email data
+        if ($isDefaultFilter) {
+            cache("email_{$userId}", fn() => $result, config('refresh.email', 300));
+        }
 
         return $result;
     } catch (Exception $e) {
@@ -314,9 +519,10 @@ function getEmailData(int $userId): array
 
 /**
  * Get a random flagged email from Microsoft inbox (for reminder tile).
- * Caches the list of flagged emails; each request returns one random pick from the list.
+ * Caches the list of flagged emails; each request returns one random pick from the list,
+ * skipping snoozed messages (EmailSnoozes) and $excludeId (the one on screen, for "Next").
  */
-function getFlaggedEmailData(int $userId): array
+function getFlaggedEmailData(int $userId, string $excludeId = ''): array
 {
     $token = getOAuthToken($userId, 'microsoft');
 
@@ -336,20 +542,28 @@ function getFlaggedEmailData(int $userId): array
     }
 
     $totalFlagged = count($list);
-    if ($totalFlagged === 0) {
+    $snoozed = array_flip(EmailSnoozes::activeIds($userId));
+    $available = array_values(array_filter($list, fn($email) => !isset($snoozed[$email['id']])));
+    $snoozedCount = $totalFlagged - count($available);
+    if (empty($available)) {
         return [
             'connected' => true,
             'email' => null,
-            'totalFlagged' => 0,
+            'totalFlagged' => $totalFlagged,
+            'snoozedCount' => $snoozedCount,
         ];
     }
 
-    $pick = $list[array_rand($list)];
+    // Only fall back to the excluded message when it is the last one left
+    $others = array_values(array_filter($available, fn($email) => $email['id'] !== $excludeId));
+    $candidates = !empty($others) ? $others : $available;
+    $pick = $candidates[array_rand($candidates)];
 
     return [
         'connected' => true,
         'email' => $pick,
         'totalFlagged' => $totalFlagged,
+        'snoozedCount' => $snoozedCount,
     ];
 }
 
@@ -501,78 +715,274 @@ function fetchFlaggedEmailsList(string $token): array
 }
 
 /**
- * Get calendar data from Microsoft Graph API
+ * Validate a calendar or heat map tile's calendar selection (tile settings "calendar_selection").
+ *
+ * calendars: Outlook calendars [{id, name, color, mailbox, default}]; mailbox is the address of a shared or
+ *            delegated mailbox opened by address ('' for calendars listed under the user's own account) and
+ *            default marks the user's own default calendar. null = the default calendar, as before calendars
+ *            could be chosen; [] = no Outlook calendars (e.g. a tile for an ICS feed only).
+ * sources:   ICS/CalDAV source ids to include; null = every enabled source
  */
-function getCalendarData(int $userId): array
+function normalizeCalendarSelection(array $raw): array
 {
-    $token = getOAuthToken($userId, 'microsoft');
+    $calendars = is_array($raw['calendars'] ?? null) ? [] : null;
+    foreach (is_array($raw['calendars'] ?? null) ? $raw['calendars'] : [] as $calendar) {
+        if (!is_array($calendar)) {
+            continue;
+        }
+        $id = trim((string) ($calendar['id'] ?? ''));
+        $mailbox = mb_strtolower(trim((string) ($calendar['mailbox'] ?? '')));
+        if ($id === '' || strlen($id) > 300 || ($mailbox !== '' && !filter_var($mailbox, FILTER_VALIDATE_EMAIL))) {
+            continue;
+        }
+        $calendars[$mailbox . '|' . $id] = [
+            'id' => $id,
+            'name' => truncate(trim((string) ($calendar['name'] ?? '')), 100, '') ?: 'Calendar',
+            'color' => CalendarSources::normalizeColor((string) ($calendar['color'] ?? '')),
+            'mailbox' => $mailbox,
+            'default' => $mailbox === '' && !empty($calendar['default']),
+        ];
+    }
 
-    if (!$token) {
-        return ['connected' => false];
+    $sources = null;
+    if (is_array($raw['sources'] ?? null)) {
+        $sources = array_values(array_unique(array_map('intval', $raw['sources'])));
     }
 
-    $cacheKey = "calendar_{$userId}";
-    $cached = cache($cacheKey);
+    return ['calendars' => $calendars !== null ? array_slice(array_values($calendars), 0, 20) : null, 'sources' => $sources];
+}
 
-    if ($cached !== null) {
-        return $cached;
+/**
+ * The calendar selection saved on a calendar or heat map tile; the default (own calendar, all sources) for id 0
+ */
+function getCalendarTileSelection(int $userId, int $tileId, string $tileType): array
+{
+    if ($tileId <= 0) {
+        return normalizeCalendarSelection([]);
     }
+    $tile = Database::queryOne(
+        'SELECT settings FROM tiles WHERE id = ? AND user_id = ? AND tile_type = ?',
+        [$tileId, $userId, $tileType]
+    );
+    $settings = json_decode($tile['settings'] ?? '{}', true);
+    return normalizeCalendarSelection(is_array($settings['calendar_selection'] ?? null) ? $settings['calendar_selection'] : []);
+}
 
-    try {
-        $timezone = config('app.timezone', 'UTC');
-        $startOfDay = (new DateTime('today', new DateTimeZone($timezone)))->format('c');
-        $endOfDay = (new DateTime('tomorrow', new DateTimeZone($timezone)))->format('c');
+/**
+ * Cache key suffix for a tile's calendar selection: '' for the default, so unconfigured tiles share the plain keys
+ */
+function calendarSelectionCacheSuffix(array $selection): string
+{
+    if ($selection['calendars'] === null && $selection['sources'] === null) {
+        return '';
+    }
+    return '_' . substr(md5(json_encode($selection)), 0, 12);
+}
 
-        $response = callMicrosoftGraph($token, '/me/calendarView', [
-            'startDateTime' => $startOfDay,
-            'endDateTime' => $endOfDay,
-            '$select' => 'subject,start,end,location,isAllDay,responseStatus',
-            '$orderby' => 'start/dateTime',
-            '$top' => 10
-        ]);
+/**
+ * Graph calendarView for [$start, $end) across the selected calendars, or the default calendar when the
+ * tile has no selection (null). Events from a selected calendar carry '_calendar' (that selection entry); a calendar that
+ * can no longer be read (unshared, deleted) is logged and skipped so the others still show.
+ */
+function getSelectedCalendarView(string $token, ?array $calendars, DateTime $start, DateTime $end, string $select, int $top): array
+{
+    $params = [
+        'startDateTime' => $start->format('c'),
+        'endDateTime' => $end->format('c'),
+        '$select' => $select,
+        '$orderby' => 'start/dateTime',
+        '$top' => $top,
+    ];
+    if ($calendars === null) {
+        return callMicrosoftGraph($token, '/me/calendarView', $params)['value'] ?? [];
+    }
 
-        $events = [];
+    $events = [];
+    foreach ($calendars as $calendar) {
+        $base = $calendar['mailbox'] !== '' ? '/users/' . rawurlencode($calendar['mailbox']) : '/me';
+        try {
+            $response = callMicrosoftGraph($token, $base . '/calendars/' . rawurlencode($calendar['id']) . '/calendarView', $params);
+        } catch (Exception $e) {
+            logMessage('Calendar "' . $calendar['name'] . '" fetch error: ' . $e->getMessage(), 'error');
+            continue;
+        }
         foreach ($response['value'] ?? [] as $event) {
-            // Skip declined events
-            $responseStatus = null;
-            if (isset($event['responseStatus']) && is_array($event['responseStatus'])) {
-                $responseStatus = $event['responseStatus']['response'] ?? null;
-            }
-            if ($responseStatus === 'declined') {
-                continue;
-            }
+            $events[] = $event + ['_calendar' => $calendar];
+        }
+    }
+    // calendarView returns UTC date-times, so the strings sort chronologically
+    usort($events, fn($a, $b) => ($a['start']['dateTime'] ?? '') <=> ($b['start']['dateTime'] ?? ''));
 
-            // Handle all-day events which may not have dateTime
-            if (!isset($event['start']['dateTime']) || !isset($event['end']['dateTime'])) {
-                continue; // Skip events without dateTime (shouldn't happen for calendarView, but safety check)
-            }
+    return $events;
+}
 
-            try {
-                $startTime = new DateTime($event['start']['dateTime'], new DateTimeZone($event['start']['timeZone'] ?? 'UTC'));
-                $startTime->setTimezone(new DateTimeZone($timezone));
-                
-                $endTime = new DateTime($event['end']['dateTime'], new DateTimeZone($event['end']['timeZone'] ?? 'UTC'));
-                $endTime->setTimezone(new DateTimeZone($timezone));
-            } catch (Exception $e) {
-                // Skip events with invalid date/time
-                logMessage('Calendar event date parsing error: ' . $e->getMessage(), 'warning');
-                continue;
+/**
+ * Legend entries {name, color} for a tile: the selected calendars (or the default Outlook calendar) and the
+ * ICS/CalDAV sources it includes. A null colour means the theme colour.
+ */
+function getCalendarLegend(int $userId, array $selection, bool $hasOutlook): array
+{
+    $legend = array_map(fn($calendar) => ['name' => $calendar['name'], 'color' => $calendar['color']], $selection['calendars'] ?? []);
+    if ($selection['calendars'] === null && $hasOutlook) {
+        $legend[] = ['name' => 'Outlook', 'color' => null];
+    }
+    foreach (CalendarSources::forUser($userId, true) as $source) {
+        if ($selection['sources'] === null || in_array((int) $source['id'], $selection['sources'], true)) {
+            $legend[] = ['name' => $source['name'], 'color' => $source['color']];
+        }
+    }
+    return $legend;
+}
+
+/**
+ * Events in [$rangeStart, $rangeEnd) from a tile's selected Outlook calendars and ICS/CalDAV sources, in the
+ * calendar tile's shape, sorted by day (all-day first) then start. Each carries its 'date': timed events go
+ * under their start date, all-day events under each day they cover in the range. Declined Outlook events are
+ * left out. ICS/CalDAV events carry their 'source' name; events from a selected Outlook calendar carry its
+ * 'calendar' name, 'calendarId' and 'mailbox'; both carry their 'color'.
+ */
+function getCalendarEvents(int $userId, ?string $token, array $selection, DateTime $rangeStart, DateTime $rangeEnd, DateTimeZone $tz, int $top): array
+{
+    $response = $token ? getSelectedCalendarView($token, $selection['calendars'], $rangeStart, $rangeEnd, 'subject,start,end,location,isAllDay,showAs,responseStatus', $top) : [];
+
+    $events = [];
+    $addEvent = function (array $item, DateTime $day, ?DateTime $lastDay = null) use (&$events, $rangeStart, $rangeEnd) {
+        if ($lastDay === null) {
+            $events[] = $item + ['date' => $day->format('Y-m-d')];
+            return;
+        }
+        for (; $day < $lastDay; $day->modify('+1 day')) {
+            if ($day >= $rangeStart && $day < $rangeEnd) {
+                $events[] = $item + ['date' => $day->format('Y-m-d')];
             }
+        }
+    };
 
-            $events[] = [
-                'id' => $event['id'],
-                'subject' => $event['subject'] ?? '(No Title)',
-                'startTime' => $event['isAllDay'] ? 'All Day' : $startTime->format('g:i A'),
-                'startDateTime' => $startTime->format('c'), // ISO 8601 format for JavaScript
-                'endDateTime' => $endTime->format('c'), // ISO 8601 format for JavaScript
-                'location' => $event['location']['displayName'] ?? null,
-                'isAllDay' => $event['isAllDay'] ?? false,
-            ];
+    foreach ($response as $event) {
+        // Skip declined events
+        $responseStatus = null;
+        if (isset($event['responseStatus']) && is_array($event['responseStatus'])) {
+            $responseStatus = $event['responseStatus']['response'] ?? null;
+        }
+        if ($responseStatus === 'declined') {
+            continue;
+        }
+
+        // Handle all-day events which may not have dateTime
+        if (!isset($event['start']['dateTime']) || !isset($event['end']['dateTime'])) {
+            continue; // Skip events without dateTime (shouldn't happen for calendarView, but safety check)
         }
 
+        try {
+            $startTime = new DateTime($event['start']['dateTime'], new DateTimeZone($event['start']['timeZone'] ?? 'UTC'));
+            $startTime->setTimezone($tz);
+            
+            $endTime = new DateTime($event['end']['dateTime'], new DateTimeZone($event['end']['timeZone'] ?? 'UTC'));
+            $endTime->setTimezone($tz);
+        } catch (Exception $e) {
+            // Skip events with invalid date/time
+            logMessage('Calendar event date parsing error: ' . $e->getMessage(), 'warning');
+            continue;
+        }
+
+        $isAllDay = $event['isAllDay'] ?? false;
+        $item = [
+            'id' => $event['id'],
+            'subject' => $event['subject'] ?? '(No Title)',
+            'startTime' => $isAllDay ? 'All Day' : $startTime->format('g:i A'),
+            'endTime' => $isAllDay ? '' : $endTime->format('g:i A'),
+            'startDateTime' => $startTime->format('c'), // ISO 8601 format for JavaScript
+            'endDateTime' => $endTime->format('c'), // ISO 8601 format for JavaScript
+            'location' => $event['location']['displayName'] ?? null,
+            'isAllDay' => $isAllDay,
+            'showAs' => $event['showAs'] ?? 'busy',
+            'source' => null,
+            'color' => $event['_calendar']['color'] ?? null,
+            'calendar' => $event['_calendar']['name'] ?? null,
+            // Default-calendar events open (and can be answered) as /me/events/{id}
+            'calendarId' => empty($event['_calendar']['default']) ? ($event['_calendar']['id'] ?? null) : null,
+            'mailbox' => ($event['_calendar']['mailbox'] ?? '') ?: null,
+        ];
+
+        if (!$isAllDay) {
+            $addEvent($item, $startTime);
+            continue;
+        }
+        // All-day dates are calendar dates: read them as written rather than converting time zones
+        $day = DateTime::createFromFormat('!Y-m-d', substr($event['start']['dateTime'], 0, 10), $tz);
+        $lastDay = DateTime::createFromFormat('!Y-m-d', substr($event['end']['dateTime'], 0, 10), $tz);
+        if ($day === false || $lastDay === false) {
+            continue;
+        }
+        $addEvent($item, $day, $lastDay);
+    }
+
+    foreach (CalendarSources::events($userId, $rangeStart, $rangeEnd, $tz, $selection['sources']) as $event) {
+        $addEvent([
+            'id' => $event['id'],
+            'subject' => $event['subject'],
+            'startTime' => $event['isAllDay'] ? 'All Day' : $event['start']->format('g:i A'),
+            'endTime' => $event['isAllDay'] ? '' : $event['end']->format('g:i A'),
+            'startDateTime' => $event['start']->format('c'),
+            'endDateTime' => $event['end']->format('c'),
+            'location' => $event['location'],
+            'isAllDay' => $event['isAllDay'],
+            'showAs' => $event['showAs'],
+            'source' => $event['source']['name'],
+            'color' => $event['source']['color'],
+        ], clone $event['start'], $event['isAllDay'] ? clone $event['end'] : null);
+    }
+
+    // All-day events first within each day, then by start time
+    usort($events, function ($a, $b) {
+        return [$a['date'], !$a['isAllDay'], $a['startDateTime']] <=> [$b['date'], !$b['isAllDay'], $b['startDateTime']];
+    });
+
+    return $events;
+}
+
+/**
+ * Get calendar data from Microsoft Graph API, merged with the user's ICS/CalDAV sources (see getCalendarEvents()).
+ * $start (YYYY-MM-DD, default today) and $days (1–14) select the range for the tile's day, agenda and week views.
+ * $tileId applies that tile's calendar selection, and 'legend' lists the calendars shown.
+ */
+function getCalendarData(int $userId, string $start = '', int $days = 1, int $tileId = 0): array
+{
+    $token = getOAuthToken($userId, 'microsoft');
+
+    if (!$token && !CalendarSources::hasEnabled($userId)) {
+        return ['connected' => false];
+    }
+
+    $timezone = config('app.timezone', 'UTC');
+    $tz = new DateTimeZone($timezone);
+    $today = new DateTime('today', $tz);
+    $rangeStart = preg_match('/^\d{4}-\d{2}-\d{2}$/', $start) ? DateTime::createFromFormat('!Y-m-d', $start, $tz) : false;
+    if ($rangeStart === false) {
+        $rangeStart = clone $today;
+    }
+    $days = max(1, min(14, $days));
+    $rangeEnd = (clone $rangeStart)->modify("+{$days} days");
+    $selection = getCalendarTileSelection($userId, $tileId, 'calendar');
+    $suffix = calendarSelectionCacheSuffix($selection);
+    $isToday = $days === 1 && $rangeStart->format('Y-m-d') === $today->format('Y-m-d') && $suffix === '';
+
+    // Today's default view keeps the plain key (read by the AI assistant); other ranges and selections cache separately
+    $cacheKey = $isToday ? "calendar_{$userId}" : "calendar_{$userId}_{$rangeStart->format('Ymd')}_{$days}{$suffix}";
+    $cached = cache($cacheKey);
+
+    if ($cached !== null) {
+        return $cached;
+    }
+
+    try {
         $result = [
             'connected' => true,
-            'events' => $events,
+            'events' => getCalendarEvents($userId, $token, $selection, $rangeStart, $rangeEnd, $tz, $days === 1 ? 50 : 250),
+            'start' => $rangeStart->format('Y-m-d'),
+            'days' => $days,
+            'today' => $today->format('Y-m-d'),
+            'legend' => getCalendarLegend($userId, $selection, (bool) $token),
         ];
 
         cache($cacheKey, fn() => $result, config('refresh.calendar', 600));
@@ -585,119 +995,199 @@ function getCalendarData(int $userId): array
 }
 
 /**
- * Get calendar heatmap data: event counts per weekday for current week + next 4 weeks (Mon–Fri only).
- * Returns days in row order (5 rows × 5 weekdays) for heat map display.
+ * Validate a heat map tile's options (tile settings "heatmap"): weeks shown from this week (4–12, default 5),
+ * whether to include weekends, and the metric the tile opens on (count = events, hours = booked hours).
+ */
+function normalizeHeatmapOptions(array $raw): array
+{
+    return [
+        'weeks' => max(4, min(12, (int) ($raw['weeks'] ?? 5))),
+        'weekends' => !empty($raw['weekends']),
+        'metric' => ($raw['metric'] ?? '') === 'hours' ? 'hours' : 'count',
+    ];
+}
+
+/**
+ * Booked hours in a day's events: timed events not shown as free, clipped to the day, overlaps counted once
+ */
+function calendarBookedHours(array $events, string $date, DateTimeZone $tz): float
+{
+    $dayStart = (new DateTime($date, $tz))->getTimestamp();
+    $dayEnd = (new DateTime($date, $tz))->modify('+1 day')->getTimestamp();
+    $intervals = [];
+    foreach ($events as $event) {
+        if ($event['isAllDay'] || ($event['showAs'] ?? 'busy') === 'free') {
+            continue;
+        }
+        $start = max($dayStart, strtotime($event['startDateTime']));
+        $end = min($dayEnd, strtotime($event['endDateTime']));
+        if ($end > $start) {
+            $intervals[] = [$start, $end];
+        }
+    }
+    sort($intervals);
+
+    $seconds = 0;
+    $coveredUntil = 0;
+    foreach ($intervals as [$start, $end]) {
+        $start = max($start, $coveredUntil);
+        if ($end > $start) {
+            $seconds += $end - $start;
+            $coveredUntil = $end;
+        }
+    }
+    return round($seconds / 3600, 2);
+}
+
+/**
+ * Get calendar heatmap data: per day from Monday this week, the number of events and booked hours (see
+ * calendarBookedHours()) plus that day's events in the calendar tile's shape for the day agenda.
+ * $tileId applies that tile's calendar selection (so a heat map can count e.g. only the work calendar) and
+ * its options (normalizeHeatmapOptions()): 4–12 weeks, weekdays only or whole weeks. Days come in row order.
  */
-function getCalendarHeatmapData(int $userId): array
+function getCalendarHeatmapData(int $userId, int $tileId = 0): array
 {
     $token = getOAuthToken($userId, 'microsoft');
 
-    if (!$token) {
+    if (!$token && !CalendarSources::hasEnabled($userId)) {
         return ['connected' => false];
     }
 
-    $cacheKey = "calendar_heatmap_v2_{$userId}";
+    $selection = getCalendarTileSelection($userId, $tileId, 'calendar-heatmap');
+    $options = normalizeHeatmapOptions([]);
+    if ($tileId > 0) {
+        $tile = Database::queryOne(
+            'SELECT settings FROM tiles WHERE id = ? AND user_id = ? AND tile_type = ?',
+            [$tileId, $userId, 'calendar-heatmap']
+        );
+        $settings = json_decode($tile['settings'] ?? '{}', true);
+        $options = normalizeHeatmapOptions(is_array($settings['heatmap'] ?? null) ? $settings['heatmap'] : []);
+    }
+
+    // The default five weekday weeks keep the plain key. The metric is switched in the browser, so it isn't part of
+    // the key; it is added after the cache read so tiles sharing a key keep their own saved metric.
+    $cacheKey = "calendar_heatmap_v2_{$userId}" . calendarSelectionCacheSuffix($selection);
+    if ($options['weeks'] !== 5 || $options['weekends']) {
+        $cacheKey .= "_{$options['weeks']}" . ($options['weekends'] ? 'w' : '');
+    }
+    $output = ['metric' => $options['metric']];
     $cached = cache($cacheKey);
 
     if ($cached !== null) {
-        return $cached;
+        return $output + $cached;
     }
 
     try {
         $timezone = config('app.timezone', 'UTC');
         $tz = new DateTimeZone($timezone);
-        $today = new DateTime('today', $tz);
-        $monday = (clone $today)->modify('Monday this week');
-        $start = (clone $monday)->setTime(0, 0, 0);
-        $endFriday = (clone $monday)->modify('+4 weeks')->modify('Friday this week');
-        $end = (clone $endFriday)->setTime(23, 59, 59);
-
-        $response = callMicrosoftGraph($token, '/me/calendarView', [
-            'startDateTime' => $start->format('c'),
-            'endDateTime' => $end->format('c'),
-            '$select' => 'subject,start,end,isAllDay,responseStatus',
-            '$orderby' => 'start/dateTime',
-            '$top' => 500
-        ]);
+        $monday = (new DateTime('today', $tz))->modify('Monday this week');
+        $end = (clone $monday)->modify("+{$options['weeks']} weeks");
 
         $eventsByDate = [];
-        foreach ($response['value'] ?? [] as $event) {
-            // Skip declined events
-            $responseStatus = null;
-            if (isset($event['responseStatus'])) {
-                if (is_array($event['responseStatus'])) {
-                    $responseStatus = $event['responseStatus']['response'] ?? null;
-                } else {
-                    $responseStatus = $event['responseStatus'];
-                }
-            }
-            if ($responseStatus === 'declined') {
-                continue;
-            }
-
-            $startRaw = $event['start']['dateTime'] ?? $event['start']['date'] ?? null;
-            if (!$startRaw) {
-                continue;
-            }
-            $startDt = new DateTime($startRaw, new DateTimeZone($event['start']['timeZone'] ?? 'UTC'));
-            $startDt->setTimezone($tz);
-            $dow = (int) $startDt->format('w');
-            if ($dow === 0 || $dow === 6) {
-                continue;
-            }
-            $dateKey = $startDt->format('Y-m-d');
-            if (!isset($eventsByDate[$dateKey])) {
-                $eventsByDate[$dateKey] = [];
-            }
-            $startTime = ($event['isAllDay'] ?? false) ? 'All day' : $startDt->format('g:i A');
-            $eventsByDate[$dateKey][] = [
-                'subject' => $event['subject'] ?? '(No Title)',
-                'startTime' => $startTime,
-                'isAllDay' => $event['isAllDay'] ?? false,
-            ];
+        foreach (getCalendarEvents($userId, $token, $selection, $monday, $end, $tz, min(1000, $options['weeks'] * 100)) as $event) {
+            $eventsByDate[$event['date']][] = $event;
         }
 
         $days = [];
+        $daysPerWeek = $options['weekends'] ? 7 : 5;
         $cur = clone $monday;
-        for ($w = 0; $w < 5; $w++) {
-            for ($d = 0; $d < 5; $d++) {
-                $dateKey = $cur->format('Y-m-d');
-                $dayEvents = $eventsByDate[$dateKey] ?? [];
-                $days[] = [
-                    'date' => $dateKey,
-                    'day' => (int) $cur->format('j'),
-                    'count' => count($dayEvents),
-                    'events' => $dayEvents
-                ];
+        for ($w = 0; $w < $options['weeks']; $w++) {
+            for ($d = 0; $d < 7; $d++) {
+                if ($d < $daysPerWeek) {
+                    $dateKey = $cur->format('Y-m-d');
+                    $dayEvents = $eventsByDate[$dateKey] ?? [];
+                    $days[] = [
+                        'date' => $dateKey,
+                        'day' => (int) $cur->format('j'),
+                        'count' => count($dayEvents),
+                        'hours' => calendarBookedHours($dayEvents, $dateKey, $tz),
+                        'events' => $dayEvents
+                    ];
+                }
                 $cur->modify('+1 day');
             }
-            $cur->modify('+2 days'); /* after Fri we're at Sat; +2 => Mon */
         }
 
-        $maxCount = $days ? max(array_column($days, 'count')) : 0;
         $result = [
             'connected' => true,
             'days' => $days,
-            'maxCount' => $maxCount
+            'columns' => $daysPerWeek,
+            'weeks' => $options['weeks'],
+            'maxCount' => $days ? max(array_column($days, 'count')) : 0
         ];
 
         cache($cacheKey, fn() => $result, config('refresh.calendar', 600));
 
-        return $result;
+        return $result + $output;
     } catch (Exception $e) {
         logMessage('Calendar heatmap fetch error: ' . $e->getMessage(), 'error');
         return ['connected' => true, 'error' => 'Failed to fetch calendar', 'days' => [], 'maxCount' => 0];
     }
 }
 
+/**
+ * An ICS/CalDAV event (CalendarSources::events) in the shape of the next-event and calendar-next tiles' events
+ */
+function mapCalendarSourceEvent(array $ev): array
+{
+    return [
+        'id' => $ev['id'],
+        'subject' => $ev['subject'],
+        'startTime' => $ev['isAllDay'] ? 'All Day' : $ev['start']->format('g:i A'),
+        'startDate' => $ev['start']->format('l, F j, Y'),
+        'startDateTime' => $ev['start']->format('c'),
+        'endDateTime' => $ev['end']->format('c'),
+        'location' => $ev['location'],
+        'isAllDay' => $ev['isAllDay'],
+        'bodyPreview' => $ev['bodyPreview'],
+        'joinUrl' => '',
+        'meetingLink' => findMeetingJoinUrl((string) $ev['location'] . ' ' . (string) $ev['bodyPreview']),
+        'source' => $ev['source']['name'],
+        'color' => $ev['source']['color'],
+    ];
+}
+
+/**
+ * First Teams, Zoom, Google Meet or Webex join link in an event's location or description, or ''. The text is
+ * written by whoever sent the invite, so the result is shown as plain text ("meetingLink"), never as a Join action.
+ */
+function findMeetingJoinUrl(string $text): string
+{
+    // Whole host labels only, so lookalikes such as evil-zoom.us or notwebex.com don't match
+    $pattern = '~https://(?:teams\.microsoft\.com|teams\.live\.com|(?:[a-z0-9-]+\.)*zoom\.us|meet\.google\.com|(?:[a-z0-9-]+\.)*webex\.com)/[^\s<>"\']+~i';
+    return preg_match($pattern, $text, $match) ? rtrim($match[0], '.,;)') : '';
+}
+
+/**
+ * Join link for a Graph event's online meeting (https only), or '': the one link offered as a Join action
+ */
+function getGraphEventJoinUrl(array $event): string
+{
+    $joinUrl = (string) ($event['onlineMeeting']['joinUrl'] ?? $event['onlineMeetingUrl'] ?? '');
+    return str_starts_with(strtolower($joinUrl), 'https://') ? $joinUrl : '';
+}
+
+/**
+ * Meeting link found in a Graph event's location or preview when it has no online meeting (see findMeetingJoinUrl())
+ */
+function getGraphEventMeetingLink(array $event): string
+{
+    if (getGraphEventJoinUrl($event) !== '') {
+        return '';
+    }
+    return findMeetingJoinUrl(($event['location']['displayName'] ?? '') . ' ' . ($event['bodyPreview'] ?? ''));
+}
+
 /**
  * Get the next upcoming calendar event (any calendar, no category filter) for next-event tile.
- * Uses calendarView so recurring events are expanded into actual occurrences (true next event).
+ * Uses calendarView so recurring events are expanded into actual occurrences (true next event);
+ * the user's ICS/CalDAV sources are checked too and the earliest event wins.
+ * 'upcoming' lists the timed events starting in the next 24 hours (with their join links) for meeting reminders.
  */
 function getNextCalendarEvent(int $userId, int $tileId): array
 {
     $token = getOAuthToken($userId, 'microsoft');
-    if (!$token) {
+    if (!$token && !CalendarSources::hasEnabled($userId)) {
         return ['connected' => false];
     }
 
@@ -717,18 +1207,21 @@ function getNextCalendarEvent(int $userId, int $tileId): array
 
         // calendarView expands recurring events into instances; /me/events would return series masters only
         // Fetch multiple events to find the first non-declined one
-        $response = callMicrosoftGraph($token, '/me/calendarView', [
+        $response = $token ? callMicrosoftGraph($token, '/me/calendarView', [
             'startDateTime' => $startDateTime,
             'endDateTime' => $endDateTime,
-            '$select' => 'subject,start,end,location,isAllDay,bodyPreview,responseStatus',
+            '$select' => 'subject,start,end,location,isAllDay,bodyPreview,responseStatus,onlineMeeting,onlineMeetingUrl',
             '$orderby' => 'start/dateTime',
             '$top' => 10,
-        ]);
+        ]) : [];
 
         $value = $response['value'] ?? [];
         $event = null;
+        $eventStart = null;
+        $upcoming = [];
+        $upcomingUntil = (clone $now)->modify('+24 hours');
 
-        // Find the first non-declined event
+        // The first non-declined event is next; the rest may still need reminders
         foreach ($value as $ev) {
             $responseStatus = $ev['responseStatus']['response'] ?? 'notResponded';
             if ($responseStatus === 'declined') {
@@ -740,23 +1233,51 @@ function getNextCalendarEvent(int $userId, int $tileId): array
             $endTime = new DateTime($ev['end']['dateTime'], new DateTimeZone($ev['end']['timeZone'] ?? 'UTC'));
             $endTime->setTimezone($tz);
             
-            $event = [
+            $item = [
                 'id' => $ev['id'],
                 'subject' => $ev['subject'] ?? '(No Title)',
                 'startTime' => $ev['isAllDay'] ? 'All Day' : $startTime->format('g:i A'),
                 'startDate' => $startTime->format('l, F j, Y'),
-                'startDateTime' => $ev['start']['dateTime'] ?? '',
-                'endDateTime' => $ev['end']['dateTime'] ?? '',
+                // With the offset, so the browser doesn't read Graph's UTC times as local
+                'startDateTime' => $startTime->format('c'),
+                'endDateTime' => $endTime->format('c'),
                 'location' => $ev['location']['displayName'] ?? null,
                 'isAllDay' => $ev['isAllDay'] ?? false,
                 'bodyPreview' => $ev['bodyPreview'] ?? null,
+                'joinUrl' => getGraphEventJoinUrl($ev),
+                'meetingLink' => getGraphEventMeetingLink($ev),
+                'source' => null,
             ];
-            break; // Found first non-declined event
+            if ($event === null) {
+                $event = $item;
+                $eventStart = $startTime;
+            }
+            if (!$item['isAllDay'] && $startTime < $upcomingUntil) {
+                $upcoming[] = $item;
+            }
+        }
+
+        // Like calendarView, an event already in progress still counts as next
+        $sourceEvents = CalendarSources::events($userId, $now, $end, $tz);
+        if ($sourceEvents && ($eventStart === null || $sourceEvents[0]['start'] < $eventStart)) {
+            $event = mapCalendarSourceEvent($sourceEvents[0]);
         }
+        foreach ($sourceEvents as $sourceEvent) {
+            if ($sourceEvent['start'] >= $upcomingUntil) {
+                break;
+            }
+            if (!$sourceEvent['isAllDay']) {
+                $upcoming[] = mapCalendarSourceEvent($sourceEvent);
+            }
+        }
+        usort($upcoming, fn($a, $b) => strtotime($a['startDateTime']) <=> strtotime($b['startDateTime']));
 
         $result = [
             'connected' => true,
             'event' => $event,
+            'upcoming' => array_map(function ($item) {
+                return array_intersect_key($item, array_flip(['id', 'subject', 'startTime', 'startDateTime', 'location', 'joinUrl', 'meetingLink']));
+            }, array_slice($upcoming, 0, 10)),
         ];
         cache($cacheKey, fn() => $result, config('refresh.calendar', 600));
         return $result;
@@ -772,7 +1293,7 @@ function getNextCalendarEvent(int $userId, int $tileId): array
 function getNextEventByCategory(int $userId, int $tileId): array
 {
     $token = getOAuthToken($userId, 'microsoft');
-    if (!$token) {
+    if (!$token && !CalendarSources::hasEnabled($userId)) {
         return ['connected' => false];
     }
 
@@ -801,21 +1322,19 @@ function getNextEventByCategory(int $userId, int $tileId): array
         $categoryEscaped = str_replace("'", "''", $category);
         $filter = "categories/any(x:x eq '{$categoryEscaped}') and start/dateTime ge '{$nowUtc}'";
 
-        $response = callMicrosoftGraph($token, '/me/events', [
+        $response = $token ? callMicrosoftGraph($token, '/me/events', [
             '$filter' => $filter,
             '$orderby' => 'start/dateTime',
             '$top' => 2,
             '$select' => 'subject,start,end,location,isAllDay,bodyPreview',
-        ]);
-
-        $value = $response['value'] ?? [];
-        $event = null;
-        $eventNext = null;
+        ]) : [];
 
-        $mapEvent = function (array $ev) use ($timezone): array {
+        $tz = new DateTimeZone($timezone);
+        $upcoming = [];
+        foreach ($response['value'] ?? [] as $ev) {
             $startTime = new DateTime($ev['start']['dateTime'], new DateTimeZone($ev['start']['timeZone'] ?? 'UTC'));
-            $startTime->setTimezone(new DateTimeZone($timezone));
-            return [
+            $startTime->setTimezone($tz);
+            $upcoming[] = ['start' => $startTime, 'event' => [
                 'id' => $ev['id'],
                 'subject' => $ev['subject'] ?? '(No Title)',
                 'startTime' => $ev['isAllDay'] ? 'All Day' : $startTime->format('g:i A'),
@@ -824,15 +1343,24 @@ function getNextEventByCategory(int $userId, int $tileId): array
                 'location' => $ev['location']['displayName'] ?? null,
                 'isAllDay' => $ev['isAllDay'] ?? false,
                 'bodyPreview' => $ev['bodyPreview'] ?? null,
-            ];
-        };
+                'source' => null,
+            ]];
+        }
 
-        if (!empty($value)) {
-            $event = $mapEvent($value[0]);
-            if (isset($value[1])) {
-                $eventNext = $mapEvent($value[1]);
+        // ICS/CalDAV events carry their CATEGORIES; match the name case-insensitively, starting from now as above
+        $now = new DateTime('now', $tz);
+        foreach (CalendarSources::events($userId, $now, (clone $now)->modify('+1 year'), $tz) as $ev) {
+            if ($ev['start'] < $now || !in_array(mb_strtolower($category), array_map('mb_strtolower', $ev['categories']), true)) {
+                continue;
             }
+            $upcoming[] = ['start' => $ev['start'], 'event' => mapCalendarSourceEvent($ev)];
         }
+        usort($upcoming, function ($a, $b) {
+            return $a['start'] <=> $b['start'];
+        });
+
+        $event = $upcoming[0]['event'] ?? null;
+        $eventNext = $upcoming[1]['event'] ?? null;
 
         $result = [
             'connected' => true,
@@ -1612,6 +2140,13 @@ function getCrmData(int $userId): array
  */
 function getOAuthToken(int $userId, string $provider): ?string
 {
+    // Reuse the token within a request (batch tile loads call this once per tile)
+    static $resolved = [];
+    $cacheKey = $userId . ':' . $provider;
+    if (isset($resolved[$cacheKey])) {
+        return $resolved[$cacheKey];
+    }
+
     $token = Database::queryOne(
         'SELECT access_token, refresh_token, expires_at FROM oauth_tokens
          WHERE user_id = ? AND provider = ?',
@@ -1633,13 +2168,13 @@ function getOAuthToken(int $userId, string $provider): ?string
                     'UPDATE oauth_tokens SET access_token = ?, expires_at = ? WHERE user_id = ? AND provider = ?',
                     [$newToken['access_token'], date('Y-m-d H:i:s', time() + $newToken['expires_in']), $userId, $provider]
                 );
-                return $newToken['access_token'];
+                return $resolved[$cacheKey] = $newToken['access_token'];
             }
         }
         return null;
     }
 
-    return $token['access_token'];
+    return $resolved[$cacheKey] = $token['access_token'];
 }
 
 /**
@@ -1756,6 +2291,34 @@ function callMicrosoftGraphPatch(string $token, string $endpoint, array $body, s
     return is_array($data) ? $data : [];
 }
 
+/**
+ * Call Microsoft Graph API with POST (e.g. move a message to another folder)
+ */
+function callMicrosoftGraphPost(string $token, string $endpoint, array $body, string $version = 'v1.0'): array
+{
+    $url = 'https://graph.microsoft.com/' . $version . $endpoint;
+    $context = stream_context_create([
+        'http' => [
+            'method' => 'POST',
+            'header' => "Authorization: Bearer {$token}\r\nContent-Type: application/json",
+            'content' => json_encode($body),
+            'ignore_errors' => true,
+        ]
+    ]);
+    $response = @file_get_contents($url, false, $context);
+    if ($response === false) {
+        throw new Exception('Failed to call Microsoft Graph API');
+    }
+    $data = json_decode($response, true);
+    if ($data === null && $response !== '' && $response !== 'null') {
+        throw new Exception('Invalid response from Microsoft Graph API');
+    }
+    if (is_array($data) && isset($data['error'])) {
+        throw new Exception($data['error']['message'] ?? 'Graph API error');
+    }
+    return is_array($data) ? $data : [];
+}
+
 /**
  * Call OnePageCRM API
  *
@@ -2166,54 +2729,193 @@ function getNotesListData(int $userId): array
 }
 
 /**
- * Get availability data: find available meeting slots in the coming fortnight
+ * Validate an availability tile's options (tile settings "availability"). The search: where the window starts
+ * (today, tomorrow or next Monday) and how many days it covers, how many days to list, working hours, the
+ * shortest free slot worth offering, the buffer kept either side of meetings and an optional lunch break.
+ * The output: the copy template (text, markdown or html) and the recipient's time zone ('' = the app's).
  */
-function getAvailabilityData(int $userId): array
+function normalizeAvailabilityOptions(array $raw): array
+{
+    $time = fn($value, string $default): string => is_string($value) && preg_match('/^([01]\d|2[0-3]):[0-5]\d$/', $value) ? $value : $default;
+
+    $options = [
+        'start' => in_array($raw['start'] ?? '', ['today', 'tomorrow', 'next_week'], true) ? $raw['start'] : 'next_week',
+        'days' => max(1, min(28, (int) ($raw['days'] ?? 14))),
+        'max_days' => max(1, min(10, (int) ($raw['max_days'] ?? 4))),
+        'work_start' => $time($raw['work_start'] ?? null, '09:00'),
+        'work_end' => $time($raw['work_end'] ?? null, '17:00'),
+        'min_slot' => max(15, min(480, (int) ($raw['min_slot'] ?? 60))),
+        'buffer' => max(0, min(120, (int) ($raw['buffer'] ?? 60))),
+        'lunch' => (bool) ($raw['lunch'] ?? true),
+        'lunch_start' => $time($raw['lunch_start'] ?? null, '13:00'),
+        'lunch_end' => $time($raw['lunch_end'] ?? null, '14:00'),
+        'format' => in_array($raw['format'] ?? '', ['text', 'markdown', 'html'], true) ? $raw['format'] : 'text',
+        'timezone' => in_array($raw['timezone'] ?? '', DateTimeZone::listIdentifiers(), true) ? $raw['timezone'] : '',
+    ];
+    // "HH:MM" strings compare in time order
+    if ($options['work_end'] <= $options['work_start']) {
+        $options['work_start'] = '09:00';
+        $options['work_end'] = '17:00';
+    }
+    if ($options['lunch_end'] <= $options['lunch_start']) {
+        $options['lunch'] = false;
+    }
+    return $options;
+}
+
+/**
+ * Time for availability text: "9am", "9:30am", "midday"
+ */
+function formatAvailabilityTime(DateTime $time): string
+{
+    if ($time->format('H:i') === '12:00') {
+        return 'midday';
+    }
+    return $time->format((int) $time->format('i') === 0 ? 'ga' : 'g:ia');
+}
+
+/**
+ * Earliest start offered: the next quarter hour
+ */
+function availabilityEarliestStart(DateTime $now): DateTime
+{
+    return (clone $now)->setTime((int) $now->format('G'), (int) (ceil(((int) $now->format('i') + 1) / 15) * 15), 0);
+}
+
+/**
+ * One day of the availability tile: its periods (ISO start/end and a "9am-12pm" label) and the day's
+ * display fields and plain text
+ */
+function formatAvailabilitySlot(DateTime $date, array $periods): array
+{
+    $dayName = $date->format('l');
+    $dayNumber = $date->format('j');
+    $monthName = $date->format('F');
+
+    // Time range string from all periods, e.g. "9am-12pm, 3pm-5pm"
+    $formatted = [];
+    $fullTextParts = [];
+    foreach ($periods as $period) {
+        $startTime = formatAvailabilityTime($period['start']);
+        $endTime = formatAvailabilityTime($period['end']);
+        $formatted[] = [
+            'start' => $period['start']->format('c'),
+            'end' => $period['end']->format('c'),
+            'label' => "{$startTime}-{$endTime}",
+        ];
+        $fullTextParts[] = "{$dayName} {$dayNumber} {$monthName}, between {$startTime} and {$endTime}";
+    }
+    $timeRange = implode(', ', array_column($formatted, 'label'));
+
+    return [
+        'date' => "{$dayName} {$dayNumber} {$monthName}",
+        'time' => $timeRange,
+        'fullText' => implode("\n", $fullTextParts),
+        'startDateTime' => $formatted[0]['start'],
+        'endDateTime' => $formatted[count($formatted) - 1]['end'],
+        'dayNumber' => (int) $dayNumber,
+        'monthAbbr' => $date->format('M'),
+        'timeRange' => $timeRange,
+        'periods' => $formatted,
+    ];
+}
+
+/**
+ * A cached availability result as of now: periods that have started are moved to the next quarter hour,
+ * and dropped once shorter than the minimum slot (the cache lasts the calendar refresh interval)
+ */
+function trimPastAvailability(array $result, int $minSlot): array
+{
+    if (empty($result['slots'])) {
+        return $result;
+    }
+    $tz = new DateTimeZone($result['timezone'] ?? config('app.timezone', 'UTC'));
+    $earliest = availabilityEarliestStart(new DateTime('now', $tz));
+
+    $slots = [];
+    foreach ($result['slots'] as $slot) {
+        if (empty($slot['periods']) || new DateTime($slot['startDateTime']) >= $earliest) {
+            $slots[] = $slot;
+            continue;
+        }
+        $periods = [];
+        foreach ($slot['periods'] as $period) {
+            $start = max((new DateTime($period['start']))->setTimezone($tz), $earliest);
+            $end = (new DateTime($period['end']))->setTimezone($tz);
+            if (($end->getTimestamp() - $start->getTimestamp()) / 60 >= $minSlot) {
+                $periods[] = ['start' => clone $start, 'end' => $end];
+            }
+        }
+        if (!empty($periods)) {
+            $slots[] = formatAvailabilitySlot((clone $periods[0]['start'])->setTime(0, 0, 0), $periods);
+        }
+    }
+
+    $result['slots'] = $slots;
+    $result['text'] = implode("\n", array_column($slots, 'fullText'));
+    return $result;
+}
+
+/**
+ * Get availability data: free meeting slots within the tile's search window (see normalizeAvailabilityOptions()).
+ * Each day lists its periods with ISO start/end so the browser can leave some out and convert them to the
+ * recipient's time zone when copying.
+ */
+function getAvailabilityData(int $userId, int $tileId = 0): array
 {
     $token = getOAuthToken($userId, 'microsoft');
 
-    if (!$token) {
+    if (!$token && !CalendarSources::hasEnabled($userId)) {
         return ['connected' => false];
     }
 
-    $cacheKey = "availability_{$userId}";
+    $options = normalizeAvailabilityOptions([]);
+    if ($tileId > 0) {
+        $tile = Database::queryOne(
+            'SELECT settings FROM tiles WHERE id = ? AND user_id = ? AND tile_type = ?',
+            [$tileId, $userId, 'availability']
+        );
+        $settings = json_decode($tile['settings'] ?? '{}', true);
+        $options = normalizeAvailabilityOptions(is_array($settings['availability'] ?? null) ? $settings['availability'] : []);
+    }
+    // Template and recipient time zone are applied in the browser, so only the search options are part of the key
+    $output = ['format' => $options['format'], 'recipientTimezone' => $options['timezone']];
+    $search = array_diff_key($options, ['format' => true, 'timezone' => true]);
+    $defaultSearch = array_diff_key(normalizeAvailabilityOptions([]), ['format' => true, 'timezone' => true]);
+
+    $cacheKey = "availability_{$userId}" . ($search === $defaultSearch ? '' : '_' . substr(md5(json_encode($search)), 0, 12));
     $cached = cache($cacheKey);
 
     if ($cached !== null) {
-        return $cached;
+        return trimPastAvailability($cached, $options['min_slot']) + $output;
     }
 
     try {
         $timezone = config('app.timezone', 'UTC');
         $tz = new DateTimeZone($timezone);
         $now = new DateTime('now', $tz);
-        
-        // Start from the beginning of next week (Monday)
-        $nextMonday = (clone $now)->modify('Monday next week')->setTime(0, 0, 0);
-        
-        // End date: 2 weeks from next Monday (fortnight)
-        $endDate = (clone $nextMonday)->modify('+2 weeks')->setTime(23, 59, 59);
 
-        // Fetch calendar events for the period.
+        $rangeStart = match ($options['start']) {
+            'today' => (clone $now)->setTime(0, 0, 0),
+            'tomorrow' => (clone $now)->modify('+1 day')->setTime(0, 0, 0),
+            default => (clone $now)->modify('Monday next week')->setTime(0, 0, 0),
+        };
+        $rangeEnd = (clone $rangeStart)->modify("+{$options['days']} days");
+
         // calendarView expands recurring series into instances and returns all events (own + from others).
         // We exclude declined meetings so those times show as available.
-        $response = callMicrosoftGraph($token, '/me/calendarView', [
-            'startDateTime' => $nextMonday->format('c'),
-            'endDateTime' => $endDate->format('c'),
+        $response = $token ? callMicrosoftGraph($token, '/me/calendarView', [
+            'startDateTime' => $rangeStart->format('c'),
+            'endDateTime' => $rangeEnd->format('c'),
             '$select' => 'subject,start,end,isAllDay,responseStatus',
             '$orderby' => 'start/dateTime',
             '$top' => 500
-        ]);
+        ]) : [];
 
         // Parse events into DateTime objects; skip declined (user is free when they've declined)
         $events = [];
         foreach ($response['value'] ?? [] as $event) {
-            // Skip declined meetings – user is available during those times
-            $responseStatus = null;
-            if (isset($event['responseStatus']) && is_array($event['responseStatus'])) {
-                $responseStatus = $event['responseStatus']['response'] ?? null;
-            }
-            if ($responseStatus === 'declined') {
+            if (($event['responseStatus']['response'] ?? null) === 'declined') {
                 continue;
             }
 
@@ -2224,328 +2926,96 @@ function getAvailabilityData(int $userId): array
 
             $startRaw = $event['start']['dateTime'] ?? null;
             $endRaw = $event['end']['dateTime'] ?? null;
-            
+
             if (!$startRaw || !$endRaw) {
                 continue;
             }
 
             try {
-                $startTime = new DateTime($startRaw, new DateTimeZone($event['start']['timeZone'] ?? 'UTC'));
-                $startTime->setTimezone($tz);
-                
-                $endTime = new DateTime($endRaw, new DateTimeZone($event['end']['timeZone'] ?? 'UTC'));
-                $endTime->setTimezone($tz);
-
-                // Only include events that have valid times (blocks availability)
-                if ($startTime && $endTime && $endTime > $startTime) {
-                    $events[] = [
-                        'start' => $startTime,
-                        'end' => $endTime,
-                    ];
+                $startTime = (new DateTime($startRaw, new DateTimeZone($event['start']['timeZone'] ?? 'UTC')))->setTimezone($tz);
+                $endTime = (new DateTime($endRaw, new DateTimeZone($event['end']['timeZone'] ?? 'UTC')))->setTimezone($tz);
+                if ($endTime > $startTime) {
+                    $events[] = ['start' => $startTime, 'end' => $endTime];
                 }
             } catch (Exception $e) {
-                // Skip events with invalid date/time
                 logMessage('Availability: Skipping event with invalid date/time: ' . $e->getMessage(), 'info');
-                continue;
             }
         }
 
-        // Sort events by start time
-        usort($events, function($a, $b) {
-            return $a['start'] <=> $b['start'];
-        });
+        // ICS/CalDAV events block time too, unless they are all-day or marked free (TRANSP:TRANSPARENT)
+        foreach (CalendarSources::events($userId, $rangeStart, $rangeEnd, $tz) as $event) {
+            if (!$event['isAllDay'] && $event['showAs'] === 'busy' && $event['end'] > $event['start']) {
+                $events[] = ['start' => $event['start'], 'end' => $event['end']];
+            }
+        }
+
+        $at = function (DateTime $date, string $time): DateTime {
+            [$hour, $minute] = array_map('intval', explode(':', $time));
+            return (clone $date)->setTime($hour, $minute, 0);
+        };
+        $earliest = availabilityEarliestStart($now);
 
-        // Find available periods per day (continuous time, split at lunchtime)
         $availableDays = [];
-        $bufferHours = 1; // 1 hour buffer between meetings
-        
-        // Working hours: 9am to 5pm
-        $workStartHour = 9;
-        $workEndHour = 17;
-        
-        // Lunch break: 1pm to 2pm
-        $lunchStartHour = 13;
-        $lunchEndHour = 14;
+        $currentDate = clone $rangeStart;
 
-        // Start checking from next Monday
-        $currentDate = clone $nextMonday;
-        
-        while ($currentDate < $endDate && count($availableDays) < 4) {
+        while ($currentDate < $rangeEnd && count($availableDays) < $options['max_days']) {
             // Skip weekends
-            $dayOfWeek = (int)$currentDate->format('w');
+            $dayOfWeek = (int) $currentDate->format('w');
             if ($dayOfWeek === 0 || $dayOfWeek === 6) {
                 $currentDate->modify('+1 day');
                 continue;
             }
 
-            // Get events for this day (events that overlap with the working day)
-            $dayStart = (clone $currentDate)->setTime($workStartHour, 0, 0);
-            $dayEnd = (clone $currentDate)->setTime($workEndHour, 0, 0);
-            $lunchStart = (clone $currentDate)->setTime($lunchStartHour, 0, 0);
-            $lunchEnd = (clone $currentDate)->setTime($lunchEndHour, 0, 0);
-            
-            // Filter events that overlap with this day's working hours
-            // Use a more robust check: event overlaps if it intersects with the working day period
-            $dayEventsRaw = array_filter($events, function($event) use ($dayStart, $dayEnd) {
-                // Event overlaps if: event starts before day ends AND event ends after day starts
-                // This handles events that span multiple days or start/end outside working hours
-                return $event['start'] < $dayEnd && $event['end'] > $dayStart;
-            });
-            
-            $dayEvents = $dayEventsRaw;
+            $dayStart = max($at($currentDate, $options['work_start']), $earliest);
+            $dayEnd = $at($currentDate, $options['work_end']);
 
-            // Sort events by start time for this day
-            usort($dayEvents, function($a, $b) {
-                return $a['start'] <=> $b['start'];
-            });
-            
-            // Clip events to working hours and merge overlapping events
-            $clippedEvents = [];
-            foreach ($dayEvents as $event) {
-                $eventStart = $event['start'] > $dayStart ? clone $event['start'] : clone $dayStart;
-                $eventEnd = $event['end'] < $dayEnd ? clone $event['end'] : clone $dayEnd;
-                
-                // Skip if event is invalid after clipping
-                if ($eventStart >= $eventEnd) {
-                    continue;
-                }
-                
-                // Check if this event overlaps with any existing clipped event
-                $merged = false;
-                foreach ($clippedEvents as &$clipped) {
-                    // If events overlap, merge them
-                    if ($eventStart <= $clipped['end'] && $eventEnd >= $clipped['start']) {
-                        if ($eventStart < $clipped['start']) {
-                            $clipped['start'] = clone $eventStart;
-                        }
-                        if ($eventEnd > $clipped['end']) {
-                            $clipped['end'] = clone $eventEnd;
-                        }
-                        $merged = true;
-                        break;
-                    }
-                }
-                
-                if (!$merged) {
-                    $clippedEvents[] = [
-                        'start' => $eventStart,
-                        'end' => $eventEnd,
-                    ];
-                }
-            }
-            
-            // Re-sort after merging
-            usort($clippedEvents, function($a, $b) {
-                return $a['start'] <=> $b['start'];
-            });
-            
-            // Add lunch break as a blocked period (1pm-2pm) if not already covered by an event
-            $lunchCovered = false;
-            foreach ($clippedEvents as $clipped) {
-                if ($clipped['start'] <= $lunchStart && $clipped['end'] >= $lunchEnd) {
-                    $lunchCovered = true;
-                    break;
+            // Blocked periods: meetings widened by the buffer either side, plus lunch
+            $blocked = [];
+            foreach ($events as $event) {
+                $blockedStart = (clone $event['start'])->modify("-{$options['buffer']} minutes");
+                $blockedEnd = (clone $event['end'])->modify("+{$options['buffer']} minutes");
+                if ($blockedStart < $dayEnd && $blockedEnd > $dayStart) {
+                    $blocked[] = ['start' => $blockedStart, 'end' => $blockedEnd];
                 }
             }
-            
-            if (!$lunchCovered) {
-                $clippedEvents[] = [
-                    'start' => clone $lunchStart,
-                    'end' => clone $lunchEnd,
-                ];
-                
-                // Re-sort again to include lunch break
-                usort($clippedEvents, function($a, $b) {
-                    return $a['start'] <=> $b['start'];
-                });
-            }
-            
-            $dayEvents = $clippedEvents;
-
-            // Find all available periods in the day
-            // Build a list of blocked periods (events + buffers + lunch)
-            $blockedPeriods = [];
-            foreach ($dayEvents as $event) {
-                $blockedStart = (clone $event['start'])->modify("-{$bufferHours} hours");
-                $blockedEnd = (clone $event['end'])->modify("+{$bufferHours} hours");
-                
-                // Clip to working hours
-                if ($blockedStart < $dayStart) {
-                    $blockedStart = clone $dayStart;
-                }
-                if ($blockedEnd > $dayEnd) {
-                    $blockedEnd = clone $dayEnd;
-                }
-                
-                if ($blockedStart < $blockedEnd) {
-                    $blockedPeriods[] = [
-                        'start' => $blockedStart,
-                        'end' => $blockedEnd,
-                    ];
-                }
+            if ($options['lunch']) {
+                $blocked[] = ['start' => $at($currentDate, $options['lunch_start']), 'end' => $at($currentDate, $options['lunch_end'])];
             }
-            
-            // Sort blocked periods by start time
-            usort($blockedPeriods, function($a, $b) {
-                return $a['start'] <=> $b['start'];
-            });
-            
-            // Merge overlapping blocked periods
-            $mergedBlocked = [];
-            foreach ($blockedPeriods as $blocked) {
-                if (empty($mergedBlocked)) {
-                    $mergedBlocked[] = $blocked;
-                } else {
-                    $lastBlocked = &$mergedBlocked[count($mergedBlocked) - 1];
-                    if ($blocked['start'] <= $lastBlocked['end']) {
-                        // Overlaps or adjacent - merge
-                        if ($blocked['end'] > $lastBlocked['end']) {
-                            $lastBlocked['end'] = clone $blocked['end'];
-                        }
-                    } else {
-                        $mergedBlocked[] = $blocked;
-                    }
-                }
-            }
-            
-            // Now find gaps between blocked periods
-            $availablePeriods = [];
+            usort($blocked, fn($a, $b) => $a['start'] <=> $b['start']);
+
+            // Gaps between blocked periods within working hours, long enough to offer
+            $periods = [];
             $currentTime = clone $dayStart;
-            
-            foreach ($mergedBlocked as $blocked) {
-                // Gap before this blocked period
-                if ($currentTime < $blocked['start']) {
-                    $availablePeriods[] = [
-                        'start' => clone $currentTime,
-                        'end' => clone $blocked['start'],
-                    ];
+            foreach ([...$blocked, ['start' => $dayEnd, 'end' => $dayEnd]] as $period) {
+                $gapEnd = min($period['start'], $dayEnd);
+                if ($gapEnd > $currentTime && ($gapEnd->getTimestamp() - $currentTime->getTimestamp()) / 60 >= $options['min_slot']) {
+                    $periods[] = ['start' => clone $currentTime, 'end' => clone $gapEnd];
+                }
+                if ($period['end'] > $currentTime) {
+                    $currentTime = clone $period['end'];
                 }
-                
-                // Move current time to after this blocked period
-                $currentTime = clone $blocked['end'];
-            }
-            
-            // Gap after last blocked period
-            if ($currentTime < $dayEnd) {
-                $availablePeriods[] = [
-                    'start' => clone $currentTime,
-                    'end' => clone $dayEnd,
-                ];
             }
 
-            // Merge adjacent periods and calculate total available time
-            if (!empty($availablePeriods)) {
-                // Sort periods by start time
-                usort($availablePeriods, function($a, $b) {
-                    return $a['start'] <=> $b['start'];
-                });
-                
-                // Merge adjacent periods (gaps are already correctly calculated, just need to merge if adjacent)
-                $mergedPeriods = [];
-                foreach ($availablePeriods as $period) {
-                    // Ensure period is within working hours (should already be, but double-check)
-                    if ($period['start'] < $dayStart || $period['end'] > $dayEnd) {
-                        continue;
-                    }
-                    
-                    if (empty($mergedPeriods)) {
-                        $mergedPeriods[] = $period;
-                    } else {
-                        $lastPeriod = &$mergedPeriods[count($mergedPeriods) - 1];
-                        // Check if this period is adjacent to the last one (within 1 minute tolerance)
-                        $timeDiff = abs($lastPeriod['end']->getTimestamp() - $period['start']->getTimestamp());
-                        if ($timeDiff <= 60) { // Adjacent if within 1 minute
-                            // Merge periods
-                            if ($period['end'] > $lastPeriod['end']) {
-                                $lastPeriod['end'] = clone $period['end'];
-                            }
-                        } else {
-                            $mergedPeriods[] = $period;
-                        }
-                    }
-                }
-                
-                // Calculate total available time (sum of all periods, not span)
-                $totalMinutes = 0;
-                foreach ($mergedPeriods as $period) {
-                    $minutes = ($period['end']->getTimestamp() - $period['start']->getTimestamp()) / 60;
-                    $totalMinutes += $minutes;
-                }
-                
-                // Only include days with at least 2 hours of availability
-                if ($totalMinutes >= 120) {
-                    $availableDays[] = [
-                        'date' => clone $currentDate,
-                        'periods' => $mergedPeriods,
-                        'totalMinutes' => $totalMinutes,
-                    ];
-                }
+            if (!empty($periods)) {
+                $availableDays[] = ['date' => clone $currentDate, 'periods' => $periods];
             }
 
             $currentDate->modify('+1 day');
         }
 
         // Format days for display (each day can have multiple available periods)
-        $formattedSlots = [];
-        foreach ($availableDays as $day) {
-            $dateObj = $day['date'];
-            $periods = $day['periods'];
-            
-            $dayName = $dateObj->format('l');
-            $dayNumber = $dateObj->format('j');
-            $monthName = $dateObj->format('F');
-            $monthAbbr = $dateObj->format('M');
-            
-            // Build time range string from all periods, e.g. "9am-12pm, 3pm-5pm"
-            $timeRangeParts = [];
-            $fullTextParts = [];
-            
-            foreach ($periods as $period) {
-                $start = $period['start'];
-                $end = $period['end'];
-                
-                $startTime = $start->format('ga');
-                $endTime = $end->format('ga');
-                
-                if ($endTime === '12pm') {
-                    $endTime = 'midday';
-                }
-                if ($startTime === '12pm') {
-                    $startTime = 'midday';
-                }
-                
-                $timeRangeParts[] = "{$startTime}-{$endTime}";
-                $fullTextParts[] = "{$dayName} {$dayNumber} {$monthName}, between {$startTime} and {$endTime}";
-            }
-            
-            $timeRange = implode(', ', $timeRangeParts);
-            $fullText = implode("\n", $fullTextParts);
-            
-            // For backwards compatibility, use first period's start/end for startDateTime/endDateTime
-            $firstStart = $periods[0]['start'];
-            $lastEnd = $periods[count($periods) - 1]['end'];
-            
-            $formattedSlots[] = [
-                'date' => "{$dayName} {$dayNumber} {$monthName}",
-                'time' => $timeRange,
-                'fullText' => $fullText,
-                'startDateTime' => $firstStart->format('c'),
-                'endDateTime' => $lastEnd->format('c'),
-                'dayNumber' => (int)$dayNumber,
-                'monthAbbr' => $monthAbbr,
-                'timeRange' => $timeRange,
-            ];
-        }
+        $formattedSlots = array_map(fn($day) => formatAvailabilitySlot($day['date'], $day['periods']), $availableDays);
 
         $result = [
             'connected' => true,
             'slots' => $formattedSlots,
             'text' => implode("\n", array_column($formattedSlots, 'fullText')),
+            'timezone' => $timezone,
         ];
 
         cache($cacheKey, fn() => $result, config('refresh.calendar', 600));
 
-        return $result;
+        return $result + $output;
     } catch (Exception $e) {
         logMessage('Availability fetch error: ' . $e->getMessage(), 'error');
         return ['connected' => true, 'error' => 'Failed to fetch availability', 'slots' => [], 'text' => ''];
@@ -2786,9 +3256,14 @@ function formatRelativeTime(string $datetime): string
 // Cron warm-up: refresh cache for the requested user (notes and AI suggestions are excluded)
 if (defined('CRON_WARM_USER_ID')) {
     $uid = CRON_WARM_USER_ID;
+    // Plain keys plus the per-tile variants (email filters, calendar ranges/selections, heat map options);
+    // the variants are rebuilt when their tiles reload on the event below. "\_" keeps LIKE from matching other user ids
     cacheClear("email_{$uid}");
+    cacheClear("email_{$uid}\\_%");
     cacheClear("calendar_{$uid}");
+    cacheClear("calendar_{$uid}\\_%");
     cacheClear("calendar_heatmap_v2_{$uid}");
+    cacheClear("calendar_heatmap_v2_{$uid}\\_%");
     cacheClear("todo_{$uid}");
     cacheClear("planner_overview_v2_{$uid}");
     cacheClear("crm_{$uid}");
@@ -2802,6 +3277,7 @@ if (defined('CRON_WARM_USER_ID')) {
     getCrmData($uid);
     getWeatherData($uid);
     getFlaggedEmailData($uid);
+    TileEvents::publish($uid, ['email', 'calendar', 'calendar-heatmap', 'todo', 'planner-overview', 'crm', 'weather']);
     header('Content-Type: application/json');
     echo json_encode(['ok' => true, 'user_id' => $uid]);
     exit;
@@ -112,6 +112,30 @@ return [
         'weather' => 1800,                   // 30 minutes
     ],
 
+    // Dashboard add-ons
+    'dashboard' => [
+        // Extra scripts loaded after dashboard.js that register custom tile types via
+        // window.CrashBoardTiles.register(type, { render, autoRefresh, feedsSuggestions, ... }).
+        // Paths are relative to public/assets/js/ unless absolute (e.g. '/custom/my-tile.js').
+        // Server-side data for custom types comes from PHP files in includes/tiles/.
+        'tile_scripts' => [],
+    ],
+
+    // Live tile updates (Server-Sent Events via api/events.php)
+    // Each open dashboard holds one PHP worker for up to max_connection_seconds, then reconnects.
+    'events' => [
+        'enabled' => true,
+        'poll_seconds' => 2,                 // How often the stream checks for new events
+        'max_connection_seconds' => 55,      // Keep below PHP max_execution_time / proxy timeouts
+    ],
+
+    // Kiosk / wall display (Settings > Kiosk link, opened via kiosk.php?key=...)
+    // Each can be overridden per display in the link: &rotate=30&scale=2&screens=main,screen3
+    'kiosk' => [
+        'rotate_seconds' => 60,              // Time on each screen before rotating; 0 = no rotation
+        'text_scale' => 1.5,                 // Tile text size multiplier for viewing from across the room
+    ],
+
     // Cache settings
     'cache' => [
         'enabled' => true,
@@ -9,6 +9,7 @@ declare(strict_types=1);
 
 require_once __DIR__ . '/../config/database.php';
 require_once __DIR__ . '/session.php';
+require_once __DIR__ . '/dashboard-screens.php';
 
 class Auth
 {
@@ -122,7 +123,36 @@ class Auth
      */
     public static function check(): bool
     {
-        return Session::isAuthenticated();
+        if (!Session::isAuthenticated()) {
+            return false;
+        }
+        if (self::isKiosk() && !self::kioskKeyValid()) {
+            Session::destroy();
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Whether this is a read-only kiosk (wall display) session started from kiosk.php
+     */
+    public static function isKiosk(): bool
+    {
+        return Session::isAuthenticated() && Session::get('kiosk') === true;
+    }
+
+    /**
+     * A kiosk session ends as soon as its key is regenerated or disabled in Settings (checked once per request)
+     */
+    private static function kioskKeyValid(): bool
+    {
+        static $valid = null;
+        if ($valid === null) {
+            $row = Database::queryOne('SELECT kiosk_key FROM users WHERE id = ?', [Session::getUserId()]);
+            $key = (string) Session::get('kiosk_key', '');
+            $valid = $key !== '' && !empty($row['kiosk_key']) && hash_equals($row['kiosk_key'], $key);
+        }
+        return $valid;
     }
 
     /**
@@ -243,10 +273,11 @@ class Auth
             ['tile_type' => 'claude', 'title' => 'AI Assistant', 'position' => 5, 'column_span' => 2],
         ];
 
+        $screenId = DashboardScreens::firstId($userId);
         foreach ($defaultTiles as $tile) {
             Database::execute(
-                'INSERT INTO tiles (user_id, tile_type, title, position, column_span) VALUES (?, ?, ?, ?, ?)',
-                [$userId, $tile['tile_type'], $tile['title'], $tile['position'], $tile['column_span']]
+                'INSERT INTO tiles (user_id, tile_type, title, position, column_span, screen) VALUES (?, ?, ?, ?, ?, ?)',
+                [$userId, $tile['tile_type'], $tile['title'], $tile['position'], $tile['column_span'], $screenId]
             );
         }
     }
@@ -0,0 +1,476 @@
+<?php
+/**
+ * Calendar Sources
+ *
+ * Calendars shown alongside Outlook in the calendar tiles: subscribed iCalendar (ICS)
+ * feeds and CalDAV collections, each with a name and colour. Events are read with
+ * includes/ical.php, so recurring series, exceptions and time zones expand the same
+ * way for both. CalDAV passwords are stored encrypted and only sent over https to the
+ * host they were entered for. Hosts on loopback, private or link-local addresses are
+ * refused, when a source is added and on every request (redirects included).
+ */
+
+declare(strict_types=1);
+
+require_once __DIR__ . '/../config/database.php';
+require_once __DIR__ . '/functions.php';
+require_once __DIR__ . '/ical.php';
+
+class CalendarSources
+{
+    public const TYPES = ['ics' => 'ICS feed', 'caldav' => 'CalDAV'];
+
+    /** Colours offered for new sources, in order */
+    public const COLORS = ['#0ea5e9', '#22c55e', '#f59e0b', '#ef4444', '#a855f7', '#ec4899', '#14b8a6', '#64748b'];
+
+    /** Largest feed or CalDAV response read, in bytes */
+    private const MAX_RESPONSE_BYTES = 5 * 1024 * 1024;
+
+    private static bool $tableChecked = false;
+
+    /**
+     * The user's sources, oldest first (without the stored password)
+     */
+    public static function forUser(int $userId, bool $enabledOnly = false): array
+    {
+        self::ensureTable();
+        return Database::query(
+            'SELECT id, type, name, url, username, color, is_enabled, last_error, last_fetched_at
+             FROM calendar_sources WHERE user_id = ?' . ($enabledOnly ? ' AND is_enabled = 1' : '') . ' ORDER BY id',
+            [$userId]
+        );
+    }
+
+    /**
+     * Add a source; throws InvalidArgumentException for a bad type, URL or colour
+     */
+    public static function add(int $userId, string $type, string $name, string $url, string $color, string $username = '', string $password = ''): int
+    {
+        self::ensureTable();
+        if (!isset(self::TYPES[$type])) {
+            throw new InvalidArgumentException('Choose an ICS feed or CalDAV calendar.');
+        }
+        $url = self::normalizeUrl($url);
+        if ($type === 'caldav' && trim($username) !== '' && !self::isHttps($url)) {
+            throw new InvalidArgumentException('Use an https:// URL for a CalDAV calendar that needs a password, so it is not sent unencrypted.');
+        }
+        $hostError = self::publicHostError($url);
+        if ($hostError !== null) {
+            throw new InvalidArgumentException($hostError);
+        }
+        $name = truncate(trim($name), 100, '');
+        if ($name === '') {
+            $name = parse_url($url, PHP_URL_HOST) ?: 'Calendar';
+        }
+
+        Database::execute(
+            'INSERT INTO calendar_sources (user_id, type, name, url, username, password, color) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [
+                $userId,
+                $type,
+                $name,
+                $url,
+                $type === 'caldav' ? truncate(trim($username), 255, '') : '',
+                $type === 'caldav' && $password !== '' ? encrypt($password) : null,
+                self::normalizeColor($color),
+            ]
+        );
+        self::clearCaches($userId);
+
+        return (int) Database::lastInsertId();
+    }
+
+    /**
+     * Rename, recolour or switch a source on/off
+     */
+    public static function update(int $userId, int $id, string $name, string $color, bool $enabled): void
+    {
+        self::ensureTable();
+        $name = truncate(trim($name), 100, '');
+        Database::execute(
+            'UPDATE calendar_sources SET name = COALESCE(NULLIF(?, \'\'), name), color = ?, is_enabled = ? WHERE id = ? AND user_id = ?',
+            [$name, self::normalizeColor($color), $enabled ? 1 : 0, $id, $userId]
+        );
+        self::clearCaches($userId);
+    }
+
+    public static function remove(int $userId, int $id): void
+    {
+        self::ensureTable();
+        Database::execute('DELETE FROM calendar_sources WHERE id = ? AND user_id = ?', [$id, $userId]);
+        self::clearCaches($userId);
+    }
+
+    /**
+     * Whether the user has any enabled source (calendar tiles then work without Outlook)
+     */
+    public static function hasEnabled(int $userId): bool
+    {
+        self::ensureTable();
+        return (bool) Database::queryOne(
+            'SELECT id FROM calendar_sources WHERE user_id = ? AND is_enabled = 1 LIMIT 1',
+            [$userId]
+        );
+    }
+
+    /**
+     * Occurrences from every enabled source overlapping [$start, $end), sorted by start. Each has
+     * id, subject, location, bodyPreview, categories, isAllDay, showAs (busy|free), start/end (DateTime
+     * in $tz) and source {id, name, color}. A source that fails is logged, recorded on the source
+     * (shown in Settings) and skipped, so the other calendars still show. $sourceIds limits this to
+     * those sources (a tile's calendar selection); null means every enabled source.
+     */
+    public static function events(int $userId, DateTime $start, DateTime $end, DateTimeZone $tz, ?array $sourceIds = null): array
+    {
+        $events = [];
+        foreach (self::forUser($userId, true) as $source) {
+            if ($sourceIds !== null && !in_array((int) $source['id'], $sourceIds, true)) {
+                continue;
+            }
+            try {
+                $documents = $source['type'] === 'caldav'
+                    ? self::fetchCalDav($userId, (int) $source['id'], $start, $end)
+                    : [self::fetchIcs($userId, $source)];
+                foreach ($documents as $ics) {
+                    foreach (ICal::occurrences($ics, $start, $end, $tz) as $occurrence) {
+                        $events[] = [
+                            'id' => 'src' . $source['id'] . '-' . substr(md5($occurrence['uid'] . '|' . $occurrence['recurrenceKey']), 0, 16),
+                            'subject' => $occurrence['summary'] !== '' ? $occurrence['summary'] : '(No Title)',
+                            'location' => $occurrence['location'] !== '' ? $occurrence['location'] : null,
+                            'bodyPreview' => $occurrence['description'] !== '' ? truncate($occurrence['description'], 255) : null,
+                            'categories' => $occurrence['categories'],
+                            'isAllDay' => $occurrence['allDay'],
+                            'showAs' => $occurrence['transparent'] ? 'free' : 'busy',
+                            'start' => $occurrence['start'],
+                            'end' => $occurrence['end'],
+                            'source' => ['id' => (int) $source['id'], 'name' => $source['name'], 'color' => $source['color']],
+                        ];
+                    }
+                }
+                self::recordFetch((int) $source['id'], null);
+            } catch (Exception $e) {
+                logMessage('Calendar source ' . $source['id'] . ' fetch error: ' . $e->getMessage(), 'error');
+                self::recordFetch((int) $source['id'], $e->getMessage());
+            }
+        }
+
+        usort($events, function ($a, $b) {
+            return $a['start'] <=> $b['start'];
+        });
+
+        return $events;
+    }
+
+    /**
+     * The whole feed, cached for the calendar refresh interval
+     */
+    private static function fetchIcs(int $userId, array $source): string
+    {
+        $cacheKey = "calendar_source_{$userId}_{$source['id']}";
+        $cached = cache($cacheKey);
+        if (is_string($cached)) {
+            return $cached;
+        }
+
+        $ics = self::request('GET', $source['url'], ['Accept: text/calendar, */*']);
+        if (stripos($ics, 'BEGIN:VCALENDAR') === false) {
+            throw new RuntimeException('The URL did not return an iCalendar feed');
+        }
+        cache($cacheKey, fn() => $ics, config('refresh.calendar', 600));
+
+        return $ics;
+    }
+
+    /**
+     * calendar-data of each event in the range (CalDAV calendar-query REPORT, RFC 4791), widened to
+     * whole days so tiles asking from "now" share the cached response. Recurring series come back
+     * whole and are expanded locally.
+     *
+     * @return string[]
+     */
+    private static function fetchCalDav(int $userId, int $sourceId, DateTime $start, DateTime $end): array
+    {
+        $start = (clone $start)->setTime(0, 0);
+        $end = (clone $end)->setTime(0, 0)->modify('+1 day');
+        $cacheKey = "calendar_source_{$userId}_{$sourceId}_{$start->format('Ymd')}_{$end->format('Ymd')}";
+        $cached = cache($cacheKey);
+        if (is_array($cached)) {
+            return $cached;
+        }
+
+        $source = Database::queryOne('SELECT url, username, password FROM calendar_sources WHERE id = ? AND user_id = ?', [$sourceId, $userId]);
+        if (!$source) {
+            return [];
+        }
+        $utc = new DateTimeZone('UTC');
+        $body = '<?xml version="1.0" encoding="utf-8"?>'
+            . '<C:calendar-query xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">'
+            . '<D:prop><C:calendar-data/></D:prop>'
+            . '<C:filter><C:comp-filter name="VCALENDAR"><C:comp-filter name="VEVENT">'
+            . '<C:time-range start="' . (clone $start)->setTimezone($utc)->format('Ymd\THis\Z') . '" end="' . (clone $end)->setTimezone($utc)->format('Ymd\THis\Z') . '"/>'
+            . '</C:comp-filter></C:comp-filter></C:filter>'
+            . '</C:calendar-query>';
+        $headers = ['Depth: 1', 'Content-Type: application/xml; charset=utf-8'];
+        if ($source['username'] !== '') {
+            // Sources saved before https was required for sign-in
+            if (!self::isHttps($source['url'])) {
+                throw new RuntimeException('Change this calendar to an https:// URL; its password will not be sent unencrypted');
+            }
+            $password = $source['password'] !== null ? decrypt($source['password']) : '';
+            $headers[] = 'Authorization: Basic ' . base64_encode($source['username'] . ':' . $password);
+        }
+
+        $xml = self::request('REPORT', $source['url'], $headers, $body);
+        $doc = new DOMDocument();
+        $previous = libxml_use_internal_errors(true);
+        $loaded = trim($xml) !== '' && $doc->loadXML($xml, LIBXML_NONET);
+        libxml_clear_errors();
+        libxml_use_internal_errors($previous);
+        if (!$loaded) {
+            throw new RuntimeException('The CalDAV server did not return a calendar listing');
+        }
+
+        $documents = [];
+        foreach ($doc->getElementsByTagNameNS('urn:ietf:params:xml:ns:caldav', 'calendar-data') as $node) {
+            if (trim($node->textContent) !== '') {
+                $documents[] = $node->textContent;
+            }
+        }
+        cache($cacheKey, fn() => $documents, config('refresh.calendar', 600));
+
+        return $documents;
+    }
+
+    /**
+     * HTTP request to a source; throws on network errors, refused hosts and non-2xx responses. Redirects are
+     * followed here rather than by PHP so each hop is checked, and the Authorization header is dropped once
+     * the request leaves the original host or https. Each hop connects to the address that was checked, with
+     * the Host header and TLS name of the URL, so a second DNS answer can't point it at a private address.
+     */
+    private static function request(string $method, string $url, array $headers = [], string $body = ''): string
+    {
+        $originalHost = strtolower((string) parse_url($url, PHP_URL_HOST));
+
+        for ($redirects = 0; ; $redirects++) {
+            $hostError = self::publicHostError($url, $addresses);
+            if ($hostError !== null) {
+                throw new RuntimeException($hostError);
+            }
+            $parts = parse_url($url);
+            $hostHeader = $parts['host'] . (isset($parts['port']) ? ':' . $parts['port'] : '');
+            $sendCredentials = self::isHttps($url) && strtolower((string) parse_url($url, PHP_URL_HOST)) === $originalHost;
+            $requestHeaders = $sendCredentials ? $headers : array_values(array_filter($headers, fn($header) => stripos($header, 'Authorization:') !== 0));
+
+            $context = stream_context_create([
+                'http' => [
+                    'method' => $method,
+                    'header' => implode("\r\n", array_merge(['Host: ' . $hostHeader, 'User-Agent: CrashBoard'], $requestHeaders)),
+                    'content' => $body,
+                    'timeout' => 15,
+                    'follow_location' => 0,
+                    'ignore_errors' => true,
+                ],
+                'ssl' => [
+                    'peer_name' => trim($parts['host'], '[]'),
+                ],
+            ]);
+
+            $response = @file_get_contents(self::pinnedUrl($url, $addresses), false, $context, 0, self::MAX_RESPONSE_BYTES);
+            if ($response === false) {
+                throw new RuntimeException('Could not reach ' . (parse_url($url, PHP_URL_HOST) ?: 'the calendar server'));
+            }
+
+            $status = 0;
+            $location = '';
+            foreach ($http_response_header ?? [] as $line) {
+                if (preg_match('#^HTTP/\S+\s+(\d{3})#', $line, $m)) {
+                    $status = (int) $m[1];
+                } elseif (stripos($line, 'Location:') === 0) {
+                    $location = trim(substr($line, 9));
+                }
+            }
+
+            if ($status >= 300 && $status < 400 && $location !== '') {
+                if ($redirects >= 3) {
+                    throw new RuntimeException('The calendar server redirected too many times');
+                }
+                if ($status === 303) {
+                    $method = 'GET';
+                    $body = '';
+                }
+                $url = self::resolveRedirect($url, $location);
+                continue;
+            }
+            if ($status === 401 || $status === 403) {
+                throw new RuntimeException('The calendar server refused the credentials (HTTP ' . $status . ')');
+            }
+            if ($status < 200 || $status >= 300) {
+                throw new RuntimeException('The calendar server returned HTTP ' . $status);
+            }
+
+            return $response;
+        }
+    }
+
+    /**
+     * Absolute URL for a Location header
+     */
+    private static function resolveRedirect(string $from, string $location): string
+    {
+        if (preg_match('#^[a-z][a-z0-9+.-]*://#i', $location)) {
+            return $location;
+        }
+        $parts = parse_url($from);
+        $origin = $parts['scheme'] . '://' . $parts['host'] . (isset($parts['port']) ? ':' . $parts['port'] : '');
+        if (str_starts_with($location, '//')) {
+            return $parts['scheme'] . ':' . $location;
+        }
+        if (str_starts_with($location, '/')) {
+            return $origin . $location;
+        }
+        $path = $parts['path'] ?? '/';
+        return $origin . substr($path, 0, strrpos($path, '/') + 1) . $location;
+    }
+
+    /**
+     * The URL with its host replaced by one of the checked addresses (IPv4 preferred)
+     */
+    private static function pinnedUrl(string $url, array $addresses): string
+    {
+        $ipv4 = array_values(array_filter($addresses, fn($address) => filter_var($address, FILTER_VALIDATE_IP, FILTER_FLAG_IPV4)));
+        $address = $ipv4[0] ?? $addresses[0];
+        $parts = parse_url($url);
+
+        return $parts['scheme'] . '://'
+            . (isset($parts['user']) ? $parts['user'] . (isset($parts['pass']) ? ':' . $parts['pass'] : '') . '@' : '')
+            . (str_contains($address, ':') ? '[' . $address . ']' : $address)
+            . (isset($parts['port']) ? ':' . $parts['port'] : '')
+            . ($parts['path'] ?? '/')
+            . (isset($parts['query']) ? '?' . $parts['query'] : '');
+    }
+
+    /**
+     * Why a URL may not be fetched, or null: only http(s) to hosts whose every address is public, so feeds
+     * can't be used to probe the server's own network (localhost, RFC 1918, link-local/cloud metadata).
+     * $addresses receives the host's addresses, for the request to connect to.
+     */
+    private static function publicHostError(string $url, array &$addresses = []): ?string
+    {
+        $addresses = [];
+        $scheme = strtolower((string) parse_url($url, PHP_URL_SCHEME));
+        $host = strtolower(trim((string) parse_url($url, PHP_URL_HOST), '[]'));
+        if (!in_array($scheme, ['http', 'https'], true) || $host === '') {
+            return 'Calendar URLs must use https:// or http://';
+        }
+
+        if (filter_var($host, FILTER_VALIDATE_IP)) {
+            $addresses = [$host];
+        } else {
+            $addresses = [];
+            foreach (@dns_get_record($host, DNS_A | DNS_AAAA) ?: [] as $record) {
+                $addresses[] = $record['ip'] ?? $record['ipv6'] ?? '';
+            }
+            if (empty($addresses)) {
+                $addresses = @gethostbynamel($host) ?: [];
+            }
+        }
+        if (empty($addresses)) {
+            return 'Could not find the calendar server ' . $host;
+        }
+        foreach ($addresses as $address) {
+            if (!filter_var($address, FILTER_VALIDATE_IP, FILTER_FLAG_NO_PRIV_RANGE | FILTER_FLAG_NO_RES_RANGE)) {
+                return 'Calendars on local or private network addresses are not allowed';
+            }
+        }
+        return null;
+    }
+
+    private static function isHttps(string $url): bool
+    {
+        return strtolower((string) parse_url($url, PHP_URL_SCHEME)) === 'https';
+    }
+
+    /**
+     * http(s) URL for a feed; webcal:// links (as calendar apps publish them) become https://
+     */
+    public static function normalizeUrl(string $url): string
+    {
+        $url = trim($url);
+        if (preg_match('#^webcals?://#i', $url)) {
+            $url = 'https://' . preg_replace('#^webcals?://#i', '', $url);
+        }
+        $scheme = strtolower((string) parse_url($url, PHP_URL_SCHEME));
+        if (!filter_var($url, FILTER_VALIDATE_URL) || !in_array($scheme, ['http', 'https'], true)) {
+            throw new InvalidArgumentException('Enter a calendar URL starting with https://, http:// or webcal://');
+        }
+        if (strlen($url) > 1000) {
+            throw new InvalidArgumentException('That calendar URL is too long.');
+        }
+        return $url;
+    }
+
+    /**
+     * "#rrggbb" in lower case; anything else falls back to the first palette colour
+     */
+    public static function normalizeColor(string $color): string
+    {
+        $color = strtolower(trim($color));
+        return preg_match('/^#[0-9a-f]{6}$/', $color) ? $color : self::COLORS[0];
+    }
+
+    private static function recordFetch(int $sourceId, ?string $error): void
+    {
+        Database::execute(
+            'UPDATE calendar_sources SET last_error = ?, last_fetched_at = NOW() WHERE id = ?',
+            [$error !== null ? truncate($error, 255, '') : null, $sourceId]
+        );
+    }
+
+    /**
+     * Drop cached feeds and every calendar tile's cached data (day/agenda ranges, heat map, next event,
+     * availability) after a source or an event changes. "\_" keeps LIKE from matching other user ids.
+     */
+    public static function clearCaches(int $userId): void
+    {
+        cacheClear("calendar_source_{$userId}\\_%");
+        cacheClear("calendar_{$userId}");
+        cacheClear("calendar_{$userId}\\_%");
+        cacheClear("calendar_heatmap_v2_{$userId}");
+        cacheClear("calendar_heatmap_v2_{$userId}\\_%");
+        cacheClear("calendar_next_event_{$userId}\\_%");
+        cacheClear("calendar_next_{$userId}\\_%");
+        cacheClear("availability_{$userId}");
+        cacheClear("availability_{$userId}\\_%");
+    }
+
+    /**
+     * Create the calendar_sources table if missing (see sql/calendar_sources.sql)
+     */
+    private static function ensureTable(): void
+    {
+        if (self::$tableChecked) {
+            return;
+        }
+        $exists = Database::queryOne("SHOW TABLES LIKE 'calendar_sources'");
+        if (empty($exists)) {
+            Database::execute("
+                CREATE TABLE calendar_sources (
+                    id INT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+                    user_id INT UNSIGNED NOT NULL,
+                    type VARCHAR(20) NOT NULL,
+                    name VARCHAR(100) NOT NULL,
+                    url VARCHAR(1000) NOT NULL,
+                    username VARCHAR(255) NOT NULL DEFAULT '',
+                    password TEXT NULL,
+                    color VARCHAR(7) NOT NULL DEFAULT '#0ea5e9',
+                    is_enabled TINYINT(1) NOT NULL DEFAULT 1,
+                    last_error VARCHAR(255) NULL,
+                    last_fetched_at DATETIME NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_user (user_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            ");
+        }
+        self::$tableChecked = true;
+    }
+}
@@ -0,0 +1,250 @@
+<?php
+/**
+ * Dashboard Screens
+ *
+ * User-defined dashboard tabs. Each screen has a stable id (stored in tiles.screen)
+ * and an editable label. Users start with "main" and "screen2", labelled from the
+ * legacy dashboard_screen1_label / dashboard_screen2_label columns.
+ */
+
+declare(strict_types=1);
+
+require_once __DIR__ . '/../config/database.php';
+require_once __DIR__ . '/functions.php';
+
+class DashboardScreens
+{
+    public const MAX_SCREENS = 20;
+    public const MAX_LABEL_LENGTH = 50;
+
+    private static bool $tableChecked = false;
+
+    /**
+     * Screens for a user in tab order: [['id' => 'main', 'label' => 'Main'], ...]
+     */
+    public static function forUser(int $userId): array
+    {
+        self::ensureTable();
+        $rows = Database::query(
+            'SELECT screen_key, label FROM dashboard_screens WHERE user_id = ? ORDER BY position ASC, id ASC',
+            [$userId]
+        );
+        if (empty($rows)) {
+            self::seed($userId);
+            $rows = Database::query(
+                'SELECT screen_key, label FROM dashboard_screens WHERE user_id = ? ORDER BY position ASC, id ASC',
+                [$userId]
+            );
+        }
+
+        return array_map(function ($row) {
+            return ['id' => $row['screen_key'], 'label' => $row['label']];
+        }, $rows);
+    }
+
+    /**
+     * Id of the user's first screen in tab order, where newly added tiles go
+     */
+    public static function firstId(int $userId): string
+    {
+        return self::forUser($userId)[0]['id'];
+    }
+
+    /**
+     * Whether the user has a screen with this id
+     */
+    public static function exists(int $userId, string $screenId): bool
+    {
+        foreach (self::forUser($userId) as $screen) {
+            if ($screen['id'] === $screenId) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Add a screen at the end of the tab list and return it
+     */
+    public static function create(int $userId, string $label): array
+    {
+        $screens = self::forUser($userId);
+        if (count($screens) >= self::MAX_SCREENS) {
+            throw new InvalidArgumentException('You can have up to ' . self::MAX_SCREENS . ' screens');
+        }
+        $label = self::cleanLabel($label);
+
+        // Ids are never reused while a screen holds them: "screenN" with N above the highest in use
+        $next = 2;
+        foreach ($screens as $screen) {
+            if (preg_match('/^screen(\d+)$/', $screen['id'], $m)) {
+                $next = max($next, (int) $m[1] + 1);
+            }
+        }
+        $screenId = 'screen' . $next;
+
+        Database::execute(
+            'INSERT INTO dashboard_screens (user_id, screen_key, label, position) VALUES (?, ?, ?, ?)',
+            [$userId, $screenId, $label, count($screens)]
+        );
+
+        return ['id' => $screenId, 'label' => $label];
+    }
+
+    /**
+     * Change a screen's label. Returns false if the screen does not exist.
+     */
+    public static function rename(int $userId, string $screenId, string $label): bool
+    {
+        if (!self::exists($userId, $screenId)) {
+            return false;
+        }
+        Database::execute(
+            'UPDATE dashboard_screens SET label = ? WHERE user_id = ? AND screen_key = ?',
+            [self::cleanLabel($label), $userId, $screenId]
+        );
+        return true;
+    }
+
+    /**
+     * Delete a screen, moving its tiles to the end of the first remaining screen.
+     * Returns the id of the screen the tiles moved to.
+     */
+    public static function delete(int $userId, string $screenId): string
+    {
+        $screens = self::forUser($userId);
+        $remaining = array_values(array_filter($screens, function ($screen) use ($screenId) {
+            return $screen['id'] !== $screenId;
+        }));
+        if (count($remaining) === count($screens)) {
+            throw new InvalidArgumentException('Screen not found');
+        }
+        if (empty($remaining)) {
+            throw new InvalidArgumentException('You cannot delete your only screen');
+        }
+        $targetId = $remaining[0]['id'];
+
+        Database::beginTransaction();
+        try {
+            $maxPos = Database::queryOne(
+                'SELECT COALESCE(MAX(position), 0) AS max_pos FROM tiles WHERE user_id = ? AND screen = ?',
+                [$userId, $targetId]
+            );
+            $offset = (int) ($maxPos['max_pos'] ?? 0) + 1;
+            Database::execute(
+                'UPDATE tiles SET screen = ?, position = position + ? WHERE user_id = ? AND screen = ?',
+                [$targetId, $offset, $userId, $screenId]
+            );
+            Database::execute(
+                'DELETE FROM dashboard_screens WHERE user_id = ? AND screen_key = ?',
+                [$userId, $screenId]
+            );
+            Database::commit();
+        } catch (Exception $e) {
+            Database::rollback();
+            throw $e;
+        }
+
+        return $targetId;
+    }
+
+    /**
+     * Save tab order. Ids not listed keep their relative order after the listed ones.
+     */
+    public static function reorder(int $userId, array $screenIds): void
+    {
+        $known = array_column(self::forUser($userId), 'id');
+        $ordered = array_values(array_intersect(array_unique(array_map('strval', $screenIds)), $known));
+        $ordered = array_merge($ordered, array_values(array_diff($known, $ordered)));
+
+        Database::beginTransaction();
+        try {
+            foreach ($ordered as $position => $screenId) {
+                Database::execute(
+                    'UPDATE dashboard_screens SET position = ? WHERE user_id = ? AND screen_key = ?',
+                    [$position, $userId, $screenId]
+                );
+            }
+            Database::commit();
+        } catch (Exception $e) {
+            Database::rollback();
+            throw $e;
+        }
+    }
+
+    /**
+     * Trim and cap a label; blank labels are rejected
+     */
+    private static function cleanLabel(string $label): string
+    {
+        $label = mb_substr(trim($label), 0, self::MAX_LABEL_LENGTH);
+        if ($label === '') {
+            throw new InvalidArgumentException('Screen name is required');
+        }
+        return $label;
+    }
+
+    /**
+     * First use: create Main / Screen 2 from the legacy label columns, plus any other
+     * screen ids already present on the user's tiles
+     */
+    private static function seed(int $userId): void
+    {
+        $labels = ['main' => 'Main', 'screen2' => 'Screen 2'];
+        try {
+            $row = Database::queryOne(
+                'SELECT dashboard_screen1_label, dashboard_screen2_label FROM users WHERE id = ?',
+                [$userId]
+            );
+            if (!empty($row['dashboard_screen1_label'])) {
+                $labels['main'] = $row['dashboard_screen1_label'];
+            }
+            if (!empty($row['dashboard_screen2_label'])) {
+                $labels['screen2'] = $row['dashboard_screen2_label'];
+            }
+        } catch (Exception $e) {
+            // Legacy columns not present; keep the defaults
+        }
+
+        Database::execute("UPDATE tiles SET screen = 'main' WHERE user_id = ? AND (screen IS NULL OR screen = '')", [$userId]);
+        foreach (Database::query('SELECT DISTINCT screen FROM tiles WHERE user_id = ?', [$userId]) as $tileScreen) {
+            $screenId = (string) $tileScreen['screen'];
+            if (!isset($labels[$screenId])) {
+                $labels[$screenId] = ucfirst($screenId);
+            }
+        }
+
+        $position = 0;
+        foreach ($labels as $screenId => $label) {
+            Database::execute(
+                'INSERT IGNORE INTO dashboard_screens (user_id, screen_key, label, position) VALUES (?, ?, ?, ?)',
+                [$userId, $screenId, mb_substr($label, 0, self::MAX_LABEL_LENGTH), $position++]
+            );
+        }
+    }
+
+    /**
+     * Create the dashboard_screens table if missing (see sql/dashboard_screens.sql)
+     */
+    private static function ensureTable(): void
+    {
+        if (self::$tableChecked) {
+            return;
+        }
+        $exists = Database::queryOne("SHOW TABLES LIKE 'dashboard_screens'");
+        if (empty($exists)) {
+            Database::execute("
+                CREATE TABLE dashboard_screens (
+                    id INT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+                    user_id INT UNSIGNED NOT NULL,
+                    screen_key VARCHAR(20) NOT NULL,
+                    label VARCHAR(50) NOT NULL,
+                    position INT UNSIGNED NOT NULL DEFAULT 0,
+                    UNIQUE KEY uniq_user_screen (user_id, screen_key),
+                    INDEX idx_user_pos (user_id, position)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            ");
+        }
+        self::$tableChecked = true;
+    }
+}
@@ -0,0 +1,164 @@
+<?php
+/**
+ * Email HTML
+ *
+ * Sanitizes Outlook message bodies for display in the dashboard's email overlay.
+ * Scripts, frames, forms and event handlers are removed; links open in a new tab;
+ * inline (cid:) images become data URIs; remote images keep their URL in
+ * data-cb-remote-src so they only load once the user allows them. The overlay
+ * additionally renders the result in a sandboxed iframe with a restrictive CSP.
+ */
+
+declare(strict_types=1);
+
+class EmailHtml
+{
+    /** Elements dropped together with everything inside them */
+    private const REMOVE_WITH_CONTENT = [
+        'script', 'noscript', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+        'form', 'input', 'button', 'select', 'textarea', 'link', 'meta', 'base', 'svg', 'math', 'template',
+    ];
+
+    /** URL schemes allowed in href */
+    private const LINK_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+    /**
+     * Sanitize a message body.
+     *
+     * @param array<string, string> $inlineImages contentId => data URI, for cid: references
+     * @return array{html: string, remoteImages: int}
+     */
+    public static function sanitize(string $html, array $inlineImages = []): array
+    {
+        if (trim($html) === '') {
+            return ['html' => '', 'remoteImages' => 0];
+        }
+
+        $doc = new DOMDocument();
+        $previous = libxml_use_internal_errors(true);
+        $doc->loadHTML('<?xml encoding="utf-8"?>' . $html, LIBXML_NONET | LIBXML_HTML_NODEFDTD);
+        libxml_clear_errors();
+        libxml_use_internal_errors($previous);
+
+        $remoteImages = 0;
+        $root = $doc->documentElement;
+        if ($root !== null) {
+            self::cleanNode($root, $inlineImages, $remoteImages);
+        }
+
+        // Keep <style> from <head> (Outlook puts most formatting there), then the body content
+        $out = '';
+        foreach ($doc->getElementsByTagName('style') as $style) {
+            if ($style->parentNode !== null && strtolower($style->parentNode->nodeName) === 'head') {
+                $out .= $doc->saveHTML($style);
+            }
+        }
+        $body = $doc->getElementsByTagName('body')->item(0);
+        if ($body !== null) {
+            foreach ($body->childNodes as $child) {
+                $out .= $doc->saveHTML($child);
+            }
+        }
+
+        return ['html' => $out, 'remoteImages' => $remoteImages];
+    }
+
+    /**
+     * Recursively strip unsafe elements and attributes below $node
+     */
+    private static function cleanNode(DOMNode $node, array $inlineImages, int &$remoteImages): void
+    {
+        // Copy first: the live child list changes as nodes are removed
+        $children = [];
+        foreach ($node->childNodes as $child) {
+            $children[] = $child;
+        }
+
+        foreach ($children as $child) {
+            if ($child instanceof DOMComment || $child instanceof DOMProcessingInstruction) {
+                $node->removeChild($child);
+                continue;
+            }
+            if (!$child instanceof DOMElement) {
+                continue;
+            }
+
+            $tag = strtolower($child->nodeName);
+            if (in_array($tag, self::REMOVE_WITH_CONTENT, true)) {
+                $node->removeChild($child);
+                continue;
+            }
+            if ($tag === 'style') {
+                // No @import; remote url() images are blocked by the overlay's CSP until allowed
+                $child->textContent = preg_replace('/@import[^;]*;?/i', '', $child->textContent);
+                continue;
+            }
+
+            self::cleanAttributes($child, $tag, $inlineImages, $remoteImages);
+            self::cleanNode($child, $inlineImages, $remoteImages);
+        }
+    }
+
+    /**
+     * Remove event handlers and unsafe URLs; rewrite links and images
+     */
+    private static function cleanAttributes(DOMElement $el, string $tag, array $inlineImages, int &$remoteImages): void
+    {
+        $names = [];
+        foreach ($el->attributes as $attr) {
+            $names[] = $attr->nodeName;
+        }
+
+        foreach ($names as $name) {
+            $lower = strtolower($name);
+            $value = trim($el->getAttribute($name));
+            if (str_starts_with($lower, 'on') || in_array($lower, ['srcset', 'formaction', 'action', 'xmlns:xlink', 'xlink:href', 'ping'], true)) {
+                $el->removeAttribute($name);
+                continue;
+            }
+            if ($lower === 'style' && preg_match('/expression\s*\(|javascript:|behavior\s*:|-moz-binding/i', $value)) {
+                $el->removeAttribute($name);
+                continue;
+            }
+            if ($lower === 'href' && !in_array(self::scheme($value), self::LINK_SCHEMES, true)) {
+                $el->removeAttribute($name);
+                continue;
+            }
+            if (in_array($lower, ['src', 'background', 'poster', 'data'], true) && $tag !== 'img') {
+                $el->removeAttribute($name);
+            }
+        }
+
+        if ($tag === 'a' && $el->hasAttribute('href')) {
+            $el->setAttribute('target', '_blank');
+            $el->setAttribute('rel', 'noopener noreferrer');
+        }
+
+        if ($tag === 'img') {
+            $src = trim($el->getAttribute('src'));
+            $scheme = self::scheme($src);
+            $el->removeAttribute('src');
+            if ($scheme === 'cid') {
+                $contentId = trim(substr($src, 4), '<> ');
+                if (isset($inlineImages[$contentId])) {
+                    $el->setAttribute('src', $inlineImages[$contentId]);
+                }
+            } elseif ($scheme === 'data' && preg_match('#^data:image/(png|gif|jpe?g|webp);base64,#i', $src)) {
+                $el->setAttribute('src', $src);
+            } elseif ($scheme === 'http' || $scheme === 'https') {
+                $el->setAttribute('data-cb-remote-src', $src);
+                $remoteImages++;
+            }
+        }
+    }
+
+    /**
+     * Lower-case URL scheme ("https", "cid", ...) or '' for relative URLs
+     */
+    private static function scheme(string $url): string
+    {
+        // Browsers ignore control characters and whitespace inside the scheme ("java\tscript:")
+        $url = preg_replace('/[\x00-\x20]+/', '', $url);
+        return preg_match('/^([a-z][a-z0-9+.-]*):/i', $url, $m) ? strtolower($m[1]) : '';
+    }
+}
@@ -0,0 +1,75 @@
+<?php
+/**
+ * Email Snoozes
+ *
+ * Messages the user snoozed from the flagged email reminder tile or triage mode. The
+ * reminder tile's random picker and the email tiles skip a message until its snooze
+ * expires; the message itself is untouched in Outlook.
+ */
+
+declare(strict_types=1);
+
+require_once __DIR__ . '/../config/database.php';
+require_once __DIR__ . '/functions.php';
+
+class EmailSnoozes
+{
+    private static bool $tableChecked = false;
+
+    /**
+     * Hide a message from the reminder and email tiles until $until (replaces any earlier snooze)
+     */
+    public static function snooze(int $userId, string $messageId, int $until): void
+    {
+        self::ensureTable();
+        Database::execute(
+            'INSERT INTO email_snoozes (user_id, message_id, snoozed_until) VALUES (?, ?, ?)
+             ON DUPLICATE KEY UPDATE snoozed_until = VALUES(snoozed_until)',
+            [$userId, $messageId, date('Y-m-d H:i:s', $until)]
+        );
+        // Expired snoozes are never read again; clear them out now and then
+        if (random_int(1, 20) === 1) {
+            Database::execute('DELETE FROM email_snoozes WHERE snoozed_until < ?', [date('Y-m-d H:i:s')]);
+        }
+    }
+
+    /**
+     * Ids of the user's messages that are still snoozed
+     *
+     * @return string[]
+     */
+    public static function activeIds(int $userId): array
+    {
+        self::ensureTable();
+        $rows = Database::query(
+            'SELECT message_id FROM email_snoozes WHERE user_id = ? AND snoozed_until > ?',
+            [$userId, date('Y-m-d H:i:s')]
+        );
+        return array_column($rows, 'message_id');
+    }
+
+    /**
+     * Create the email_snoozes table if missing (see sql/email_snoozes.sql)
+     */
+    private static function ensureTable(): void
+    {
+        if (self::$tableChecked) {
+            return;
+        }
+        $exists = Database::queryOne("SHOW TABLES LIKE 'email_snoozes'");
+        if (empty($exists)) {
+            Database::execute("
+                CREATE TABLE email_snoozes (
+                    id INT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+                    user_id INT UNSIGNED NOT NULL,
+                    message_id VARCHAR(255) NOT NULL,
+                    snoozed_until DATETIME NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE KEY uniq_user_message (user_id, message_id),
+                    INDEX idx_until (snoozed_until)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            ");
+        }
+        self::$tableChecked = true;
+    }
+}
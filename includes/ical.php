@@ -0,0 +1,594 @@
+<?php
+/**
+ * iCalendar
+ *
+ * Reads VEVENTs from iCalendar (RFC 5545) documents, as served by subscribed ICS feeds
+ * and CalDAV servers, and expands them into the occurrences that fall in a date range.
+ * Recurring events follow RRULE (DAILY/WEEKLY/MONTHLY/YEARLY with INTERVAL, COUNT, UNTIL,
+ * BYDAY, BYMONTHDAY, BYMONTH, BYSETPOS), RDATE and EXDATE; single occurrences moved or
+ * edited in the source (RECURRENCE-ID) replace the generated ones. TZIDs are resolved to
+ * PHP time zones by name (IANA, Windows or a path ending in one); VTIMEZONE rules are not read.
+ */
+
+declare(strict_types=1);
+
+require_once __DIR__ . '/functions.php';
+
+class ICal
+{
+    /** Occurrences kept per recurring event and range at most, so a runaway rule can't stall a tile */
+    private const MAX_OCCURRENCES = 1000;
+
+    /** Recurrence periods (days, weeks, months or years) walked per event at most */
+    private const MAX_PERIODS = 10000;
+
+    private const WEEKDAYS = ['SU' => 0, 'MO' => 1, 'TU' => 2, 'WE' => 3, 'TH' => 4, 'FR' => 5, 'SA' => 6];
+
+    /**
+     * Occurrences of every event in $ics overlapping [$start, $end), sorted by start.
+     * Each: uid, summary, location, description, categories, transparent, allDay,
+     * start/end (DateTime in $tz; all-day events at midnight, end exclusive).
+     */
+    public static function occurrences(string $ics, DateTimeInterface $start, DateTimeInterface $end, DateTimeZone $tz): array
+    {
+        $events = [];
+        foreach (self::parseEvents($ics) as $properties) {
+            $event = self::readEvent($properties, $tz);
+            if ($event !== null) {
+                $events[] = $event;
+            }
+        }
+
+        // Occurrences edited in the source replace the generated ones
+        $overridden = [];
+        foreach ($events as $event) {
+            if ($event['recurrenceId'] !== null) {
+                $overridden[$event['uid']][$event['recurrenceId']] = true;
+            }
+        }
+
+        $rangeStart = $start->getTimestamp();
+        $rangeEnd = $end->getTimestamp();
+        $occurrences = [];
+        foreach ($events as $event) {
+            if ($event['cancelled']) {
+                continue;
+            }
+            $skip = ($event['recurrenceId'] === null ? $overridden[$event['uid']] ?? [] : []) + $event['exdates'];
+            foreach (self::expand($event, $rangeStart, $rangeEnd) as $occurrenceStart) {
+                if (isset($skip[self::recurrenceKey($occurrenceStart, $event['allDay'])])) {
+                    continue;
+                }
+                $occurrenceEnd = $event['allDay']
+                    ? $occurrenceStart->modify('+' . $event['days'] . ' days')
+                    : $occurrenceStart->modify('+' . $event['seconds'] . ' seconds');
+                if ($occurrenceStart->getTimestamp() >= $rangeEnd || $occurrenceEnd->getTimestamp() <= $rangeStart) {
+                    continue;
+                }
+                $occurrences[] = [
+                    'uid' => $event['uid'],
+                    'recurrenceKey' => self::recurrenceKey($occurrenceStart, $event['allDay']),
+                    'summary' => $event['summary'],
+                    'location' => $event['location'],
+                    'description' => $event['description'],
+                    'categories' => $event['categories'],
+                    'transparent' => $event['transparent'],
+                    'allDay' => $event['allDay'],
+                    'start' => self::toLocal($occurrenceStart, $event['allDay'], $tz),
+                    'end' => self::toLocal($occurrenceEnd, $event['allDay'], $tz),
+                ];
+            }
+        }
+
+        usort($occurrences, function ($a, $b) {
+            return $a['start'] <=> $b['start'];
+        });
+
+        return $occurrences;
+    }
+
+    /**
+     * VEVENT components as property name => list of ['value' => string, 'params' => [NAME => value]]
+     */
+    public static function parseEvents(string $ics): array
+    {
+        // Unfold continuation lines (CRLF followed by a space or tab)
+        $lines = preg_split('/\r\n|\r|\n/', preg_replace('/\r?\n[ \t]/', '', $ics));
+
+        $events = [];
+        $current = null;
+        $nested = 0;
+        foreach ($lines as $line) {
+            if ($line === '') {
+                continue;
+            }
+            $upper = strtoupper($line);
+            if ($upper === 'BEGIN:VEVENT') {
+                $current = [];
+                $nested = 0;
+                continue;
+            }
+            if ($current === null) {
+                continue;
+            }
+            if ($upper === 'END:VEVENT') {
+                $events[] = $current;
+                $current = null;
+                continue;
+            }
+            // Skip VALARMs and other components inside the event
+            if (str_starts_with($upper, 'BEGIN:')) {
+                $nested++;
+                continue;
+            }
+            if (str_starts_with($upper, 'END:')) {
+                $nested = max(0, $nested - 1);
+                continue;
+            }
+            if ($nested > 0) {
+                continue;
+            }
+
+            $property = self::parseLine($line);
+            if ($property !== null) {
+                $current[$property['name']][] = ['value' => $property['value'], 'params' => $property['params']];
+            }
+        }
+
+        return $events;
+    }
+
+    /**
+     * Split "NAME;PARAM=a;PARAM2="b:c":value" into name, params and value
+     */
+    private static function parseLine(string $line): ?array
+    {
+        if (!preg_match('/^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:,]*)(?:,(?:"[^"]*"|[^";:,]*))*)*):(.*)$/s', $line, $m)) {
+            return null;
+        }
+        $params = [];
+        if ($m[2] !== '' && preg_match_all('/;([A-Za-z0-9-]+)=((?:"[^"]*"|[^";:,]*)(?:,(?:"[^"]*"|[^";:,]*))*)/', $m[2], $pm, PREG_SET_ORDER)) {
+            foreach ($pm as $param) {
+                $params[strtoupper($param[1])] = trim($param[2], '"');
+            }
+        }
+        return ['name' => strtoupper($m[1]), 'value' => $m[3], 'params' => $params];
+    }
+
+    /**
+     * One VEVENT's fields, with start/end as DateTimeImmutable in the event's own time zone
+     */
+    private static function readEvent(array $properties, DateTimeZone $tz): ?array
+    {
+        $first = function (string $name) use ($properties): ?array {
+            return $properties[$name][0] ?? null;
+        };
+
+        $dtStart = $first('DTSTART');
+        $start = $dtStart ? self::parseDate($dtStart['value'], $dtStart['params'], $tz) : null;
+        if ($start === null) {
+            return null;
+        }
+        [$startAt, $allDay] = $start;
+
+        $endAt = null;
+        $dtEnd = $first('DTEND');
+        if ($dtEnd) {
+            $end = self::parseDate($dtEnd['value'], $dtEnd['params'], $tz);
+            $endAt = $end[0] ?? null;
+        } elseif ($duration = $first('DURATION')) {
+            try {
+                $endAt = $startAt->add(new DateInterval(ltrim(strtoupper(trim($duration['value'])), '+-')));
+            } catch (Exception $e) {
+                $endAt = null;
+            }
+        }
+        if ($endAt === null || $endAt < $startAt) {
+            $endAt = $allDay ? $startAt->modify('+1 day') : $startAt;
+        }
+
+        $recurrenceId = null;
+        if ($rid = $first('RECURRENCE-ID')) {
+            $parsed = self::parseDate($rid['value'], $rid['params'], $tz);
+            if ($parsed !== null) {
+                $recurrenceId = self::recurrenceKey($parsed[0], $allDay);
+            }
+        }
+
+        $exdates = [];
+        foreach ($properties['EXDATE'] ?? [] as $exdate) {
+            foreach (explode(',', $exdate['value']) as $value) {
+                $parsed = self::parseDate(trim($value), $exdate['params'], $tz);
+                if ($parsed !== null) {
+                    $exdates[self::recurrenceKey($parsed[0], $allDay)] = true;
+                }
+            }
+        }
+
+        $rdates = [];
+        foreach ($properties['RDATE'] ?? [] as $rdate) {
+            if (strtoupper($rdate['params']['VALUE'] ?? '') === 'PERIOD') {
+                continue;
+            }
+            foreach (explode(',', $rdate['value']) as $value) {
+                $parsed = self::parseDate(trim($value), $rdate['params'], $tz);
+                if ($parsed !== null) {
+                    $rdates[] = $parsed[0];
+                }
+            }
+        }
+
+        $categories = [];
+        foreach ($properties['CATEGORIES'] ?? [] as $category) {
+            foreach (preg_split('/(?<!\\\\),/', $category['value']) as $name) {
+                $name = trim(self::unescape($name));
+                if ($name !== '') {
+                    $categories[] = $name;
+                }
+            }
+        }
+
+        $text = function (string $name) use ($first): string {
+            $property = $first($name);
+            return $property ? trim(self::unescape($property['value'])) : '';
+        };
+        $rrule = $first('RRULE');
+
+        return [
+            'uid' => $text('UID') !== '' ? $text('UID') : md5(serialize($properties)),
+            'summary' => $text('SUMMARY'),
+            'location' => $text('LOCATION'),
+            'description' => $text('DESCRIPTION'),
+            'categories' => $categories,
+            'cancelled' => strtoupper($text('STATUS')) === 'CANCELLED',
+            'transparent' => strtoupper($text('TRANSP')) === 'TRANSPARENT',
+            'allDay' => $allDay,
+            'start' => $startAt,
+            'days' => $allDay ? max(1, (int) $startAt->diff($endAt)->days) : 0,
+            'seconds' => $endAt->getTimestamp() - $startAt->getTimestamp(),
+            'rrule' => $rrule ? self::parseRule($rrule['value'], $tz) : null,
+            'rdates' => $rdates,
+            'exdates' => $exdates,
+            'recurrenceId' => $recurrenceId,
+        ];
+    }
+
+    /**
+     * [DateTimeImmutable, allDay] for a DATE or DATE-TIME value. Floating times and
+     * dates are read in $default; "Z" times are UTC; otherwise TZID decides.
+     */
+    private static function parseDate(string $value, array $params, DateTimeZone $default): ?array
+    {
+        $value = trim($value);
+        if (strtoupper($params['VALUE'] ?? '') === 'DATE' || preg_match('/^\d{8}$/', $value)) {
+            $date = DateTimeImmutable::createFromFormat('!Ymd', substr($value, 0, 8), $default);
+            return $date ? [$date, true] : null;
+        }
+        if (!preg_match('/^(\d{8}T\d{6})(Z?)$/i', $value, $m)) {
+            return null;
+        }
+        $zone = $m[2] !== '' ? new DateTimeZone('UTC') : self::timezone($params['TZID'] ?? '', $default);
+        $date = DateTimeImmutable::createFromFormat('!Ymd\THis', strtoupper($m[1]), $zone);
+        return $date ? [$date, false] : null;
+    }
+
+    /**
+     * PHP time zone for a TZID: IANA names as-is, paths such as "/mozilla.org/20070129_1/Europe/London"
+     * by their IANA suffix, Windows names ("GMT Standard Time") via intl when available
+     */
+    private static function timezone(string $tzid, DateTimeZone $default): DateTimeZone
+    {
+        static $resolved = [];
+        $tzid = trim($tzid);
+        if ($tzid === '') {
+            return $default;
+        }
+        if (isset($resolved[$tzid])) {
+            return $resolved[$tzid];
+        }
+
+        $candidates = [$tzid];
+        if (preg_match('~([A-Za-z]+/[A-Za-z0-9_+-]+(?:/[A-Za-z0-9_+-]+)?)$~', $tzid, $m)) {
+            $candidates[] = $m[1];
+        }
+        if (class_exists('IntlTimeZone')) {
+            $windows = IntlTimeZone::getIDForWindowsID($tzid);
+            if (is_string($windows) && $windows !== '') {
+                $candidates[] = $windows;
+            }
+        }
+        foreach ($candidates as $candidate) {
+            try {
+                return $resolved[$tzid] = new DateTimeZone($candidate);
+            } catch (Exception $e) {
+                // Try the next spelling
+            }
+        }
+
+        logMessage('iCalendar: unknown TZID "' . $tzid . '", using ' . $default->getName(), 'info');
+        return $resolved[$tzid] = $default;
+    }
+
+    /**
+     * RRULE parts: freq, interval, count, until, byDay [[ordinal|null, weekday]], byMonthDay, byMonth, bySetPos
+     */
+    private static function parseRule(string $value, DateTimeZone $tz): ?array
+    {
+        $parts = [];
+        foreach (explode(';', strtoupper(trim($value))) as $part) {
+            [$key, $partValue] = array_pad(explode('=', $part, 2), 2, '');
+            $parts[$key] = $partValue;
+        }
+        $freq = $parts['FREQ'] ?? '';
+        if (!in_array($freq, ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'], true)) {
+            return null;
+        }
+
+        $ints = function (string $key) use ($parts): array {
+            if (!isset($parts[$key]) || $parts[$key] === '') {
+                return [];
+            }
+            return array_values(array_filter(array_map('intval', explode(',', $parts[$key]))));
+        };
+
+        $byDay = [];
+        foreach (isset($parts['BYDAY']) && $parts['BYDAY'] !== '' ? explode(',', $parts['BYDAY']) : [] as $day) {
+            if (preg_match('/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/', trim($day), $m)) {
+                $byDay[] = [$m[1] !== '' ? (int) $m[1] : null, self::WEEKDAYS[$m[2]]];
+            }
+        }
+
+        $until = null;
+        if (!empty($parts['UNTIL'])) {
+            $parsed = self::parseDate($parts['UNTIL'], [], $tz);
+            if ($parsed !== null) {
+                // A date-only UNTIL includes that whole day
+                $until = $parsed[1] ? $parsed[0]->modify('+1 day -1 second') : $parsed[0];
+            }
+        }
+
+        return [
+            'freq' => $freq,
+            'interval' => max(1, (int) ($parts['INTERVAL'] ?? 1)),
+            'count' => isset($parts['COUNT']) ? max(1, (int) $parts['COUNT']) : null,
+            'until' => $until,
+            'byDay' => $byDay,
+            'byMonthDay' => $ints('BYMONTHDAY'),
+            'byMonth' => $ints('BYMONTH'),
+            'bySetPos' => $ints('BYSETPOS'),
+        ];
+    }
+
+    /**
+     * Start times of an event's occurrences that may overlap [$rangeStart, $rangeEnd): DTSTART, then
+     * the rule's dates (counted from DTSTART, so COUNT holds however early the series began), then RDATEs
+     *
+     * @return DateTimeImmutable[]
+     */
+    private static function expand(array $event, int $rangeStart, int $rangeEnd): array
+    {
+        $start = $event['start'];
+        $starts = [$start];
+        $rule = $event['rrule'];
+        $length = $event['allDay'] ? $event['days'] * 86400 : $event['seconds'];
+
+        if ($rule !== null) {
+            $count = 1;
+            $utc = new DateTimeZone('UTC');
+            if ($rule['freq'] === 'WEEKLY') {
+                $period = new DateTimeImmutable($start->format('Y-m-d'), $utc);
+                $period = $period->modify('-' . (((int) $period->format('w') + 6) % 7) . ' days');
+            } elseif ($rule['freq'] === 'MONTHLY') {
+                $period = new DateTimeImmutable($start->format('Y-m') . '-01', $utc);
+            } elseif ($rule['freq'] === 'YEARLY') {
+                $period = new DateTimeImmutable($start->format('Y') . '-01-01', $utc);
+            } else {
+                $period = new DateTimeImmutable($start->format('Y-m-d'), $utc);
+            }
+            $step = ['DAILY' => 'days', 'WEEKLY' => 'weeks', 'MONTHLY' => 'months', 'YEARLY' => 'years'][$rule['freq']];
+
+            for ($i = 0; $i < self::MAX_PERIODS; $i++) {
+                $candidates = [];
+                foreach (self::periodDates($rule, $period, $start) as [$year, $month, $day]) {
+                    $candidates[] = $start->setDate($year, $month, $day);
+                }
+                foreach ($candidates as $candidate) {
+                    if ($candidate <= $start) {
+                        continue;
+                    }
+                    if (($rule['until'] !== null && $candidate > $rule['until'])
+                        || ($rule['count'] !== null && $count >= $rule['count'])
+                        || $candidate->getTimestamp() >= $rangeEnd
+                        || count($starts) >= self::MAX_OCCURRENCES) {
+                        break 2;
+                    }
+                    $count++;
+                    if ($candidate->getTimestamp() + $length > $rangeStart) {
+                        $starts[] = $candidate;
+                    }
+                }
+                $period = $period->modify('+' . $rule['interval'] . ' ' . $step);
+            }
+        }
+
+        foreach ($event['rdates'] as $rdate) {
+            $starts[] = $event['allDay'] ? $rdate : $rdate->setTimezone($start->getTimezone());
+        }
+
+        return $starts;
+    }
+
+    /**
+     * [year, month, day] of the rule's dates in one period (a day, week, month or year), in order
+     */
+    private static function periodDates(array $rule, DateTimeImmutable $period, DateTimeImmutable $start): array
+    {
+        $year = (int) $period->format('Y');
+        $weekdays = array_map(function ($day) {
+            return $day[1];
+        }, $rule['byDay']);
+        $dates = [];
+
+        switch ($rule['freq']) {
+            case 'DAILY':
+                $dates[] = [$year, (int) $period->format('n'), (int) $period->format('j')];
+                break;
+
+            case 'WEEKLY':
+                foreach ($weekdays ?: [(int) $start->format('w')] as $weekday) {
+                    $date = $period->modify('+' . (($weekday + 6) % 7) . ' days');
+                    $dates[] = [(int) $date->format('Y'), (int) $date->format('n'), (int) $date->format('j')];
+                }
+                break;
+
+            case 'MONTHLY':
+                $dates = self::setPos($rule, self::monthDates($rule, $year, (int) $period->format('n'), $start));
+                break;
+
+            case 'YEARLY':
+                $months = $rule['byMonth'] ?: [(int) $start->format('n')];
+                sort($months);
+                foreach ($months as $month) {
+                    foreach (self::monthDates($rule, $year, $month, $start) as $date) {
+                        $dates[] = $date;
+                    }
+                }
+                $dates = self::setPos($rule, $dates);
+                break;
+        }
+
+        usort($dates, function ($a, $b) {
+            return $a <=> $b;
+        });
+
+        return array_values(array_filter($dates, function ($date) use ($rule, $weekdays) {
+            [$y, $m, $d] = $date;
+            if (!checkdate($m, $d, $y)) {
+                return false;
+            }
+            if ($rule['byMonth'] && !in_array($m, $rule['byMonth'], true)) {
+                return false;
+            }
+            if ($rule['freq'] === 'DAILY') {
+                $weekday = (int) gmdate('w', gmmktime(0, 0, 0, $m, $d, $y));
+                if ($weekdays && !in_array($weekday, $weekdays, true)) {
+                    return false;
+                }
+                if ($rule['byMonthDay'] && !self::matchesMonthDay($rule['byMonthDay'], $y, $m, $d)) {
+                    return false;
+                }
+            }
+            return true;
+        }));
+    }
+
+    /**
+     * Dates in one month for MONTHLY/YEARLY rules: BYMONTHDAY, BYDAY (with optional ordinal), both, or DTSTART's day
+     */
+    private static function monthDates(array $rule, int $year, int $month, DateTimeImmutable $start): array
+    {
+        $daysInMonth = (int) gmdate('t', gmmktime(0, 0, 0, $month, 1, $year));
+        $days = [];
+
+        if ($rule['byMonthDay']) {
+            foreach ($rule['byMonthDay'] as $monthDay) {
+                $days[] = $monthDay > 0 ? $monthDay : $daysInMonth + $monthDay + 1;
+            }
+            if ($rule['byDay']) {
+                $days = array_filter($days, function ($day) use ($rule, $year, $month, $daysInMonth) {
+                    if ($day < 1 || $day > $daysInMonth) {
+                        return false;
+                    }
+                    $weekday = (int) gmdate('w', gmmktime(0, 0, 0, $month, $day, $year));
+                    foreach ($rule['byDay'] as [, $byWeekday]) {
+                        if ($byWeekday === $weekday) {
+                            return true;
+                        }
+                    }
+                    return false;
+                });
+            }
+        } elseif ($rule['byDay']) {
+            $firstWeekday = (int) gmdate('w', gmmktime(0, 0, 0, $month, 1, $year));
+            foreach ($rule['byDay'] as [$ordinal, $weekday]) {
+                $first = 1 + (($weekday - $firstWeekday + 7) % 7);
+                if ($ordinal === null) {
+                    for ($day = $first; $day <= $daysInMonth; $day += 7) {
+                        $days[] = $day;
+                    }
+                } elseif ($ordinal > 0) {
+                    $days[] = $first + ($ordinal - 1) * 7;
+                } else {
+                    $last = $first + (int) floor(($daysInMonth - $first) / 7) * 7;
+                    $days[] = $last + ($ordinal + 1) * 7;
+                }
+            }
+        } else {
+            $days[] = (int) $start->format('j');
+        }
+
+        $days = array_unique(array_filter($days, function ($day) use ($daysInMonth) {
+            return $day >= 1 && $day <= $daysInMonth;
+        }));
+        sort($days);
+
+        return array_map(function ($day) use ($year, $month) {
+            return [$year, $month, $day];
+        }, $days);
+    }
+
+    /**
+     * Apply BYSETPOS (e.g. -1 = last of the period's dates, as in "last weekday of the month")
+     */
+    private static function setPos(array $rule, array $dates): array
+    {
+        if (!$rule['bySetPos'] || !$dates) {
+            return $dates;
+        }
+        usort($dates, function ($a, $b) {
+            return $a <=> $b;
+        });
+        $picked = [];
+        foreach ($rule['bySetPos'] as $position) {
+            $index = $position > 0 ? $position - 1 : count($dates) + $position;
+            if (isset($dates[$index])) {
+                $picked[] = $dates[$index];
+            }
+        }
+        return $picked;
+    }
+
+    private static function matchesMonthDay(array $byMonthDay, int $year, int $month, int $day): bool
+    {
+        $daysInMonth = (int) gmdate('t', gmmktime(0, 0, 0, $month, 1, $year));
+        return in_array($day, $byMonthDay, true) || in_array($day - $daysInMonth - 1, $byMonthDay, true);
+    }
+
+    /**
+     * Key matching an occurrence to EXDATE and RECURRENCE-ID values: the date for all-day events, else the instant
+     */
+    private static function recurrenceKey(DateTimeImmutable $date, bool $allDay): string
+    {
+        return $allDay ? $date->format('Ymd') : (string) $date->getTimestamp();
+    }
+
+    /**
+     * Occurrence time as a DateTime in the display time zone. All-day dates are calendar dates,
+     * so they keep their day rather than shifting with the time zone.
+     */
+    private static function toLocal(DateTimeImmutable $date, bool $allDay, DateTimeZone $tz): DateTime
+    {
+        if ($allDay) {
+            return DateTime::createFromFormat('!Y-m-d', $date->format('Y-m-d'), $tz);
+        }
+        return (new DateTime('@' . $date->getTimestamp()))->setTimezone($tz);
+    }
+
+    /**
+     * Undo TEXT escaping (\n, \, \; \\)
+     */
+    private static function unescape(string $value): string
+    {
+        return strtr($value, ['\\n' => "\n", '\\N' => "\n", '\\,' => ',', '\\;' => ';', '\\\\' => '\\']);
+    }
+}
@@ -0,0 +1,107 @@
+<?php
+/**
+ * Tile Events
+ *
+ * Small per-user event log for live tile updates. Writers (task completion, notes,
+ * bookmarks, link board, cron warm-up) publish the tile types they changed, and
+ * api/events.php streams new events to open dashboards over Server-Sent Events.
+ */
+
+declare(strict_types=1);
+
+require_once __DIR__ . '/../config/database.php';
+require_once __DIR__ . '/functions.php';
+
+class TileEvents
+{
+    /** Events older than this are pruned; clients only need recent ones to catch up after a reconnect */
+    private const RETENTION_SECONDS = 3600;
+
+    private static bool $tableChecked = false;
+
+    /**
+     * Record that the given tile types changed for a user.
+     * Pass $tileId to target a single tile (e.g. one notes tile); null means every tile of those types.
+     * Never throws: a failed publish must not break the write that triggered it.
+     */
+    public static function publish(int $userId, array $tileTypes, ?int $tileId = null): void
+    {
+        $tileTypes = array_values(array_unique(array_filter(array_map('strval', $tileTypes))));
+        if ($userId <= 0 || empty($tileTypes)) {
+            return;
+        }
+
+        try {
+            self::ensureTable();
+            Database::execute(
+                'INSERT INTO tile_events (user_id, tile_types, tile_id) VALUES (?, ?, ?)',
+                [$userId, implode(',', $tileTypes), $tileId]
+            );
+            // Prune occasionally rather than on every write
+            if (random_int(1, 20) === 1) {
+                Database::execute(
+                    'DELETE FROM tile_events WHERE created_at < ?',
+                    [date('Y-m-d H:i:s', time() - self::RETENTION_SECONDS)]
+                );
+            }
+        } catch (Exception $e) {
+            logMessage('Tile event publish error: ' . $e->getMessage(), 'error');
+        }
+    }
+
+    /**
+     * Events for a user with id greater than $afterId, oldest first.
+     * Each event: ['id' => int, 'types' => string[], 'tile_id' => int|null]
+     */
+    public static function since(int $userId, int $afterId, int $limit = 50): array
+    {
+        self::ensureTable();
+        $rows = Database::query(
+            'SELECT id, tile_types, tile_id FROM tile_events WHERE user_id = ? AND id > ? ORDER BY id ASC LIMIT ' . max(1, $limit),
+            [$userId, $afterId]
+        );
+
+        return array_map(function ($row) {
+            return [
+                'id' => (int) $row['id'],
+                'types' => explode(',', $row['tile_types']),
+                'tile_id' => $row['tile_id'] !== null ? (int) $row['tile_id'] : null,
+            ];
+        }, $rows);
+    }
+
+    /**
+     * Id of the newest event for a user (0 if none), so a fresh connection only sees new events
+     */
+    public static function latestId(int $userId): int
+    {
+        self::ensureTable();
+        $row = Database::queryOne('SELECT MAX(id) AS max_id FROM tile_events WHERE user_id = ?', [$userId]);
+        return (int) ($row['max_id'] ?? 0);
+    }
+
+    /**
+     * Create the tile_events table if missing (see sql/tile_events.sql)
+     */
+    private static function ensureTable(): void
+    {
+        if (self::$tableChecked) {
+            return;
+        }
+        $exists = Database::queryOne("SHOW TABLES LIKE 'tile_events'");
+        if (empty($exists)) {
+            Database::execute("
+                CREATE TABLE tile_events (
+                    id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+                    user_id INT UNSIGNED NOT NULL,
+                    tile_types VARCHAR(255) NOT NULL,
+                    tile_id INT UNSIGNED NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_user_id (user_id, id),
+                    INDEX idx_created (created_at)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            ");
+        }
+        self::$tableChecked = true;
+    }
+}
@@ -16,11 +16,19 @@
         suggestionsEndpoint: '/api/claude/suggestions.php',
         reorderEndpoint: '/api/tiles-reorder.php',
         moveScreenEndpoint: '/api/tiles-move-screen.php',
+        screensEndpoint: '/api/screens.php',
         resizeEndpoint: '/api/tiles-resize.php',
         notesEndpoint: '/api/notes.php',
         bookmarksEndpoint: '/api/bookmarks.php',
         linkBoardEndpoint: '/api/link-board.php',
         tasksEndpoint: '/api/tasks.php',
+        emailEndpoint: '/api/email.php',
+        emailFilterEndpoint: '/api/email-filter.php',
+        calendarEventEndpoint: '/api/calendar-event.php',
+        calendarSelectionEndpoint: '/api/calendar-selection.php',
+        eventsEndpoint: '/api/events.php',
+        liveUpdates: window.LIVE_UPDATES_ENABLED !== false,
+        kiosk: window.KIOSK_MODE || null, // { rotate_seconds, text_scale, screens } when opened via kiosk.php
         gridColumns: 4, // Number of columns in the grid
         gridCellSize: 200 // Minimum cell size in pixels (approximate)
     };
@@ -30,7 +38,7 @@
         : { main: 'Main', screen2: 'Screen 2' };
 
     /**
-     * Get the tiles container for the currently visible dashboard tab (Main or Screen 2).
+     * Get the tiles container for the currently visible dashboard tab.
      */
     function getActiveTilesContainer() {
         const panel = document.querySelector('.dashboard-panel:not(.hidden)');
@@ -57,6 +65,43 @@
     let resizeStartY = 0;
     let resizeStartColSpan = 1;
     let resizeStartRowSpan = 1;
+    let dashboardInitialized = false;
+    const tileState = new WeakMap(); // tile element -> { dataJson, updatedAt, error } for the last rendered data
+    const eventListeners = new Map(); // event name -> Set of handlers
+
+    /**
+     * Subscribe to a dashboard event; returns an unsubscribe function
+     */
+    function onDashboardEvent(name, handler) {
+        if (!eventListeners.has(name)) eventListeners.set(name, new Set());
+        eventListeners.get(name).add(handler);
+        return () => offDashboardEvent(name, handler);
+    }
+
+    /**
+     * Remove a dashboard event handler
+     */
+    function offDashboardEvent(name, handler) {
+        const handlers = eventListeners.get(name);
+        if (handlers) handlers.delete(handler);
+    }
+
+    /**
+     * Emit a dashboard event to subscribers and as a "crashboard:<name>" DOM event on document
+     */
+    function emitDashboardEvent(name, detail) {
+        const handlers = eventListeners.get(name);
+        if (handlers) {
+            handlers.forEach(handler => {
+                try {
+                    handler(detail);
+                } catch (e) {
+                    console.error('Dashboard event handler error:', { name, error: e });
+                }
+            });
+        }
+        document.dispatchEvent(new CustomEvent('crashboard:' + name, { detail }));
+    }
 
     /**
      * Initialize the dashboard
@@ -64,9 +109,12 @@
     function init() {
         // Load all tiles on page load (with flag to trigger suggestions after all tiles load)
         loadAllTiles(true);
+        dashboardInitialized = true;
 
         // Setup event listeners
         setupRefreshButtons();
+        setupEmailTileButtons();
+        setupCalendarTileButtons();
         setupAutoRefresh();
         setupClaudeInterface();
         setupReorderMode();
@@ -74,6 +122,11 @@
         setupHeaderRollover();
         setupHeaderMenuButton();
         setupTileResize();
+        setupLiveUpdates();
+        setupOfflineMode();
+        setupCommandPalette();
+        setupKeyboardNavigation();
+        setupKioskMode();
         
         // Add global resize event listeners (only once)
         if (!window.tileResizeListenersAdded) {
@@ -93,6 +146,7 @@
         setInterval(updateSessionExpiryDisplay, 1000); // Update every second (real-time countdown)
         updateLastUpdateDisplay();
         setInterval(updateLastUpdateDisplay, 30000); // Update every 30 seconds
+        setInterval(updateTileUpdatedIndicators, 15000); // Per-tile "updated Xs ago"
     }
 
     /**
@@ -130,6 +184,11 @@
         if (!els.length) return;
         const isPrivate = window.SESSION_PRIVATE_COMPUTER === true;
         const expiresAt = window.SESSION_EXPIRES_AT;
+        // Kiosk sessions are long-lived and must never bounce a wall display to the login page
+        if (CONFIG.kiosk) {
+            els.forEach(el => { el.textContent = 'Kiosk: no expiry'; el.title = 'Kiosk session; ends when the kiosk link is regenerated or disabled.'; });
+            return;
+        }
         if (isPrivate) {
             const title = 'You signed in on a private computer; session does not expire.';
             els.forEach(el => { el.textContent = 'Session: no expiry'; el.title = title; });
@@ -160,28 +219,32 @@
             tilesLoadedCount = 0;
             totalTilesToLoad = 0;
 
-            // Count tiles we actually load (exclude claude, notes, notes-list, bookmarks)
+            // Count registered tiles whose data feeds AI suggestions
             tiles.forEach(tile => {
-                const t = tile.dataset.tileType;
-                if (t && t !== 'claude' && t !== 'notes' && t !== 'notes-list' && t !== 'bookmarks' && t !== 'link-board') {
+                const def = getTileType(tile.dataset.tileType);
+                if (def && def.feedsSuggestions && typeof def.init !== 'function') {
                     totalTilesToLoad++;
                 }
             });
         }
 
+        const toFetch = [];
         tiles.forEach(tile => {
-            const tileType = tile.dataset.tileType;
-            if (tileType === 'claude') {
-                // Initialize Claude tile structure if needed
-                initializeClaudeTile(tile);
-            } else if (tileType === 'notes' || tileType === 'notes-list' || tileType === 'bookmarks' || tileType === 'link-board') {
-                // Notes, bookmarks, and link-board tiles don't need to be tracked for suggestions
-                loadTileData(tile, false);
+            const def = getTileType(tile.dataset.tileType);
+            // Unregistered types may belong to an add-on script that has not loaded yet; registerTileType loads them
+            if (!def) return;
+            if (typeof def.init === 'function') {
+                def.init(tile);
             } else {
-                loadTileData(tile, loadSuggestionsAfter);
+                toFetch.push({ tile, track: loadSuggestionsAfter && def.feedsSuggestions });
             }
         });
 
+        // Tiles on the visible screen first, so they render before the hidden ones
+        const activeGrid = getActiveTilesContainer();
+        toFetch.sort((a, b) => (activeGrid.contains(b.tile) ? 1 : 0) - (activeGrid.contains(a.tile) ? 1 : 0));
+        loadTilesBatch(toFetch);
+
         // If no tiles to load, trigger suggestions immediately
         if (loadSuggestionsAfter && totalTilesToLoad === 0) {
             loadAISuggestions();
@@ -239,12 +302,12 @@
     }
 
     /**
-     * Load data for a single tile
+     * Load data for a single tile. options.force re-renders even when the data is unchanged, for callers
+     * that changed the tile's DOM optimistically and need the server's state back on screen.
      */
-    async function loadTileData(tile, trackForSuggestions = false) {
+    async function loadTileData(tile, trackForSuggestions = false, options = {}) {
         const tileType = tile.dataset.tileType;
         const tileId = parseInt(tile.dataset.tileId) || 0;
-        const content = tile.querySelector('.tile-content-inner') || tile.querySelector('.tile-content');
         const refreshBtn = tile.querySelector('.tile-refresh');
         
         // Debug logging for notes tiles
@@ -252,16 +315,11 @@
             console.log('Loading notes tile:', { tileType, tileId, element: tile });
         }
 
-        // Show loading state
-        content.innerHTML = `
-            <div class="tile-loading">
-                <div class="loading-spinner"></div>
-                <p>Loading...</p>
-            </div>
-        `;
-
-        if (refreshBtn) {
-            refreshBtn.classList.add('refreshing');
+        // Stale-while-revalidate: keep showing rendered content and only spin the refresh icon
+        if (tileState.has(tile)) {
+            if (refreshBtn) refreshBtn.classList.add('refreshing');
+        } else {
+            showTileLoading(tile);
         }
 
         try {
@@ -272,17 +330,16 @@
                     'X-CSRF-TOKEN': CONFIG.csrfToken,
                     'X-Requested-With': 'XMLHttpRequest'
                 },
-                body: JSON.stringify({
+                body: JSON.stringify(Object.assign({
                     type: tileType,
                     tile_id: tileId
-                })
+                }, getTileRequestParams(tile)))
             });
 
             // Check if response is ok
             if (!response.ok) {
                 if (response.status === 401) {
-                    // Session ended; redirect to login instead of showing Unauthorized on every tile
-                    window.location.href = '/login.php?redirect=' + encodeURIComponent(window.location.pathname + window.location.search);
+                    redirectToLogin();
                     return;
                 }
                 let errorMessage = 'Failed to load data';
@@ -292,46 +349,311 @@
                 } catch (e) {
                     errorMessage = response.statusText || errorMessage;
                 }
-                showTileError(content, errorMessage);
+                applyTileResult(tile, { error: errorMessage }, options);
                 return;
             }
 
             const data = await response.json();
 
+            // The user has paged the calendar on since this request went out (responses to quick ‹/› clicks
+            // arrive in any order); keep what's shown and let the newer request render
+            if (tileState.has(tile) && isStaleCalendarResponse(tile, data)) {
+                return;
+            }
+
             // Debug logging for notes tiles
             if (tileType === 'notes') {
                 console.log('Notes tile response:', data);
             }
 
-            if (data.error) {
-                console.error('Tile API error:', { tileType, tileId, error: data.error });
-                showTileError(content, data.error);
-            } else {
-                renderTileContent(tileType, content, data, tile);
-            }
+            applyTileResult(tile, data, options);
         } catch (error) {
             console.error('Error loading tile:', { tileType, tileId, error });
-            showTileError(content, 'Failed to load data. Please try again.');
+            applyTileResult(tile, { error: 'Failed to load data. Please try again.' }, options);
         } finally {
             if (refreshBtn) {
                 refreshBtn.classList.remove('refreshing');
             }
-
-            // Track tile load completion for suggestions
             if (trackForSuggestions) {
-                tilesLoadedCount++;
-                console.log(`Tile loaded: ${tileType} (${tilesLoadedCount}/${totalTilesToLoad})`);
-
-                // When all tiles are loaded, fetch suggestions
-                if (tilesLoadedCount >= totalTilesToLoad) {
-                    console.log('All tiles loaded, fetching AI suggestions...');
-                    // Small delay to ensure cache is written
-                    setTimeout(loadAISuggestions, 500);
+                trackTileLoadedForSuggestions(tileType);
+            }
+        }
+    }
+
+    /**
+     * Load several tiles with one streamed request; each tile renders as its line of the response arrives.
+     * entries: [{ tile, track }] where track counts the tile towards the AI suggestions trigger.
+     * Falls back to one request per tile if the batch request fails.
+     */
+    async function loadTilesBatch(entries) {
+        if (!entries.length) return;
+        const pending = new Map();
+        entries.forEach((entry, index) => {
+            pending.set(String(index), entry);
+            showTileLoading(entry.tile);
+        });
+
+        const finish = (key, data) => {
+            const entry = pending.get(String(key));
+            if (!entry) return;
+            pending.delete(String(key));
+            const refreshBtn = entry.tile.querySelector('.tile-refresh');
+            if (refreshBtn) refreshBtn.classList.remove('refreshing');
+            try {
+                applyTileResult(entry.tile, data);
+            } catch (error) {
+                // A renderer that throws mustn't leave the spinner up or stop the rest of the stream
+                console.error('Tile render failed:', error);
+                applyTileResult(entry.tile, { error: 'Failed to load data. Please try again.' }, { force: true });
+            }
+            if (entry.track) trackTileLoadedForSuggestions(entry.tile.dataset.tileType);
+        };
+
+        try {
+            const response = await fetch(CONFIG.apiEndpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-TOKEN': CONFIG.csrfToken,
+                    'X-Requested-With': 'XMLHttpRequest'
+                },
+                body: JSON.stringify({
+                    tiles: entries.map((entry, index) => Object.assign({
+                        key: index,
+                        type: entry.tile.dataset.tileType,
+                        tile_id: parseInt(entry.tile.dataset.tileId) || 0
+                    }, getTileRequestParams(entry.tile)))
+                })
+            });
+
+            if (response.status === 401) {
+                redirectToLogin();
+                return;
+            }
+            if (!response.ok || !response.body) {
+                throw new Error('Batch request failed: ' + response.status);
+            }
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            const handleLine = (line) => {
+                if (!line.trim()) return;
+                let part;
+                try {
+                    part = JSON.parse(line);
+                } catch (error) {
+                    // Its tile stays pending and is loaded on its own below
+                    console.error('Unreadable batch line:', error);
+                    return;
                 }
+                finish(part.key, part.error ? { error: part.error } : part.data);
+            };
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += decoder.decode(value, { stream: true });
+                let newline;
+                while ((newline = buffer.indexOf('\n')) !== -1) {
+                    handleLine(buffer.slice(0, newline));
+                    buffer = buffer.slice(newline + 1);
+                }
+            }
+            handleLine(buffer + decoder.decode());
+        } catch (error) {
+            console.error('Batch tile load failed, loading tiles individually:', error);
+        }
+
+        // Anything the batch did not deliver is loaded the old way
+        pending.forEach(entry => loadTileData(entry.tile, entry.track));
+    }
+
+    /**
+     * Extra tile API parameters for tiles whose request depends on UI state (e.g. the calendar's date range)
+     */
+    function getTileRequestParams(tile) {
+        if (tile.dataset.tileType === 'calendar') {
+            const range = getCalendarRange(tile);
+            return { start: range.start, days: range.days };
+        }
+        if (tile.dataset.tileType === 'flagged-email' && tile.dataset.flaggedExclude) {
+            return { exclude: tile.dataset.flaggedExclude };
+        }
+        return {};
+    }
+
+    /**
+     * Show the loading spinner in a tile
+     */
+    function showTileLoading(tile) {
+        const content = tile.querySelector('.tile-content-inner') || tile.querySelector('.tile-content');
+        const refreshBtn = tile.querySelector('.tile-refresh');
+        content.innerHTML = `
+            <div class="tile-loading">
+                <div class="loading-spinner"></div>
+                <p>Loading...</p>
+            </div>
+        `;
+        if (refreshBtn) {
+            refreshBtn.classList.add('refreshing');
+        }
+    }
+
+    /**
+     * Render a tile API result (data or { error }) and emit tile:loaded / tile:error.
+     * Unchanged data is not re-rendered; a failed refresh keeps the last good content on screen.
+     * With options.force the data is always rendered, and an error replaces the content: what's on
+     * screen is known to be out of step with the server.
+     */
+    function applyTileResult(tile, data, options = {}) {
+        const tileType = tile.dataset.tileType;
+        const tileId = parseInt(tile.dataset.tileId) || 0;
+        const content = tile.querySelector('.tile-content-inner') || tile.querySelector('.tile-content');
+        const state = tileState.get(tile);
+        if (data.error) {
+            console.error('Tile API error:', { tileType, tileId, error: data.error });
+            if (state && !options.force) {
+                state.error = data.error;
+            } else {
+                showTileError(content, data.error);
+                tileState.delete(tile);
+            }
+            emitDashboardEvent('tile:error', { tile, tileId, type: tileType, error: data.error });
+        } else {
+            const dataJson = JSON.stringify(data);
+            const changed = !state || options.force || state.dataJson !== dataJson;
+            if (changed) {
+                const scrollPositions = captureScrollPositions(content);
+                renderTileContent(tileType, content, data, tile);
+                restoreScrollPositions(content, scrollPositions);
+            }
+            tileState.set(tile, {
+                dataJson,
+                updatedAt: data._offline ? data._offline.updated_at : Date.now(),
+                error: null
+            });
+            emitDashboardEvent('tile:loaded', { tile, tileId, type: tileType, data, changed });
+        }
+        updateTileOfflineBadge(tile, data._offline || null);
+        updateTileUpdatedIndicator(tile);
+    }
+
+    /**
+     * Record scroll offsets of the container and its scrolled descendants (by document order)
+     */
+    function captureScrollPositions(container) {
+        const positions = [];
+        [container, ...container.querySelectorAll('*')].forEach((el, index) => {
+            if (el.scrollTop > 0 || el.scrollLeft > 0) {
+                positions.push({ index, top: el.scrollTop, left: el.scrollLeft });
+            }
+        });
+        return positions;
+    }
+
+    /**
+     * Re-apply scroll offsets after a re-render (matched by document order, which is stable for same-shaped content)
+     */
+    function restoreScrollPositions(container, positions) {
+        if (!positions.length) return;
+        const elements = [container, ...container.querySelectorAll('*')];
+        positions.forEach(pos => {
+            const el = elements[pos.index];
+            if (el) {
+                el.scrollTop = pos.top;
+                el.scrollLeft = pos.left;
             }
+        });
+    }
+
+    /**
+     * Format how long ago a tile was updated ("just now", "45s ago", "3m ago", "2h ago")
+     */
+    function formatUpdatedAgo(timestamp) {
+        const seconds = Math.max(0, Math.floor((Date.now() - timestamp) / 1000));
+        if (seconds < 10) return 'just now';
+        if (seconds < 60) return seconds + 's ago';
+        if (seconds < 3600) return Math.floor(seconds / 60) + 'm ago';
+        return Math.floor(seconds / 3600) + 'h ago';
+    }
+
+    /**
+     * Update the small "updated Xs ago" indicator in a tile header
+     */
+    function updateTileUpdatedIndicator(tile) {
+        const header = tile.querySelector('.tile-header');
+        const state = tileState.get(tile);
+        if (!header || !state) return;
+        let indicator = header.querySelector('.tile-updated');
+        if (!indicator) {
+            indicator = document.createElement('span');
+            indicator.className = 'tile-updated';
+            header.insertBefore(indicator, header.querySelector('.tile-refresh') || null);
+        }
+        const updatedAt = new Date(state.updatedAt);
+        if (state.error) {
+            indicator.textContent = 'update failed';
+            indicator.title = state.error + ' Showing data from ' + updatedAt.toLocaleTimeString() + '.';
+            indicator.classList.add('tile-updated-error');
+        } else {
+            indicator.textContent = formatUpdatedAgo(state.updatedAt);
+            indicator.title = 'Updated at ' + updatedAt.toLocaleTimeString();
+            indicator.classList.remove('tile-updated-error');
+        }
+    }
+
+    /**
+     * Refresh every tile's "updated Xs ago" indicator
+     */
+    function updateTileUpdatedIndicators() {
+        document.querySelectorAll('.tile[data-tile-type]').forEach(updateTileUpdatedIndicator);
+    }
+
+    /**
+     * Show or clear the "offline – last updated HH:MM" badge (data served from the service worker cache)
+     */
+    function updateTileOfflineBadge(tile, offline) {
+        const header = tile.querySelector('.tile-header');
+        if (!header) return;
+        let badge = header.querySelector('.tile-offline-badge');
+        tile.classList.toggle('tile-offline', !!offline);
+        if (!offline) {
+            if (badge) badge.remove();
+            return;
+        }
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'tile-offline-badge';
+            const refreshBtn = header.querySelector('.tile-refresh');
+            header.insertBefore(badge, refreshBtn || null);
+        }
+        const updatedAt = new Date(offline.updated_at);
+        badge.textContent = 'Offline – last updated ' + updatedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        badge.title = 'Showing saved data from ' + updatedAt.toLocaleString() + '. It will refresh when you are back online.';
+    }
+
+    /**
+     * Count a tile towards the initial load; fetch AI suggestions once all tracked tiles are in
+     */
+    function trackTileLoadedForSuggestions(tileType) {
+        tilesLoadedCount++;
+        console.log(`Tile loaded: ${tileType} (${tilesLoadedCount}/${totalTilesToLoad})`);
+
+        // When all tiles are loaded, fetch suggestions
+        if (tilesLoadedCount === totalTilesToLoad) {
+            console.log('All tiles loaded, fetching AI suggestions...');
+            // Small delay to ensure cache is written
+            setTimeout(loadAISuggestions, 500);
         }
     }
 
+    /**
+     * Session ended; redirect to login instead of showing Unauthorized on every tile
+     */
+    function redirectToLogin() {
+        window.location.href = '/login.php?redirect=' + encodeURIComponent(window.location.pathname + window.location.search);
+    }
+
     /**
      * Show error state in tile
      */
@@ -349,73 +671,143 @@
         }
     }
 
+    /**
+     * Tile type registry. Each type declares how it is rendered and how it behaves:
+     *   render(container, data, tileElement) - draw the tile content (required)
+     *   init(tileElement)       - optional; called instead of fetching data (e.g. the Claude tile)
+     *   autoRefresh             - poll on the tile's refresh interval (default true)
+     *   feedsSuggestions        - count towards the initial load that triggers AI suggestions (default true)
+     *   disconnected            - optional { message, linkText, href } shown when data.connected === false
+     *   emptyState              - optional { message, subtext, isEmpty(data) } shown when isEmpty returns true
+     * Add-on scripts register their own types via window.CrashBoardTiles.register().
+     */
+    const tileTypes = new Map();
+
+    /**
+     * Register (or replace) a tile type definition
+     */
+    function registerTileType(type, definition) {
+        if (!type || !definition || (typeof definition.render !== 'function' && typeof definition.init !== 'function')) {
+            console.error('Invalid tile type definition:', type);
+            return;
+        }
+        tileTypes.set(type, Object.assign({
+            autoRefresh: true,
+            feedsSuggestions: true,
+            disconnected: null,
+            emptyState: null
+        }, definition));
+
+        // Tiles of this type already on the page were skipped during the initial load; load them now
+        if (dashboardInitialized) {
+            document.querySelectorAll('.tile[data-tile-type="' + type + '"]').forEach(tile => {
+                startTile(tile, false);
+                setupTileRefreshTimer(tile);
+            });
+        }
+    }
+
+    /**
+     * Get the registered definition for a tile type (null if unknown)
+     */
+    function getTileType(type) {
+        return tileTypes.get(type) || null;
+    }
+
+    /**
+     * Start a tile: run its init hook or fetch its data
+     */
+    function startTile(tile, trackForSuggestions) {
+        const def = getTileType(tile.dataset.tileType);
+        if (def && typeof def.init === 'function') {
+            def.init(tile);
+        } else {
+            loadTileData(tile, trackForSuggestions);
+        }
+    }
+
     /**
      * Render tile content based on type
      */
     function renderTileContent(type, container, data, tileElement = null) {
-        switch (type) {
-            case 'email':
-                renderEmailTile(container, data);
-                break;
-            case 'calendar':
-                renderCalendarTile(container, data);
-                break;
-            case 'todo':
-                renderTodoTile(container, data, tileElement);
-                break;
-            case 'todo-personal':
-                renderTodoTile(container, data, tileElement);
-                break;
-            case 'crm':
-                renderCrmTile(container, data);
-                break;
-            case 'weather':
-                renderWeatherTile(container, data);
-                break;
-            case 'notes':
-                renderNotesTile(container, data, tileElement);
-                break;
-            case 'notes-list':
-                renderNotesListTile(container, data);
-                break;
-            case 'bookmarks':
-                renderBookmarksTile(container, data, tileElement);
-                break;
-            case 'link-board':
-                renderLinkBoardTile(container, data, tileElement);
-                break;
-            case 'calendar-next':
-                renderCalendarNextTile(container, data);
-                break;
-            case 'next-event':
-                renderNextEventTile(container, data);
-                break;
-            case 'flagged-email':
-                renderFlaggedEmailTile(container, data);
-                break;
-            case 'flagged-email-count':
-                renderFlaggedEmailCountTile(container, data);
-                break;
-            case 'overdue-tasks-count':
-                renderOverdueTasksCountTile(container, data);
-                break;
-            case 'calendar-heatmap':
-                renderCalendarHeatmapTile(container, data);
-                break;
-            case 'availability':
-                renderAvailabilityTile(container, data);
-                break;
-            case 'train-departures':
-                renderTrainDeparturesTile(container, data);
-                break;
-            case 'planner-overview':
-                renderPlannerOverviewTile(container, data, tileElement);
-                break;
-            default:
-                container.innerHTML = '<p class="text-gray-500 text-sm">Unknown tile type</p>';
+        const def = getTileType(type);
+        if (!def || typeof def.render !== 'function') {
+            container.innerHTML = '<p class="text-gray-500 text-sm">Unknown tile type</p>';
+            return;
         }
+        if (def.disconnected && data && data.connected === false) {
+            renderTileDisconnected(container, def.disconnected);
+            return;
+        }
+        if (def.emptyState && typeof def.emptyState.isEmpty === 'function' && def.emptyState.isEmpty(data)) {
+            renderTileEmptyState(container, def.emptyState);
+            return;
+        }
+        def.render(container, data, tileElement);
+    }
+
+    /**
+     * Render the standard "connect your account" placeholder
+     */
+    function renderTileDisconnected(container, state) {
+        const href = state.href || '/settings.php';
+        const linkText = state.linkText || 'Connect Account';
+        container.innerHTML = '<div class="tile-placeholder"><p>' + escapeHtml(state.message || 'Connect an account to view this tile') + '</p><a href="' + escapeHtml(href) + '" class="tile-connect-btn">' + escapeHtml(linkText) + '</a></div>';
     }
 
+    /**
+     * Render the standard empty state
+     */
+    function renderTileEmptyState(container, state) {
+        container.innerHTML = '<div class="empty-state"><p class="empty-state-text">' + escapeHtml(state.message || 'Nothing to show') + '</p>' +
+            (state.subtext ? '<p class="empty-state-subtext">' + escapeHtml(state.subtext) + '</p>' : '') + '</div>';
+    }
+
+    registerTileType('claude', { init: initializeClaudeTile, autoRefresh: false, feedsSuggestions: false });
+    registerTileType('email', { render: renderEmailTile });
+    registerTileType('calendar', { render: renderCalendarTile });
+    registerTileType('calendar-heatmap', {
+        render: renderCalendarHeatmapTile,
+        disconnected: { message: 'Connect Microsoft 365 or add a calendar feed to view calendar heat map' }
+    });
+    registerTileType('calendar-next', {
+        render: renderCalendarNextTile,
+        disconnected: { message: 'Connect Microsoft 365 or add a calendar feed to view your next event' }
+    });
+    registerTileType('next-event', { render: renderNextEventTile });
+    registerTileType('availability', { render: renderAvailabilityTile });
+    registerTileType('todo', { render: renderTodoTile });
+    registerTileType('todo-personal', { render: renderTodoTile });
+    registerTileType('planner-overview', { render: renderPlannerOverviewTile });
+    registerTileType('crm', { render: renderCrmTile });
+    registerTileType('weather', { render: renderWeatherTile });
+    registerTileType('train-departures', { render: renderTrainDeparturesTile });
+    registerTileType('flagged-email', {
+        render: renderFlaggedEmailTile,
+        disconnected: { message: 'Connect Microsoft 365 to surface flagged emails' }
+    });
+    registerTileType('flagged-email-count', {
+        render: renderFlaggedEmailCountTile,
+        disconnected: { message: 'Connect Microsoft 365 to view flagged email count' }
+    });
+    registerTileType('overdue-tasks-count', {
+        render: renderOverdueTasksCountTile,
+        disconnected: { message: 'Connect Microsoft 365 to view overdue tasks count' }
+    });
+    registerTileType('notes', { render: renderNotesTile, autoRefresh: false, feedsSuggestions: false });
+    registerTileType('notes-list', { render: renderNotesListTile, autoRefresh: false, feedsSuggestions: false });
+    registerTileType('bookmarks', { render: renderBookmarksTile, autoRefresh: false, feedsSuggestions: false });
+    registerTileType('link-board', { render: renderLinkBoardTile, autoRefresh: false, feedsSuggestions: false });
+
+    // Add-on scripts loaded before this file may queue definitions as window.CrashBoardTiles = [[type, definition], ...]
+    const queuedTileTypes = Array.isArray(window.CrashBoardTiles) ? window.CrashBoardTiles : [];
+    window.CrashBoardTiles = {
+        register: registerTileType,
+        get: getTileType,
+        types: () => Array.from(tileTypes.keys())
+    };
+    queuedTileTypes.forEach(entry => registerTileType(entry[0], entry[1]));
+
     /**
      * Render email tile
      */
@@ -436,63 +828,298 @@
                     <svg class="empty-state-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z"/>
                     </svg>
-                    <p class="empty-state-text">No unread emails</p>
+                    <p class="empty-state-text">${data.filtered ? "No matching emails" : "No unread emails"}</p>
                 </div>
             `;
             return;
         }
 
-        const unreadSvg = "<svg class=\"email-status-icon\" viewBox=\"0 0 24 24\" fill=\"currentColor\" aria-hidden=\"true\"><circle cx=\"12\" cy=\"12\" r=\"4\"/></svg>";
-        const flagSvg = "<svg class=\"email-status-icon\" viewBox=\"0 0 24 24\" fill=\"none\" stroke=\"currentColor\" stroke-width=\"2\" stroke-linecap=\"round\" stroke-linejoin=\"round\" aria-hidden=\"true\"><path d=\"M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z\"/><line x1=\"4\" y1=\"22\" x2=\"4\" y2=\"15\"/></svg>";
-        const emailsHtml = data.emails.map(function(email) {
-            var icons = "";
-            if (!email.isRead) icons += "<span class=\"email-icon email-icon-unread\" title=\"Unread\">" + unreadSvg + "</span>";
-            if (email.isFlagged) icons += "<span class=\"email-icon email-icon-flagged\" title=\"Flagged\">" + flagSvg + "</span>";
-            var statusHtml = icons ? "<span class=\"email-status-icons\">" + icons + "</span>" : "";
-            var previewFull = (email.previewFull != null && email.previewFull !== "") ? email.previewFull : (email.preview || "");
-            var receivedDt = email.receivedDateTime || "";
-            return "<li class=\"email-item email-item-clickable " + (email.isRead ? "" : "unread") + "\" data-email-subject=\"" + escapeHtml(email.subject) + "\" data-email-from=\"" + escapeHtml(email.from) + "\" data-email-preview-full=\"" + escapeHtml(previewFull) + "\" data-email-received-time=\"" + escapeHtml(email.receivedTime || "") + "\" data-email-received-datetime=\"" + escapeHtml(receivedDt) + "\"><div class=\"email-item-first-row\">" + statusHtml + "<div class=\"email-from-time\"><span class=\"email-from\">" + escapeHtml(email.from) + "</span><span class=\"email-time\">" + escapeHtml(email.receivedTime) + "</span></div></div><div class=\"email-subject\">" + escapeHtml(email.subject) + "</div><div class=\"email-preview\">" + escapeHtml(email.preview) + "</div></li>";
-        }).join("");
+        const tile = container.closest(".tile");
+        const view = tile && tile.dataset.emailView;
+        let emailsHtml;
+        if (view === "threads" || view === "senders") {
+            const expanded = getExpandedEmailGroups(tile);
+            emailsHtml = groupEmails(data.emails, view).map(function(group) {
+                return emailGroupHtml(group, view, expanded.has(group.key));
+            }).join("");
+        } else {
+            emailsHtml = data.emails.map(function(email) { return emailItemHtml(email, ""); }).join("");
+        }
 
         var moreHtml = data.unreadCount > data.emails.length ? "<p class=\"text-xs text-gray-500 mt-3 text-center\">+" + (data.unreadCount - data.emails.length) + " more unread</p>" : "";
         container.innerHTML = "<ul class=\"email-list\">" + emailsHtml + "</ul>" + moreHtml + "<div class=\"tile-content-bottom-pad\" aria-hidden=\"true\"></div>";
 
+        container.querySelectorAll(".email-group-toggle").forEach(function(toggle) {
+            toggle.addEventListener("click", function(e) {
+                e.stopPropagation();
+                toggleEmailGroup(tile, this.closest(".email-group"));
+            });
+        });
+
         container.querySelectorAll(".email-item-clickable").forEach(function(item) {
-            item.addEventListener("click", function() {
-                var email = {
-                    subject: this.dataset.emailSubject || "(No Subject)",
-                    from: this.dataset.emailFrom || "",
-                    previewFull: this.dataset.emailPreviewFull || "",
-                    receivedTime: this.dataset.emailReceivedTime || "",
-                    receivedDateTime: this.dataset.emailReceivedDatetime || ""
-                };
-                openEmailDetailOverlay(email);
+            item.addEventListener("click", function(e) {
+                var actionBtn = e.target.closest(".email-item-action");
+                if (actionBtn) {
+                    e.stopPropagation();
+                    runEmailItemAction(this, actionBtn.dataset.emailAction);
+                    return;
+                }
+                // A swipe that just ended is not a click
+                if (this.dataset.swiped === "1") {
+                    delete this.dataset.swiped;
+                    return;
+                }
+                openEmailDetailOverlay(getEmailFromItem(this));
             });
+            if (item.dataset.emailId) setupEmailItemSwipe(item);
         });
     }
 
-    function formatEmailDateTime(isoString) {
-        if (!isoString) return "";
-        try {
-            var d = new Date(isoString);
-            if (isNaN(d.getTime())) return "";
-            return d.toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
-        } catch (e) {
-            return "";
+    /**
+     * One message row in the email tile
+     */
+    function emailItemHtml(email, extraFirstRowHtml) {
+        var previewFull = (email.previewFull != null && email.previewFull !== "") ? email.previewFull : (email.preview || "");
+        var receivedDt = email.receivedDateTime || "";
+        return "<li class=\"email-item email-item-clickable " + (email.isRead ? "" : "unread") + "\" data-email-id=\"" + escapeHtml(email.id || "") + "\" data-email-read=\"" + (email.isRead ? "1" : "0") + "\" data-email-flagged=\"" + (email.isFlagged ? "1" : "0") + "\" data-email-subject=\"" + escapeHtml(email.subject) + "\" data-email-from=\"" + escapeHtml(email.from) + "\" data-email-preview-full=\"" + escapeHtml(previewFull) + "\" data-email-received-time=\"" + escapeHtml(email.receivedTime || "") + "\" data-email-received-datetime=\"" + escapeHtml(receivedDt) + "\"><div class=\"email-item-first-row\"><span class=\"email-status-icons\">" + emailStatusIconsHtml(email.isRead, email.isFlagged) + "</span><div class=\"email-from-time\"><span class=\"email-from\">" + escapeHtml(email.from) + "</span><span class=\"email-time\">" + escapeHtml(email.receivedTime) + "</span></div>" + extraFirstRowHtml + (email.id ? emailItemActionsHtml() : "") + "</div><div class=\"email-subject\">" + escapeHtml(email.subject) + "</div><div class=\"email-preview\">" + escapeHtml(email.preview) + "</div></li>";
+    }
+
+    /**
+     * Group emails (already newest first) by conversation or by sender; groups keep the order of their newest message
+     */
+    function groupEmails(emails, view) {
+        const groups = new Map();
+        emails.forEach(function(email) {
+            const key = view === "threads"
+                ? (email.conversationId || email.id || "")
+                : (email.fromAddress || email.from || "").toLowerCase();
+            if (!groups.has(key)) groups.set(key, { key: key, emails: [] });
+            groups.get(key).emails.push(email);
+        });
+        return Array.from(groups.values());
+    }
+
+    /**
+     * A conversation (newest message shown, older ones when expanded) or a sender group (header, messages when expanded)
+     */
+    function emailGroupHtml(group, view, isExpanded) {
+        const count = group.emails.length;
+        const latest = group.emails[0];
+        const unread = group.emails.filter(function(email) { return !email.isRead; }).length;
+        const classes = "email-group email-group-" + view + (isExpanded ? " expanded" : "");
+        if (view === "threads") {
+            if (count === 1) return emailItemHtml(latest, "");
+            const toggle = "<button type=\"button\" class=\"email-group-toggle email-thread-count\" aria-expanded=\"" + (isExpanded ? "true" : "false") + "\" title=\"" + count + " messages in this conversation\">" + count + "</button>";
+            return "<li class=\"" + classes + "\" data-group-key=\"" + escapeHtml(group.key) + "\"><ul class=\"email-group-items\">"
+                + emailItemHtml(latest, toggle)
+                + group.emails.slice(1).map(function(email) { return emailItemHtml(email, ""); }).join("")
+                + "</ul></li>";
         }
+        return "<li class=\"" + classes + "\" data-group-key=\"" + escapeHtml(group.key) + "\">"
+            + "<button type=\"button\" class=\"email-group-toggle email-group-header" + (unread ? " unread" : "") + "\" aria-expanded=\"" + (isExpanded ? "true" : "false") + "\">"
+            + "<span class=\"email-group-chevron\" aria-hidden=\"true\"></span>"
+            + "<span class=\"email-group-sender\">" + escapeHtml(latest.from) + "</span>"
+            + "<span class=\"email-group-count\">" + count + "</span>"
+            + "<span class=\"email-group-latest\">" + escapeHtml(latest.subject) + "</span>"
+            + "<span class=\"email-time\">" + escapeHtml(latest.receivedTime || "") + "</span>"
+            + "</button>"
+            + "<ul class=\"email-group-items\">" + group.emails.map(function(email) { return emailItemHtml(email, ""); }).join("") + "</ul>"
+            + "</li>";
     }
 
-    function openEmailDetailOverlay(email) {
-        var overlay = document.getElementById("email-detail-overlay");
-        if (!overlay) {
-            overlay = document.createElement("div");
-            overlay.className = "email-detail-overlay";
-            overlay.id = "email-detail-overlay";
-            overlay.innerHTML = "<div class=\"email-detail-modal\"><div class=\"email-detail-modal-header\"><h3 class=\"email-detail-modal-title\" id=\"email-detail-subject\"></h3><button type=\"button\" class=\"email-detail-modal-close\" id=\"email-detail-close-btn\" title=\"Close\"><svg fill=\"none\" stroke=\"currentColor\" viewBox=\"0 0 24 24\"><path stroke-linecap=\"round\" stroke-linejoin=\"round\" stroke-width=\"2\" d=\"M6 18L18 6M6 6l12 12\"/></svg></button></div><div class=\"email-detail-modal-body\"><div class=\"email-detail-meta\" id=\"email-detail-meta\"></div><div class=\"email-detail-preview\" id=\"email-detail-preview\"></div></div></div>";
-            document.body.appendChild(overlay);
-            document.getElementById("email-detail-close-btn").addEventListener("click", closeEmailDetailOverlay);
-            overlay.addEventListener("click", function(e) {
-                if (e.target === overlay) closeEmailDetailOverlay();
+    const expandedEmailGroups = new Map();
+
+    /**
+     * Expanded thread/sender groups for a tile, kept across background refreshes
+     */
+    function getExpandedEmailGroups(tile) {
+        const id = tile ? (tile.dataset.tileId || "0") : "0";
+        if (!expandedEmailGroups.has(id)) expandedEmailGroups.set(id, new Set());
+        return expandedEmailGroups.get(id);
+    }
+
+    function toggleEmailGroup(tile, groupEl) {
+        if (!groupEl) return;
+        const expanded = getExpandedEmailGroups(tile);
+        const isExpanded = groupEl.classList.toggle("expanded");
+        if (isExpanded) expanded.add(groupEl.dataset.groupKey); else expanded.delete(groupEl.dataset.groupKey);
+        groupEl.querySelectorAll(".email-group-toggle").forEach(function(btn) { btn.setAttribute("aria-expanded", isExpanded ? "true" : "false"); });
+    }
+
+    const EMAIL_UNREAD_SVG = "<svg class=\"email-status-icon\" viewBox=\"0 0 24 24\" fill=\"currentColor\" aria-hidden=\"true\"><circle cx=\"12\" cy=\"12\" r=\"4\"/></svg>";
+    const EMAIL_FLAG_SVG = "<svg class=\"email-status-icon\" viewBox=\"0 0 24 24\" fill=\"none\" stroke=\"currentColor\" stroke-width=\"2\" stroke-linecap=\"round\" stroke-linejoin=\"round\" aria-hidden=\"true\"><path d=\"M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z\"/><line x1=\"4\" y1=\"22\" x2=\"4\" y2=\"15\"/></svg>";
+    const EMAIL_TILE_TYPES = ["email", "flagged-email", "flagged-email-count"];
+    const EMAIL_SWIPE_THRESHOLD = 80;
+
+    /**
+     * Unread dot and flag icons for an email row
+     */
+    function emailStatusIconsHtml(isRead, isFlagged) {
+        var icons = "";
+        if (!isRead) icons += "<span class=\"email-icon email-icon-unread\" title=\"Unread\">" + EMAIL_UNREAD_SVG + "</span>";
+        if (isFlagged) icons += "<span class=\"email-icon email-icon-flagged\" title=\"Flagged\">" + EMAIL_FLAG_SVG + "</span>";
+        return icons;
+    }
+
+    /**
+     * Hover actions on an email row (labels follow the row's read/flag state via CSS)
+     */
+    function emailItemActionsHtml() {
+        return "<span class=\"email-item-actions\">"
+            + "<button type=\"button\" class=\"email-item-action\" data-email-action=\"toggle-read\" title=\"Mark read / unread\"><svg fill=\"none\" stroke=\"currentColor\" viewBox=\"0 0 24 24\"><path stroke-linecap=\"round\" stroke-linejoin=\"round\" stroke-width=\"2\" d=\"M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z\"/></svg></button>"
+            + "<button type=\"button\" class=\"email-item-action\" data-email-action=\"toggle-flag\" title=\"Flag / unflag\">" + EMAIL_FLAG_SVG + "</button>"
+            + "<button type=\"button\" class=\"email-item-action\" data-email-action=\"archive\" title=\"Archive\"><svg fill=\"none\" stroke=\"currentColor\" viewBox=\"0 0 24 24\"><path stroke-linecap=\"round\" stroke-linejoin=\"round\" stroke-width=\"2\" d=\"M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4\"/></svg></button>"
+            + "<button type=\"button\" class=\"email-item-action email-item-action-delete\" data-email-action=\"delete\" title=\"Delete\"><svg fill=\"none\" stroke=\"currentColor\" viewBox=\"0 0 24 24\"><path stroke-linecap=\"round\" stroke-linejoin=\"round\" stroke-width=\"2\" d=\"M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16\"/></svg></button>"
+            + "</span>";
+    }
+
+    /**
+     * Email object (as passed to openEmailDetailOverlay) from a rendered .email-item
+     */
+    function getEmailFromItem(item) {
+        return {
+            id: item.dataset.emailId || "",
+            isRead: item.dataset.emailRead === "1",
+            isFlagged: item.dataset.emailFlagged === "1",
+            subject: item.dataset.emailSubject || "(No Subject)",
+            from: item.dataset.emailFrom || "",
+            previewFull: item.dataset.emailPreviewFull || "",
+            receivedTime: item.dataset.emailReceivedTime || "",
+            receivedDateTime: item.dataset.emailReceivedDatetime || ""
+        };
+    }
+
+    /**
+     * Row action button or swipe: resolve toggles against the row's current state
+     */
+    function runEmailItemAction(item, action) {
+        var email = getEmailFromItem(item);
+        if (action === "toggle-read") action = email.isRead ? "unread" : "read";
+        if (action === "toggle-flag") action = email.isFlagged ? "unflag" : "flag";
+        emailAction(email.id, action);
+    }
+
+    /**
+     * Apply an email action to every row showing the message (read/flag state, or removal for archive/delete)
+     */
+    function applyEmailActionToItems(messageId, action) {
+        document.querySelectorAll(".email-item[data-email-id=\"" + CSS.escape(messageId) + "\"]").forEach(function(item) {
+            if (action === "archive" || action === "delete") {
+                var list = item.closest(".email-list");
+                var group = item.closest(".email-group");
+                var threadToggle = item.querySelector(".email-thread-count");
+                item.remove();
+                if (group) {
+                    var remaining = group.querySelectorAll(".email-item").length;
+                    if (!remaining) {
+                        group.remove();
+                    } else {
+                        // The conversation's count badge moves to its new newest message
+                        var newest = group.querySelector(".email-item .email-from-time");
+                        if (threadToggle && newest && remaining > 1) newest.insertAdjacentElement("afterend", threadToggle);
+                        group.querySelectorAll(".email-thread-count, .email-group-count").forEach(function(el) { el.textContent = remaining; });
+                    }
+                }
+                if (list && !list.querySelector(".email-item")) {
+                    var tile = list.closest(".tile");
+                    var content = tile && (tile.querySelector(".tile-content-inner") || tile.querySelector(".tile-content"));
+                    if (content) renderEmailTile(content, { connected: true, emails: [] });
+                }
+                return;
+            }
+            if (action === "read" || action === "unread") item.dataset.emailRead = action === "read" ? "1" : "0";
+            if (action === "flag" || action === "unflag" || action === "complete") item.dataset.emailFlagged = action === "flag" ? "1" : "0";
+            var isRead = item.dataset.emailRead === "1";
+            item.classList.toggle("unread", !isRead);
+            var icons = item.querySelector(".email-status-icons");
+            if (icons) icons.innerHTML = emailStatusIconsHtml(isRead, item.dataset.emailFlagged === "1");
+        });
+    }
+
+    /**
+     * Mark read/unread, flag/unflag/complete, archive or delete a message. The list updates straight away;
+     * if the server rejects the change the email tiles are re-rendered from the server (forced, as the data
+     * itself hasn't changed) to show the real state.
+     */
+    function emailAction(messageId, action) {
+        if (!messageId) return Promise.resolve({ error: "Missing message id" });
+        applyEmailActionToItems(messageId, action);
+        return postWrite(CONFIG.emailEndpoint, { message_id: messageId, action: action }, { tileTypes: EMAIL_TILE_TYPES }).then(function(data) {
+            if (data.error) {
+                showToast(data.error, "error");
+                EMAIL_TILE_TYPES.forEach(function(type) { getTilesByType(type).forEach(function(tile) { loadTileData(tile, false, { force: true }); }); });
+            } else if (data.queued) {
+                showToast("Offline: the change will be sent to Outlook when you reconnect", "info");
+            } else {
+                // Flagged tiles show data the list can't update in place
+                ["flagged-email", "flagged-email-count"].forEach(function(type) { getTilesByType(type).forEach(function(tile) { loadTileData(tile, false); }); });
+            }
+            return data;
+        });
+    }
+
+    /**
+     * Touch swipe on an email row: left to archive, right to toggle read
+     */
+    function setupEmailItemSwipe(item) {
+        if (CONFIG.kiosk) return;
+        var startX = null;
+        var startY = 0;
+        var dx = 0;
+        item.addEventListener("touchstart", function(e) {
+            if (e.touches.length !== 1) return;
+            startX = e.touches[0].clientX;
+            startY = e.touches[0].clientY;
+            dx = 0;
+        }, { passive: true });
+        item.addEventListener("touchmove", function(e) {
+            if (startX === null) return;
+            dx = e.touches[0].clientX - startX;
+            // Vertical scrolling wins
+            if (Math.abs(e.touches[0].clientY - startY) > Math.abs(dx)) {
+                startX = null;
+                item.style.transform = "";
+                return;
+            }
+            item.style.transform = "translateX(" + dx + "px)";
+            item.classList.toggle("email-item-swipe-left", dx <= -EMAIL_SWIPE_THRESHOLD);
+            item.classList.toggle("email-item-swipe-right", dx >= EMAIL_SWIPE_THRESHOLD);
+        }, { passive: true });
+        item.addEventListener("touchend", function() {
+            if (startX === null) return;
+            startX = null;
+            item.style.transform = "";
+            item.classList.remove("email-item-swipe-left", "email-item-swipe-right");
+            if (Math.abs(dx) >= EMAIL_SWIPE_THRESHOLD) {
+                item.dataset.swiped = "1";
+                setTimeout(function() { delete item.dataset.swiped; }, 400);
+                runEmailItemAction(item, dx < 0 ? "archive" : "toggle-read");
+            }
+        });
+    }
+
+    function formatEmailDateTime(isoString) {
+        if (!isoString) return "";
+        try {
+            var d = new Date(isoString);
+            if (isNaN(d.getTime())) return "";
+            return d.toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+        } catch (e) {
+            return "";
+        }
+    }
+
+    function openEmailDetailOverlay(email) {
+        var overlay = document.getElementById("email-detail-overlay");
+        if (!overlay) {
+            overlay = document.createElement("div");
+            overlay.className = "email-detail-overlay";
+            overlay.id = "email-detail-overlay";
+            overlay.innerHTML = "<div class=\"email-detail-modal\"><div class=\"email-detail-modal-header\"><h3 class=\"email-detail-modal-title\" id=\"email-detail-subject\"></h3><button type=\"button\" class=\"email-detail-modal-close\" id=\"email-detail-close-btn\" title=\"Close\"><svg fill=\"none\" stroke=\"currentColor\" viewBox=\"0 0 24 24\"><path stroke-linecap=\"round\" stroke-linejoin=\"round\" stroke-width=\"2\" d=\"M6 18L18 6M6 6l12 12\"/></svg></button></div><div class=\"email-detail-modal-body\"><div class=\"email-detail-meta\" id=\"email-detail-meta\"></div><div class=\"email-detail-preview\" id=\"email-detail-preview\"></div><div class=\"email-detail-body\" id=\"email-detail-body\"></div><div class=\"email-detail-attachments\" id=\"email-detail-attachments\"></div><div class=\"email-detail-actions\" id=\"email-detail-actions\"></div><div class=\"email-detail-composer hidden\" id=\"email-detail-composer\"></div></div></div>";
+            document.body.appendChild(overlay);
+            document.getElementById("email-detail-close-btn").addEventListener("click", closeEmailDetailOverlay);
+            overlay.addEventListener("click", function(e) {
+                if (e.target === overlay) closeEmailDetailOverlay();
             });
             document.addEventListener("keydown", function emailDetailEscape(e) {
                 if (e.key === "Escape" && document.getElementById("email-detail-overlay") && document.getElementById("email-detail-overlay").classList.contains("show")) closeEmailDetailOverlay();
@@ -501,27 +1128,735 @@
         document.getElementById("email-detail-subject").textContent = email.subject;
         var dateTimeDisplay = formatEmailDateTime(email.receivedDateTime) || email.receivedTime || "";
         document.getElementById("email-detail-meta").innerHTML = "<div class=\"email-detail-meta-row\"><strong>From:</strong> " + escapeHtml(email.from) + "</div>" + (dateTimeDisplay ? "<div class=\"email-detail-meta-row\"><strong>Date:</strong> " + escapeHtml(dateTimeDisplay) + "</div>" : "");
-        document.getElementById("email-detail-preview").textContent = email.previewFull || "No preview.";
+        var previewEl = document.getElementById("email-detail-preview");
+        previewEl.textContent = email.previewFull || "No preview.";
+        previewEl.classList.remove("hidden");
+        document.getElementById("email-detail-body").innerHTML = "";
+        document.getElementById("email-detail-attachments").innerHTML = "";
+        renderEmailDetailActions(email);
+        closeEmailComposer();
+        loadEmailDetailMessage(email);
         requestAnimationFrame(function() { overlay.classList.add("show"); });
     }
 
+    let emailDetailRequestId = 0;
+    let emailDetailMessage = null;
+
+    /**
+     * Fetch the full message (sanitized HTML body, recipients, attachments) for the open overlay.
+     * The preview stays in place until it arrives, and if it can't be loaded (e.g. offline).
+     */
+    function loadEmailDetailMessage(email) {
+        var requestId = ++emailDetailRequestId;
+        emailDetailMessage = null;
+        if (!email.id) return;
+        var bodyEl = document.getElementById("email-detail-body");
+        bodyEl.innerHTML = "<p class=\"email-detail-loading\">Loading full message…</p>";
+        fetch(CONFIG.emailEndpoint, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "X-CSRF-TOKEN": CONFIG.csrfToken,
+                "X-Requested-With": "XMLHttpRequest"
+            },
+            body: JSON.stringify({ action: "message", message_id: email.id })
+        }).then(function(response) {
+            return response.json();
+        }).then(function(data) {
+            if (requestId !== emailDetailRequestId) return;
+            if (!data.success || !data.message) throw new Error(data.error || "Failed to load email");
+            renderEmailDetailMessage(data.message);
+        }).catch(function(err) {
+            if (requestId !== emailDetailRequestId) return;
+            console.error("Email message error:", err);
+            bodyEl.innerHTML = "<p class=\"email-detail-loading\">Couldn't load the full message; showing the preview.</p>";
+        });
+    }
+
+    /**
+     * Show To/Cc, the sandboxed HTML body and the attachment list in the email overlay
+     */
+    function renderEmailDetailMessage(message) {
+        emailDetailMessage = message;
+        var metaEl = document.getElementById("email-detail-meta");
+        var formatRecipients = function(list) {
+            return list.map(function(r) {
+                return r.name && r.address && r.name !== r.address ? r.name + " <" + r.address + ">" : (r.name || r.address);
+            }).join(", ");
+        };
+        var recipientsHtml = "";
+        if (message.to && message.to.length) recipientsHtml += "<div class=\"email-detail-meta-row\"><strong>To:</strong> " + escapeHtml(formatRecipients(message.to)) + "</div>";
+        if (message.cc && message.cc.length) recipientsHtml += "<div class=\"email-detail-meta-row\"><strong>Cc:</strong> " + escapeHtml(formatRecipients(message.cc)) + "</div>";
+        var dateRow = metaEl.querySelector(".email-detail-meta-row:nth-child(2)");
+        if (dateRow) dateRow.insertAdjacentHTML("beforebegin", recipientsHtml); else metaEl.insertAdjacentHTML("beforeend", recipientsHtml);
+
+        var bodyEl = document.getElementById("email-detail-body");
+        if (message.bodyHtml) {
+            document.getElementById("email-detail-preview").classList.add("hidden");
+            bodyEl.innerHTML = (message.remoteImages > 0 ? "<div class=\"email-detail-remote-images\"><span>Remote images are blocked to protect your privacy.</span><button type=\"button\" class=\"email-detail-remote-images-btn\">Show images</button></div>" : "")
+                + "<iframe class=\"email-detail-frame\" sandbox=\"allow-popups allow-popups-to-escape-sandbox\" referrerpolicy=\"no-referrer\" title=\"Email body\"></iframe>";
+            var frame = bodyEl.querySelector(".email-detail-frame");
+            frame.srcdoc = buildEmailFrameDocument(message.bodyHtml, false);
+            var showImagesBtn = bodyEl.querySelector(".email-detail-remote-images-btn");
+            if (showImagesBtn) {
+                showImagesBtn.addEventListener("click", function() {
+                    frame.srcdoc = buildEmailFrameDocument(message.bodyHtml, true);
+                    showImagesBtn.closest(".email-detail-remote-images").remove();
+                });
+            }
+        } else {
+            bodyEl.innerHTML = "";
+        }
+
+        var attachmentsEl = document.getElementById("email-detail-attachments");
+        var attachments = message.attachments || [];
+        attachmentsEl.innerHTML = attachments.length ? "<div class=\"email-detail-attachments-title\">" + attachments.length + " attachment" + (attachments.length !== 1 ? "s" : "") + "</div><ul class=\"email-detail-attachment-list\">" + attachments.map(function(a) {
+            return "<li><a class=\"email-detail-attachment\" href=\"" + escapeHtml(a.downloadUrl) + "\" download=\"" + escapeHtml(a.name) + "\"><span class=\"email-detail-attachment-name\">" + escapeHtml(a.name) + "</span><span class=\"email-detail-attachment-size\">" + escapeHtml(a.sizeLabel || "") + "</span></a></li>";
+        }).join("") + "</ul>" : "";
+    }
+
+    /**
+     * srcdoc for the email body iframe. The iframe has no allow-scripts/allow-same-origin and the CSP
+     * blocks everything except inline styles and data: images; remote images load only once allowed.
+     */
+    function buildEmailFrameDocument(bodyHtml, allowRemoteImages) {
+        var html = bodyHtml;
+        if (allowRemoteImages) {
+            var doc = new DOMParser().parseFromString("<!DOCTYPE html><html><head></head><body>" + bodyHtml + "</body></html>", "text/html");
+            doc.querySelectorAll("img[data-cb-remote-src]").forEach(function(img) {
+                img.setAttribute("src", img.getAttribute("data-cb-remote-src"));
+                img.removeAttribute("data-cb-remote-src");
+            });
+            html = doc.body.innerHTML;
+        }
+        var csp = "default-src 'none'; style-src 'unsafe-inline'; img-src data:" + (allowRemoteImages ? " https: http:" : "");
+        return "<!DOCTYPE html><html><head><meta charset=\"utf-8\"><meta http-equiv=\"Content-Security-Policy\" content=\"" + csp + "\"><meta name=\"referrer\" content=\"no-referrer\"><base target=\"_blank\"><style>body{margin:0;padding:0.25rem;font-family:system-ui,-apple-system,\"Segoe UI\",sans-serif;font-size:14px;line-height:1.5;color:#111827;background:#fff;overflow-wrap:break-word;}img{max-width:100%;height:auto;}table{max-width:100%;}</style></head><body>" + html + "</body></html>";
+    }
+
+    /**
+     * Read/flag/archive/delete buttons in the email detail overlay
+     */
+    function renderEmailDetailActions(email) {
+        var actionsEl = document.getElementById("email-detail-actions");
+        if (!actionsEl) return;
+        if (!email.id || CONFIG.kiosk) {
+            actionsEl.innerHTML = "";
+            return;
+        }
+        actionsEl.innerHTML = "<button type=\"button\" class=\"email-detail-action\" data-email-compose=\"reply\">Reply</button>"
+            + "<button type=\"button\" class=\"email-detail-action\" data-email-compose=\"replyAll\">Reply all</button>"
+            + "<button type=\"button\" class=\"email-detail-action\" data-email-compose=\"forward\">Forward</button>"
+            + "<button type=\"button\" class=\"email-detail-action\" data-email-make-task>Make task</button>"
+            + "<span class=\"email-detail-actions-separator\" aria-hidden=\"true\"></span>"
+            + "<button type=\"button\" class=\"email-detail-action\" data-email-action=\"" + (email.isRead ? "unread" : "read") + "\">" + (email.isRead ? "Mark unread" : "Mark read") + "</button>"
+            + "<button type=\"button\" class=\"email-detail-action\" data-email-action=\"" + (email.isFlagged ? "unflag" : "flag") + "\">" + (email.isFlagged ? "Unflag" : "Flag") + "</button>"
+            + "<button type=\"button\" class=\"email-detail-action\" data-email-action=\"archive\">Archive</button>"
+            + "<button type=\"button\" class=\"email-detail-action email-detail-action-delete\" data-email-action=\"delete\">Delete</button>";
+        actionsEl.querySelectorAll("[data-email-compose]").forEach(function(btn) {
+            btn.addEventListener("click", function() {
+                openEmailComposer(email, btn.dataset.emailCompose);
+            });
+        });
+        actionsEl.querySelector("[data-email-make-task]").addEventListener("click", function() {
+            openEmailTaskForm(email);
+        });
+        actionsEl.querySelectorAll("[data-email-action]").forEach(function(btn) {
+            btn.addEventListener("click", function() {
+                var action = btn.dataset.emailAction;
+                emailAction(email.id, action);
+                if (action === "archive" || action === "delete") {
+                    closeEmailDetailOverlay();
+                    return;
+                }
+                if (action === "read" || action === "unread") email.isRead = action === "read";
+                if (action === "flag" || action === "unflag") email.isFlagged = action === "flag";
+                renderEmailDetailActions(email);
+            });
+        });
+    }
+
     function closeEmailDetailOverlay() {
         var overlay = document.getElementById("email-detail-overlay");
         if (overlay) overlay.classList.remove("show");
     }
 
+    const EMAIL_COMPOSE_LABELS = { reply: "Reply", replyAll: "Reply all", forward: "Forward" };
+
     /**
-     * Render flagged email reminder tile (one random flagged email from history)
+     * Reply / reply-all / forward composer under the email overlay's actions
      */
-    function renderFlaggedEmailTile(container, data) {
-        if (!data.connected) {
-            container.innerHTML = "<div class=\"tile-placeholder\"><p>Connect Microsoft 365 to surface flagged emails</p><a href=\"/settings.php\" class=\"tile-connect-btn\">Connect Account</a></div>";
+    function openEmailComposer(email, mode) {
+        var composer = document.getElementById("email-detail-composer");
+        if (!composer) return;
+        composer.innerHTML = "<div class=\"email-composer-title\">" + EMAIL_COMPOSE_LABELS[mode] + "</div>"
+            + (mode === "forward" ? "<input type=\"text\" class=\"email-composer-to\" placeholder=\"To: name@example.com, …\" autocomplete=\"off\">" : "")
+            + "<textarea class=\"email-composer-text\" rows=\"5\" placeholder=\"" + (mode === "forward" ? "Add a note (optional)" : "Write a reply…") + "\"></textarea>"
+            + "<div class=\"email-composer-buttons\">"
+            + "<button type=\"button\" class=\"email-detail-action email-composer-claude\" title=\"Propose a reply from the message body; anything typed above is used as instructions\">Draft with Claude</button>"
+            + "<span class=\"email-composer-spacer\"></span>"
+            + "<button type=\"button\" class=\"email-detail-action email-composer-cancel\">Cancel</button>"
+            + "<button type=\"button\" class=\"email-detail-action email-composer-draft\">Save draft</button>"
+            + "<button type=\"button\" class=\"task-detail-mark-complete email-composer-send\">Send</button>"
+            + "</div>";
+        composer.classList.remove("hidden");
+
+        var textarea = composer.querySelector(".email-composer-text");
+        var toInput = composer.querySelector(".email-composer-to");
+        var buttons = composer.querySelectorAll("button");
+        var setBusy = function(busy) { buttons.forEach(function(b) { b.disabled = busy; }); };
+
+        composer.querySelector(".email-composer-cancel").addEventListener("click", closeEmailComposer);
+        composer.querySelector(".email-composer-claude").addEventListener("click", function() {
+            var claudeBtn = this;
+            setBusy(true);
+            claudeBtn.textContent = "Drafting…";
+            draftEmailReplyWithClaude(email, textarea.value.trim()).then(function(text) {
+                textarea.value = text;
+                textarea.focus();
+            }).catch(function(err) {
+                showToast(err.message || "Couldn't draft a reply", "error");
+            }).finally(function() {
+                setBusy(false);
+                claudeBtn.textContent = "Draft with Claude";
+            });
+        });
+        var submit = function(send) {
+            var payload = { action: "reply", message_id: email.id, mode: mode, comment: textarea.value, send: send };
+            if (toInput) payload.to = toInput.value;
+            setBusy(true);
+            // Sending is never queued offline: a dropped connection may come after Graph has sent the mail,
+            // and a replay could send it twice or hours later. Only drafts are safe to save later.
+            var request = send ? fetch(CONFIG.emailEndpoint, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    "X-CSRF-TOKEN": CONFIG.csrfToken,
+                    "X-Requested-With": "XMLHttpRequest"
+                },
+                body: JSON.stringify(payload)
+            }).then(function(response) {
+                return response.json().catch(function() { return {}; }).then(function(data) {
+                    if (!response.ok && !data.error) data.error = response.statusText || "Failed to send";
+                    return data;
+                });
+            }, function() {
+                throw new Error("Not sent: check your connection, then try again (it may already have gone; look in Sent Items first)");
+            }) : postWrite(CONFIG.emailEndpoint, payload);
+            request.then(function(data) {
+                if (data.error) throw new Error(data.error);
+                if (data.queued) {
+                    showToast("Offline: the draft will be saved when you reconnect", "info");
+                } else if (send) {
+                    showToast(mode === "forward" ? "Forwarded" : "Reply sent", "success");
+                } else {
+                    showToast("Draft saved in Outlook", "success");
+                    if (data.webLink) window.open(data.webLink, "_blank", "noopener");
+                }
+                closeEmailComposer();
+            }).catch(function(err) {
+                showToast(err.message || "Failed to send", "error");
+            }).finally(function() { setBusy(false); });
+        };
+        composer.querySelector(".email-composer-draft").addEventListener("click", function() { submit(false); });
+        composer.querySelector(".email-composer-send").addEventListener("click", function() { submit(true); });
+
+        (toInput || textarea).focus();
+    }
+
+    function closeEmailComposer() {
+        var composer = document.getElementById("email-detail-composer");
+        if (!composer) return;
+        composer.classList.add("hidden");
+        composer.innerHTML = "";
+    }
+
+    let emailTaskTargets = null;
+
+    /**
+     * POST to the tasks API's "Make task" actions (targets, buckets, create)
+     */
+    function emailTaskRequest(payload) {
+        return fetch(CONFIG.tasksEndpoint, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "X-CSRF-TOKEN": CONFIG.csrfToken,
+                "X-Requested-With": "XMLHttpRequest"
+            },
+            body: JSON.stringify(payload)
+        }).then(function(response) {
+            return response.json();
+        }).then(function(data) {
+            if (!data.success) throw new Error(data.error || "Request failed");
+            return data;
+        });
+    }
+
+    /**
+     * "Make task" form in the email overlay (shares the composer's slot): a To Do task in a chosen list,
+     * or a Planner task in a plan and bucket, pre-filled with the subject and linked back to the message.
+     * Triage mode passes its own container and an onClose(created) callback.
+     */
+    function openEmailTaskForm(email, composer, onClose) {
+        composer = composer || document.getElementById("email-detail-composer");
+        if (!composer) return;
+        var close = function(created) {
+            composer.classList.add("hidden");
+            composer.innerHTML = "";
+            if (onClose) onClose(created);
+        };
+        composer.innerHTML = "<div class=\"email-composer-title\">Make task</div>"
+            + "<form class=\"email-filter-form email-task-form\">"
+            + "<label class=\"email-filter-field\"><span>Title</span><input type=\"text\" name=\"title\" maxlength=\"255\" value=\"" + escapeHtml(email.subject || "") + "\"></label>"
+            + "<div class=\"email-filter-row\">"
+            + "<label class=\"email-filter-field\"><span>Add to</span><select name=\"source\"><option value=\"todo\">Microsoft To Do</option><option value=\"planner\" disabled>Planner</option></select></label>"
+            + "<label class=\"email-filter-field email-task-todo\"><span>List</span><select name=\"list_id\"><option value=\"\">Loading…</option></select></label>"
+            + "<label class=\"email-filter-field email-task-planner hidden\"><span>Plan</span><select name=\"plan_id\"></select></label>"
+            + "<label class=\"email-filter-field email-task-planner hidden\"><span>Bucket</span><select name=\"bucket_id\"><option value=\"\">No bucket</option></select></label>"
+            + "</div>"
+            + "<div class=\"email-filter-row\">"
+            + "<label class=\"email-filter-field\"><span>Due</span><input type=\"date\" name=\"due\"></label>"
+            + "<label class=\"email-filter-field\"><span>Importance</span><select name=\"importance\"><option value=\"low\">Low</option><option value=\"normal\" selected>Normal</option><option value=\"high\">High</option></select></label>"
+            + "</div>"
+            + "<div class=\"email-composer-buttons\"><span class=\"email-composer-spacer\"></span><button type=\"button\" class=\"email-detail-action email-task-cancel\">Cancel</button><button type=\"submit\" class=\"task-detail-mark-complete\" disabled>Create task</button></div>"
+            + "</form>";
+        composer.classList.remove("hidden");
+
+        var form = composer.querySelector("form");
+        var createBtn = form.querySelector("button[type=submit]");
+        var option = function(value, label) {
+            return "<option value=\"" + escapeHtml(value) + "\">" + escapeHtml(label) + "</option>";
+        };
+        var showSource = function() {
+            var planner = form.elements.source.value === "planner";
+            form.querySelectorAll(".email-task-todo").forEach(function(el) { el.classList.toggle("hidden", planner); });
+            form.querySelectorAll(".email-task-planner").forEach(function(el) { el.classList.toggle("hidden", !planner); });
+        };
+        var loadBuckets = function() {
+            var planId = form.elements.plan_id.value;
+            form.elements.bucket_id.innerHTML = option("", "No bucket");
+            if (!planId) return;
+            emailTaskRequest({ action: "buckets", plan_id: planId }).then(function(data) {
+                if (form.elements.plan_id.value !== planId) return;
+                form.elements.bucket_id.innerHTML = (data.buckets || []).map(function(b) { return option(b.id, b.name); }).join("") + option("", "No bucket");
+            }).catch(function(err) {
+                console.error("Planner buckets error:", err);
+            });
+        };
+
+        var targets = emailTaskTargets ? Promise.resolve(emailTaskTargets) : emailTaskRequest({ action: "targets" }).then(function(data) {
+            emailTaskTargets = data;
+            return data;
+        });
+        targets.then(function(data) {
+            var lists = (data.todoLists || []).slice().sort(function(a, b) { return (b.isDefault ? 1 : 0) - (a.isDefault ? 1 : 0); });
+            form.elements.list_id.innerHTML = lists.map(function(l) { return option(l.id, l.name); }).join("");
+            if (data.plans && data.plans.length) {
+                form.elements.source.querySelector("option[value=planner]").disabled = false;
+                form.elements.plan_id.innerHTML = data.plans.map(function(p) { return option(p.id, p.title); }).join("");
+                loadBuckets();
+            }
+            createBtn.disabled = false;
+        }).catch(function(err) {
+            showToast(err.message || "Couldn't load your task lists", "error");
+        });
+
+        form.addEventListener("keydown", function(e) {
+            if (e.key !== "Escape") return;
+            e.stopPropagation();
+            close(false);
+        });
+        form.elements.source.addEventListener("change", showSource);
+        form.elements.plan_id.addEventListener("change", loadBuckets);
+        form.querySelector(".email-task-cancel").addEventListener("click", function() { close(false); });
+        form.addEventListener("submit", function(e) {
+            e.preventDefault();
+            var source = form.elements.source.value;
+            var payload = {
+                action: "create",
+                source: source,
+                message_id: email.id,
+                title: form.elements.title.value.trim(),
+                due: form.elements.due.value,
+                importance: form.elements.importance.value
+            };
+            if (source === "todo") {
+                payload.list_id = form.elements.list_id.value;
+            } else {
+                payload.plan_id = form.elements.plan_id.value;
+                payload.bucket_id = form.elements.bucket_id.value;
+            }
+            createBtn.disabled = true;
+            postWrite(CONFIG.tasksEndpoint, payload, { tileTypes: TASK_TILE_TYPES }).then(function(data) {
+                if (data.error) throw new Error(data.error);
+                if (data.queued) {
+                    showToast("Offline: the task will be created when you reconnect", "info");
+                } else {
+                    showToast(source === "planner" ? "Planner task created" : "Task added to To Do", "success");
+                    TASK_TILE_TYPES.forEach(function(type) { getTilesByType(type).forEach(function(tile) { loadTileData(tile, false); }); });
+                }
+                close(true);
+            }).catch(function(err) {
+                showToast(err.message || "Failed to create task", "error");
+                createBtn.disabled = false;
+            });
+        });
+
+        form.elements.title.focus();
+    }
+
+    /**
+     * Ask Claude (api/claude/query.php, email_reply mode) for a reply to the open message.
+     * Uses the full body when it has loaded, otherwise the preview.
+     */
+    function draftEmailReplyWithClaude(email, instructions) {
+        var body = email.previewFull || "";
+        if (emailDetailMessage && emailDetailMessage.id === email.id && emailDetailMessage.bodyHtml) {
+            var doc = new DOMParser().parseFromString(emailDetailMessage.bodyHtml, "text/html");
+            doc.querySelectorAll("style").forEach(function(el) { el.remove(); });
+            body = (doc.body.innerText || doc.body.textContent).replace(/\n\s*\n\s*/g, "\n\n").trim();
+        }
+        return fetch(CONFIG.claudeEndpoint, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "X-CSRF-TOKEN": CONFIG.csrfToken,
+                "X-Requested-With": "XMLHttpRequest"
+            },
+            body: JSON.stringify({
+                mode: "email_reply",
+                query: instructions,
+                email: { from: email.from, subject: email.subject, body: body }
+            })
+        }).then(function(response) {
+            return response.json();
+        }).then(function(data) {
+            if (data.error || !data.response) throw new Error(data.error || "No reply drafted");
+            return data.response;
+        });
+    }
+
+    const EMAIL_FILTER_DEFAULTS = { folder: "inbox", folder_name: "Inbox", focus: "all", show: "unread_or_flagged", senders: [], keywords: [] };
+    let emailFilterFolders = null;
+
+    /**
+     * Filter and triage buttons in each email tile header
+     */
+    function setupEmailTileButtons() {
+        if (CONFIG.kiosk) return;
+        document.addEventListener("click", function(e) {
+            var btn = e.target.closest(".email-filter-btn, .email-triage-btn");
+            if (!btn) return;
+            e.stopPropagation();
+            if (btn.classList.contains("email-triage-btn")) {
+                openEmailTriage(btn.closest(".tile"));
+            } else {
+                openEmailFilterEditor(btn.closest(".tile"));
+            }
+        });
+    }
+
+    /**
+     * The tile's saved filter (data-email-filter), with defaults for anything missing
+     */
+    function getEmailTileFilter(tile) {
+        var saved = {};
+        try {
+            saved = JSON.parse(tile.dataset.emailFilter || "{}") || {};
+        } catch (e) {
+            saved = {};
+        }
+        return Object.assign({}, EMAIL_FILTER_DEFAULTS, saved);
+    }
+
+    /**
+     * Mail folders and search folders for the folder picker; fetched once per page load
+     */
+    function loadEmailFilterFolders() {
+        if (emailFilterFolders) return Promise.resolve(emailFilterFolders);
+        return fetch(CONFIG.emailFilterEndpoint + "?action=folders", {
+            headers: {
+                "X-CSRF-TOKEN": CONFIG.csrfToken,
+                "X-Requested-With": "XMLHttpRequest"
+            }
+        }).then(function(response) {
+            return response.json();
+        }).then(function(data) {
+            if (!data.success) throw new Error(data.error || "Failed to load folders");
+            emailFilterFolders = data.folders || [];
+            return emailFilterFolders;
+        });
+    }
+
+    /**
+     * Editor for one email tile's title and filter: folder or search folder, Focused/Other,
+     * which messages to show, sender allowlist and subject keyword rules
+     */
+    function openEmailFilterEditor(tile) {
+        if (!tile) return;
+        var filter = getEmailTileFilter(tile);
+        var titleEl = tile.querySelector(".tile-title-text");
+        var overlay = document.getElementById("email-filter-overlay");
+        if (!overlay) {
+            overlay = document.createElement("div");
+            overlay.className = "email-detail-overlay email-filter-overlay";
+            overlay.id = "email-filter-overlay";
+            document.body.appendChild(overlay);
+            overlay.addEventListener("click", function(e) {
+                if (e.target === overlay) closeEmailFilterEditor();
+            });
+            document.addEventListener("keydown", function emailFilterEscape(e) {
+                if (e.key === "Escape" && overlay.classList.contains("show")) closeEmailFilterEditor();
+            });
+        }
+        var option = function(value, label, selected) {
+            return "<option value=\"" + escapeHtml(value) + "\"" + (selected ? " selected" : "") + ">" + escapeHtml(label) + "</option>";
+        };
+        overlay.innerHTML = "<div class=\"email-detail-modal email-filter-modal\" role=\"dialog\" aria-label=\"Email tile filter\"><div class=\"email-detail-modal-header\"><h3 class=\"email-detail-modal-title\">Filter this tile</h3><button type=\"button\" class=\"email-detail-modal-close\" title=\"Close\"><svg fill=\"none\" stroke=\"currentColor\" viewBox=\"0 0 24 24\"><path stroke-linecap=\"round\" stroke-linejoin=\"round\" stroke-width=\"2\" d=\"M6 18L18 6M6 6l12 12\"/></svg></button></div>"
+            + "<form class=\"email-detail-modal-body email-filter-form\">"
+            + "<label class=\"email-filter-field\"><span>Tile title</span><input type=\"text\" name=\"title\" maxlength=\"100\" value=\"" + escapeHtml(titleEl ? titleEl.textContent : "") + "\"></label>"
+            + "<label class=\"email-filter-field\"><span>Folder</span><select name=\"folder\">" + option(filter.folder, filter.folder_name, true) + "</select></label>"
+            + "<div class=\"email-filter-row\">"
+            + "<label class=\"email-filter-field\"><span>Focused Inbox</span><select name=\"focus\">" + option("all", "Focused and Other", filter.focus === "all") + option("focused", "Focused only", filter.focus === "focused") + option("other", "Other only", filter.focus === "other") + "</select></label>"
+            + "<label class=\"email-filter-field\"><span>Show</span><select name=\"show\">" + option("unread_or_flagged", "Unread or flagged", filter.show === "unread_or_flagged") + option("unread", "Unread only", filter.show === "unread") + option("flagged", "Flagged only", filter.show === "flagged") + option("all", "All recent", filter.show === "all") + "</select></label>"
+            + "</div>"
+            + "<label class=\"email-filter-field\"><span>From (addresses or domains, one per line; empty = anyone)</span><textarea name=\"senders\" rows=\"3\" placeholder=\"client.com&#10;jane@example.com\">" + escapeHtml(filter.senders.join("\n")) + "</textarea></label>"
+            + "<label class=\"email-filter-field\"><span>Subject keywords (one per line; -word excludes)</span><textarea name=\"keywords\" rows=\"3\" placeholder=\"build failed&#10;-newsletter\">" + escapeHtml(filter.keywords.join("\n")) + "</textarea></label>"
+            + "<div class=\"email-composer-buttons\"><button type=\"button\" class=\"email-detail-action email-filter-reset\">Reset</button><span class=\"email-composer-spacer\"></span><button type=\"button\" class=\"email-detail-action email-filter-cancel\">Cancel</button><button type=\"submit\" class=\"task-detail-mark-complete\">Save</button></div>"
+            + "</form></div>";
+
+        var form = overlay.querySelector("form");
+        var folderSelect = form.elements.folder;
+        loadEmailFilterFolders().then(function(folders) {
+            var html = option("inbox", "Inbox", filter.folder === "inbox");
+            var hasCurrent = filter.folder === "inbox";
+            folders.forEach(function(folder) {
+                if (folder.id === filter.folder) hasCurrent = true;
+                html += option(folder.id, folder.search ? folder.name + " (search folder)" : folder.name, folder.id === filter.folder);
+            });
+            if (!hasCurrent) html = option(filter.folder, filter.folder_name, true) + html;
+            folderSelect.innerHTML = html;
+        }).catch(function(err) {
+            console.error("Email folders error:", err);
+        });
+
+        overlay.querySelector(".email-detail-modal-close").addEventListener("click", closeEmailFilterEditor);
+        form.querySelector(".email-filter-cancel").addEventListener("click", closeEmailFilterEditor);
+        form.querySelector(".email-filter-reset").addEventListener("click", function() {
+            form.elements.folder.value = "inbox";
+            form.elements.focus.value = EMAIL_FILTER_DEFAULTS.focus;
+            form.elements.show.value = EMAIL_FILTER_DEFAULTS.show;
+            form.elements.senders.value = "";
+            form.elements.keywords.value = "";
+        });
+        form.addEventListener("submit", function(e) {
+            e.preventDefault();
+            var selected = folderSelect.options[folderSelect.selectedIndex];
+            var payload = {
+                action: "save",
+                tile_id: parseInt(tile.dataset.tileId, 10) || 0,
+                title: form.elements.title.value.trim(),
+                filter: {
+                    folder: folderSelect.value,
+                    folder_name: selected ? selected.textContent.replace(/ \(search folder\)$/, "") : "",
+                    focus: form.elements.focus.value,
+                    show: form.elements.show.value,
+                    senders: form.elements.senders.value,
+                    keywords: form.elements.keywords.value
+                }
+            };
+            var saveBtn = form.querySelector("button[type=submit]");
+            saveBtn.disabled = true;
+            postWrite(CONFIG.emailFilterEndpoint, payload, { tileTypes: ["email"], dedupeKey: "email-filter-" + payload.tile_id }).then(function(data) {
+                if (data.error) throw new Error(data.error);
+                if (data.queued) {
+                    showToast("Offline: the filter will be saved when you reconnect", "info");
+                } else {
+                    tile.dataset.emailFilter = JSON.stringify(data.filter);
+                    if (titleEl) titleEl.textContent = data.title;
+                    loadTileData(tile, false);
+                }
+                closeEmailFilterEditor();
+            }).catch(function(err) {
+                showToast(err.message || "Failed to save filter", "error");
+                saveBtn.disabled = false;
+            });
+        });
+
+        requestAnimationFrame(function() { overlay.classList.add("show"); });
+        form.elements.title.focus();
+    }
+
+    function closeEmailFilterEditor() {
+        var overlay = document.getElementById("email-filter-overlay");
+        if (overlay) overlay.classList.remove("show");
+    }
+
+    const EMAIL_TRIAGE_KEYS = [
+        ["a", "archive", "Archive"],
+        ["f", "flag", "Flag"],
+        ["t", "task", "Make task"],
+        ["z", "snooze", "Snooze 1 day"],
+        ["s", "skip", "Skip"],
+        ["o", "open", "Open"]
+    ];
+    let emailTriage = null; // { tile, emails, index, counts } while triage mode is open
+
+    /**
+     * Full-screen triage of an email tile's messages, one at a time with single-key actions.
+     * Uses the data the tile last rendered rather than fetching again.
+     */
+    function openEmailTriage(tile) {
+        var state = tile && tileState.get(tile);
+        var data = state && !state.error ? JSON.parse(state.dataJson) : null;
+        var emails = data && data.emails ? data.emails.slice() : [];
+        if (!emails.length) {
+            showToast("Nothing to triage in this tile", "info");
+            return;
+        }
+        var overlay = document.getElementById("email-triage-overlay");
+        if (!overlay) {
+            overlay = document.createElement("div");
+            overlay.className = "email-detail-overlay email-triage-overlay";
+            overlay.id = "email-triage-overlay";
+            document.body.appendChild(overlay);
+            // Capture phase: runs before the email overlay's own Escape handler, so Esc there doesn't also end triage
+            document.addEventListener("keydown", handleEmailTriageKey, true);
+        }
+        emailTriage = { tile: tile, emails: emails, index: 0, counts: { archive: 0, flag: 0, task: 0, snooze: 0, skip: 0 } };
+        renderEmailTriage();
+        requestAnimationFrame(function() { overlay.classList.add("show"); });
+    }
+
+    function closeEmailTriage() {
+        var overlay = document.getElementById("email-triage-overlay");
+        if (overlay) overlay.classList.remove("show");
+        if (emailTriage && emailTriage.tile) loadTileData(emailTriage.tile, false);
+        emailTriage = null;
+    }
+
+    /**
+     * Current message (or the end-of-triage summary) with progress bar and key hints
+     */
+    function renderEmailTriage() {
+        var overlay = document.getElementById("email-triage-overlay");
+        if (!overlay || !emailTriage) return;
+        var total = emailTriage.emails.length;
+        var done = emailTriage.index >= total;
+        var progress = Math.round(Math.min(emailTriage.index, total) / total * 100);
+        var header = "<div class=\"email-triage-header\"><span class=\"email-triage-counter\">" + (done ? "Done" : (emailTriage.index + 1) + " of " + total) + "</span><button type=\"button\" class=\"email-detail-modal-close email-triage-close\" title=\"Exit triage (Esc)\"><svg fill=\"none\" stroke=\"currentColor\" viewBox=\"0 0 24 24\"><path stroke-linecap=\"round\" stroke-linejoin=\"round\" stroke-width=\"2\" d=\"M6 18L18 6M6 6l12 12\"/></svg></button></div>"
+            + "<div class=\"email-triage-progress\" role=\"progressbar\" aria-valuemin=\"0\" aria-valuemax=\"100\" aria-valuenow=\"" + progress + "\"><div class=\"email-triage-progress-bar\" style=\"width: " + progress + "%\"></div></div>";
+
+        if (done) {
+            var c = emailTriage.counts;
+            var rows = [["Archived", c.archive], ["Flagged", c.flag], ["Tasks made", c.task], ["Snoozed", c.snooze], ["Skipped", c.skip]];
+            overlay.innerHTML = "<div class=\"email-triage-panel\" role=\"dialog\" aria-label=\"Triage summary\">" + header
+                + "<div class=\"email-triage-card email-triage-summary\"><h3 class=\"email-triage-subject\">Triage complete</h3><p class=\"email-triage-meta\">" + total + " message" + (total !== 1 ? "s" : "") + " reviewed</p><dl>"
+                + rows.map(function(row) { return "<dt>" + row[0] + "</dt><dd>" + row[1] + "</dd>"; }).join("")
+                + "</dl><div class=\"email-composer-buttons\"><span class=\"email-composer-spacer\"></span><button type=\"button\" class=\"task-detail-mark-complete email-triage-done\">Back to dashboard</button></div></div></div>";
+            overlay.querySelector(".email-triage-close").addEventListener("click", closeEmailTriage);
+            overlay.querySelector(".email-triage-done").addEventListener("click", closeEmailTriage);
+            overlay.querySelector(".email-triage-done").focus();
             return;
         }
+
+        var email = emailTriage.emails[emailTriage.index];
+        var dateTimeDisplay = formatEmailDateTime(email.receivedDateTime) || email.receivedTime || "";
+        overlay.innerHTML = "<div class=\"email-triage-panel\" role=\"dialog\" aria-label=\"Email triage\">" + header
+            + "<div class=\"email-triage-card\"><div class=\"email-triage-meta\"><span class=\"email-triage-from\">" + escapeHtml(email.from) + "</span><span>" + escapeHtml(dateTimeDisplay) + "</span></div>"
+            + "<h3 class=\"email-triage-subject\">" + emailStatusIconsHtml(email.isRead, email.isFlagged) + escapeHtml(email.subject) + "</h3>"
+            + "<p class=\"email-triage-preview\">" + escapeHtml(email.previewFull || email.preview || "No preview.") + "</p>"
+            + "<div class=\"email-detail-composer hidden\" id=\"email-triage-task\"></div></div>"
+            + "<div class=\"email-triage-keys\">" + EMAIL_TRIAGE_KEYS.map(function(k) {
+                var label = k[1] === "flag" && email.isFlagged ? "Unflag" : k[2];
+                return "<button type=\"button\" class=\"email-triage-key\" data-triage-action=\"" + k[1] + "\"><kbd>" + k[0] + "</kbd> " + label + "</button>";
+            }).join("") + "</div></div>";
+        overlay.querySelector(".email-triage-close").addEventListener("click", closeEmailTriage);
+        overlay.querySelectorAll("[data-triage-action]").forEach(function(btn) {
+            btn.addEventListener("click", function() { runEmailTriageAction(btn.dataset.triageAction); });
+        });
+    }
+
+    function handleEmailTriageKey(e) {
+        var overlay = document.getElementById("email-triage-overlay");
+        if (!emailTriage || !overlay || !overlay.classList.contains("show")) return;
+        // The email overlay ("open") sits on top and handles its own keys
+        var detail = document.getElementById("email-detail-overlay");
+        if (detail && detail.classList.contains("show")) return;
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target && e.target.closest && e.target.closest("#email-triage-task")) return;
+        var key = e.key;
+        if (key === "Escape") {
+            e.preventDefault();
+            e.stopPropagation();
+            closeEmailTriage();
+            return;
+        }
+        if (emailTriage.index >= emailTriage.emails.length) return;
+        var match = EMAIL_TRIAGE_KEYS.find(function(k) { return k[0] === key.toLowerCase(); });
+        var action = match ? match[1] : (key === "ArrowRight" || key === " " ? "skip" : (key === "Enter" ? "open" : null));
+        if (!action) return;
+        e.preventDefault();
+        e.stopPropagation();
+        runEmailTriageAction(action);
+    }
+
+    function advanceEmailTriage(countKey) {
+        if (!emailTriage) return;
+        emailTriage.counts[countKey]++;
+        emailTriage.index++;
+        renderEmailTriage();
+    }
+
+    /**
+     * One triage action on the current message; everything but "open" and a cancelled task moves on
+     */
+    function runEmailTriageAction(action) {
+        if (!emailTriage) return;
+        var email = emailTriage.emails[emailTriage.index];
+        if (!email) return;
+        if (action === "archive") {
+            emailAction(email.id, "archive");
+            advanceEmailTriage("archive");
+        } else if (action === "flag") {
+            emailAction(email.id, email.isFlagged ? "unflag" : "flag");
+            if (!email.isFlagged) emailTriage.counts.flag++;
+            email.isFlagged = !email.isFlagged;
+            emailTriage.index++;
+            renderEmailTriage();
+        } else if (action === "snooze") {
+            postWrite(CONFIG.emailEndpoint, { message_id: email.id, action: "snooze", days: 1 }, { tileTypes: ["email", "flagged-email"] }).then(function(data) {
+                if (data.error) showToast(data.error, "error");
+            });
+            advanceEmailTriage("snooze");
+        } else if (action === "skip") {
+            advanceEmailTriage("skip");
+        } else if (action === "task") {
+            var container = document.getElementById("email-triage-task");
+            if (!container || !container.classList.contains("hidden")) return;
+            openEmailTaskForm(email, container, function(created) {
+                if (created) advanceEmailTriage("task");
+            });
+        } else if (action === "open") {
+            openEmailDetailOverlay(email);
+            // Above the triage overlay, which was added to the page later
+            var detail = document.getElementById("email-detail-overlay");
+            if (detail) document.body.appendChild(detail);
+        }
+    }
+
+    /**
+     * Render flagged email reminder tile (one random flagged email from history)
+     */
+    function renderFlaggedEmailTile(container, data) {
         if (data.error) {
             container.innerHTML = "<div class=\"tile-placeholder\"><p class=\"text-red-600\">" + escapeHtml(data.error) + "</p><p class=\"text-sm mt-2\">Use the refresh button to retry.</p></div>";
             return;
         }
+        if (!data.email && data.snoozedCount > 0) {
+            container.innerHTML = "<div class=\"empty-state\"><svg class=\"empty-state-icon\" fill=\"none\" stroke=\"currentColor\" viewBox=\"0 0 24 24\"><path stroke-linecap=\"round\" stroke-linejoin=\"round\" stroke-width=\"2\" d=\"M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z\"/></svg><p class=\"empty-state-text\">All flagged emails are snoozed</p><p class=\"text-xs opacity-75 mt-1\">" + data.snoozedCount + " snoozed email" + (data.snoozedCount !== 1 ? "s" : "") + " will come back when the snooze ends.</p></div>";
+            return;
+        }
         if (!data.email || data.totalFlagged === 0) {
             container.innerHTML = "<div class=\"empty-state\"><svg class=\"empty-state-icon\" fill=\"none\" stroke=\"currentColor\" viewBox=\"0 0 24 24\"><path stroke-linecap=\"round\" stroke-linejoin=\"round\" stroke-width=\"2\" d=\"M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z\"/></svg><p class=\"empty-state-text\">No flagged emails in inbox</p><p class=\"text-xs opacity-75 mt-1\">Flag emails in Outlook to see them here as reminders.</p></div>";
             return;
@@ -529,17 +1864,70 @@
         var email = data.email;
         var openLabel = email.webLink ? "Open in Outlook" : "View in Outlook";
         var openLink = email.webLink || "https://outlook.office.com/mail/inbox";
-        container.innerHTML = "<div class=\"flagged-email-tile\"><div class=\"flagged-email-card\"><div class=\"flagged-email-meta\"><span class=\"flagged-email-from\">" + escapeHtml(email.from) + "</span><span class=\"flagged-email-time\">" + escapeHtml(email.receivedTime) + "</span></div><h4 class=\"flagged-email-subject\">" + escapeHtml(email.subject) + "</h4>" + (email.preview ? "<p class=\"flagged-email-preview\">" + escapeHtml(email.preview) + "</p>" : "") + "<div class=\"flagged-email-actions mt-3 flex flex-wrap gap-2\"><a href=\"" + escapeHtml(openLink) + "\" target=\"_blank\" rel=\"noopener noreferrer\" class=\"inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium text-white focus:outline-none focus:ring-2 focus:ring-offset-2\" style=\"background-color: var(--cb-primary);\"><svg class=\"w-4 h-4\" fill=\"none\" stroke=\"currentColor\" viewBox=\"0 0 24 24\"><path stroke-linecap=\"round\" stroke-linejoin=\"round\" stroke-width=\"2\" d=\"M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M10 6a2 2 0 012 2v2m0 4v6a2 2 0 01-2 2h-2a2 2 0 01-2-2V10a2 2 0 012-2h2\"/></svg> " + openLabel + "</a></div></div><p class=\"flagged-email-count text-xs opacity-75 mt-2\">" + data.totalFlagged + " flagged email" + (data.totalFlagged !== 1 ? "s" : "") + " in inbox · Refresh to see another</p></div>";
+        var available = data.totalFlagged - (data.snoozedCount || 0);
+        var triageHtml = (available > 1 ? "<button type=\"button\" class=\"flagged-email-btn\" data-flagged-action=\"next\">Next</button>" : "")
+            + (CONFIG.kiosk ? "" : "<button type=\"button\" class=\"flagged-email-btn\" data-flagged-action=\"snooze\" data-snooze-days=\"1\" title=\"Hide from this tile until tomorrow\">Snooze 1 day</button>"
+            + "<button type=\"button\" class=\"flagged-email-btn\" data-flagged-action=\"snooze\" data-snooze-days=\"7\" title=\"Hide from this tile for a week\">Snooze 1 week</button>"
+            + "<button type=\"button\" class=\"flagged-email-btn\" data-flagged-action=\"complete\" title=\"Mark the flag complete in Outlook\">Mark complete</button>");
+        var countText = data.totalFlagged + " flagged email" + (data.totalFlagged !== 1 ? "s" : "") + " in inbox" + (data.snoozedCount ? " · " + data.snoozedCount + " snoozed" : "");
+        container.innerHTML = "<div class=\"flagged-email-tile\"><div class=\"flagged-email-card\"><div class=\"flagged-email-meta\"><span class=\"flagged-email-from\">" + escapeHtml(email.from) + "</span><span class=\"flagged-email-time\">" + escapeHtml(email.receivedTime) + "</span></div><h4 class=\"flagged-email-subject\">" + escapeHtml(email.subject) + "</h4>" + (email.preview ? "<p class=\"flagged-email-preview\">" + escapeHtml(email.preview) + "</p>" : "") + "<div class=\"flagged-email-actions mt-3 flex flex-wrap gap-2\"><a href=\"" + escapeHtml(openLink) + "\" target=\"_blank\" rel=\"noopener noreferrer\" class=\"inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium text-white focus:outline-none focus:ring-2 focus:ring-offset-2\" style=\"background-color: var(--cb-primary);\"><svg class=\"w-4 h-4\" fill=\"none\" stroke=\"currentColor\" viewBox=\"0 0 24 24\"><path stroke-linecap=\"round\" stroke-linejoin=\"round\" stroke-width=\"2\" d=\"M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M10 6a2 2 0 012 2v2m0 4v6a2 2 0 01-2 2h-2a2 2 0 01-2-2V10a2 2 0 012-2h2\"/></svg> " + openLabel + "</a>" + triageHtml + "</div></div><p class=\"flagged-email-count text-xs opacity-75 mt-2\">" + countText + "</p></div>";
+
+        container.querySelectorAll("[data-flagged-action]").forEach(function(btn) {
+            btn.addEventListener("click", function() {
+                flaggedEmailAction(container, email, this);
+            });
+        });
     }
 
     /**
-     * Render flagged email count tile: displays total number of flagged emails as a large centered integer
+     * Next / snooze / mark complete on the flagged email reminder tile.
+     * Snoozes are stored server-side so the random pick skips the message until the snooze ends.
      */
-    function renderFlaggedEmailCountTile(container, data) {
-        if (!data.connected) {
-            container.innerHTML = "<div class=\"tile-placeholder\"><p>Connect Microsoft 365 to view flagged email count</p><a href=\"/settings.php\" class=\"tile-connect-btn\">Connect Account</a></div>";
+    function flaggedEmailAction(container, email, btn) {
+        var tile = container.closest(".tile");
+        var action = btn.dataset.flaggedAction;
+        container.querySelectorAll("[data-flagged-action]").forEach(function(b) { b.disabled = true; });
+
+        if (action === "next") {
+            // Read by getTileRequestParams for this one request; loadTileData takes its params before it awaits
+            tile.dataset.flaggedExclude = email.id;
+            var loading = loadTileData(tile, false);
+            delete tile.dataset.flaggedExclude;
+            loading.then(function() {
+                var state = tileState.get(tile);
+                if (state && state.error) showToast("Couldn't load the next flagged email", "error");
+                // Still the same email (unchanged or failed): let the buttons be used again
+                container.querySelectorAll("[data-flagged-action]").forEach(function(b) { b.disabled = false; });
+            });
             return;
         }
+
+        var request = action === "complete"
+            ? emailAction(email.id, "complete")
+            : postWrite(CONFIG.emailEndpoint, { message_id: email.id, action: "snooze", days: parseInt(btn.dataset.snoozeDays, 10) || 1 }, { tileTypes: ["flagged-email"] });
+        request.then(function(data) {
+            if (data.error) {
+                if (action !== "complete") showToast(data.error, "error");
+                container.querySelectorAll("[data-flagged-action]").forEach(function(b) { b.disabled = false; });
+                return;
+            }
+            if (data.queued) {
+                if (action !== "complete") showToast("Offline: the snooze will be saved when you reconnect", "info");
+                return;
+            }
+            if (action === "complete") {
+                showToast("Flag marked complete", "success");
+            } else {
+                showToast("Snoozed for " + (btn.dataset.snoozeDays === "7" ? "a week" : "a day"), "success");
+                getTilesByType("flagged-email").forEach(function(t) { loadTileData(t, false); });
+            }
+        });
+    }
+
+    /**
+     * Render flagged email count tile: displays total number of flagged emails as a large centered integer
+     */
+    function renderFlaggedEmailCountTile(container, data) {
         if (data.error) {
             container.innerHTML = "<div class=\"tile-error\"><p>" + escapeHtml(data.error) + "</p><button class=\"tile-retry-btn\" onclick=\"this.closest('.tile').querySelector('.tile-refresh').click()\">Try again</button></div>";
             return;
@@ -552,10 +1940,6 @@
      * Render overdue tasks count tile: total incomplete tasks with due date in the past (same style as flagged email count).
      */
     function renderOverdueTasksCountTile(container, data) {
-        if (!data.connected) {
-            container.innerHTML = "<div class=\"tile-placeholder\"><p>Connect Microsoft 365 to view overdue tasks count</p><a href=\"/settings.php\" class=\"tile-connect-btn\">Connect Account</a></div>";
-            return;
-        }
         if (data.error) {
             container.innerHTML = "<div class=\"tile-error\"><p>" + escapeHtml(data.error) + "</p><button class=\"tile-retry-btn\" onclick=\"this.closest('.tile').querySelector('.tile-refresh').click()\">Try again</button></div>";
             return;
@@ -565,28 +1949,242 @@
     }
 
     /**
-     * Render calendar tile
+     * Local YYYY-MM-DD for a Date
+     */
+    function toDateKey(date) {
+        return date.getFullYear() + '-' + String(date.getMonth() + 1).padStart(2, '0') + '-' + String(date.getDate()).padStart(2, '0');
+    }
+
+    /**
+     * Parse YYYY-MM-DD as a local date
+     */
+    function fromDateKey(key) {
+        const parts = String(key).split('-').map(Number);
+        return new Date(parts[0], parts[1] - 1, parts[2]);
+    }
+
+    /**
+     * Date range a calendar tile shows: its view (data-calendar-view: day | agenda | week) and the
+     * day the user navigated to (data-calendar-start), defaulting to today or this week's Monday
+     */
+    function getCalendarRange(tile) {
+        const view = tile.dataset.calendarView === 'agenda' || tile.dataset.calendarView === 'week' ? tile.dataset.calendarView : 'day';
+        let start = tile.dataset.calendarStart;
+        if (!start) {
+            const today = new Date();
+            if (view === 'week') today.setDate(today.getDate() - ((today.getDay() + 6) % 7));
+            start = toDateKey(today);
+        }
+        return { view, start, days: view === 'day' ? 1 : 7 };
+    }
+
+    /**
+     * Whether a calendar response covers a range other than the one the tile now asks for
+     */
+    function isStaleCalendarResponse(tile, data) {
+        if (tile.dataset.tileType !== 'calendar' || !data || !data.start) return false;
+        const range = getCalendarRange(tile);
+        return data.start !== range.start || parseInt(data.days) !== range.days;
+    }
+
+    /**
+     * Previous / next (a day, or a week in agenda and week views) and a label that jumps back to today
+     */
+    function calendarNavHtml(range) {
+        const start = fromDateKey(range.start);
+        const todayKey = toDateKey(new Date());
+        let label;
+        if (range.view === 'day') {
+            label = range.start === todayKey ? 'Today' : start.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+        } else {
+            const end = new Date(start);
+            end.setDate(end.getDate() + range.days - 1);
+            const fmt = { day: 'numeric', month: 'short' };
+            label = start.toLocaleDateString(undefined, fmt) + ' – ' + end.toLocaleDateString(undefined, fmt);
+        }
+        const step = range.view === 'day' ? 'day' : 'week';
+        return `
+            <div class="calendar-nav">
+                <button type="button" class="calendar-nav-btn" data-calendar-nav="-1" title="Previous ${step}" aria-label="Previous ${step}">&lsaquo;</button>
+                <button type="button" class="calendar-nav-label" data-calendar-nav="0" title="Back to today">${escapeHtml(label)}</button>
+                <button type="button" class="calendar-nav-btn" data-calendar-nav="1" title="Next ${step}" aria-label="Next ${step}">&rsaquo;</button>
+            </div>
+        `;
+    }
+
+    function setupCalendarNav(container, tile, range) {
+        container.querySelectorAll('[data-calendar-nav]').forEach(btn => {
+            btn.addEventListener('click', function() {
+                const direction = parseInt(this.dataset.calendarNav, 10);
+                if (direction === 0) {
+                    delete tile.dataset.calendarStart;
+                } else {
+                    const start = fromDateKey(range.start);
+                    start.setDate(start.getDate() + direction * (range.view === 'day' ? 1 : 7));
+                    tile.dataset.calendarStart = toDateKey(start);
+                }
+                loadTileData(tile, false);
+            });
+        });
+    }
+
+    /**
+     * Closes an event row's class attribute, adding the clickable class, event id and (for events from a chosen
+     * calendar) the calendar and mailbox when the event can be opened (Outlook events only; ICS/CalDAV events
+     * have no detail to fetch)
+     */
+    function calendarEventAttrs(event) {
+        if (!event.id || event.source) return '"';
+        return ` calendar-item-clickable" data-event-id="${escapeHtml(event.id)}"`
+            + (event.calendarId ? ` data-calendar-id="${escapeHtml(event.calendarId)}"` : '')
+            + (event.mailbox ? ` data-mailbox="${escapeHtml(event.mailbox)}"` : '');
+    }
+
+    /**
+     * Inline style giving an event its calendar or source colour (the default calendar keeps the theme colour)
+     */
+    function calendarColorStyle(event, property) {
+        return event.color ? ` style="${property}: ${escapeHtml(event.color)}"` : '';
+    }
+
+    /**
+     * Legend under the tile when it shows more than one calendar
+     */
+    function calendarLegendHtml(legend) {
+        if (!Array.isArray(legend) || legend.length < 2) return '';
+        return '<ul class="calendar-legend">' + legend.map(entry => `
+            <li class="calendar-legend-item"><span class="calendar-source-dot"${entry.color ? ` style="background: ${escapeHtml(entry.color)}"` : ''}></span>${escapeHtml(entry.name)}</li>
+        `).join('') + '</ul>';
+    }
+
+    /**
+     * Open the event detail overlay from any clickable event row in the tile
+     */
+    function setupCalendarEventClicks(container) {
+        container.querySelectorAll('.calendar-item-clickable').forEach(item => {
+            item.addEventListener('click', function() {
+                openCalendarEventOverlay(this.dataset.eventId, { calendarId: this.dataset.calendarId, mailbox: this.dataset.mailbox });
+            });
+        });
+    }
+
+    /**
+     * Events grouped by their 'date', one entry per day of the range (empty days included)
+     */
+    function groupCalendarEventsByDay(events, range) {
+        const byDate = new Map();
+        events.forEach(event => {
+            if (!byDate.has(event.date)) byDate.set(event.date, []);
+            byDate.get(event.date).push(event);
+        });
+        const days = [];
+        const day = fromDateKey(range.start);
+        for (let i = 0; i < range.days; i++) {
+            const key = toDateKey(day);
+            days.push({ key, date: new Date(day), events: byDate.get(key) || [] });
+            day.setDate(day.getDate() + 1);
+        }
+        return days;
+    }
+
+    /**
+     * Agenda view: the next days under day headers, skipping days without events
+     */
+    function calendarAgendaHtml(events, range) {
+        const todayKey = toDateKey(new Date());
+        const now = new Date();
+        const days = groupCalendarEventsByDay(events, range).filter(day => day.events.length);
+        if (!days.length) {
+            return '<div class="empty-state"><p class="empty-state-text">No events in these 7 days</p></div>';
+        }
+        return '<div class="calendar-agenda">' + days.map(day => {
+            const heading = day.key === todayKey ? 'Today' : day.date.toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'short' });
+            const items = day.events.map(event => {
+                const isPast = !event.isAllDay && event.endDateTime && new Date(event.endDateTime) < now;
+                return `
+                    <li class="calendar-item ${isPast ? 'calendar-item-past' : 'calendar-item-future'}${calendarEventAttrs(event)}>
+                        <div class="calendar-indicator"${calendarColorStyle(event, 'background')}></div>
+                        <div class="calendar-time">${escapeHtml(event.startTime)}</div>
+                        <div class="calendar-details">
+                            <div class="calendar-title">${escapeHtml(event.subject)}</div>
+                            ${event.location || event.source ? `<div class="calendar-location">${escapeHtml([event.location, event.source].filter(Boolean).join(' · '))}</div>` : ''}
+                        </div>
+                    </li>
+                `;
+            }).join('');
+            return `<h4 class="calendar-day-heading${day.key === todayKey ? ' calendar-day-heading-today' : ''}">${escapeHtml(heading)}</h4><ul class="calendar-list">${items}</ul>`;
+        }).join('') + '</div>';
+    }
+
+    /**
+     * Week view: a compact 7-column grid, one column per day with its events' times and titles
+     */
+    function calendarWeekHtml(events, range) {
+        const todayKey = toDateKey(new Date());
+        return '<div class="calendar-week">' + groupCalendarEventsByDay(events, range).map(day => {
+            const items = day.events.map(event => `
+                <li class="calendar-week-event${event.isAllDay ? ' calendar-week-event-allday' : ''}${calendarEventAttrs(event)}${calendarColorStyle(event, 'border-left-color')} title="${escapeHtml(event.startTime + ' ' + event.subject + (event.location ? ' · ' + event.location : '') + (event.source ? ' (' + event.source + ')' : ''))}">
+                    ${event.isAllDay ? '' : `<span class="calendar-week-time">${escapeHtml(event.startTime.replace(':00', ''))}</span>`}
+                    <span class="calendar-week-title">${escapeHtml(event.subject)}</span>
+                </li>
+            `).join('');
+            return `
+                <div class="calendar-week-day${day.key === todayKey ? ' calendar-week-day-today' : ''}">
+                    <div class="calendar-week-day-header">
+                        <span class="calendar-week-weekday">${escapeHtml(day.date.toLocaleDateString(undefined, { weekday: 'short' }))}</span>
+                        <span class="calendar-week-date">${day.date.getDate()}</span>
+                    </div>
+                    <ul class="calendar-week-events">${items}</ul>
+                </div>
+            `;
+        }).join('') + '</div>';
+    }
+
+    /**
+     * Render calendar tile: day view (default, with the current event centred), agenda or week grid
      */
     function renderCalendarTile(container, data) {
         if (!data.connected) {
             container.innerHTML = `
                 <div class="tile-placeholder">
-                    <p>Connect Microsoft 365 to view calendar</p>
+                    <p>Connect Microsoft 365 or add a calendar feed to view calendar</p>
                     <a href="/settings.php" class="tile-connect-btn">Connect Account</a>
                 </div>
             `;
             return;
         }
 
-        if (!data.events || !Array.isArray(data.events) || data.events.length === 0) {
-            container.innerHTML = `
+        const calendarTile = container.closest('.tile');
+        const requested = calendarTile ? getCalendarRange(calendarTile) : { view: 'day', start: toDateKey(new Date()), days: 1 };
+        // Label and lay out the range the response covers, which an offline copy may not share with the request
+        const days = parseInt(data.days) || requested.days;
+        const range = {
+            view: days === 1 ? 'day' : (requested.view === 'day' ? 'agenda' : requested.view),
+            start: data.start || requested.start,
+            days
+        };
+        const navHtml = calendarTile ? calendarNavHtml(range) : '';
+        const events = Array.isArray(data.events) ? data.events : [];
+        const legendHtml = calendarLegendHtml(data.legend);
+
+        if (range.view !== 'day') {
+            container.innerHTML = navHtml + (range.view === 'week' ? calendarWeekHtml(events, range) : calendarAgendaHtml(events, range)) + legendHtml;
+            if (calendarTile) setupCalendarNav(container, calendarTile, range);
+            setupCalendarEventClicks(container);
+            return;
+        }
+
+        const isToday = range.start === toDateKey(new Date());
+        if (events.length === 0) {
+            container.innerHTML = navHtml + `
                 <div class="empty-state">
                     <svg class="empty-state-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z"/>
                     </svg>
-                    <p class="empty-state-text">No events today</p>
+                    <p class="empty-state-text">${isToday ? 'No events today' : 'No events on this day'}</p>
                 </div>
-            `;
+            ` + legendHtml;
+            if (calendarTile) setupCalendarNav(container, calendarTile, range);
             return;
         }
 
@@ -627,25 +2225,27 @@
             }
             
             return `
-            <li class="calendar-item ${statusClass}" data-event-index="${index}">
-                <div class="calendar-indicator"></div>
+            <li class="calendar-item ${statusClass}${calendarEventAttrs(event)} data-event-index="${index}">
+                <div class="calendar-indicator"${calendarColorStyle(event, 'background')}></div>
                 <div class="calendar-time">${escapeHtml(event.startTime)}</div>
                 <div class="calendar-details">
                     <div class="calendar-title">${escapeHtml(event.subject)}</div>
-                    ${event.location ? `<div class="calendar-location">${escapeHtml(event.location)}</div>` : ''}
+                    ${event.location || event.source ? `<div class="calendar-location">${escapeHtml([event.location, event.source].filter(Boolean).join(' · '))}</div>` : ''}
                 </div>
             </li>
         `;
         }).join('');
 
         // Add message if all events have ended
-        const endMessageHtml = allEventsEnded && data.events.length > 0 ? `
+        const endMessageHtml = isToday && allEventsEnded && data.events.length > 0 ? `
             <li class="calendar-item calendar-item-end-message">
                 <div class="calendar-end-message-text">There are no more events today</div>
             </li>
         ` : '';
 
-        container.innerHTML = `<ul class="calendar-list">${eventsHtml}${endMessageHtml}</ul>`;
+        container.innerHTML = navHtml + `<ul class="calendar-list">${eventsHtml}${endMessageHtml}</ul>` + legendHtml;
+        if (calendarTile) setupCalendarNav(container, calendarTile, range);
+        setupCalendarEventClicks(container);
         
         // Find the event to center (current event, or closest to now)
         try {
@@ -721,39 +2321,54 @@
     }
 
     /**
-     * Render calendar heatmap tile: 5 rows (current week + 4 more), 5 weekdays per row, heat by event count.
+     * Render calendar heatmap tile: one row per week (weekdays, or whole weeks), each day shaded by its event
+     * count or booked hours. Shading levels are quantiles of the tile's own non-empty days, so a busy person's
+     * calendar isn't solid colour. Hover shows the day's events; click (or Enter) opens that day's agenda.
      */
-    function renderCalendarHeatmapTile(container, data) {
-        if (!data.connected) {
-            container.innerHTML = '<div class="tile-placeholder"><p>Connect Microsoft 365 to view calendar heat map</p><a href="/settings.php" class="tile-connect-btn">Connect Account</a></div>';
-            return;
-        }
+    function renderCalendarHeatmapTile(container, data, tile) {
         if (data.error) {
             container.innerHTML = '<div class="tile-error"><p>' + escapeHtml(data.error) + '</p><button class="tile-retry-btn" onclick="this.closest(\'.tile\').querySelector(\'.tile-refresh\').click()">Try again</button></div>';
             return;
         }
         var days = data.days || [];
-        var maxCount = Math.max(1, data.maxCount || 0);
+        var metric = (tile && tile.dataset.heatmapMetric) || data.metric || 'count';
+        var columns = data.columns || 5;
         var now = new Date();
         var todayStr = now.getFullYear() + '-' + String(now.getMonth() + 1).padStart(2, '0') + '-' + String(now.getDate()).padStart(2, '0');
-        function intensityClass(count) {
-            if (count === 0) return 'calendar-heatmap-n0';
-            var level = Math.min(5, Math.ceil((count / maxCount) * 5));
-            return 'calendar-heatmap-n' + level;
+        var thresholds = calendarHeatmapThresholds(days.map(function (d) { return calendarHeatmapValue(d, metric); }));
+        function intensityClass(value) {
+            if (!value) return 'calendar-heatmap-n0';
+            var level = 1;
+            thresholds.forEach(function (t) { if (value > t) level++; });
+            return 'calendar-heatmap-n' + Math.min(5, level);
         }
         var cellsHtml = days.map(function (d, idx) {
-            var level = intensityClass(d.count);
+            var value = calendarHeatmapValue(d, metric);
+            var level = intensityClass(value);
             var isToday = d.date === todayStr;
             var todayClass = isToday ? ' calendar-heatmap-today' : '';
-            var title = d.count + ' event' + (d.count !== 1 ? 's' : '') + ' on this day';
-            return '<div class="calendar-heatmap-cell ' + level + todayClass + '" data-day-index="' + idx + '" title="' + escapeHtml(title) + '">' +
+            var title = metric === 'hours'
+                ? formatBookedHours(value) + ' booked on this day'
+                : d.count + ' event' + (d.count !== 1 ? 's' : '') + ' on this day';
+            return '<div class="calendar-heatmap-cell ' + level + todayClass + '" data-day-index="' + idx + '" role="button" tabindex="0" title="' + escapeHtml(title) + '">' +
                 '<span class="calendar-heatmap-day">' + d.day + '</span>' +
                 '</div>';
         }).join('');
-        container.innerHTML = '<div class="calendar-heatmap-outer">' +
-            '<div class="calendar-heatmap-grid" role="grid" aria-label="Calendar heat map: event count by day (weekdays only)">' + cellsHtml + '</div>' +
+        var metricHtml = '<div class="calendar-heatmap-metric" role="group" aria-label="Shade by">' +
+            '<button type="button" data-metric="count" aria-pressed="' + (metric === 'count') + '">Events</button>' +
+            '<button type="button" data-metric="hours" aria-pressed="' + (metric === 'hours') + '">Hours</button>' +
+            '</div>';
+        container.innerHTML = '<div class="calendar-heatmap-outer">' + metricHtml +
+            '<div class="calendar-heatmap-grid" role="grid" style="grid-template-columns: repeat(' + columns + ', 20px)" aria-label="Calendar heat map: ' + (metric === 'hours' ? 'booked hours' : 'event count') + ' by day">' + cellsHtml + '</div>' +
             '<div class="calendar-heatmap-popover" id="calendar-heatmap-popover" aria-hidden="true"></div>' +
             '</div>';
+        container.querySelectorAll('.calendar-heatmap-metric button').forEach(function (btn) {
+            btn.addEventListener('click', function () {
+                if (!tile) return;
+                tile.dataset.heatmapMetric = btn.dataset.metric;
+                renderCalendarHeatmapTile(container, data, tile);
+            });
+        });
         var grid = container.querySelector('.calendar-heatmap-grid');
         var popover = container.querySelector('.calendar-heatmap-popover');
         var hideTimeout = null;
@@ -765,14 +2380,15 @@
             if (hideTimeout) { clearTimeout(hideTimeout); hideTimeout = null; }
             var events = dayData.events || [];
             var dateLabel = formatPopoverDate(dayData.date);
-            var content = '<div class="calendar-heatmap-popover-title">' + escapeHtml(dateLabel) + '</div>';
+            var content = '<div class="calendar-heatmap-popover-title">' + escapeHtml(dateLabel + (dayData.hours ? ' · ' + formatBookedHours(dayData.hours) + ' booked' : '')) + '</div>';
             if (events.length === 0) {
                 content += '<p class="calendar-heatmap-popover-empty">No events</p>';
             } else {
                 content += '<ul class="calendar-heatmap-popover-list">';
                 for (var i = 0; i < events.length; i++) {
                     var ev = events[i];
-                    content += '<li class="calendar-heatmap-popover-item"><span class="calendar-heatmap-popover-time">' + escapeHtml(ev.startTime) + '</span> ' + escapeHtml(ev.subject) + '</li>';
+                    var dotHtml = ev.color ? '<span class="calendar-source-dot" style="background: ' + escapeHtml(ev.color) + '"></span>' : '';
+                    content += '<li class="calendar-heatmap-popover-item">' + dotHtml + '<span class="calendar-heatmap-popover-time">' + escapeHtml(ev.startTime) + '</span> ' + escapeHtml(ev.subject) + '</li>';
                 }
                 content += '</ul>';
             }
@@ -805,19 +2421,86 @@
             var dayData = days[idx];
             cell.addEventListener('mouseenter', function () { showPopover(cell, dayData); });
             cell.addEventListener('mouseleave', function () { hidePopover(); });
+            cell.addEventListener('click', function () {
+                popover.classList.remove('calendar-heatmap-popover-visible');
+                openCalendarDayAgenda(dayData);
+            });
+            cell.addEventListener('keydown', function (e) {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    openCalendarDayAgenda(dayData);
+                }
+            });
         });
         popover.addEventListener('mouseenter', cancelHide);
         popover.addEventListener('mouseleave', function () { hidePopover(); });
     }
 
+    function calendarHeatmapValue(day, metric) {
+        return metric === 'hours' ? (day.hours || 0) : (day.count || 0);
+    }
+
     /**
-     * Render calendar-next tile: single next event in a category (prominent)
+     * Upper bounds of shading levels 1–4 (above the last is level 5): the 20th–80th percentiles of the non-zero values
      */
-    function renderCalendarNextTile(container, data) {
-        if (!data.connected) {
-            container.innerHTML = '<div class="tile-placeholder"><p>Connect Microsoft 365 to view your next event</p><a href="/settings.php" class="tile-connect-btn">Connect Account</a></div>';
-            return;
+    function calendarHeatmapThresholds(values) {
+        var sorted = values.filter(function (v) { return v > 0; }).sort(function (a, b) { return a - b; });
+        if (!sorted.length) return [];
+        return [0.2, 0.4, 0.6, 0.8].map(function (q) {
+            return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+        });
+    }
+
+    function formatBookedHours(hours) {
+        var h = Math.floor(hours);
+        var m = Math.round((hours - h) * 60);
+        if (m === 60) { h++; m = 0; }
+        return h ? h + 'h' + (m ? ' ' + m + 'm' : '') : m + 'm';
+    }
+
+    /**
+     * A heat map day's agenda in an overlay (the calendar tile's agenda rows); Outlook events open their details
+     */
+    function openCalendarDayAgenda(dayData) {
+        var overlay = document.getElementById('calendar-day-overlay');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.className = 'task-detail-overlay calendar-day-overlay';
+            overlay.id = 'calendar-day-overlay';
+            overlay.innerHTML = '<div class="task-detail-modal"><div class="task-detail-modal-header"><h3 class="task-detail-modal-title" id="calendar-day-title"></h3><button type="button" class="task-detail-modal-close" id="calendar-day-close-btn" title="Close"><svg fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/></svg></button></div><div class="task-detail-modal-body" id="calendar-day-body"></div></div>';
+            document.body.appendChild(overlay);
+            document.getElementById('calendar-day-close-btn').addEventListener('click', closeCalendarDayAgenda);
+            overlay.addEventListener('click', function (e) {
+                if (e.target === overlay) closeCalendarDayAgenda();
+            });
+            document.addEventListener('keydown', function calendarDayEscape(e) {
+                if (e.key === 'Escape' && overlay.classList.contains('show')) closeCalendarDayAgenda();
+            });
         }
+        var date = fromDateKey(dayData.date);
+        var summary = dayData.count + ' event' + (dayData.count !== 1 ? 's' : '') + (dayData.hours ? ' · ' + formatBookedHours(dayData.hours) + ' booked' : '');
+        document.getElementById('calendar-day-title').textContent = date.toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'long' });
+        var bodyEl = document.getElementById('calendar-day-body');
+        bodyEl.innerHTML = '<p class="calendar-day-summary">' + escapeHtml(summary) + '</p>' + (dayData.events && dayData.events.length
+            ? calendarAgendaHtml(dayData.events, { start: dayData.date, days: 1 })
+            : '<div class="empty-state"><p class="empty-state-text">No events on this day</p></div>');
+        setupCalendarEventClicks(bodyEl);
+        // The event overlay replaces this one rather than stacking under it
+        bodyEl.querySelectorAll('.calendar-item-clickable').forEach(function (item) {
+            item.addEventListener('click', closeCalendarDayAgenda);
+        });
+        requestAnimationFrame(function () { overlay.classList.add('show'); });
+    }
+
+    function closeCalendarDayAgenda() {
+        var overlay = document.getElementById('calendar-day-overlay');
+        if (overlay) overlay.classList.remove('show');
+    }
+
+    /**
+     * Render calendar-next tile: single next event in a category (prominent)
+     */
+    function renderCalendarNextTile(container, data) {
         if (!data.configured || !data.category) {
             container.innerHTML = '<div class="tile-placeholder"><p>Set an Outlook category in Settings for this tile.</p><a href="/settings.php" class="tile-connect-btn">Settings</a></div>';
             return;
@@ -831,7 +2514,8 @@
             return;
         }
         var e = data.event;
-        var locationHtml = e.location ? '<div class="calendar-next-location">' + escapeHtml(e.location) + '</div>' : '';
+        var locationText = [e.location, e.source].filter(Boolean).join(' · ');
+        var locationHtml = locationText ? '<div class="calendar-next-location">' + escapeHtml(locationText) + '</div>' : '';
         var daysLabel = formatDaysUntil(e.startDateTime);
         var mainDateLabel = e.startDate + (e.startTime && e.startTime !== 'All Day' ? ' · ' + e.startTime : '');
         var secondHtml = '';
@@ -850,10 +2534,10 @@
             locationHtml + '</div>' + secondHtml;
     }
 
-    function renderNextEventTile(container, data) {
+    function renderNextEventTile(container, data, tile) {
         if (!data.connected) {
             container.innerHTML = '<div class="tile-placeholder">' +
-                '<p>Connect Microsoft 365 to view your next event</p>' +
+                '<p>Connect Microsoft 365 or add a calendar feed to view your next event</p>' +
                 '<a href="/settings.php" class="tile-connect-btn">Connect Account</a></div>';
             return;
         }
@@ -862,6 +2546,7 @@
                 '<button class="tile-retry-btn" onclick="this.closest(\'.tile\').querySelector(\'.tile-refresh\').click()">Try again</button></div>';
             return;
         }
+        updateMeetingReminders(tile, data);
         if (!data.event) {
             container.innerHTML = '<div class="calendar-next-empty">' +
                 '<p class="calendar-next-empty-title">No upcoming events</p>' +
@@ -869,7 +2554,8 @@
             return;
         }
         var e = data.event;
-        var locationHtml = e.location ? '<div class="calendar-next-location">' + escapeHtml(e.location) + '</div>' : '';
+        var locationText = [e.location, e.source].filter(Boolean).join(' · ');
+        var locationHtml = locationText ? '<div class="calendar-next-location">' + escapeHtml(locationText) + '</div>' : '';
         var dateTimeLabel = e.startDate + (e.startTime && e.startTime !== 'All Day' ? ' · ' + e.startTime : '');
         var now = new Date();
         var startMs = e.startDateTime ? new Date(e.startDateTime).getTime() : 0;
@@ -881,6 +2567,17 @@
             '<div class="next-event-datetime">' + escapeHtml(dateTimeLabel) + '</div>' +
             '<h4 class="next-event-subject">' + escapeHtml(e.subject) + '</h4>' +
             locationHtml + '</div>';
+        // Browsers only ask for notification permission from a click
+        if (meetingRemindersEnabled(tile) && 'Notification' in window && Notification.permission === 'default') {
+            var notifyBtn = document.createElement('button');
+            notifyBtn.type = 'button';
+            notifyBtn.className = 'next-event-notify-btn';
+            notifyBtn.textContent = 'Allow meeting notifications';
+            notifyBtn.addEventListener('click', function () {
+                Notification.requestPermission().then(function () { notifyBtn.remove(); });
+            });
+            container.querySelector('.next-event-card').appendChild(notifyBtn);
+        }
         var countdownEl = container.querySelector('.next-event-countdown');
         if (countdownEl && e.startDateTime) {
             var t;
@@ -907,14 +2604,153 @@
         }
     }
 
+    var MEETING_REMINDER_PREFIX = 'crashboard_reminder:';
+    var meetingReminders = { events: [], offsets: [], timer: null, shown: new Set() };
+
+    function meetingRemindersEnabled(tile) {
+        return !CONFIG.kiosk && !!tile && !!tile.dataset.reminderOffsets;
+    }
+
+    /**
+     * Keep the reminder list in step with the next-event tile's latest data. Reminders are opt-in per tile
+     * (data-reminder-offsets: minutes before the start, set in Settings) and off on kiosk displays.
+     */
+    function updateMeetingReminders(tile, data) {
+        if (!meetingRemindersEnabled(tile)) return;
+        meetingReminders.offsets = tile.dataset.reminderOffsets.split(',').map(Number).filter(function (m) { return m >= 0; });
+        meetingReminders.events = Array.isArray(data.upcoming) ? data.upcoming : [];
+        if (!meetingReminders.timer) {
+            pruneMeetingReminderClaims();
+            meetingReminders.timer = setInterval(checkMeetingReminders, 15000);
+        }
+        checkMeetingReminders();
+    }
+
+    /**
+     * Remind about each event once per offset that has come due. When several are due together (page opened
+     * late) only the closest is shown; "at start" (0) stays due for a minute after the start.
+     */
+    function checkMeetingReminders() {
+        var now = Date.now();
+        meetingReminders.events.forEach(function (ev) {
+            var start = new Date(ev.startDateTime).getTime();
+            if (!start) return;
+            var due = meetingReminders.offsets.filter(function (minutes) {
+                return now >= start - minutes * 60000 && now < start + (minutes === 0 ? 60000 : 0);
+            }).sort(function (a, b) { return a - b; });
+            if (!due.length) return;
+            var keys = due.map(function (minutes) { return MEETING_REMINDER_PREFIX + ev.id + ':' + ev.startDateTime + ':' + minutes; });
+            claimMeetingReminder(keys, function () { showMeetingReminder(ev, keys[0]); });
+        });
+    }
+
+    /**
+     * Mark reminders as shown in localStorage so only one open tab shows each; keys[0] decides whether this one
+     * is new. Web Locks make the check-and-set atomic across tabs; where they're missing the notification tag
+     * still collapses duplicates.
+     */
+    function claimMeetingReminder(keys, onClaimed) {
+        var claim = function () {
+            var isNew = !meetingReminders.shown.has(keys[0]);
+            try {
+                isNew = isNew && !localStorage.getItem(keys[0]);
+                keys.forEach(function (key) { localStorage.setItem(key, String(Date.now())); });
+            } catch (e) {
+                // Storage unavailable (private mode): this tab's memory still stops repeats
+            }
+            keys.forEach(function (key) { meetingReminders.shown.add(key); });
+            if (isNew) onClaimed();
+        };
+        if (navigator.locks && navigator.locks.request) {
+            navigator.locks.request('crashboard-meeting-reminders', claim);
+        } else {
+            claim();
+        }
+    }
+
+    /**
+     * Drop reminder markers older than two days
+     */
+    function pruneMeetingReminderClaims() {
+        try {
+            var cutoff = Date.now() - 2 * 24 * 60 * 60 * 1000;
+            Object.keys(localStorage).forEach(function (key) {
+                if (key.indexOf(MEETING_REMINDER_PREFIX) === 0 && Number(localStorage.getItem(key)) < cutoff) {
+                    localStorage.removeItem(key);
+                }
+            });
+        } catch (e) {
+            // Nothing to prune without storage
+        }
+    }
+
+    /**
+     * Desktop notification (through the service worker, so it can carry a Join action) when permitted,
+     * otherwise an in-page banner
+     */
+    function showMeetingReminder(ev, tag) {
+        var minutesLeft = Math.round((new Date(ev.startDateTime).getTime() - Date.now()) / 60000);
+        var when = minutesLeft <= 0 ? 'Starting now' : 'Starts in ' + minutesLeft + ' min';
+        // A link found in the invite text is shown, not offered as "Join": the sender chose where it goes
+        var body = when + ' · ' + ev.startTime + (ev.location ? ' · ' + ev.location : '') + (ev.meetingLink ? '\nLink in invite: ' + ev.meetingLink : '');
+        if (!('Notification' in window) || Notification.permission !== 'granted') {
+            showMeetingReminderBanner(ev, when);
+            return;
+        }
+        var options = { body: body, tag: tag, requireInteraction: true, data: { joinUrl: ev.joinUrl || '' } };
+        var pageNotification = function () {
+            var notification = new Notification(ev.subject, options);
+            notification.onclick = function () {
+                window.focus();
+                if (ev.joinUrl) window.open(ev.joinUrl, '_blank', 'noopener');
+                notification.close();
+            };
+        };
+        var registration = 'serviceWorker' in navigator ? navigator.serviceWorker.getRegistration() : Promise.resolve(null);
+        registration.then(function (reg) {
+            if (!reg) return pageNotification();
+            return reg.showNotification(ev.subject, Object.assign({}, options, {
+                actions: ev.joinUrl ? [{ action: 'join', title: 'Join meeting' }] : []
+            }));
+        }).catch(function (err) {
+            console.warn('Meeting notification failed:', err);
+            showMeetingReminderBanner(ev, when);
+        });
+    }
+
+    /**
+     * Banner at the top of the dashboard with a Join button; it goes away when dismissed or five minutes after the start
+     */
+    function showMeetingReminderBanner(ev, when) {
+        var stack = document.getElementById('meeting-reminder-banners');
+        if (!stack) {
+            stack = document.createElement('div');
+            stack.id = 'meeting-reminder-banners';
+            stack.className = 'meeting-reminder-banners';
+            stack.setAttribute('role', 'status');
+            document.body.appendChild(stack);
+        }
+        var banner = document.createElement('div');
+        banner.className = 'meeting-reminder-banner';
+        banner.innerHTML = '<div class="meeting-reminder-text"><strong>' + escapeHtml(ev.subject) + '</strong><span>' + escapeHtml(when + ' · ' + ev.startTime + (ev.location ? ' · ' + ev.location : '')) + '</span>' +
+            (ev.meetingLink ? '<span class="meeting-reminder-link">Link in invite: ' + escapeHtml(ev.meetingLink) + '</span>' : '') + '</div>' +
+            (ev.joinUrl ? '<a class="task-detail-mark-complete meeting-reminder-join" href="' + escapeHtml(ev.joinUrl) + '" target="_blank" rel="noopener noreferrer">Join</a>' : '') +
+            '<button type="button" class="meeting-reminder-dismiss" title="Dismiss" aria-label="Dismiss reminder">&times;</button>';
+        banner.querySelector('.meeting-reminder-dismiss').addEventListener('click', function () { banner.remove(); });
+        stack.appendChild(banner);
+        var removeIn = new Date(ev.startDateTime).getTime() + 5 * 60000 - Date.now();
+        setTimeout(function () { banner.remove(); }, Math.max(60000, removeIn));
+    }
+
     /**
-     * Render availability tile: show available meeting slots with copy-to-clipboard button
+     * Render availability tile: free slots per day, each one clickable to leave it out, and a copy button
+     * that writes the chosen slots with the tile's template (text, Markdown or HTML) in the recipient's time zone
      */
-    function renderAvailabilityTile(container, data) {
+    function renderAvailabilityTile(container, data, tile) {
         if (!data.connected) {
             container.innerHTML = `
                 <div class="tile-placeholder">
-                    <p>Connect Microsoft 365 to view availability</p>
+                    <p>Connect Microsoft 365 or add a calendar feed to view availability</p>
                     <a href="/settings.php" class="tile-connect-btn">Connect Account</a>
                 </div>
             `;
@@ -944,17 +2780,39 @@
             return;
         }
 
+        // Left-out slots and one-off template/time zone changes last until the page reloads, across refreshes
+        const state = getAvailabilityTileState(tile, data);
+        const periods = data.slots.flatMap(slot => slot.periods || []);
+        const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        if (state.timezone && !zones.includes(state.timezone)) zones.unshift(state.timezone);
+
         const slotsHtml = data.slots.map(slot => `
             <div class="availability-tile-square">
                 <div class="availability-tile-day">${escapeHtml(slot.dayNumber || '')}</div>
                 <div class="availability-tile-month">${escapeHtml(slot.monthAbbr || '')}</div>
-                <div class="availability-tile-time">${escapeHtml(slot.timeRange || slot.time || '')}</div>
+                <div class="availability-periods">
+                    ${(slot.periods || []).map(period => {
+                        const included = !state.excluded.has(availabilityPeriodKey(period));
+                        return `<button type="button" class="availability-period${included ? '' : ' excluded'}" data-period-key="${escapeHtml(availabilityPeriodKey(period))}" aria-pressed="${included}" title="${included ? 'Click to leave out' : 'Click to include'}">${escapeHtml(period.label)}</button>`;
+                    }).join('')}
+                </div>
             </div>
         `).join('');
 
         container.innerHTML = `
             <div class="availability-content">
-                <button class="availability-copy-btn" data-copy-text="${escapeHtml(data.text)}" title="Copy to clipboard">
+                <div class="availability-toolbar">
+                    <select class="availability-format" aria-label="Copy as">
+                        <option value="text" ${state.format === 'text' ? 'selected' : ''}>Text</option>
+                        <option value="markdown" ${state.format === 'markdown' ? 'selected' : ''}>Markdown</option>
+                        <option value="html" ${state.format === 'html' ? 'selected' : ''}>HTML</option>
+                    </select>
+                    <select class="availability-timezone" aria-label="Recipient's time zone">
+                        <option value="">My time (${escapeHtml(data.timezone || '')})</option>
+                        ${zones.map(zone => `<option value="${escapeHtml(zone)}" ${zone === state.timezone ? 'selected' : ''}>${escapeHtml(zone.replace(/_/g, ' '))}</option>`).join('')}
+                    </select>
+                </div>
+                <button class="availability-copy-btn" title="Copy the chosen times to the clipboard">
                     <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z"/>
                     </svg>
@@ -966,51 +2824,151 @@
             </div>
         `;
 
-        // Add click handler for copy button
         const copyBtn = container.querySelector('.availability-copy-btn');
-        if (copyBtn) {
-            copyBtn.addEventListener('click', async function() {
-                const textToCopy = this.dataset.copyText || '';
-                if (!textToCopy) return;
+        const updateCopyButton = () => {
+            const count = periods.filter(period => !state.excluded.has(availabilityPeriodKey(period))).length;
+            copyBtn.disabled = count === 0;
+            copyBtn.querySelector('span').textContent = count === periods.length ? 'Copy' : `Copy ${count} of ${periods.length}`;
+        };
+        updateCopyButton();
+
+        container.querySelectorAll('.availability-period').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const key = btn.dataset.periodKey;
+                const included = state.excluded.has(key);
+                if (included) state.excluded.delete(key); else state.excluded.add(key);
+                btn.classList.toggle('excluded', !included);
+                btn.setAttribute('aria-pressed', String(included));
+                btn.title = included ? 'Click to leave out' : 'Click to include';
+                updateCopyButton();
+            });
+        });
+        container.querySelector('.availability-format').addEventListener('change', function () {
+            state.format = this.value;
+        });
+        container.querySelector('.availability-timezone').addEventListener('change', function () {
+            state.timezone = this.value;
+        });
 
+        copyBtn.addEventListener('click', async function() {
+            const chosen = periods.filter(period => !state.excluded.has(availabilityPeriodKey(period)));
+            if (chosen.length === 0) return;
+            const output = buildAvailabilityText(chosen, state.format, state.timezone || data.timezone, !!state.timezone);
+            const label = this.querySelector('span');
+            const showCopied = () => {
+                label.textContent = 'Copied!';
+                this.classList.add('copied');
+                setTimeout(() => {
+                    this.classList.remove('copied');
+                    updateCopyButton();
+                }, 2000);
+            };
+
+            try {
+                // HTML goes on the clipboard as rich text (pastes formatted into mail), with the plain text alongside
+                if (state.format === 'html' && typeof ClipboardItem !== 'undefined' && navigator.clipboard.write) {
+                    await navigator.clipboard.write([new ClipboardItem({
+                        'text/html': new Blob([output.html], { type: 'text/html' }),
+                        'text/plain': new Blob([output.text], { type: 'text/plain' })
+                    })]);
+                } else {
+                    await navigator.clipboard.writeText(state.format === 'html' ? output.html : output.text);
+                }
+                showCopied();
+            } catch (err) {
+                console.error('Failed to copy:', err);
+                // Fallback for older browsers
+                const textArea = document.createElement('textarea');
+                textArea.value = state.format === 'html' ? output.html : output.text;
+                textArea.style.position = 'fixed';
+                textArea.style.opacity = '0';
+                document.body.appendChild(textArea);
+                textArea.select();
                 try {
-                    await navigator.clipboard.writeText(textToCopy);
-                    
-                    // Show feedback
-                    const originalText = this.querySelector('span').textContent;
-                    this.querySelector('span').textContent = 'Copied!';
-                    this.classList.add('copied');
-                    
-                    setTimeout(() => {
-                        this.querySelector('span').textContent = originalText;
-                        this.classList.remove('copied');
-                    }, 2000);
-                } catch (err) {
-                    console.error('Failed to copy:', err);
-                    // Fallback for older browsers
-                    const textArea = document.createElement('textarea');
-                    textArea.value = textToCopy;
-                    textArea.style.position = 'fixed';
-                    textArea.style.opacity = '0';
-                    document.body.appendChild(textArea);
-                    textArea.select();
-                    try {
-                        document.execCommand('copy');
-                        const originalText = this.querySelector('span').textContent;
-                        this.querySelector('span').textContent = 'Copied!';
-                        this.classList.add('copied');
-                        setTimeout(() => {
-                            this.querySelector('span').textContent = originalText;
-                            this.classList.remove('copied');
-                        }, 2000);
-                    } catch (fallbackErr) {
-                        console.error('Fallback copy failed:', fallbackErr);
-                        alert('Failed to copy. Please select and copy manually.');
-                    }
-                    document.body.removeChild(textArea);
+                    document.execCommand('copy');
+                    showCopied();
+                } catch (fallbackErr) {
+                    console.error('Fallback copy failed:', fallbackErr);
+                    alert('Failed to copy. Please select and copy manually.');
                 }
+                document.body.removeChild(textArea);
+            }
+        });
+    }
+
+    const availabilityTileStates = new Map();
+
+    function getAvailabilityTileState(tile, data) {
+        const tileId = tile ? (parseInt(tile.dataset.tileId) || 0) : 0;
+        if (!availabilityTileStates.has(tileId)) {
+            availabilityTileStates.set(tileId, {
+                excluded: new Set(),
+                format: data.format || 'text',
+                timezone: data.recipientTimezone || ''
             });
         }
+        return availabilityTileStates.get(tileId);
+    }
+
+    function availabilityPeriodKey(period) {
+        return period.start + '/' + period.end;
+    }
+
+    /**
+     * "9am", "9:30am" or "midday" in the given time zone
+     */
+    function formatAvailabilityTime(date, timeZone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', { hour: 'numeric', minute: '2-digit', hour12: true, timeZone })
+            .formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+        const period = (parts.dayPeriod || '').toLowerCase();
+        if (parts.hour === '12' && parts.minute === '00' && period === 'pm') return 'midday';
+        return parts.hour + (parts.minute === '00' ? '' : ':' + parts.minute) + period;
+    }
+
+    /**
+     * Copy text for the chosen periods, grouped by day in the target time zone. A recipient time zone is named
+     * at the end so nobody has to guess. Returns { text, html }; html is only filled in for the HTML template.
+     */
+    function buildAvailabilityText(periods, format, timeZone, namedZone) {
+        const dayFormat = new Intl.DateTimeFormat('en-GB', { weekday: 'long', day: 'numeric', month: 'long', timeZone });
+        const days = [];
+        periods.forEach(period => {
+            const start = new Date(period.start);
+            const end = new Date(period.end);
+            const day = dayFormat.format(start).replace(',', '');
+            let entry = days.find(d => d.day === day);
+            if (!entry) {
+                entry = { day, ranges: [] };
+                days.push(entry);
+            }
+            entry.ranges.push([formatAvailabilityTime(start, timeZone), formatAvailabilityTime(end, timeZone)]);
+        });
+
+        let zoneNote = '';
+        if (namedZone) {
+            const zoneName = new Intl.DateTimeFormat('en-GB', { timeZone, timeZoneName: 'long' })
+                .formatToParts(new Date(periods[0].start)).find(part => part.type === 'timeZoneName');
+            zoneNote = 'All times are ' + (zoneName ? zoneName.value : timeZone.replace(/_/g, ' ')) + '.';
+        }
+
+        const text = days.flatMap(d => d.ranges.map(([from, to]) => `${d.day}, between ${from} and ${to}`)).join('\n') +
+            (zoneNote ? '\n\n' + zoneNote : '');
+        if (format === 'markdown') {
+            return {
+                text: days.map(d => `- **${d.day}**: ${d.ranges.map(([from, to]) => `${from}–${to}`).join(', ')}`).join('\n') +
+                    (zoneNote ? '\n\n_' + zoneNote + '_' : ''),
+                html: ''
+            };
+        }
+        if (format === 'html') {
+            return {
+                text,
+                html: '<ul>' + days.map(d => `<li><strong>${escapeHtml(d.day)}</strong>: ${d.ranges.map(([from, to]) => `${from}&ndash;${to}`).join(', ')}</li>`).join('') + '</ul>' +
+                    (zoneNote ? `<p><em>${escapeHtml(zoneNote)}</em></p>` : '')
+            };
+        }
+        return { text, html: '' };
     }
 
     /**
@@ -1128,20 +3086,7 @@
                 const listId = (taskItem && taskItem.dataset.taskListId) || '';
                 const body = { task_id: taskId, source: source };
                 if (source === 'todo' && listId) body.list_id = listId;
-                fetch(CONFIG.tasksEndpoint, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-CSRF-TOKEN': CONFIG.csrfToken,
-                        'X-Requested-With': 'XMLHttpRequest'
-                    },
-                    body: JSON.stringify(body)
-                }).then(r => {
-                    if (!r.ok) return r.json().then(d => Promise.reject(new Error(d.error || 'Failed to update task')));
-                    return r.json();
-                }).then(() => {
-                    if (tile) loadTileData(tile, false);
-                }).catch(err => {
+                completeTask(body, tile).catch(err => {
                     console.error('Task complete error:', err);
                     alert(err.message || 'Failed to mark task complete.');
                 });
@@ -1319,14 +3264,7 @@
                         if (!taskId) return;
                         const taskItem = this.closest('.task-item');
                         const source = (taskItem && taskItem.dataset.taskSource) || 'planner';
-                        fetch(CONFIG.tasksEndpoint, {
-                            method: 'POST',
-                            headers: { 'Content-Type': 'application/json', 'X-CSRF-TOKEN': CONFIG.csrfToken, 'X-Requested-With': 'XMLHttpRequest' },
-                            body: JSON.stringify({ task_id: taskId, source: source })
-                        }).then(r => {
-                            if (!r.ok) return r.json().then(d => Promise.reject(new Error(d.error || 'Failed to update task')));
-                            return r.json();
-                        }).then(() => { if (tile) loadTileData(tile, false); }).catch(err => { console.error('Task complete error:', err); alert(err.message || 'Failed to mark task complete.'); });
+                        completeTask({ task_id: taskId, source: source }, tile).catch(err => { console.error('Task complete error:', err); alert(err.message || 'Failed to mark task complete.'); });
                     });
                 });
                 (colEl.querySelectorAll('.task-item-clickable') || []).forEach(item => {
@@ -1441,20 +3379,7 @@
                 const taskItem = this.closest('.task-item');
                 const source = (taskItem && taskItem.dataset.taskSource) || 'planner';
                 const body = { task_id: taskId, source: source };
-                fetch(CONFIG.tasksEndpoint, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-CSRF-TOKEN': CONFIG.csrfToken,
-                        'X-Requested-With': 'XMLHttpRequest'
-                    },
-                    body: JSON.stringify(body)
-                }).then(r => {
-                    if (!r.ok) return r.json().then(d => Promise.reject(new Error(d.error || 'Failed to update task')));
-                    return r.json();
-                }).then(() => {
-                    if (tile) loadTileData(tile, false);
-                }).catch(err => {
+                completeTask(body, tile).catch(err => {
                     console.error('Task complete error:', err);
                     alert(err.message || 'Failed to mark task complete.');
                 });
@@ -1554,16 +3479,8 @@
                 const body = { task_id: task.id, source: source };
                 if (source === 'todo' && task.listId) body.list_id = task.listId;
                 btn.disabled = true;
-                fetch(CONFIG.tasksEndpoint, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json', 'X-CSRF-TOKEN': CONFIG.csrfToken, 'X-Requested-With': 'XMLHttpRequest' },
-                    body: JSON.stringify(body)
-                }).then(r => {
-                    if (!r.ok) return r.json().then(d => Promise.reject(new Error(d.error || 'Failed to update task')));
-                    return r.json();
-                }).then(() => {
+                completeTask(body, tile).then(() => {
                     closeTaskDetailOverlay();
-                    if (tile) loadTileData(tile, false);
                 }).catch(err => {
                     console.error('Task complete error:', err);
                     alert(err.message || 'Failed to mark task complete.');
@@ -1576,13 +3493,381 @@
         requestAnimationFrame(() => overlay.classList.add('show'));
     }
 
-    /**
-     * Close task detail overlay
-     */
-    function closeTaskDetailOverlay() {
-        const overlay = document.getElementById('task-detail-overlay');
-        if (!overlay) return;
-        overlay.classList.remove('show');
+    /**
+     * Close task detail overlay
+     */
+    function closeTaskDetailOverlay() {
+        const overlay = document.getElementById('task-detail-overlay');
+        if (!overlay) return;
+        overlay.classList.remove('show');
+    }
+
+    const CALENDAR_RESPONSE_LABELS = {
+        accepted: 'Accepted',
+        tentativelyAccepted: 'Tentative',
+        declined: 'Declined',
+        organizer: 'Organiser',
+        notResponded: 'No response',
+        none: 'No response'
+    };
+    const CALENDAR_TILE_TYPES = ['calendar', 'calendar-heatmap', 'calendar-next', 'next-event', 'availability'];
+    let calendarEventRequestId = 0;
+
+    /**
+     * Open the calendar event overlay (task detail styling): organiser, attendees with their responses,
+     * body preview, join button and Accept / Tentative / Decline
+     */
+    function openCalendarEventOverlay(eventId, calendar = {}) {
+        if (!eventId) return;
+        let overlay = document.getElementById('calendar-event-overlay');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.className = 'task-detail-overlay calendar-event-overlay';
+            overlay.id = 'calendar-event-overlay';
+            overlay.innerHTML = `
+                <div class="task-detail-modal">
+                    <div class="task-detail-modal-header">
+                        <h3 class="task-detail-modal-title">Event details</h3>
+                        <button type="button" class="task-detail-modal-close" id="calendar-event-close-btn" title="Close">
+                            <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+                            </svg>
+                        </button>
+                    </div>
+                    <div class="task-detail-modal-body" id="calendar-event-body"></div>
+                </div>
+            `;
+            document.body.appendChild(overlay);
+
+            document.getElementById('calendar-event-close-btn').addEventListener('click', closeCalendarEventOverlay);
+            overlay.addEventListener('click', function(e) {
+                if (e.target === overlay) closeCalendarEventOverlay();
+            });
+            document.addEventListener('keydown', function calendarEventEscape(e) {
+                if (e.key === 'Escape' && document.getElementById('calendar-event-overlay')?.classList.contains('show')) {
+                    closeCalendarEventOverlay();
+                }
+            });
+        }
+
+        const bodyEl = document.getElementById('calendar-event-body');
+        bodyEl.innerHTML = '<p class="calendar-event-loading">Loading event…</p>';
+        requestAnimationFrame(() => overlay.classList.add('show'));
+
+        const requestId = ++calendarEventRequestId;
+        fetch(CONFIG.calendarEventEndpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-TOKEN': CONFIG.csrfToken,
+                'X-Requested-With': 'XMLHttpRequest'
+            },
+            body: JSON.stringify({ action: 'detail', event_id: eventId, calendar_id: calendar.calendarId || '', mailbox: calendar.mailbox || '' })
+        }).then(response => response.json()).then(data => {
+            if (requestId !== calendarEventRequestId) return;
+            if (!data.success || !data.event) throw new Error(data.error || 'Failed to load event');
+            renderCalendarEventDetail(bodyEl, data.event);
+        }).catch(err => {
+            if (requestId !== calendarEventRequestId) return;
+            console.error('Calendar event error:', err);
+            bodyEl.innerHTML = `<p class="calendar-event-loading">${escapeHtml(err.message || 'Failed to load event')}</p>`;
+        });
+    }
+
+    /**
+     * Fill the calendar event overlay and wire its join and RSVP buttons
+     */
+    function renderCalendarEventDetail(bodyEl, event) {
+        const metaRow = (label, value) => value
+            ? `<div class="task-detail-meta-row"><span class="task-detail-meta-label">${label}</span><span>${escapeHtml(value)}</span></div>`
+            : '';
+        const responseBadge = response => `<span class="calendar-response-badge calendar-response-${escapeHtml(response)}">${escapeHtml(CALENDAR_RESPONSE_LABELS[response] || response)}</span>`;
+
+        const attendeesHtml = event.attendees.length ? `
+            <h4 class="calendar-event-section-title">Attendees (${event.attendees.length})</h4>
+            <ul class="calendar-attendees">
+                ${event.attendees.map(a => `
+                    <li class="calendar-attendee" title="${escapeHtml(a.address)}">
+                        <span class="calendar-attendee-name">${escapeHtml(a.name || a.address)}${a.type === 'optional' ? ' <span class="calendar-attendee-optional">(optional)</span>' : ''}</span>
+                        ${responseBadge(a.response)}
+                    </li>
+                `).join('')}
+            </ul>
+        ` : '';
+
+        // The organiser has nothing to respond to; cancelled meetings can only be removed in Outlook;
+        // invitations in shared or delegated calendars are answered there
+        const canRespond = !CONFIG.kiosk && event.canRespond && !event.isOrganizer && !event.isCancelled && event.responseRequested;
+        const rsvpHtml = canRespond ? `
+            <button type="button" class="task-detail-mark-complete calendar-rsvp-btn" data-rsvp="accept">Accept</button>
+            <button type="button" class="task-detail-mark-complete calendar-rsvp-btn" data-rsvp="tentativelyAccept">Tentative</button>
+            <button type="button" class="task-detail-mark-complete calendar-rsvp-btn" data-rsvp="decline">Decline</button>
+        ` : '';
+        const joinHtml = event.joinUrl
+            ? `<a class="task-detail-mark-complete calendar-join-btn" href="${escapeHtml(event.joinUrl)}" target="_blank" rel="noopener noreferrer">Join meeting</a>`
+            : '';
+        const outlookHtml = event.webLink
+            ? `<a class="calendar-event-outlook-link" href="${escapeHtml(event.webLink)}" target="_blank" rel="noopener noreferrer">Open in Outlook</a>`
+            : '';
+
+        bodyEl.innerHTML = `
+            <p class="task-detail-task-title">${escapeHtml(event.subject)}${event.isCancelled ? ' <span class="calendar-response-badge calendar-response-declined">Cancelled</span>' : ''}</p>
+            <div class="task-detail-meta">
+                ${metaRow('When', event.when)}
+                ${metaRow('Where', event.location)}
+                ${metaRow('Organiser', event.isOrganizer && event.canRespond ? 'You' : event.organizer)}
+                ${metaRow('Link in invite', event.meetingLink)}
+                ${event.isOrganizer || !event.canRespond ? '' : `<div class="task-detail-meta-row"><span class="task-detail-meta-label">Your reply</span>${responseBadge(event.myResponse)}</div>`}
+            </div>
+            ${attendeesHtml}
+            ${event.bodyPreview ? `<h4 class="calendar-event-section-title">Details</h4><p class="calendar-event-preview">${escapeHtml(event.bodyPreview)}</p>` : ''}
+            ${joinHtml || rsvpHtml || outlookHtml ? `<div class="task-detail-actions calendar-event-actions">${joinHtml}${rsvpHtml}${outlookHtml}</div>` : ''}
+        `;
+
+        bodyEl.querySelectorAll('.calendar-rsvp-btn').forEach(btn => {
+            btn.addEventListener('click', async function() {
+                const buttons = bodyEl.querySelectorAll('.calendar-rsvp-btn');
+                buttons.forEach(b => { b.disabled = true; });
+                const result = await postWrite(CONFIG.calendarEventEndpoint, { action: this.dataset.rsvp, event_id: event.id }, {
+                    tileTypes: CALENDAR_TILE_TYPES,
+                    dedupeKey: 'calendar-rsvp:' + event.id
+                });
+                if (result.error) {
+                    buttons.forEach(b => { b.disabled = false; });
+                    showToast(result.error, 'error');
+                    return;
+                }
+                showToast(result.queued ? 'Offline: your reply will be sent when you reconnect' : `Replied: ${this.textContent}`, result.queued ? 'info' : 'success');
+                closeCalendarEventOverlay();
+                if (!result.queued) {
+                    CALENDAR_TILE_TYPES.forEach(type => getTilesByType(type).forEach(tile => loadTileData(tile, false)));
+                }
+            });
+        });
+    }
+
+    function closeCalendarEventOverlay() {
+        const overlay = document.getElementById('calendar-event-overlay');
+        if (!overlay) return;
+        overlay.classList.remove('show');
+        calendarEventRequestId++;
+    }
+
+    let calendarSelectionOptions = null;
+
+    /**
+     * "Choose calendars" button in each calendar and heat map tile header
+     */
+    function setupCalendarTileButtons() {
+        if (CONFIG.kiosk) return;
+        document.addEventListener('click', function(e) {
+            const btn = e.target.closest('.calendar-select-btn');
+            if (!btn) return;
+            e.stopPropagation();
+            openCalendarSelectionEditor(btn.closest('.tile'));
+        });
+    }
+
+    /**
+     * The tile's saved calendar selection (data-calendar-selection); null calendars and sources mean the defaults
+     * (the default Outlook calendar and every ICS/CalDAV source)
+     */
+    function getCalendarTileSelection(tile) {
+        let saved = {};
+        try {
+            saved = JSON.parse(tile.dataset.calendarSelection || '{}') || {};
+        } catch (e) {
+            saved = {};
+        }
+        return {
+            calendars: Array.isArray(saved.calendars) ? saved.calendars : null,
+            sources: Array.isArray(saved.sources) ? saved.sources : null
+        };
+    }
+
+    /**
+     * Outlook calendars and ICS/CalDAV sources for the picker; fetched once per page load
+     */
+    async function loadCalendarSelectionOptions() {
+        if (calendarSelectionOptions) return calendarSelectionOptions;
+        const response = await fetch(CONFIG.calendarSelectionEndpoint + '?action=calendars', {
+            headers: {
+                'X-CSRF-TOKEN': CONFIG.csrfToken,
+                'X-Requested-With': 'XMLHttpRequest'
+            }
+        });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error || 'Failed to load calendars');
+        calendarSelectionOptions = data;
+        return data;
+    }
+
+    /**
+     * Picker for which calendars a calendar or heat map tile shows: the user's Outlook calendars (own and
+     * shared), another mailbox's calendar added by address, and ICS/CalDAV sources, each Outlook calendar
+     * with the colour used for its events and in the legend
+     */
+    function openCalendarSelectionEditor(tile) {
+        if (!tile) return;
+        const selection = getCalendarTileSelection(tile);
+        let overlay = document.getElementById('calendar-select-overlay');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.className = 'email-detail-overlay calendar-select-overlay';
+            overlay.id = 'calendar-select-overlay';
+            document.body.appendChild(overlay);
+            overlay.addEventListener('click', function(e) {
+                if (e.target === overlay) closeCalendarSelectionEditor();
+            });
+            document.addEventListener('keydown', function calendarSelectEscape(e) {
+                if (e.key === 'Escape' && overlay.classList.contains('show')) closeCalendarSelectionEditor();
+            });
+        }
+        overlay.innerHTML = `
+            <div class="email-detail-modal calendar-select-modal" role="dialog" aria-label="Choose calendars">
+                <div class="email-detail-modal-header">
+                    <h3 class="email-detail-modal-title">Choose calendars</h3>
+                    <button type="button" class="email-detail-modal-close" title="Close"><svg fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/></svg></button>
+                </div>
+                <form class="email-detail-modal-body email-filter-form">
+                    <div class="calendar-select-section">
+                        <h4 class="calendar-event-section-title">Outlook</h4>
+                        <ul class="calendar-select-list" data-list="calendars"><li class="calendar-event-loading">Loading calendars…</li></ul>
+                        <div class="calendar-select-add">
+                            <label class="email-filter-field"><span>Add someone's calendar (shared with you or delegated)</span><input type="email" name="mailbox" placeholder="colleague@example.com"></label>
+                            <button type="button" class="email-detail-action calendar-select-add-btn">Add</button>
+                        </div>
+                    </div>
+                    <div class="calendar-select-section" hidden>
+                        <h4 class="calendar-event-section-title">Other calendars</h4>
+                        <ul class="calendar-select-list" data-list="sources"></ul>
+                    </div>
+                    <div class="email-composer-buttons"><button type="button" class="email-detail-action calendar-select-reset">Reset</button><span class="email-composer-spacer"></span><button type="button" class="email-detail-action calendar-select-cancel">Cancel</button><button type="submit" class="task-detail-mark-complete">Save</button></div>
+                </form>
+            </div>
+        `;
+
+        const form = overlay.querySelector('form');
+        const calendarList = form.querySelector('[data-list="calendars"]');
+        const sourceList = form.querySelector('[data-list="sources"]');
+        const calendarKey = calendar => (calendar.mailbox || '') + '|' + calendar.id;
+        const savedByKey = new Map((selection.calendars || []).map(calendar => [calendarKey(calendar), calendar]));
+
+        const calendarRow = (calendar, checked) => {
+            const saved = savedByKey.get(calendarKey(calendar));
+            const li = document.createElement('li');
+            li.className = 'calendar-select-item';
+            li.dataset.calendar = JSON.stringify({ id: calendar.id, name: calendar.name, mailbox: calendar.mailbox || '', default: !!calendar.default });
+            li.innerHTML = `
+                <label class="calendar-select-label"><input type="checkbox" ${checked ? 'checked' : ''}> ${escapeHtml(calendar.name)}${calendar.shared ? ' <span class="calendar-select-tag">shared</span>' : ''}</label>
+                <input type="color" class="calendar-select-color" value="${escapeHtml(saved ? saved.color : calendar.color)}" title="Colour">
+            `;
+            calendarList.appendChild(li);
+        };
+
+        let calendarsLoaded = false; // until the Outlook list loads, saving keeps the tile's current calendars
+        const renderOptions = options => {
+            calendarList.innerHTML = '';
+            const listed = new Set();
+            options.calendars.forEach(calendar => {
+                listed.add(calendarKey(calendar));
+                calendarRow(calendar, selection.calendars ? savedByKey.has(calendarKey(calendar)) : calendar.default);
+            });
+            // Mailboxes added by address aren't in the user's own calendar list
+            (selection.calendars || []).filter(calendar => !listed.has(calendarKey(calendar))).forEach(calendar => {
+                calendarRow(Object.assign({ shared: !!calendar.mailbox }, calendar), true);
+            });
+            if (!options.connected) {
+                calendarList.innerHTML = '<li class="calendar-event-loading">Connect Microsoft 365 in Settings to choose Outlook calendars</li>';
+                form.querySelector('.calendar-select-add').hidden = true;
+            } else {
+                calendarsLoaded = true;
+            }
+
+            sourceList.innerHTML = options.sources.map(source => `
+                <li class="calendar-select-item" data-source-id="${source.id}">
+                    <label class="calendar-select-label"><input type="checkbox" ${selection.sources === null || selection.sources.includes(source.id) ? 'checked' : ''}> <span class="calendar-source-dot" style="background: ${escapeHtml(source.color)}"></span>${escapeHtml(source.name)}</label>
+                </li>
+            `).join('');
+            sourceList.closest('.calendar-select-section').hidden = !options.sources.length;
+        };
+
+        loadCalendarSelectionOptions().then(renderOptions).catch(err => {
+            console.error('Calendar list error:', err);
+            calendarList.innerHTML = `<li class="calendar-event-loading">${escapeHtml(err.message || 'Failed to load calendars')}</li>`;
+        });
+
+        form.querySelector('.calendar-select-add-btn').addEventListener('click', async function() {
+            const address = form.elements.mailbox.value.trim();
+            if (!address) return;
+            this.disabled = true;
+            try {
+                const response = await fetch(CONFIG.calendarSelectionEndpoint + '?action=mailbox&address=' + encodeURIComponent(address), {
+                    headers: {
+                        'X-CSRF-TOKEN': CONFIG.csrfToken,
+                        'X-Requested-With': 'XMLHttpRequest'
+                    }
+                });
+                const data = await response.json();
+                if (!data.success) throw new Error(data.error || 'Could not open that calendar');
+                const exists = Array.from(calendarList.querySelectorAll('.calendar-select-item')).some(li => calendarKey(JSON.parse(li.dataset.calendar)) === calendarKey(data.calendar));
+                if (!exists) calendarRow(data.calendar, true);
+                form.elements.mailbox.value = '';
+            } catch (err) {
+                showToast(err.message, 'error');
+            }
+            this.disabled = false;
+        });
+
+        overlay.querySelector('.email-detail-modal-close').addEventListener('click', closeCalendarSelectionEditor);
+        form.querySelector('.calendar-select-cancel').addEventListener('click', closeCalendarSelectionEditor);
+        form.querySelector('.calendar-select-reset').addEventListener('click', function() {
+            calendarList.querySelectorAll('.calendar-select-item').forEach(li => {
+                li.querySelector('input[type=checkbox]').checked = JSON.parse(li.dataset.calendar).default;
+            });
+            sourceList.querySelectorAll('input[type=checkbox]').forEach(input => { input.checked = true; });
+        });
+
+        form.addEventListener('submit', async function(e) {
+            e.preventDefault();
+            const calendars = !calendarsLoaded ? selection.calendars : Array.from(calendarList.querySelectorAll('.calendar-select-item'))
+                .filter(li => li.querySelector('input[type=checkbox]').checked)
+                .map(li => Object.assign(JSON.parse(li.dataset.calendar), { color: li.querySelector('.calendar-select-color').value }));
+            const sourceItems = Array.from(sourceList.querySelectorAll('.calendar-select-item'));
+            const checkedSources = sourceItems.filter(li => li.querySelector('input').checked).map(li => parseInt(li.dataset.sourceId, 10));
+            if (calendars && !calendars.length && !checkedSources.length) {
+                showToast('Choose at least one calendar', 'error');
+                return;
+            }
+            // All sources ticked is saved as "all", so sources added later show up too
+            const payload = {
+                action: 'save',
+                tile_id: parseInt(tile.dataset.tileId, 10) || 0,
+                selection: { calendars, sources: checkedSources.length === sourceItems.length ? null : checkedSources }
+            };
+            const saveBtn = form.querySelector('button[type=submit]');
+            saveBtn.disabled = true;
+            const result = await postWrite(CONFIG.calendarSelectionEndpoint, payload, { tileTypes: [tile.dataset.tileType], dedupeKey: 'calendar-selection-' + payload.tile_id });
+            if (result.error) {
+                showToast(result.error, 'error');
+                saveBtn.disabled = false;
+                return;
+            }
+            if (result.queued) {
+                showToast('Offline: the calendars will be saved when you reconnect', 'info');
+            } else {
+                tile.dataset.calendarSelection = JSON.stringify(result.selection);
+                loadTileData(tile, false);
+            }
+            closeCalendarSelectionEditor();
+        });
+
+        requestAnimationFrame(() => overlay.classList.add('show'));
+    }
+
+    function closeCalendarSelectionEditor() {
+        const overlay = document.getElementById('calendar-select-overlay');
+        if (overlay) overlay.classList.remove('show');
     }
 
     /**
@@ -2190,20 +4475,15 @@
             if (addBtn) addBtn.disabled = true;
 
             try {
-                const response = await fetch(CONFIG.bookmarksEndpoint, {
-                    method: "POST",
-                    headers: {
-                        "Content-Type": "application/json",
-                        "X-CSRF-TOKEN": CONFIG.csrfToken,
-                        "X-Requested-With": "XMLHttpRequest"
-                    },
-                    body: JSON.stringify({ action: "add", url: url, title: title || undefined })
-                });
-                const data = await response.json();
+                const data = await postWrite(CONFIG.bookmarksEndpoint, { action: "add", url: url, title: title || undefined }, { tileTypes: ["bookmarks"] });
                 if (!data.success) throw new Error(data.error || "Failed to add");
                 if (urlInput) urlInput.value = "";
                 if (titleInput) titleInput.value = "";
-                if (tileElement) loadTileData(tileElement, false);
+                if (data.queued) {
+                    showToast("Offline: the bookmark will be added when you reconnect", "info");
+                } else if (tileElement) {
+                    loadTileData(tileElement, false);
+                }
             } catch (err) {
                 console.error("Add bookmark error:", err);
                 alert(err.message || "Failed to add bookmark.");
@@ -2579,21 +4859,11 @@
             saveBtn.setAttribute('aria-label', saveBtn.title);
 
             try {
-                const response = await fetch(CONFIG.notesEndpoint, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-CSRF-TOKEN': CONFIG.csrfToken,
-                        'X-Requested-With': 'XMLHttpRequest'
-                    },
-                    body: JSON.stringify({
-                        action: 'save_to_list',
-                        tile_id: parseInt(tileId),
-                        notes: notes
-                    })
-                });
-
-                const data = await response.json();
+                const data = await postWrite(CONFIG.notesEndpoint, {
+                    action: 'save_to_list',
+                    tile_id: parseInt(tileId),
+                    notes: notes
+                }, { tileTypes: ['notes', 'notes-list'] });
 
                 if (data.success) {
                     // Update button state based on response
@@ -2777,33 +5047,15 @@
             const notes = textarea.value.trim();
             try {
                 if (notes) {
-                    var saveRes = await fetch(CONFIG.notesEndpoint, {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'X-CSRF-TOKEN': CONFIG.csrfToken,
-                            'X-Requested-With': 'XMLHttpRequest'
-                        },
-                        body: JSON.stringify({
-                            action: 'save_to_list',
-                            tile_id: parseInt(tileId),
-                            notes: notes
-                        })
-                    });
-                    var saveData = await saveRes.json();
+                    var saveData = await postWrite(CONFIG.notesEndpoint, {
+                        action: 'save_to_list',
+                        tile_id: parseInt(tileId),
+                        notes: notes
+                    }, { tileTypes: ['notes', 'notes-list'] });
                     if (!saveData.success) throw new Error(saveData.error || 'Failed to save note');
                     refreshNotesListTile();
                 }
-                var newRes = await fetch(CONFIG.notesEndpoint, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-CSRF-TOKEN': CONFIG.csrfToken,
-                        'X-Requested-With': 'XMLHttpRequest'
-                    },
-                    body: JSON.stringify({ action: 'new_note', tile_id: parseInt(tileId) })
-                });
-                var newData = await newRes.json();
+                var newData = await postWrite(CONFIG.notesEndpoint, { action: 'new_note', tile_id: parseInt(tileId) }, { tileTypes: ['notes'] });
                 if (!newData.success) throw new Error(newData.error || 'Failed to start new note');
                 clearTileForNewNote();
             } catch (err) {
@@ -3004,30 +5256,21 @@
                 savedIndicator.className = 'notes-saved-indicator saving';
 
                 try {
-                    const response = await fetch(CONFIG.notesEndpoint, {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'X-CSRF-TOKEN': CONFIG.csrfToken,
-                            'X-Requested-With': 'XMLHttpRequest'
-                        },
-                        body: JSON.stringify({
-                            action: 'save',
-                            tile_id: parseInt(tileId),
-                            notes: currentValue
-                        })
-                    });
-
-                    const data = await response.json();
+                    const data = await postWrite(CONFIG.notesEndpoint, {
+                        action: 'save',
+                        tile_id: parseInt(tileId),
+                        notes: currentValue
+                    }, { tileTypes: ['notes'], dedupeKey: 'notes-save-' + tileId });
 
                     if (data.success) {
                         lastSavedValue = currentValue;
-                        savedIndicator.textContent = 'Saved';
+                        const savedText = data.queued ? 'Saved offline' : 'Saved';
+                        savedIndicator.textContent = savedText;
                         savedIndicator.className = 'notes-saved-indicator saved';
 
                         // Clear indicator after 2 seconds
                         setTimeout(() => {
-                            if (savedIndicator.textContent === 'Saved') {
+                            if (savedIndicator.textContent === savedText) {
                                 savedIndicator.textContent = '';
                                 savedIndicator.className = 'notes-saved-indicator';
                             }
@@ -3096,21 +5339,11 @@
             saveBtn.innerHTML = isUpdating ? svg + "Updating..." : svg + "Saving...";
 
             try {
-                const response = await fetch(CONFIG.notesEndpoint, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-CSRF-TOKEN': CONFIG.csrfToken,
-                        'X-Requested-With': 'XMLHttpRequest'
-                    },
-                    body: JSON.stringify({
-                        action: 'save_to_list',
-                        tile_id: parseInt(tileId),
-                        notes: notes
-                    })
-                });
-
-                const data = await response.json();
+                const data = await postWrite(CONFIG.notesEndpoint, {
+                    action: 'save_to_list',
+                    tile_id: parseInt(tileId),
+                    notes: notes
+                }, { tileTypes: ['notes', 'notes-list'] });
 
                 if (data.success) {
                     // Update button state based on response
@@ -3193,29 +5426,20 @@
                 savedIndicator.className = 'notes-saved-indicator saving';
 
                 try {
-                    const response = await fetch(CONFIG.notesEndpoint, {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'X-CSRF-TOKEN': CONFIG.csrfToken,
-                            'X-Requested-With': 'XMLHttpRequest'
-                        },
-                        body: JSON.stringify({
-                            tile_id: parseInt(tileId),
-                            notes: currentValue
-                        })
-                    });
-
-                    const data = await response.json();
+                    const data = await postWrite(CONFIG.notesEndpoint, {
+                        tile_id: parseInt(tileId),
+                        notes: currentValue
+                    }, { tileTypes: ['notes'], dedupeKey: 'notes-save-' + tileId });
 
                     if (data.success) {
                         lastSavedValue = currentValue;
-                        savedIndicator.textContent = 'Saved';
+                        const savedText = data.queued ? 'Saved offline' : 'Saved';
+                        savedIndicator.textContent = savedText;
                         savedIndicator.className = 'notes-saved-indicator saved';
                         
                         // Clear indicator after 2 seconds
                         setTimeout(() => {
-                            if (savedIndicator.textContent === 'Saved') {
+                            if (savedIndicator.textContent === savedText) {
                                 savedIndicator.textContent = '';
                                 savedIndicator.className = 'notes-saved-indicator';
                             }
@@ -3264,7 +5488,8 @@
         document.querySelectorAll('.tile-refresh').forEach(btn => {
             btn.addEventListener('click', function() {
                 const tile = this.closest('.tile');
-                if (tile.dataset.tileType !== 'claude') {
+                const def = getTileType(tile.dataset.tileType);
+                if (def && typeof def.init !== 'function') {
                     loadTileData(tile);
                 }
             });
@@ -3305,8 +5530,9 @@
         const refreshInterval = parseInt(tile.dataset.refreshInterval) || 0;
         const tileType = tile.dataset.tileType;
         
-        // Skip tiles that shouldn't auto-refresh (claude, notes, bookmarks)
-        if (tileType === 'claude' || tileType === 'notes' || tileType === 'notes-list' || tileType === 'bookmarks' || tileType === 'link-board') {
+        // Skip tiles that shouldn't auto-refresh (claude, notes, bookmarks, unregistered types)
+        const def = getTileType(tileType);
+        if (!def || !def.autoRefresh || typeof def.init === 'function') {
             return;
         }
         
@@ -3322,6 +5548,250 @@
         }
     }
 
+    /**
+     * Subscribe to live tile updates (SSE) and reload only the tiles named in each event
+     */
+    function setupLiveUpdates() {
+        if (!CONFIG.liveUpdates || typeof window.EventSource === 'undefined') return;
+
+        const pendingReloads = new Set();
+        let reloadTimer = null;
+        const source = new EventSource(CONFIG.eventsEndpoint);
+
+        source.addEventListener('tile-update', (event) => {
+            let payload;
+            try {
+                payload = JSON.parse(event.data);
+            } catch (e) {
+                return;
+            }
+            const types = Array.isArray(payload.types) ? payload.types : [];
+            document.querySelectorAll('.tile[data-tile-type]').forEach(tile => {
+                if (!types.includes(tile.dataset.tileType)) return;
+                if (payload.tile_id && parseInt(tile.dataset.tileId, 10) !== payload.tile_id) return;
+                pendingReloads.add(tile);
+            });
+
+            // Coalesce bursts (e.g. cron warm-up naming several types) into one reload per tile
+            clearTimeout(reloadTimer);
+            reloadTimer = setTimeout(() => {
+                pendingReloads.forEach(tile => {
+                    // Don't replace a tile the user is typing in (e.g. Quick Notes saved from this tab)
+                    if (tile.contains(document.activeElement)) return;
+                    const def = getTileType(tile.dataset.tileType);
+                    if (def && typeof def.init !== 'function') {
+                        loadTileData(tile, false);
+                    }
+                });
+                pendingReloads.clear();
+                lastUpdateTime = new Date();
+                updateLastUpdateDisplay();
+            }, 300);
+        });
+
+        source.addEventListener('error', () => {
+            // EventSource reconnects on its own; CLOSED means the server refused (e.g. session ended)
+            if (source.readyState === EventSource.CLOSED) {
+                console.warn('Live tile updates disconnected');
+            }
+        });
+    }
+
+    const OFFLINE_QUEUE_STORAGE_KEY = 'crashboard_offline_queue';
+    let isReplayingOfflineWrites = false;
+
+    /**
+     * Register the service worker and replay queued writes when the connection returns
+     */
+    function setupOfflineMode() {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('/sw.js').catch(err => {
+                console.warn('Service worker registration failed:', err);
+            });
+        }
+
+        document.body.classList.toggle('is-offline', !navigator.onLine);
+        window.addEventListener('offline', () => {
+            document.body.classList.add('is-offline');
+            showToast('You are offline. Showing saved data; changes will sync when you reconnect.', 'info');
+        });
+        window.addEventListener('online', () => {
+            document.body.classList.remove('is-offline');
+            replayOfflineWrites().then(() => {
+                // Swap cached (offline) tiles for live data
+                document.querySelectorAll('.tile-offline-badge').forEach(badge => {
+                    const tile = badge.closest('.tile');
+                    if (tile) loadTileData(tile, false);
+                });
+            });
+        });
+
+        if (navigator.onLine) {
+            replayOfflineWrites();
+        }
+    }
+
+    /**
+     * Read the queued offline writes from localStorage
+     */
+    function getOfflineQueue() {
+        try {
+            const queue = JSON.parse(localStorage.getItem(OFFLINE_QUEUE_STORAGE_KEY) || '[]');
+            return Array.isArray(queue) ? queue : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Persist the offline write queue
+     */
+    function setOfflineQueue(queue) {
+        try {
+            if (queue.length) {
+                localStorage.setItem(OFFLINE_QUEUE_STORAGE_KEY, JSON.stringify(queue));
+            } else {
+                localStorage.removeItem(OFFLINE_QUEUE_STORAGE_KEY);
+            }
+        } catch (e) {
+            console.error('Could not save offline queue:', e);
+        }
+    }
+
+    /**
+     * Queue a write for replay. A dedupeKey drops an earlier queued write with the same key
+     * (e.g. repeated auto-saves of one notes tile), keeping only the latest at the end of the queue.
+     */
+    function queueOfflineWrite(endpoint, payload, tileTypes, dedupeKey) {
+        let queue = getOfflineQueue();
+        if (dedupeKey) {
+            queue = queue.filter(item => item.dedupeKey !== dedupeKey);
+        }
+        queue.push({ endpoint, payload, tileTypes: tileTypes || [], dedupeKey: dedupeKey || null, queuedAt: Date.now() });
+        setOfflineQueue(queue);
+    }
+
+    /**
+     * POST a write (task completion, note save, bookmark add). If the network is unavailable the write
+     * is queued and { success: true, queued: true } is returned so the UI can carry on.
+     * API errors come back as { error } (the response JSON, or the HTTP status text).
+     */
+    async function postWrite(endpoint, payload, options = {}) {
+        const tileTypes = options.tileTypes || [];
+        if (!navigator.onLine) {
+            queueOfflineWrite(endpoint, payload, tileTypes, options.dedupeKey);
+            return { success: true, queued: true };
+        }
+
+        let response;
+        try {
+            response = await fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-TOKEN': CONFIG.csrfToken,
+                    'X-Requested-With': 'XMLHttpRequest'
+                },
+                body: JSON.stringify(payload)
+            });
+        } catch (err) {
+            // Network failure rather than an API error: keep the write for later
+            queueOfflineWrite(endpoint, payload, tileTypes, options.dedupeKey);
+            return { success: true, queued: true };
+        }
+
+        let data = {};
+        try {
+            data = await response.json();
+        } catch (e) {
+            data = {};
+        }
+        if (!response.ok && !data.error) {
+            data.error = response.statusText || 'Request failed';
+        }
+        return data;
+    }
+
+    /**
+     * Send queued offline writes in order, then reload the tiles they affect.
+     * Stops (keeping the rest) if the network fails again or the session has ended.
+     */
+    async function replayOfflineWrites() {
+        if (isReplayingOfflineWrites) return;
+        const queue = getOfflineQueue();
+        if (!queue.length) return;
+        isReplayingOfflineWrites = true;
+
+        const affectedTypes = new Set();
+        let sent = 0;
+        const failed = [];
+        while (queue.length) {
+            const item = queue[0];
+            let response;
+            try {
+                response = await fetch(item.endpoint, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-CSRF-TOKEN': CONFIG.csrfToken,
+                        'X-Requested-With': 'XMLHttpRequest'
+                    },
+                    body: JSON.stringify(item.payload)
+                });
+            } catch (err) {
+                break;
+            }
+            if (response.status === 401) {
+                break;
+            }
+            queue.shift();
+            (item.tileTypes || []).forEach(type => affectedTypes.add(type));
+            if (response.ok) {
+                sent++;
+            } else {
+                let message = response.statusText;
+                try {
+                    message = (await response.json()).error || message;
+                } catch (e) {}
+                failed.push(message);
+            }
+            setOfflineQueue(queue);
+        }
+        isReplayingOfflineWrites = false;
+
+        affectedTypes.forEach(type => {
+            // Forced: a rejected change (e.g. a completion that hid its task) leaves the data as it was
+            getTilesByType(type).forEach(tile => {
+                if (!tile.contains(document.activeElement)) loadTileData(tile, false, { force: true });
+            });
+        });
+        if (failed.length) {
+            console.error('Offline changes that could not be applied:', failed);
+            showToast(failed.length + ' offline change' + (failed.length > 1 ? 's' : '') + ' could not be applied: ' + failed[0], 'error');
+        } else if (sent) {
+            showToast('Synced ' + sent + ' offline change' + (sent > 1 ? 's' : ''), 'success');
+        }
+    }
+
+    const TASK_TILE_TYPES = ['todo', 'todo-personal', 'planner-overview', 'overdue-tasks-count'];
+
+    /**
+     * Mark a task complete and reload its tile. Offline, the completion is queued and the task
+     * is hidden until it syncs.
+     */
+    function completeTask(body, tile) {
+        return postWrite(CONFIG.tasksEndpoint, body, { tileTypes: TASK_TILE_TYPES }).then(data => {
+            if (data.error) throw new Error(data.error);
+            if (data.queued) {
+                document.querySelectorAll('.task-item[data-task-id="' + CSS.escape(String(body.task_id)) + '"]').forEach(el => el.remove());
+                showToast('Offline: the task will be completed when you reconnect', 'info');
+            } else if (tile) {
+                loadTileData(tile, false);
+            }
+            return data;
+        });
+    }
+
     /**
      * Clear refresh timer for a specific tile
      */
@@ -3721,6 +6191,13 @@
         const hoverZone = document.getElementById('headerHoverZone');
         if (!header || !hoverZone) return;
 
+        // Kiosk: header stays hidden at every screen size (see .kiosk-mode in app.css); no hover reveal
+        if (CONFIG.kiosk) {
+            header.classList.remove('header-revealed');
+            header.setAttribute('aria-hidden', 'true');
+            return;
+        }
+
         // Enable only on medium/large screens (769px–1920px). On mobile (≤768px) header is always visible with hamburger.
         function isRolloverScreen() {
             return window.matchMedia('(min-width: 769px) and (max-width: 1920px)').matches;
@@ -3829,58 +6306,300 @@
         const triggerSave = () => saveNewOrder();
         const triggerCancel = () => exitReorderMode(false);
 
-        if (reorderBtn) reorderBtn.addEventListener('click', triggerReorder);
-        if (reorderBtnMobile) reorderBtnMobile.addEventListener('click', triggerReorder);
-        if (saveBtn) saveBtn.addEventListener('click', triggerSave);
-        if (saveBtnMobile) saveBtnMobile.addEventListener('click', triggerSave);
-        if (cancelBtn) cancelBtn.addEventListener('click', triggerCancel);
-        if (cancelBtnMobile) cancelBtnMobile.addEventListener('click', triggerCancel);
+        if (reorderBtn) reorderBtn.addEventListener('click', triggerReorder);
+        if (reorderBtnMobile) reorderBtnMobile.addEventListener('click', triggerReorder);
+        if (saveBtn) saveBtn.addEventListener('click', triggerSave);
+        if (saveBtnMobile) saveBtnMobile.addEventListener('click', triggerSave);
+        if (cancelBtn) cancelBtn.addEventListener('click', triggerCancel);
+        if (cancelBtnMobile) cancelBtnMobile.addEventListener('click', triggerCancel);
+    }
+
+    const ACTIVE_TAB_STORAGE_KEY = 'crashboard_active_tab';
+    let activeScreen = null;
+
+    /**
+     * Show the given dashboard screen (tab id such as "main" or "screen2") and persist the selection.
+     */
+    function switchScreen(screenId) {
+        const tabs = document.querySelectorAll('.dashboard-tab');
+        const panels = document.querySelectorAll('.dashboard-panel');
+        if (!document.querySelector('.dashboard-panel[data-screen="' + screenId + '"]')) return false;
+
+        tabs.forEach(tab => {
+            const isActive = (tab.dataset.tab || tab.getAttribute('id')) === screenId;
+            tab.classList.toggle('opacity-70', !isActive);
+            tab.classList.remove('dashboard-tab-active');
+            if (isActive) tab.classList.add('dashboard-tab-active');
+            tab.setAttribute('aria-selected', isActive ? 'true' : 'false');
+        });
+        panels.forEach(panel => {
+            const isActive = panel.dataset.screen === screenId;
+            panel.classList.toggle('hidden', !isActive);
+            panel.setAttribute('aria-hidden', isActive ? 'false' : 'true');
+        });
+        try { sessionStorage.setItem(ACTIVE_TAB_STORAGE_KEY, screenId); } catch (e) {}
+        // If we were in reorder mode, exit it when switching tabs
+        if (isReorderMode) {
+            exitReorderMode(false);
+        }
+
+        const previous = activeScreen;
+        activeScreen = screenId;
+        if (previous !== screenId) {
+            emitDashboardEvent('screen:changed', { screen: screenId, previous });
+        }
+        return true;
+    }
+
+    /**
+     * List dashboard screens as { id, label } in tab order.
+     */
+    function getScreens() {
+        return Array.from(document.querySelectorAll('.dashboard-panel[data-screen]')).map(panel => ({
+            id: panel.dataset.screen,
+            label: screenLabels[panel.dataset.screen] || panel.dataset.screen
+        }));
+    }
+
+    /**
+     * Dashboard tabs: switch panels and persist selection; add a screen with "+", rename with a double-click.
+     */
+    function setupDashboardTabs() {
+        const tabs = document.querySelectorAll('.dashboard-tab');
+
+        const initial = (function() {
+            try { return sessionStorage.getItem(ACTIVE_TAB_STORAGE_KEY); } catch (e) { return null; }
+        })();
+        const firstTab = tabs[0] && (tabs[0].dataset.tab || tabs[0].getAttribute('id'));
+        if (!(initial && switchScreen(initial)) && firstTab) {
+            switchScreen(firstTab);
+        }
+
+        const tabList = document.querySelector('.dashboard-tabs');
+        if (tabList) {
+            // Delegated so screens added later work too
+            tabList.addEventListener('click', function(e) {
+                const tab = e.target.closest('.dashboard-tab');
+                if (!tab) return;
+                const tabId = tab.dataset.tab || tab.getAttribute('id');
+                const action = e.target.closest('.dashboard-tab-action');
+                if (action) {
+                    e.stopPropagation();
+                    if (action.dataset.action === 'rename') renameScreen(tabId);
+                    if (action.dataset.action === 'delete') deleteScreen(tabId);
+                    return;
+                }
+                if (tabId) switchScreen(tabId);
+            });
+            tabList.addEventListener('dblclick', function(e) {
+                if (CONFIG.kiosk) return;
+                const tab = e.target.closest('.dashboard-tab');
+                if (tab && tab.dataset.tab) renameScreen(tab.dataset.tab);
+            });
+        }
+
+        const addBtn = document.getElementById('addDashboardScreen');
+        if (addBtn) addBtn.addEventListener('click', addScreen);
+    }
+
+    /**
+     * POST to the screens API; resolves with the response data or rejects with its error
+     */
+    async function screensRequest(payload) {
+        const response = await fetch(CONFIG.screensEndpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-TOKEN': CONFIG.csrfToken,
+                'X-Requested-With': 'XMLHttpRequest'
+            },
+            body: JSON.stringify(payload)
+        });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error || 'Request failed');
+        return data;
+    }
+
+    function getScreenTab(screenId) {
+        return document.querySelector('.dashboard-tab[data-tab="' + screenId + '"]');
+    }
+
+    function getScreenPanel(screenId) {
+        return document.querySelector('.dashboard-panel[data-screen="' + screenId + '"]');
+    }
+
+    /**
+     * Empty-screen placeholder (same as the server-rendered one)
+     */
+    function buildScreenPlaceholder(label) {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'screen-empty-placeholder col-span-full rounded-xl border-2 border-dashed p-8 text-center';
+        placeholder.style.borderColor = 'color-mix(in srgb, var(--cb-tile-text) 25%, transparent)';
+        placeholder.style.color = 'var(--cb-tile-text)';
+        placeholder.innerHTML = '<p class="text-base font-medium opacity-90">' + escapeHtml(label) + '</p><p class="mt-2 text-sm opacity-75">No tiles on this screen yet. Use Reorder and "Move to…" to bring tiles here, or add tiles from Settings.</p>';
+        return placeholder;
     }
 
     /**
-     * Dashboard tabs (Main / Screen 2): switch panels and persist selection.
+     * Create the tab and (empty) panel for a newly added screen
      */
-    function setupDashboardTabs() {
-        const tabs = document.querySelectorAll('.dashboard-tab');
+    function createScreenElements(screen) {
+        const tab = document.createElement('button');
+        tab.type = 'button';
+        tab.className = 'dashboard-tab px-4 py-2.5 text-sm font-medium rounded-t-lg transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2 opacity-70 hover:opacity-100';
+        tab.style.setProperty('--tw-ring-color', 'var(--cb-primary)');
+        tab.setAttribute('role', 'tab');
+        tab.setAttribute('aria-selected', 'false');
+        tab.dataset.tab = screen.id;
+        tab.id = 'tab-' + screen.id;
+        tab.innerHTML = '<span class="dashboard-tab-label">' + escapeHtml(screen.label) + '</span>';
+        const addBtn = document.getElementById('addDashboardScreen');
+        addBtn.parentNode.insertBefore(tab, addBtn);
+
+        const panel = document.createElement('div');
+        panel.id = 'dashboard-screen-' + screen.id;
+        panel.className = 'dashboard-panel hidden';
+        panel.setAttribute('role', 'tabpanel');
+        panel.setAttribute('aria-labelledby', tab.id);
+        panel.setAttribute('aria-hidden', 'true');
+        panel.dataset.screen = screen.id;
+        const grid = document.createElement('div');
+        grid.className = 'tiles-grid';
+        grid.appendChild(buildScreenPlaceholder(screen.label));
+        panel.appendChild(grid);
         const panels = document.querySelectorAll('.dashboard-panel');
-        const STORAGE_KEY = 'crashboard_active_tab';
-
-        function showPanel(tabId) {
-            tabs.forEach(tab => {
-                const isActive = (tab.dataset.tab || tab.getAttribute('id')) === tabId;
-                tab.classList.toggle('opacity-70', !isActive);
-                tab.classList.remove('dashboard-tab-active');
-                if (isActive) tab.classList.add('dashboard-tab-active');
-                tab.setAttribute('aria-selected', isActive ? 'true' : 'false');
-            });
-            panels.forEach(panel => {
-                const panelScreen = panel.dataset.screen;
-                const isActive = panelScreen === tabId;
-                panel.classList.toggle('hidden', !isActive);
-                panel.setAttribute('aria-hidden', isActive ? 'false' : 'true');
-            });
-            try { sessionStorage.setItem(STORAGE_KEY, tabId); } catch (e) {}
-            // If we were in reorder mode, exit it when switching tabs
-            if (typeof isReorderMode !== 'undefined' && isReorderMode) {
-                exitReorderMode(false);
+        const lastPanel = panels[panels.length - 1];
+        lastPanel.parentNode.insertBefore(panel, lastPanel.nextSibling);
+
+        if (isReorderMode) setScreenTabsEditable(true);
+    }
+
+    /**
+     * Ask for a name and add a new screen after the existing ones
+     */
+    async function addScreen() {
+        const label = prompt('Name for the new screen:');
+        if (label === null || !label.trim()) return;
+        try {
+            const data = await screensRequest({ action: 'add', label: label.trim() });
+            screenLabels[data.screen.id] = data.screen.label;
+            createScreenElements(data.screen);
+            switchScreen(data.screen.id);
+            showToast('Screen "' + data.screen.label + '" added', 'success');
+        } catch (err) {
+            console.error('Add screen error:', err);
+            showToast(err.message || 'Failed to add screen', 'error');
+        }
+    }
+
+    async function renameScreen(screenId) {
+        const tab = getScreenTab(screenId);
+        if (!tab) return;
+        const label = prompt('Screen name:', screenLabels[screenId] || screenId);
+        if (label === null || !label.trim()) return;
+        try {
+            await screensRequest({ action: 'rename', screen: screenId, label: label.trim() });
+            screenLabels[screenId] = label.trim();
+            const labelEl = tab.querySelector('.dashboard-tab-label');
+            if (labelEl) labelEl.textContent = label.trim();
+        } catch (err) {
+            console.error('Rename screen error:', err);
+            showToast(err.message || 'Failed to rename screen', 'error');
+        }
+    }
+
+    /**
+     * Delete a screen; the server moves its tiles to the first remaining screen and so do we
+     */
+    async function deleteScreen(screenId) {
+        const label = screenLabels[screenId] || screenId;
+        if (document.querySelectorAll('.dashboard-tab[data-tab]').length <= 1) {
+            showToast('You cannot delete your only screen', 'error');
+            return;
+        }
+        if (!confirm('Delete the "' + label + '" screen? Its tiles will move to your first screen.')) return;
+        try {
+            const data = await screensRequest({ action: 'delete', screen: screenId });
+            const panel = getScreenPanel(screenId);
+            const targetPanel = getScreenPanel(data.moved_to);
+            const targetGrid = targetPanel ? targetPanel.querySelector('.tiles-grid') : null;
+            if (panel && targetGrid) {
+                const movedTiles = panel.querySelectorAll('.tile');
+                movedTiles.forEach(tile => targetGrid.appendChild(tile));
+                const placeholder = targetGrid.querySelector('.screen-empty-placeholder');
+                if (placeholder && movedTiles.length) placeholder.remove();
             }
+            const wasActive = activeScreen === screenId;
+            if (panel) panel.remove();
+            const tab = getScreenTab(screenId);
+            if (tab) tab.remove();
+            delete screenLabels[screenId];
+            if (wasActive) switchScreen(data.moved_to);
+            showToast('Screen "' + label + '" deleted', 'success');
+        } catch (err) {
+            console.error('Delete screen error:', err);
+            showToast(err.message || 'Failed to delete screen', 'error');
         }
+    }
 
-        const initial = (function() {
-            try { return sessionStorage.getItem(STORAGE_KEY); } catch (e) { return null; }
-        })();
-        const firstTab = tabs[0] && (tabs[0].dataset.tab || tabs[0].getAttribute('id'));
-        if (initial === 'main' || initial === 'screen2') {
-            showPanel(initial);
-        } else if (firstTab) {
-            showPanel(firstTab);
+    /**
+     * Persist the current tab order and keep the panels in the same order
+     */
+    async function saveScreenOrder() {
+        const order = Array.from(document.querySelectorAll('.dashboard-tab[data-tab]')).map(tab => tab.dataset.tab);
+        let previous = null;
+        order.forEach(screenId => {
+            const panel = getScreenPanel(screenId);
+            if (!panel) return;
+            if (previous) previous.parentNode.insertBefore(panel, previous.nextSibling);
+            previous = panel;
+        });
+        try {
+            await screensRequest({ action: 'reorder', order });
+        } catch (err) {
+            console.error('Reorder screens error:', err);
+            showToast(err.message || 'Failed to save screen order', 'error');
         }
+    }
 
-        tabs.forEach(tab => {
-            tab.addEventListener('click', function() {
-                const tabId = this.dataset.tab || this.getAttribute('id');
-                if (tabId) showPanel(tabId);
-            });
+    let draggedScreenTab = null;
+
+    /**
+     * In reorder mode tabs get rename/delete controls and can be dragged into a new order
+     */
+    function setScreenTabsEditable(editable) {
+        document.querySelectorAll('.dashboard-tab[data-tab]').forEach(tab => {
+            const actions = tab.querySelector('.dashboard-tab-actions');
+            if (!editable) {
+                if (actions) actions.remove();
+                tab.removeAttribute('draggable');
+                return;
+            }
+            if (actions) return;
+            const label = escapeHtml(screenLabels[tab.dataset.tab] || tab.dataset.tab);
+            tab.insertAdjacentHTML('beforeend', '<span class="dashboard-tab-actions"><span class="dashboard-tab-action" role="button" data-action="rename" title="Rename ' + label + '" aria-label="Rename ' + label + '">✎</span><span class="dashboard-tab-action" role="button" data-action="delete" title="Delete ' + label + '" aria-label="Delete ' + label + '">×</span></span>');
+            tab.setAttribute('draggable', 'true');
+            if (!tab.dataset.dragBound) {
+                tab.dataset.dragBound = '1';
+                tab.addEventListener('dragstart', function(e) {
+                    if (!isReorderMode) return;
+                    draggedScreenTab = this;
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', this.dataset.tab);
+                });
+                tab.addEventListener('dragover', function(e) {
+                    if (!draggedScreenTab || draggedScreenTab === this) return;
+                    e.preventDefault();
+                    const rect = this.getBoundingClientRect();
+                    const after = e.clientX > rect.left + rect.width / 2;
+                    this.parentNode.insertBefore(draggedScreenTab, after ? this.nextSibling : this);
+                });
+                tab.addEventListener('dragend', function() {
+                    if (!draggedScreenTab) return;
+                    draggedScreenTab = null;
+                    saveScreenOrder();
+                });
+            }
         });
     }
 
@@ -3888,6 +6607,8 @@
      * Enter reorder mode
      */
     function enterReorderMode() {
+        // Kiosk sessions are read-only
+        if (CONFIG.kiosk) return;
         isReorderMode = true;
         const container = getActiveTilesContainer();
         const reorderBtn = document.getElementById('reorderTiles');
@@ -3905,12 +6626,10 @@
         // Enable tile resize handles (only active in reorder mode)
         setupTileResize();
 
-        // Current panel screen (main or screen2) for "move to other screen" target
-        const currentScreen = (container.closest('.dashboard-panel') && container.closest('.dashboard-panel').dataset.screen) || 'main';
-        const targetScreen = currentScreen === 'main' ? 'screen2' : 'main';
-        const targetLabel = screenLabels[targetScreen] || (targetScreen === 'main' ? 'Main' : 'Screen 2');
+        // Screen tabs can be renamed, deleted and dragged while reordering
+        setScreenTabsEditable(true);
 
-        // Make tiles draggable and add move-to-screen button (only for saved tiles with id > 0)
+        // Make tiles draggable and add "Move to…" button (only for saved tiles with id > 0)
         const tiles = container.querySelectorAll('.tile');
         tiles.forEach(tile => {
             tile.setAttribute('draggable', 'true');
@@ -3933,18 +6652,19 @@
                 const moveBtn = document.createElement('button');
                 moveBtn.type = 'button';
                 moveBtn.className = 'tile-move-screen';
-                moveBtn.title = 'Move to ' + targetLabel;
-                moveBtn.setAttribute('aria-label', 'Move this tile to ' + targetLabel);
+                moveBtn.title = 'Move to another screen';
+                moveBtn.setAttribute('aria-label', 'Move this tile to another screen');
+                moveBtn.setAttribute('aria-haspopup', 'menu');
                 moveBtn.innerHTML = `
                     <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4"/>
                     </svg>
-                    <span class="tile-move-screen-label">To ${targetLabel}</span>
+                    <span class="tile-move-screen-label">Move to…</span>
                 `;
                 moveBtn.addEventListener('click', function(e) {
                     e.preventDefault();
                     e.stopPropagation();
-                    moveTileToScreen(tile, targetScreen);
+                    toggleMoveScreenMenu(tile, moveBtn);
                 });
                 const refreshBtn = header.querySelector('.tile-refresh');
                 if (refreshBtn) {
@@ -4003,7 +6723,10 @@
             if (iconClose) iconClose.classList.add('hidden');
         }
 
-        // Remove draggable, move-to-screen button, and event listeners from ALL tiles (both panels)
+        closeMoveScreenMenu();
+        setScreenTabsEditable(false);
+
+        // Remove draggable, move-to-screen button, and event listeners from ALL tiles (all panels)
         const tiles = document.querySelectorAll('.tile');
         tiles.forEach(tile => {
             tile.removeAttribute('draggable');
@@ -4136,7 +6859,48 @@
     }
 
     /**
-     * Move a tile to another dashboard screen (main or screen2).
+     * "Move to…" menu listing every other screen, anchored under the tile's move button
+     */
+    function toggleMoveScreenMenu(tile, button) {
+        const existing = document.getElementById('tile-move-screen-menu');
+        const wasOpenForButton = existing && existing.dataset.tileId === tile.dataset.tileId;
+        closeMoveScreenMenu();
+        if (wasOpenForButton) return;
+
+        const panel = tile.closest('.dashboard-panel');
+        const currentScreen = panel ? panel.dataset.screen : null;
+        const targets = getScreens().filter(screen => screen.id !== currentScreen);
+
+        const menu = document.createElement('div');
+        menu.id = 'tile-move-screen-menu';
+        menu.className = 'tile-move-screen-menu';
+        menu.setAttribute('role', 'menu');
+        menu.dataset.tileId = tile.dataset.tileId;
+        menu.innerHTML = targets.length
+            ? targets.map(screen => '<button type="button" role="menuitem" class="tile-move-screen-option" data-screen="' + escapeHtml(screen.id) + '">' + escapeHtml(screen.label) + '</button>').join('')
+            : '<div class="tile-move-screen-empty">No other screens. Use + next to the tabs to add one.</div>';
+        menu.addEventListener('click', function(e) {
+            e.stopPropagation();
+            const option = e.target.closest('.tile-move-screen-option');
+            if (!option) return;
+            closeMoveScreenMenu();
+            moveTileToScreen(tile, option.dataset.screen);
+        });
+        document.body.appendChild(menu);
+
+        const rect = button.getBoundingClientRect();
+        menu.style.top = (rect.bottom + 4) + 'px';
+        menu.style.left = Math.max(8, Math.min(rect.left, window.innerWidth - menu.offsetWidth - 8)) + 'px';
+        setTimeout(() => document.addEventListener('click', closeMoveScreenMenu, { once: true }), 0);
+    }
+
+    function closeMoveScreenMenu() {
+        const menu = document.getElementById('tile-move-screen-menu');
+        if (menu) menu.remove();
+    }
+
+    /**
+     * Move a tile to another dashboard screen.
      */
     async function moveTileToScreen(tileEl, targetScreen) {
         const tileId = parseInt(tileEl.dataset.tileId, 10);
@@ -4160,7 +6924,7 @@
                 if (otherGrid) {
                     tileEl.remove();
                     otherGrid.appendChild(tileEl);
-                    const emptyPlaceholder = otherGrid.querySelector('.col-span-full');
+                    const emptyPlaceholder = otherGrid.querySelector('.screen-empty-placeholder');
                     if (emptyPlaceholder) emptyPlaceholder.remove();
                 }
                 showToast('Tile moved to ' + (screenLabels[targetScreen] || targetScreen), 'success');
@@ -4207,6 +6971,7 @@
 
             if (data.success) {
                 exitReorderMode(true);
+                emitDashboardEvent('reorder:saved', { screen: container.closest('.dashboard-panel')?.dataset.screen || 'main', order });
             } else {
                 showToast(data.error || 'Failed to save order', 'error');
             }
@@ -4436,6 +7201,586 @@
         resizeTile = null;
     }
 
+    /**
+     * Find a tile element by its tile id
+     */
+    function getTile(id) {
+        return document.querySelector('.tile[data-tile-id="' + parseInt(id, 10) + '"]');
+    }
+
+    /**
+     * All tile elements of the given type (across all screens)
+     */
+    function getTilesByType(type) {
+        return Array.from(document.querySelectorAll('.tile[data-tile-type]')).filter(tile => tile.dataset.tileType === type);
+    }
+
+    /**
+     * Reload a tile given its element or id
+     */
+    function refreshTile(tileOrId) {
+        const tile = (tileOrId instanceof Element) ? tileOrId : getTile(tileOrId);
+        if (!tile) return false;
+        startTile(tile, false);
+        return true;
+    }
+
+    /**
+     * Command palette (Ctrl/Cmd+K): fuzzy search over screens, tiles, tasks, notes and bookmarks,
+     * plus actions that take the typed text (add bookmark / link-board URL, ask Claude).
+     */
+    let commandPaletteCommands = [];
+    let commandPaletteResults = [];
+    let commandPaletteSelected = 0;
+
+    /**
+     * Open the palette on Ctrl/Cmd+K from anywhere on the dashboard
+     */
+    function setupCommandPalette() {
+        // Most palette commands write; kiosk sessions are read-only
+        if (CONFIG.kiosk) return;
+        document.addEventListener('keydown', function(e) {
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                const overlay = document.getElementById('command-palette-overlay');
+                if (overlay && overlay.classList.contains('show')) {
+                    closeCommandPalette();
+                } else {
+                    openCommandPalette();
+                }
+            }
+        });
+    }
+
+    /**
+     * Subsequence fuzzy match: 0 for no match, higher for tighter matches and word-start hits
+     */
+    function fuzzyScore(text, query) {
+        if (!query) return 1;
+        const haystack = text.toLowerCase();
+        const needle = query.toLowerCase();
+        const exact = haystack.indexOf(needle);
+        if (exact !== -1) {
+            return 1000 - exact + (exact === 0 || /\W/.test(haystack[exact - 1]) ? 200 : 0);
+        }
+        let score = 0;
+        let lastIndex = -1;
+        for (let i = 0; i < needle.length; i++) {
+            if (needle[i] === ' ') continue;
+            const index = haystack.indexOf(needle[i], lastIndex + 1);
+            if (index === -1) return 0;
+            score += index === lastIndex + 1 ? 10 : 1;
+            if (index === 0 || /\W/.test(haystack[index - 1])) score += 5;
+            lastIndex = index;
+        }
+        return score;
+    }
+
+    /**
+     * Title shown for a tile (its header text, falling back to the type)
+     */
+    function getTileTitle(tile) {
+        const titleEl = tile.querySelector('.tile-title-text');
+        return (titleEl && titleEl.textContent.trim()) || tile.dataset.tileType;
+    }
+
+    /**
+     * Switch to the screen holding an element so an action on it is visible
+     */
+    function revealElementScreen(el) {
+        const panel = el && el.closest('.dashboard-panel[data-screen]');
+        if (panel && panel.dataset.screen !== activeScreen) switchScreen(panel.dataset.screen);
+    }
+
+    /**
+     * Commands built from what is currently on the dashboard
+     */
+    function buildPaletteCommands() {
+        const commands = [];
+
+        getScreens().forEach(screen => {
+            commands.push({ group: 'Screen', label: 'Go to ' + screen.label, run: () => switchScreen(screen.id) });
+        });
+
+        document.querySelectorAll('.tile[data-tile-type]').forEach(tile => {
+            if (!getTileType(tile.dataset.tileType)) return;
+            commands.push({
+                group: 'Tile',
+                label: 'Refresh ' + getTileTitle(tile),
+                run: () => {
+                    revealElementScreen(tile);
+                    refreshTile(tile);
+                }
+            });
+        });
+
+        if (document.getElementById('reorderTiles') && !isReorderMode) {
+            commands.push({ group: 'Dashboard', label: 'Reorder tiles', run: enterReorderMode });
+        }
+
+        const notesTile = document.querySelector('.tile[data-tile-type="notes"]');
+        if (notesTile) {
+            commands.push({
+                group: 'Notes',
+                label: 'Open Quick Notes',
+                run: () => {
+                    revealElementScreen(notesTile);
+                    openNotesPopup(parseInt(notesTile.dataset.tileId, 10));
+                }
+            });
+        }
+
+        const seenTasks = new Set();
+        document.querySelectorAll('.task-item[data-task-id]:not(.completed)').forEach(item => {
+            const taskId = item.dataset.taskId;
+            if (!taskId || seenTasks.has(taskId)) return;
+            seenTasks.add(taskId);
+            commands.push({
+                group: 'Task',
+                label: 'Complete: ' + (item.dataset.taskTitle || '(No Title)'),
+                run: () => {
+                    const source = item.dataset.taskSource || 'todo';
+                    const body = { task_id: taskId, source: source };
+                    if (source === 'todo' && item.dataset.taskListId) body.list_id = item.dataset.taskListId;
+                    completeTask(body, item.closest('.tile')).then(data => {
+                        if (!data.queued) showToast('Task completed', 'success');
+                    }).catch(err => {
+                        console.error('Task complete error:', err);
+                        alert(err.message || 'Failed to mark task complete.');
+                    });
+                }
+            });
+        });
+
+        document.querySelectorAll('.notes-list-item[data-note-id]').forEach(item => {
+            const preview = item.querySelector('.notes-list-preview');
+            if (!preview || !preview.textContent.trim()) return;
+            commands.push({ group: 'Note', label: preview.textContent.trim(), run: () => item.click() });
+        });
+
+        document.querySelectorAll('.bookmark-item .bookmark-link').forEach(link => {
+            commands.push({
+                group: 'Bookmark',
+                label: link.textContent.trim(),
+                run: () => window.open(link.href, '_blank', 'noopener')
+            });
+        });
+
+        return commands;
+    }
+
+    /**
+     * Actions that use the typed text itself; only offered when the query fits
+     */
+    function buildPaletteQueryCommands(query) {
+        const commands = [];
+        if (!query) return commands;
+
+        if (/^https?:\/\/\S+$/i.test(query)) {
+            const bookmarksTile = document.querySelector('.tile[data-tile-type="bookmarks"]');
+            if (bookmarksTile) {
+                commands.push({
+                    group: 'Bookmark',
+                    label: 'Add bookmark: ' + query,
+                    run: async () => {
+                        const data = await postWrite(CONFIG.bookmarksEndpoint, { action: 'add', url: query }, { tileTypes: ['bookmarks'] });
+                        if (!data.success) {
+                            alert(data.error || 'Failed to add bookmark.');
+                        } else if (data.queued) {
+                            showToast('Offline: the bookmark will be added when you reconnect', 'info');
+                        } else {
+                            getTilesByType('bookmarks').forEach(tile => loadTileData(tile, false));
+                            showToast('Bookmark added', 'success');
+                        }
+                    }
+                });
+            }
+            document.querySelectorAll('.link-board-column[data-category-id]').forEach(column => {
+                const categoryId = parseInt(column.dataset.categoryId, 10);
+                const tile = column.closest('.tile');
+                commands.push({
+                    group: 'Link board',
+                    label: 'Add to ' + (column.dataset.categoryName || 'link board') + ': ' + query,
+                    run: async () => {
+                        const data = await postWrite(CONFIG.linkBoardEndpoint, { action: 'add_item', category_id: categoryId, url: query, title: '' }, { tileTypes: ['link-board'] });
+                        if (!data.success) {
+                            showToast(data.error || 'Failed to add link', 'error');
+                        } else if (data.queued) {
+                            showToast('Offline: the link will be added when you reconnect', 'info');
+                        } else {
+                            if (tile) loadTileData(tile, false);
+                            showToast('Link added', 'success');
+                        }
+                    }
+                });
+            });
+        }
+
+        const claudeForm = document.getElementById('claudeForm');
+        const claudeInput = document.getElementById('claudeInput');
+        if (claudeForm && claudeInput) {
+            commands.push({
+                group: 'Claude',
+                label: 'Ask Claude: ' + query,
+                run: () => {
+                    revealElementScreen(claudeForm);
+                    claudeInput.value = query;
+                    claudeForm.requestSubmit();
+                }
+            });
+        }
+        return commands;
+    }
+
+    /**
+     * Show the palette with a fresh snapshot of the dashboard's commands
+     */
+    function openCommandPalette() {
+        let overlay = document.getElementById('command-palette-overlay');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.className = 'command-palette-overlay';
+            overlay.id = 'command-palette-overlay';
+            overlay.innerHTML = '<div class="command-palette" role="dialog" aria-label="Command palette"><input type="text" class="command-palette-input" id="command-palette-input" placeholder="Jump to a screen, refresh a tile, complete a task, paste a URL or ask Claude..." autocomplete="off" spellcheck="false"><ul class="command-palette-results" id="command-palette-results" role="listbox"></ul><div class="command-palette-footer">↑↓ to select · Enter to run · Esc to close</div></div>';
+            document.body.appendChild(overlay);
+
+            const input = document.getElementById('command-palette-input');
+            input.addEventListener('input', updateCommandPaletteResults);
+            input.addEventListener('keydown', function(e) {
+                if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    const count = commandPaletteResults.length;
+                    if (!count) return;
+                    commandPaletteSelected = (commandPaletteSelected + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+                    renderCommandPaletteResults();
+                } else if (e.key === 'Enter') {
+                    e.preventDefault();
+                    runCommandPaletteItem(commandPaletteSelected);
+                } else if (e.key === 'Escape') {
+                    e.preventDefault();
+                    closeCommandPalette();
+                }
+            });
+            document.getElementById('command-palette-results').addEventListener('click', function(e) {
+                const item = e.target.closest('.command-palette-item');
+                if (item) runCommandPaletteItem(parseInt(item.dataset.index, 10));
+            });
+            overlay.addEventListener('click', function(e) {
+                if (e.target === overlay) closeCommandPalette();
+            });
+        }
+
+        commandPaletteCommands = buildPaletteCommands();
+        const input = document.getElementById('command-palette-input');
+        input.value = '';
+        updateCommandPaletteResults();
+        requestAnimationFrame(function() {
+            overlay.classList.add('show');
+            input.focus();
+        });
+    }
+
+    function closeCommandPalette() {
+        const overlay = document.getElementById('command-palette-overlay');
+        if (overlay) overlay.classList.remove('show');
+    }
+
+    /**
+     * Re-rank commands for the current query
+     */
+    function updateCommandPaletteResults() {
+        const query = document.getElementById('command-palette-input').value.trim();
+        const ranked = commandPaletteCommands
+            .map(command => ({ command, score: fuzzyScore(command.label + ' ' + command.group, query) }))
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .map(entry => entry.command);
+        commandPaletteResults = ranked.slice(0, 50).concat(buildPaletteQueryCommands(query));
+        commandPaletteSelected = 0;
+        renderCommandPaletteResults();
+    }
+
+    function renderCommandPaletteResults() {
+        const list = document.getElementById('command-palette-results');
+        if (!commandPaletteResults.length) {
+            list.innerHTML = '<li class="command-palette-empty">No matching commands</li>';
+            return;
+        }
+        list.innerHTML = commandPaletteResults.map((command, index) =>
+            '<li class="command-palette-item' + (index === commandPaletteSelected ? ' selected' : '') + '" role="option" data-index="' + index + '" aria-selected="' + (index === commandPaletteSelected ? 'true' : 'false') + '"><span class="command-palette-label">' + escapeHtml(command.label) + '</span><span class="command-palette-group">' + escapeHtml(command.group) + '</span></li>'
+        ).join('');
+        const selected = list.querySelector('.command-palette-item.selected');
+        if (selected) selected.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Close the palette and run the chosen command
+     */
+    function runCommandPaletteItem(index) {
+        const command = commandPaletteResults[index];
+        if (!command) return;
+        closeCommandPalette();
+        try {
+            const result = command.run();
+            if (result && typeof result.catch === 'function') {
+                result.catch(err => {
+                    console.error('Command palette error:', err);
+                    showToast(err.message || 'Command failed', 'error');
+                });
+            }
+        } catch (err) {
+            console.error('Command palette error:', err);
+            showToast(err.message || 'Command failed', 'error');
+        }
+    }
+
+    /**
+     * Keyboard navigation: move between tiles, refresh, open list items, switch screens.
+     * Ignored while typing in a field or when an overlay is open (overlays handle their own Escape).
+     */
+    const KEYBOARD_SHORTCUTS = [
+        ['← ↑ → ↓', 'Move to the neighbouring tile (inside a list: ↑ ↓ move between items)'],
+        ['j / k', 'Next / previous tile (or list item)'],
+        ['Enter', 'On a tile: focus its first item · On an item: open its details'],
+        ['Esc', 'Leave the list and return to the tile'],
+        ['r', 'Refresh the focused tile'],
+        ['t', 'Triage the focused email tile one message at a time'],
+        ['1 – 9', 'Switch to dashboard screen 1–9'],
+        ['Ctrl/⌘ + K', 'Open the command palette'],
+        ['?', 'Show this list']
+    ];
+    const TILE_LIST_ITEM_SELECTOR = '.email-item-clickable, .email-group-header, .task-item-clickable, .crm-item-clickable, .calendar-item-clickable';
+    const OPEN_OVERLAY_SELECTOR = '.email-detail-overlay.show, .task-detail-overlay.show, .crm-detail-overlay.show, .command-palette-overlay.show, .keyboard-shortcuts-overlay.show, .notes-overlay, .link-board-summary-overlay';
+
+    function setupKeyboardNavigation() {
+        document.addEventListener('keydown', function(e) {
+            if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+            const target = e.target;
+            if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
+            if (document.querySelector(OPEN_OVERLAY_SELECTOR)) return;
+
+            const active = document.activeElement;
+            const tile = active && active.closest ? active.closest('.tile[data-tile-type]') : null;
+            const listItem = active && active.matches && active.matches(TILE_LIST_ITEM_SELECTOR) ? active : null;
+            const key = e.key;
+
+            if (key === '?') {
+                e.preventDefault();
+                openKeyboardShortcutsOverlay();
+            } else if (/^[1-9]$/.test(key)) {
+                const screen = getScreens()[parseInt(key, 10) - 1];
+                if (screen && switchScreen(screen.id)) e.preventDefault();
+            } else if (key === 'r' && !e.shiftKey && tile) {
+                e.preventDefault();
+                refreshTile(tile);
+            } else if (key === 't' && tile && tile.dataset.tileType === 'email' && !CONFIG.kiosk) {
+                e.preventDefault();
+                openEmailTriage(tile);
+            } else if (key === 'Enter' && listItem) {
+                e.preventDefault();
+                listItem.click();
+            } else if (key === 'Enter' && tile && active === tile) {
+                e.preventDefault();
+                focusTileListItem(tile, 0);
+            } else if (key === 'Escape' && listItem && tile) {
+                e.preventDefault();
+                focusTile(tile);
+            } else if (listItem && tile && (key === 'ArrowDown' || key === 'ArrowUp' || key === 'j' || key === 'k')) {
+                e.preventDefault();
+                const items = getTileListItems(tile);
+                const step = (key === 'ArrowDown' || key === 'j') ? 1 : -1;
+                focusTileListItem(tile, Math.max(0, Math.min(items.length - 1, items.indexOf(listItem) + step)));
+            } else if (key === 'j' || key === 'k') {
+                e.preventDefault();
+                const tiles = getNavigableTiles();
+                if (!tiles.length) return;
+                const index = tiles.indexOf(tile);
+                if (index === -1) {
+                    focusTile(tiles[0]);
+                } else {
+                    focusTile(tiles[Math.max(0, Math.min(tiles.length - 1, index + (key === 'j' ? 1 : -1)))]);
+                }
+            } else if (/^Arrow(Left|Right|Up|Down)$/.test(key)) {
+                // Leave arrows alone inside tiles' own controls (e.g. scrolling a focused list)
+                if (tile && active !== tile && !listItem) return;
+                e.preventDefault();
+                const tiles = getNavigableTiles();
+                if (!tile || tiles.indexOf(tile) === -1) {
+                    if (tiles.length) focusTile(tiles[0]);
+                    return;
+                }
+                const next = findTileInDirection(tile, tiles, key.slice(5).toLowerCase());
+                if (next) focusTile(next);
+            }
+        });
+    }
+
+    /**
+     * Tiles on the visible screen, in grid (DOM) order
+     */
+    function getNavigableTiles() {
+        const container = getActiveTilesContainer();
+        if (!container) return [];
+        return Array.from(container.querySelectorAll('.tile[data-tile-type]')).filter(tile => tile.offsetParent !== null);
+    }
+
+    /**
+     * Nearest tile from `from` in a direction, by centre point (off-axis distance weighs double)
+     */
+    function findTileInDirection(from, tiles, direction) {
+        const centre = el => {
+            const rect = el.getBoundingClientRect();
+            return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+        };
+        const origin = centre(from);
+        const horizontal = direction === 'left' || direction === 'right';
+        let best = null;
+        let bestScore = Infinity;
+        tiles.forEach(tile => {
+            if (tile === from) return;
+            const point = centre(tile);
+            const dx = point.x - origin.x;
+            const dy = point.y - origin.y;
+            const primary = { left: -dx, right: dx, up: -dy, down: dy }[direction];
+            if (primary <= 1) return;
+            const score = primary + 2 * Math.abs(horizontal ? dy : dx);
+            if (score < bestScore) {
+                bestScore = score;
+                best = tile;
+            }
+        });
+        return best;
+    }
+
+    function focusTile(tile) {
+        if (!tile.hasAttribute('tabindex')) tile.setAttribute('tabindex', '-1');
+        tile.focus();
+        tile.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+
+    function getTileListItems(tile) {
+        // Skip rows inside collapsed email groups
+        return Array.from(tile.querySelectorAll(TILE_LIST_ITEM_SELECTOR)).filter(el => el.getClientRects().length > 0);
+    }
+
+    function focusTileListItem(tile, index) {
+        const item = getTileListItems(tile)[index];
+        if (!item) return;
+        if (!item.hasAttribute('tabindex')) item.setAttribute('tabindex', '-1');
+        item.focus();
+        item.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Cheat sheet of every keyboard binding
+     */
+    function openKeyboardShortcutsOverlay() {
+        let overlay = document.getElementById('keyboard-shortcuts-overlay');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.className = 'email-detail-overlay keyboard-shortcuts-overlay';
+            overlay.id = 'keyboard-shortcuts-overlay';
+            const rows = KEYBOARD_SHORTCUTS.map(([keys, description]) =>
+                '<tr><td><kbd>' + escapeHtml(keys) + '</kbd></td><td>' + escapeHtml(description) + '</td></tr>'
+            ).join('');
+            overlay.innerHTML = '<div class="email-detail-modal keyboard-shortcuts-modal" role="dialog" aria-label="Keyboard shortcuts"><div class="email-detail-modal-header"><h3 class="email-detail-modal-title">Keyboard shortcuts</h3><button type="button" class="email-detail-modal-close" id="keyboard-shortcuts-close-btn" title="Close"><svg fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/></svg></button></div><div class="email-detail-modal-body"><table class="keyboard-shortcuts-table">' + rows + '</table></div></div>';
+            document.body.appendChild(overlay);
+            document.getElementById('keyboard-shortcuts-close-btn').addEventListener('click', closeKeyboardShortcutsOverlay);
+            overlay.addEventListener('click', function(e) {
+                if (e.target === overlay) closeKeyboardShortcutsOverlay();
+            });
+            document.addEventListener('keydown', function keyboardShortcutsEscape(e) {
+                const open = document.getElementById('keyboard-shortcuts-overlay');
+                if ((e.key === 'Escape' || e.key === '?') && open && open.classList.contains('show')) {
+                    e.preventDefault();
+                    closeKeyboardShortcutsOverlay();
+                }
+            });
+        }
+        requestAnimationFrame(function() { overlay.classList.add('show'); });
+    }
+
+    function closeKeyboardShortcutsOverlay() {
+        const overlay = document.getElementById('keyboard-shortcuts-overlay');
+        if (overlay) overlay.classList.remove('show');
+    }
+
+    let kioskRotateTimer = null;
+
+    /**
+     * Kiosk mode (opened via kiosk.php): larger tile text, no header, screens rotate on a timer.
+     * Touching the display or pressing a key restarts the countdown so someone reading a screen isn't moved on.
+     */
+    function setupKioskMode() {
+        const kiosk = CONFIG.kiosk;
+        if (!kiosk) return;
+        document.body.classList.add('kiosk-mode');
+        document.body.style.setProperty('--cb-kiosk-text-scale', String(kiosk.text_scale || 1.5));
+
+        const seconds = parseInt(kiosk.rotate_seconds, 10) || 0;
+        if (seconds <= 0) return;
+
+        const restart = () => {
+            if (kioskRotateTimer) clearInterval(kioskRotateTimer);
+            kioskRotateTimer = setInterval(rotateKioskScreen, seconds * 1000);
+        };
+        ['pointerdown', 'keydown', 'wheel'].forEach(type => {
+            document.addEventListener(type, restart, { passive: true });
+        });
+        restart();
+    }
+
+    /**
+     * Kiosk: show the next screen in the rotation (all screens, or those listed in kiosk.screens)
+     */
+    function rotateKioskScreen() {
+        // Leave an open email/task/notes popup on screen until it is closed
+        if (document.querySelector(OPEN_OVERLAY_SELECTOR)) return;
+        const wanted = Array.isArray(CONFIG.kiosk.screens) ? CONFIG.kiosk.screens : [];
+        let ids = getScreens().map(screen => screen.id);
+        if (wanted.length) {
+            const filtered = ids.filter(id => wanted.includes(id));
+            if (filtered.length) ids = filtered;
+        }
+        if (ids.length < 2) return;
+        const next = ids[(ids.indexOf(activeScreen) + 1) % ids.length];
+        switchScreen(next);
+    }
+
+    /**
+     * Public API for add-on scripts and browser extensions: window.CrashBoard
+     *
+     *   loadTileData(tile)               - reload a tile (element, or id via getTile)
+     *   refreshTile(idOrElement)         - same, accepting a tile id
+     *   getTile(id) / getTilesByType(t)  - tile element lookup
+     *   getScreens() / getActiveScreen() / switchScreen(id)
+     *   registerTileType(type, def)      - see the tile type registry above
+     *   showToast(message, type)         - type is 'info', 'success' or 'error'
+     *   escapeHtml(text)
+     *   on(name, handler) / off(name, handler) - returns an unsubscribe function
+     *
+     * Events (also dispatched on document as "crashboard:<name>" CustomEvents, for extensions
+     * that cannot reach page globals):
+     *   tile:loaded   { tile, tileId, type, data, changed } - changed is false when a refresh returned identical data
+     *   tile:error    { tile, tileId, type, error }
+     *   reorder:saved { screen, order }
+     *   screen:changed { screen, previous }
+     */
+    window.CrashBoard = Object.freeze({
+        loadTileData: (tile) => loadTileData(tile, false),
+        refreshTile,
+        getTile,
+        getTilesByType,
+        getScreens,
+        getActiveScreen: () => activeScreen,
+        switchScreen,
+        registerTileType,
+        showToast,
+        escapeHtml,
+        on: onDashboardEvent,
+        off: offDashboardEvent
+    });
+
     // Initialize when DOM is ready
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
@@ -9,6 +9,7 @@ declare(strict_types=1);
 
 require_once __DIR__ . '/../includes/functions.php';
 require_once __DIR__ . '/../includes/auth.php';
+require_once __DIR__ . '/../includes/dashboard-screens.php';
 
 // If Microsoft sent the user here with OAuth callback params (wrong redirect_uri in Azure), send them to the real callback
 $oauthCode = $_GET['code'] ?? '';
@@ -45,7 +46,7 @@ Database::execute(
     [$userId]
 );
 
-// Ensure screen column exists (for dashboard tabs: main vs screen2)
+// Ensure screen column exists (dashboard tab the tile is on; see includes/dashboard-screens.php)
 try {
     $screenCol = Database::query("SHOW COLUMNS FROM tiles LIKE 'screen'");
     if (empty($screenCol)) {
@@ -62,15 +63,18 @@ Database::execute(
     [$userId, 'claude']
 );
 
-// Get user's tiles per screen (main = default/first tab, screen2 = second tab)
-$tilesMain = Database::query(
-    "SELECT * FROM tiles WHERE user_id = ? AND is_enabled = TRUE AND (screen IS NULL OR screen = 'main') ORDER BY position ASC",
-    [$userId]
-);
-$tilesScreen2 = Database::query(
-    "SELECT * FROM tiles WHERE user_id = ? AND is_enabled = TRUE AND screen = 'screen2' ORDER BY position ASC",
+// Dashboard screens (tabs) and their tiles; tiles on a screen the user no longer has show on the first screen
+$screens = DashboardScreens::forUser($userId);
+$firstScreenId = $screens[0]['id'];
+$tilesByScreen = array_fill_keys(array_column($screens, 'id'), []);
+$enabledTiles = Database::query(
+    'SELECT * FROM tiles WHERE user_id = ? AND is_enabled = TRUE ORDER BY position ASC',
     [$userId]
 );
+foreach ($enabledTiles as $tile) {
+    $tileScreen = (string) ($tile['screen'] ?? '');
+    $tilesByScreen[isset($tilesByScreen[$tileScreen]) ? $tileScreen : $firstScreenId][] = $tile;
+}
 
 // Get connected providers
 $connectedProviders = Database::query(
@@ -92,6 +96,8 @@ if (!Session::has('private_computer') && !Session::has('session_expires_at')) {
 }
 $sessionExpiresAt = Session::get('session_expires_at');
 $isPrivateComputer = (bool) Session::get('private_computer');
+// Wall display opened via kiosk.php: header hidden, screens rotate, read-only
+$kioskOptions = Auth::isKiosk() ? (array) Session::get('kiosk_options', []) : null;
 
 // Get user theme preferences
 try {
@@ -110,7 +116,7 @@ try {
         Database::execute('ALTER TABLE users ADD COLUMN theme_tile_bg VARCHAR(7) DEFAULT "#ffffff" AFTER theme_header_text');
         Database::execute('ALTER TABLE users ADD COLUMN theme_tile_text VARCHAR(7) DEFAULT "#374151" AFTER theme_tile_bg');
     }
-    // Dashboard screen labels (user-configurable names for Main / Screen 2)
+    // Legacy screen label columns (seed the first two dashboard_screens rows)
     $screenLabelCol = Database::query("SHOW COLUMNS FROM users LIKE 'dashboard_screen1_label'");
     if (empty($screenLabelCol)) {
         Database::execute("ALTER TABLE users ADD COLUMN dashboard_screen1_label VARCHAR(50) DEFAULT 'Main' AFTER theme_tile_text");
@@ -136,9 +142,6 @@ $theme = [
     'tile_text' => $userTheme['theme_tile_text'] ?? '#374151',
 ];
 
-$screenLabelMain = isset($userTheme['dashboard_screen1_label']) && $userTheme['dashboard_screen1_label'] !== '' ? $userTheme['dashboard_screen1_label'] : 'Main';
-$screenLabelScreen2 = isset($userTheme['dashboard_screen2_label']) && $userTheme['dashboard_screen2_label'] !== '' ? $userTheme['dashboard_screen2_label'] : 'Screen 2';
-
 $pageTitle = 'Dashboard - CrashBoard';
 $refreshInterval = config('refresh.default_interval', 300) * 1000; // Convert to milliseconds
 ?>
@@ -260,7 +263,7 @@ $refreshInterval = config('refresh.default_interval', 300) * 1000; // Convert to
         }
     </style>
 </head>
-<body class="h-full overflow-x-hidden" style="background-color: var(--cb-background);">
+<body class="h-full overflow-x-hidden<?= $kioskOptions !== null ? ' kiosk-mode' : '' ?>" style="background-color: var(--cb-background);<?= $kioskOptions !== null ? ' --cb-kiosk-text-scale: ' . (float) ($kioskOptions['text_scale'] ?? 1.5) . ';' : '' ?>">
     <!-- Header -->
     <header id="mainHeader" class="shadow-sm border-b overflow-x-hidden fixed top-0 left-0 right-0 z-50 transition-transform duration-300 ease-out" style="background-color: var(--cb-header-bg); border-color: color-mix(in srgb, var(--cb-header-text) 20%, transparent);">
         <div class="max-w-[1536px] mx-auto px-3 sm:px-6 lg:px-8">
@@ -368,14 +371,18 @@ $refreshInterval = config('refresh.default_interval', 300) * 1000; // Convert to
 
         <!-- Dashboard Tabs -->
         <div class="dashboard-tabs flex gap-1 mb-6 border-b" style="border-color: color-mix(in srgb, var(--cb-header-text) 15%, transparent);" role="tablist" aria-label="Dashboard screens">
-            <button type="button" class="dashboard-tab px-4 py-2.5 text-sm font-medium rounded-t-lg transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2" style="--tw-ring-color: var(--cb-primary);" role="tab" aria-selected="true" data-tab="main" id="tab-main"><?= e($screenLabelMain) ?></button>
-            <button type="button" class="dashboard-tab px-4 py-2.5 text-sm font-medium rounded-t-lg transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2 opacity-70 hover:opacity-100" style="--tw-ring-color: var(--cb-primary);" role="tab" aria-selected="false" data-tab="screen2" id="tab-screen2"><?= e($screenLabelScreen2) ?></button>
+            <?php foreach ($screens as $screenIndex => $screen): ?>
+            <button type="button" class="dashboard-tab px-4 py-2.5 text-sm font-medium rounded-t-lg transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2<?= $screenIndex > 0 ? ' opacity-70 hover:opacity-100' : '' ?>" style="--tw-ring-color: var(--cb-primary);" role="tab" aria-selected="<?= $screenIndex === 0 ? 'true' : 'false' ?>" data-tab="<?= e($screen['id']) ?>" id="tab-<?= e($screen['id']) ?>"><span class="dashboard-tab-label"><?= e($screen['label']) ?></span></button>
+            <?php endforeach; ?>
+            <button type="button" id="addDashboardScreen" class="dashboard-tab-add px-3 py-2.5 text-sm font-medium rounded-t-lg opacity-70 hover:opacity-100 transition-opacity focus:outline-none focus:ring-2 focus:ring-offset-2" style="--tw-ring-color: var(--cb-primary);" title="Add screen" aria-label="Add screen">+</button>
         </div>
 
-        <!-- Panel: Main -->
-        <div id="dashboardScreenMain" class="dashboard-panel" role="tabpanel" data-screen="main" aria-labelledby="tab-main">
-        <div id="tilesContainer" class="tiles-grid">
-            <?php if (empty($tilesMain)): ?>
+        <?php foreach ($screens as $screenIndex => $screen): ?>
+        <?php $screenTiles = $tilesByScreen[$screen['id']]; ?>
+        <!-- Panel: <?= e($screen['label']) ?> -->
+        <div id="dashboard-screen-<?= e($screen['id']) ?>" class="dashboard-panel<?= $screenIndex > 0 ? ' hidden' : '' ?>" role="tabpanel" data-screen="<?= e($screen['id']) ?>" aria-labelledby="tab-<?= e($screen['id']) ?>" aria-hidden="<?= $screenIndex > 0 ? 'true' : 'false' ?>">
+        <div class="tiles-grid"<?= $screenIndex === 0 ? ' id="tilesContainer"' : '' ?>>
+            <?php if (empty($screenTiles) && $screenIndex === 0): ?>
             <!-- Default tiles when none configured -->
             <?php
             // Get default refresh intervals for default tiles
@@ -564,8 +571,13 @@ $refreshInterval = config('refresh.default_interval', 300) * 1000; // Convert to
                 </div>
                 </div>
             </div>
+            <?php elseif (empty($screenTiles)): ?>
+            <div class="screen-empty-placeholder col-span-full rounded-xl border-2 border-dashed p-8 text-center" style="border-color: color-mix(in srgb, var(--cb-tile-text) 25%, transparent); color: var(--cb-tile-text);">
+                <p class="text-base font-medium opacity-90"><?= e($screen['label']) ?></p>
+                <p class="mt-2 text-sm opacity-75">No tiles on this screen yet. Use Reorder and "Move to…" to bring tiles here, or add tiles from Settings.</p>
+            </div>
             <?php else: ?>
-                <?php foreach ($tilesMain as $tile): ?>
+                <?php foreach ($screenTiles as $tile): ?>
                 <?php
                 $columnSpan = isset($tile['column_span']) ? (int)$tile['column_span'] : ($tile['tile_type'] === 'claude' ? 2 : 1);
                 $rowSpan = isset($tile['row_span']) ? (int)$tile['row_span'] : 1;
@@ -582,6 +594,16 @@ $refreshInterval = config('refresh.default_interval', 300) * 1000; // Convert to
                 }
                 // Convert to milliseconds for JavaScript
                 $refreshIntervalMs = $refreshInterval * 1000;
+                // Email tile layout: list (default), threads or senders
+                $emailView = $tile['tile_type'] === 'email' && in_array($settings['email_view'] ?? '', ['threads', 'senders'], true) ? $settings['email_view'] : null;
+                // Email tile filter (folder, Focused/Other, senders, keywords) for the tile's filter editor
+                $emailFilter = $tile['tile_type'] === 'email' && is_array($settings['email_filter'] ?? null) ? $settings['email_filter'] : null;
+                // Calendar tile view: day (default), agenda (next 7 days) or week
+                $calendarView = $tile['tile_type'] === 'calendar' && in_array($settings['calendar_view'] ?? '', ['agenda', 'week'], true) ? $settings['calendar_view'] : null;
+                // Calendars (own, shared, delegated, ICS/CalDAV) chosen for a calendar or heat map tile
+                $calendarSelection = in_array($tile['tile_type'], ['calendar', 'calendar-heatmap'], true) && is_array($settings['calendar_selection'] ?? null) ? $settings['calendar_selection'] : null;
+                // Meeting reminder offsets (minutes before) when the next-event tile has reminders switched on
+                $reminderOffsets = $tile['tile_type'] === 'next-event' && !empty($settings['reminders']['enabled']) ? array_map('intval', (array) ($settings['reminders']['offsets'] ?? [10])) : null;
                 ?>
                 <div class="tile tile-resizable" 
                      data-tile-type="<?= e($tile['tile_type']) ?>" 
@@ -589,6 +611,11 @@ $refreshInterval = config('refresh.default_interval', 300) * 1000; // Convert to
                      data-column-span="<?= $columnSpan ?>"
                      data-row-span="<?= $rowSpan ?>"
                      data-refresh-interval="<?= $refreshIntervalMs ?>"
+                     <?php if ($emailView !== null): ?>data-email-view="<?= e($emailView) ?>"<?php endif; ?>
+                     <?php if ($emailFilter !== null): ?>data-email-filter="<?= e(json_encode($emailFilter)) ?>"<?php endif; ?>
+                     <?php if ($calendarView !== null): ?>data-calendar-view="<?= e($calendarView) ?>"<?php endif; ?>
+                     <?php if ($calendarSelection !== null): ?>data-calendar-selection="<?= e(json_encode($calendarSelection)) ?>"<?php endif; ?>
+                     <?php if ($reminderOffsets !== null): ?>data-reminder-offsets="<?= e(implode(',', $reminderOffsets)) ?>"<?php endif; ?>
                      style="grid-column: span <?= $columnSpan ?>; grid-row: span <?= $rowSpan ?>;">
                     <div class="tile-resize-handle tile-resize-handle-se" title="Drag to resize"></div>
                     <div class="tile-resize-handle tile-resize-handle-e" title="Drag to resize"></div>
@@ -718,6 +745,16 @@ $refreshInterval = config('refresh.default_interval', 300) * 1000; // Convert to
                                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"/>
                             </svg>
                         </button>
+                        <button type="button" class="email-triage-btn" title="Triage (one message at a time)" aria-label="Triage this tile's emails">
+                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4"/>
+                            </svg>
+                        </button>
+                        <button type="button" class="email-filter-btn" title="Filter this tile" aria-label="Filter this tile">
+                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 4a1 1 0 011-1h16a1 1 0 011 1v2.586a1 1 0 01-.293.707l-6.414 6.414a1 1 0 00-.293.707V17l-4 4v-6.586a1 1 0 00-.293-.707L3.293 7.293A1 1 0 013 6.586V4z"/>
+                            </svg>
+                        </button>
                         <?php elseif ($tile['tile_type'] === 'calendar'): ?>
                         <h3 class="tile-title">
                             <svg class="w-5 h-5 mr-2 text-green-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -730,6 +767,11 @@ $refreshInterval = config('refresh.default_interval', 300) * 1000; // Convert to
                                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"/>
                             </svg>
                         </button>
+                        <button type="button" class="calendar-select-btn" title="Choose calendars" aria-label="Choose calendars for this tile">
+                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 6h16M4 12h16M4 18h7"/>
+                            </svg>
+                        </button>
                         <?php elseif ($tile['tile_type'] === 'calendar-heatmap'): ?>
                         <h3 class="tile-title">
                             <svg class="w-5 h-5 mr-2 text-teal-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -742,6 +784,11 @@ $refreshInterval = config('refresh.default_interval', 300) * 1000; // Convert to
                                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"/>
                             </svg>
                         </button>
+                        <button type="button" class="calendar-select-btn" title="Choose calendars" aria-label="Choose calendars for this tile">
+                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 6h16M4 12h16M4 18h7"/>
+                            </svg>
+                        </button>
                         <?php elseif ($tile['tile_type'] === 'availability'): ?>
                         <h3 class="tile-title">
                             <svg class="w-5 h-5 mr-2 text-indigo-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -852,64 +899,7 @@ $refreshInterval = config('refresh.default_interval', 300) * 1000; // Convert to
             <?php endif; ?>
         </div>
         </div>
-
-        <!-- Panel: Screen 2 -->
-        <div id="dashboardScreen2" class="dashboard-panel hidden" role="tabpanel" data-screen="screen2" aria-labelledby="tab-screen2" aria-hidden="true">
-        <div class="tiles-grid" id="tilesContainerScreen2">
-            <?php if (empty($tilesScreen2)): ?>
-            <div class="col-span-full rounded-xl border-2 border-dashed p-8 text-center" style="border-color: color-mix(in srgb, var(--cb-tile-text) 25%, transparent); color: var(--cb-tile-text);">
-                <p class="text-base font-medium opacity-90"><?= e($screenLabelScreen2) ?></p>
-                <p class="mt-2 text-sm opacity-75">Add more dashboard tiles here in due course. You can configure new tiles from Settings and assign them to this screen.</p>
-            </div>
-            <?php else: ?>
-                <?php foreach ($tilesScreen2 as $tile): ?>
-                <?php
-                $columnSpan = isset($tile['column_span']) ? (int)$tile['column_span'] : ($tile['tile_type'] === 'claude' ? 2 : 1);
-                $rowSpan = isset($tile['row_span']) ? (int)$tile['row_span'] : 1;
-                $columnSpan = max(1, min(5, $columnSpan));
-                $rowSpan = max(1, min(5, $rowSpan));
-                $settings = !empty($tile['settings']) ? json_decode($tile['settings'], true) : [];
-                $refreshInterval = isset($settings['refresh_interval']) ? (int)$settings['refresh_interval'] : null;
-                if ($refreshInterval === null) {
-                    $refreshInterval = config("refresh.{$tile['tile_type']}", config('refresh.default_interval', 300));
-                }
-                $refreshIntervalMs = $refreshInterval * 1000;
-                ?>
-                <div class="tile tile-resizable" data-tile-type="<?= e($tile['tile_type']) ?>" data-tile-id="<?= $tile['id'] ?>" data-column-span="<?= $columnSpan ?>" data-row-span="<?= $rowSpan ?>" data-refresh-interval="<?= $refreshIntervalMs ?>" style="grid-column: span <?= $columnSpan ?>; grid-row: span <?= $rowSpan ?>;">
-                    <div class="tile-resize-handle tile-resize-handle-se" title="Drag to resize"></div>
-                    <div class="tile-resize-handle tile-resize-handle-e" title="Drag to resize"></div>
-                    <div class="tile-resize-handle tile-resize-handle-s" title="Drag to resize"></div>
-                    <div class="tile-header">
-                        <?php if ($tile['tile_type'] === 'planner-overview'): ?>
-                        <h3 class="tile-title">
-                            <svg class="w-5 h-5 mr-2 text-purple-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01"/>
-                            </svg>
-                            <span class="tile-title-text"><?= e($tile['title'] ?? 'Planner overview') ?></span>
-                        </h3>
-                        <button class="tile-refresh" title="Refresh"><svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"/></svg></button>
-                        <?php elseif ($tile['tile_type'] === 'link-board'): ?>
-                        <h3 class="tile-title">
-                            <svg class="w-5 h-5 mr-2 text-teal-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 12a9 9 0 01-9 9m9-9a9 9 0 00-9-9m9 9H3m9 9a9 9 0 01-9-9m9 9c1.657 0 3-4.03 3-9s-1.343-9-3-9m0 18c-1.657 0-3-4.03-3-9s1.343-9 3-9m-9 9a9 9 0 019-9"/>
-                            </svg>
-                            <span class="tile-title-text"><?= e($tile['title'] ?? 'Link board') ?></span>
-                        </h3>
-                        <button class="tile-refresh" title="Refresh"><svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"/></svg></button>
-                        <?php else: ?>
-                        <h3 class="tile-title">
-                            <svg class="w-5 h-5 mr-2 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 00-2 2v2a2 2 0 002 2h2a2 2 0 002-2v-2a2 2 0 012-2h-2a2 2 0 012 2v2a2 2 0 01-2 2H8a2 2 0 00-2 2v2a2 2 0 002 2h2a2 2 0 002-2V6a2 2 0 01-2-2z"/></svg>
-                            <span class="tile-title-text"><?= e($tile['title'] ?? ucfirst($tile['tile_type'])) ?></span>
-                        </h3>
-                        <button class="tile-refresh" title="Refresh"><svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"/></svg></button>
-                        <?php endif; ?>
-                    </div>
-                    <div class="tile-content"><div class="tile-content-inner"><div class="tile-loading"><div class="loading-spinner"></div><p>Loading...</p></div></div></div>
-                </div>
-                <?php endforeach; ?>
-            <?php endif; ?>
-        </div>
-        </div>
+        <?php endforeach; ?>
     </main>
 
     <!-- Footer -->
@@ -923,8 +913,13 @@ $refreshInterval = config('refresh.default_interval', 300) * 1000; // Convert to
         window.REFRESH_INTERVAL = <?= $refreshInterval ?>;
         window.SESSION_EXPIRES_AT = <?= $sessionExpiresAt !== null ? (int) $sessionExpiresAt : 'null' ?>;
         window.SESSION_PRIVATE_COMPUTER = <?= $isPrivateComputer ? 'true' : 'false' ?>;
-        window.DASHBOARD_SCREEN_LABELS = <?= json_encode(['main' => $screenLabelMain, 'screen2' => $screenLabelScreen2], JSON_HEX_TAG | JSON_HEX_APOS | JSON_HEX_AMP | JSON_HEX_QUOT) ?>;
+        window.LIVE_UPDATES_ENABLED = <?= config('events.enabled', true) ? 'true' : 'false' ?>;
+        window.KIOSK_MODE = <?= $kioskOptions !== null ? json_encode($kioskOptions, JSON_HEX_TAG | JSON_HEX_APOS | JSON_HEX_AMP | JSON_HEX_QUOT) : 'null' ?>;
+        window.DASHBOARD_SCREEN_LABELS = <?= json_encode(array_column($screens, 'label', 'id'), JSON_HEX_TAG | JSON_HEX_APOS | JSON_HEX_AMP | JSON_HEX_QUOT) ?>;
     </script>
     <script src="<?= dashboard_script_url() ?>"></script>
+    <?php foreach ((array) config('dashboard.tile_scripts', []) as $tileScript): ?>
+    <script src="<?= e(preg_match('#^(https?:)?//|^/#', (string) $tileScript) ? (string) $tileScript : asset('js/' . ltrim((string) $tileScript, '/'))) ?>"></script>
+    <?php endforeach; ?>
 </body>
 </html>
@@ -0,0 +1,65 @@
+<?php
+/**
+ * Kiosk – Wall display entry point
+ *
+ * Public URL (no login): kiosk.php?key=[kiosk key from Settings]. Starts a long-lived,
+ * read-only session for the key's owner and opens the dashboard in kiosk mode (no header,
+ * screens rotate on a timer, larger tile text). The session ends when the key is
+ * regenerated or disabled in Settings.
+ *
+ * Optional query parameters override config kiosk.*:
+ *   rotate=60            seconds per screen (0 = stay on one screen)
+ *   scale=1.5            tile text size multiplier (1–3)
+ *   screens=main,screen3 only rotate through these screen ids
+ */
+
+declare(strict_types=1);
+
+require_once __DIR__ . '/../includes/functions.php';
+require_once __DIR__ . '/../includes/session.php';
+require_once __DIR__ . '/../includes/auth.php';
+
+$key = isset($_GET['key']) ? trim((string) $_GET['key']) : '';
+
+$user = null;
+if ($key !== '') {
+    $keyCol = Database::queryOne("SHOW COLUMNS FROM users LIKE 'kiosk_key'");
+    if (!empty($keyCol)) {
+        $user = Database::queryOne(
+            'SELECT id, username, email, is_active FROM users WHERE kiosk_key = ? AND kiosk_key IS NOT NULL',
+            [$key]
+        );
+    }
+}
+if (!$user || !$user['is_active']) {
+    http_response_code(403);
+    header('Content-Type: text/html; charset=utf-8');
+    echo '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>Kiosk</title></head><body style="font-family:system-ui,sans-serif;max-width:32rem;margin:2rem auto;padding:1rem;text-align:center;">';
+    echo '<p style="font-size:1.125rem;">Invalid or expired kiosk link. Generate a new one in Settings.</p>';
+    echo '</body></html>';
+    exit;
+}
+
+$rotate = isset($_GET['rotate']) ? (int) $_GET['rotate'] : (int) config('kiosk.rotate_seconds', 60);
+$scale = isset($_GET['scale']) ? (float) $_GET['scale'] : (float) config('kiosk.text_scale', 1.5);
+$screens = isset($_GET['screens']) ? array_values(array_filter(array_map('trim', explode(',', (string) $_GET['screens'])))) : [];
+
+// Replace whatever session this browser had with a fresh long-lived kiosk session
+Session::init();
+Session::destroy();
+Session::startWithLifetime((int) config('session.lifetime_remember', 2592000));
+Session::setUser((int) $user['id'], [
+    'username' => $user['username'],
+    'email' => $user['email'],
+]);
+// Reuse the "private computer" handling: cookie refreshed on every request, no expiry countdown
+Session::set('private_computer', true);
+Session::set('kiosk', true);
+Session::set('kiosk_key', $key);
+Session::set('kiosk_options', [
+    'rotate_seconds' => $rotate > 0 ? max(10, min(3600, $rotate)) : 0,
+    'text_scale' => max(1.0, min(3.0, $scale)),
+    'screens' => $screens,
+]);
+
+redirect('/index.php');
@@ -12,6 +12,9 @@ require_once __DIR__ . '/../includes/auth.php';
 
 Auth::logout();
 
+// Drop offline tile data and queued writes cached by the service worker on this browser
+header('Clear-Site-Data: "cache", "storage"');
+
 Session::setFlash('success', 'You have been logged out successfully.');
 
 redirect('/login.php');
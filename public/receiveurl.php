@@ -14,6 +14,7 @@ declare(strict_types=1);
 
 require_once __DIR__ . '/../includes/functions.php';
 require_once __DIR__ . '/../config/database.php';
+require_once __DIR__ . '/../includes/tile-events.php';
 
 // POST only (avoids iOS Shortcuts URL-encoding issues with GET query string)
 if (($_SERVER['REQUEST_METHOD'] ?? '') !== 'POST') {
@@ -107,12 +108,16 @@ Database::execute(
 );
 $newItemId = (int) Database::lastInsertId();
 
+// Let open dashboards show the new link straight away (and again once the summary is in)
+TileEvents::publish($userId, ['link-board']);
+
 // Trigger AI summary in background (same logic as link-board tile)
 $pageContent = fetchPageContentForSummaryForReceive($url);
 if ($pageContent !== '') {
     $summary = summarizeWithClaudeForReceive($pageContent);
     if ($summary !== '') {
         Database::execute('UPDATE link_board_items SET summary = ? WHERE id = ? AND user_id = ?', [$summary, $newItemId, $userId]);
+        TileEvents::publish($userId, ['link-board']);
     }
 }
 
@@ -9,10 +9,17 @@ declare(strict_types=1);
 
 require_once __DIR__ . '/../includes/functions.php';
 require_once __DIR__ . '/../includes/auth.php';
+require_once __DIR__ . '/../includes/dashboard-screens.php';
+require_once __DIR__ . '/../includes/calendar-sources.php';
 
 // Require authentication
 Auth::require();
 
+// Kiosk displays are read-only
+if (Auth::isKiosk()) {
+    redirect('/index.php');
+}
+
 $user = Auth::user();
 $userId = Auth::id();
 
@@ -107,11 +114,8 @@ if (isPost()) {
             $cacheType = post('cache_type', 'all');
             if ($cacheType === 'all') {
                 cacheClear("email_{$userId}");
-                cacheClear("calendar_{$userId}");
-                cacheClear("calendar_heatmap_v2_{$userId}");
-                cacheClear("availability_{$userId}");
-                cacheClear("calendar_next_{$userId}_%");
-                cacheClear("calendar_next_event_{$userId}_%");
+                // Every calendar tile's ranges, selections and heat map options, and the ICS/CalDAV feeds
+                CalendarSources::clearCaches($userId);
                 cacheClear("todo_{$userId}");
                 cacheClear("crm_{$userId}");
                 cacheClear("weather_{$userId}");
@@ -122,6 +126,8 @@ if (isPost()) {
                 Session::setFlash('success', 'All tile caches cleared.');
             } else {
                 cacheClear("{$cacheType}_{$userId}");
+                // Per-tile variants (date ranges, filters, calendar selections); "\_" keeps LIKE from matching other user ids
+                cacheClear("{$cacheType}_{$userId}\\_%");
                 Session::setFlash('success', ucfirst($cacheType) . ' cache cleared.');
             }
             break;
@@ -182,8 +188,8 @@ if (isPost()) {
                         $newPosition = ($maxPos['max_pos'] ?? 0) + 1;
 
                         Database::execute(
-                            'INSERT INTO tiles (user_id, tile_type, title, position, column_span, is_enabled) VALUES (?, ?, ?, ?, ?, ?)',
-                            [$userId, 'weather', 'Weather', $newPosition, 1, true]
+                            'INSERT INTO tiles (user_id, tile_type, title, position, column_span, is_enabled, screen) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                            [$userId, 'weather', 'Weather', $newPosition, 1, true, DashboardScreens::firstId($userId)]
                         );
                     }
 
@@ -269,15 +275,21 @@ if (isPost()) {
                 $font = 'system';
             }
 
-            $screen1Label = substr(trim(post('dashboard_screen1_label', 'Main')), 0, 50) ?: 'Main';
-            $screen2Label = substr(trim(post('dashboard_screen2_label', 'Screen 2')), 0, 50) ?: 'Screen 2';
+            $screenLabels = post('dashboard_screen_labels', []);
+            $screenLabels = is_array($screenLabels) ? $screenLabels : [];
 
             // Save to database
             try {
                 Database::execute(
-                    'UPDATE users SET theme_primary = ?, theme_secondary = ?, theme_background = ?, theme_font = ?, theme_header_bg = ?, theme_header_text = ?, theme_tile_bg = ?, theme_tile_text = ?, dashboard_screen1_label = ?, dashboard_screen2_label = ? WHERE id = ?',
-                    [$primary, $secondary, $background, $font, $headerBg, $headerText, $tileBg, $tileText, $screen1Label, $screen2Label, $userId]
+                    'UPDATE users SET theme_primary = ?, theme_secondary = ?, theme_background = ?, theme_font = ?, theme_header_bg = ?, theme_header_text = ?, theme_tile_bg = ?, theme_tile_text = ? WHERE id = ?',
+                    [$primary, $secondary, $background, $font, $headerBg, $headerText, $tileBg, $tileText, $userId]
                 );
+                // Blank names keep the current label
+                foreach ($screenLabels as $screenId => $screenLabel) {
+                    if (is_string($screenLabel) && trim($screenLabel) !== '') {
+                        DashboardScreens::rename($userId, (string) $screenId, $screenLabel);
+                    }
+                }
                 Session::setFlash('success', 'Theme and dashboard screen names saved successfully.');
             } catch (Exception $e) {
                 Session::setFlash('error', 'Failed to save theme: ' . $e->getMessage());
@@ -320,8 +332,8 @@ if (isPost()) {
 
                 try {
                     Database::execute(
-                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled) VALUES (?, ?, ?, ?, ?, ?, ?)',
-                        [$userId, 'notes', 'Quick Notes', $newPosition, 1, 1, true]
+                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled, screen) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                        [$userId, 'notes', 'Quick Notes', $newPosition, 1, 1, true, DashboardScreens::firstId($userId)]
                     );
                     Session::setFlash('success', 'Notes tile added successfully! Refresh your dashboard to see it.');
                 } catch (Exception $e) {
@@ -349,8 +361,8 @@ if (isPost()) {
 
                 try {
                     Database::execute(
-                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled) VALUES (?, ?, ?, ?, ?, ?, ?)',
-                        [$userId, 'notes-list', 'Saved Notes', $newPosition, 1, 1, true]
+                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled, screen) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                        [$userId, 'notes-list', 'Saved Notes', $newPosition, 1, 1, true, DashboardScreens::firstId($userId)]
                     );
                     Session::setFlash('success', 'Notes list tile added successfully! Refresh your dashboard to see it.');
                 } catch (Exception $e) {
@@ -374,8 +386,8 @@ if (isPost()) {
                 $newPosition = ($maxPos['max_pos'] ?? 0) + 1;
                 try {
                     Database::execute(
-                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled) VALUES (?, ?, ?, ?, ?, ?, ?)',
-                        [$userId, 'bookmarks', 'Bookmarks', $newPosition, 1, 1, true]
+                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled, screen) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                        [$userId, 'bookmarks', 'Bookmarks', $newPosition, 1, 1, true, DashboardScreens::firstId($userId)]
                     );
                     Session::setFlash('success', 'Bookmarks tile added. Refresh your dashboard to see it.');
                 } catch (Exception $e) {
@@ -399,8 +411,8 @@ if (isPost()) {
                 $newPosition = ($maxPos['max_pos'] ?? 0) + 1;
                 try {
                     Database::execute(
-                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled) VALUES (?, ?, ?, ?, ?, ?, ?)',
-                        [$userId, 'link-board', 'Link board', $newPosition, 2, 1, true]
+                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled, screen) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                        [$userId, 'link-board', 'Link board', $newPosition, 2, 1, true, DashboardScreens::firstId($userId)]
                     );
                     Session::setFlash('success', 'Link board tile added. Refresh your dashboard to see it.');
                 } catch (Exception $e) {
@@ -422,6 +434,27 @@ if (isPost()) {
             }
             break;
 
+        case 'generate_kiosk_key':
+            try {
+                Database::execute(
+                    'UPDATE users SET kiosk_key = ? WHERE id = ?',
+                    [bin2hex(random_bytes(32)), $userId]
+                );
+                Session::setFlash('success', 'Kiosk link generated. Any display using the previous link has been signed out.');
+            } catch (Exception $e) {
+                Session::setFlash('error', 'Failed to generate kiosk link: ' . $e->getMessage());
+            }
+            break;
+
+        case 'disable_kiosk_key':
+            try {
+                Database::execute('UPDATE users SET kiosk_key = NULL WHERE id = ?', [$userId]);
+                Session::setFlash('success', 'Kiosk link disabled. Displays using it have been signed out.');
+            } catch (Exception $e) {
+                Session::setFlash('error', 'Failed to disable kiosk link: ' . $e->getMessage());
+            }
+            break;
+
         case 'save_link_board_share_category':
             $catId = post('link_board_share_category_id');
             $catId = $catId === '' || $catId === null ? null : (int) $catId;
@@ -445,6 +478,25 @@ if (isPost()) {
             }
             break;
 
+        case 'add_email_tile':
+            // Several email tiles can sit side by side, each with its own filter (set from the tile's filter button)
+            $title = trim(post('email_tile_title', ''));
+            $maxPos = Database::queryOne(
+                'SELECT MAX(position) as max_pos FROM tiles WHERE user_id = ? AND is_enabled = TRUE',
+                [$userId]
+            );
+            $newPosition = ($maxPos['max_pos'] ?? 0) + 1;
+            try {
+                Database::execute(
+                    'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled, screen) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                    [$userId, 'email', $title !== '' ? truncate($title, 100, '') : 'Inbox', $newPosition, 1, 1, true, DashboardScreens::firstId($userId)]
+                );
+                Session::setFlash('success', 'Email tile added. Use the filter button on the tile to choose what it shows.');
+            } catch (Exception $e) {
+                Session::setFlash('error', 'Failed to add tile: ' . $e->getMessage());
+            }
+            break;
+
         case 'add_calendar_next_tile':
             $title = trim(post('calendar_next_title', 'Next event'));
             $category = trim(post('calendar_next_category', ''));
@@ -459,8 +511,8 @@ if (isPost()) {
                 $settings = json_encode(['category' => $category]);
                 try {
                     Database::execute(
-                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled, settings) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-                        [$userId, 'calendar-next', $title ?: 'Next event', $newPosition, 1, 1, true, $settings]
+                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled, settings, screen) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                        [$userId, 'calendar-next', $title ?: 'Next event', $newPosition, 1, 1, true, $settings, DashboardScreens::firstId($userId)]
                     );
                     Session::setFlash('success', 'Next event tile added. Refresh your dashboard to see it.');
                 } catch (Exception $e) {
@@ -515,8 +567,8 @@ if (isPost()) {
                 $newPosition = ($maxPos['max_pos'] ?? 0) + 1;
                 try {
                     Database::execute(
-                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled) VALUES (?, ?, ?, ?, ?, ?, ?)',
-                        [$userId, 'next-event', 'Next event', $newPosition, 1, 1, true]
+                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled, screen) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                        [$userId, 'next-event', 'Next event', $newPosition, 1, 1, true, DashboardScreens::firstId($userId)]
                     );
                     Session::setFlash('success', 'Next event tile added. Refresh your dashboard to see it.');
                 } catch (Exception $e) {
@@ -540,8 +592,8 @@ if (isPost()) {
                 $newPosition = ($maxPos['max_pos'] ?? 0) + 1;
                 try {
                     Database::execute(
-                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled) VALUES (?, ?, ?, ?, ?, ?, ?)',
-                        [$userId, 'calendar-heatmap', 'Calendar heat map', $newPosition, 1, 1, true]
+                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled, screen) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                        [$userId, 'calendar-heatmap', 'Calendar heat map', $newPosition, 1, 1, true, DashboardScreens::firstId($userId)]
                     );
                     Session::setFlash('success', 'Calendar heat map tile added. Refresh your dashboard to see it.');
                 } catch (Exception $e) {
@@ -565,8 +617,8 @@ if (isPost()) {
                 $newPosition = ($maxPos['max_pos'] ?? 0) + 1;
                 try {
                     Database::execute(
-                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled) VALUES (?, ?, ?, ?, ?, ?, ?)',
-                        [$userId, 'flagged-email', 'Flagged email reminder', $newPosition, 1, 1, true]
+                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled, screen) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                        [$userId, 'flagged-email', 'Flagged email reminder', $newPosition, 1, 1, true, DashboardScreens::firstId($userId)]
                     );
                     Session::setFlash('success', 'Flagged email reminder tile added. Refresh your dashboard to see it.');
                 } catch (Exception $e) {
@@ -590,8 +642,8 @@ if (isPost()) {
                 $newPosition = ($maxPos['max_pos'] ?? 0) + 1;
                 try {
                     Database::execute(
-                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled) VALUES (?, ?, ?, ?, ?, ?, ?)',
-                        [$userId, 'availability', 'Availability', $newPosition, 1, 1, true]
+                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled, screen) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                        [$userId, 'availability', 'Availability', $newPosition, 1, 1, true, DashboardScreens::firstId($userId)]
                     );
                     Session::setFlash('success', 'Availability tile added. Refresh your dashboard to see it.');
                 } catch (Exception $e) {
@@ -615,8 +667,8 @@ if (isPost()) {
                 $newPosition = ($maxPos['max_pos'] ?? 0) + 1;
                 try {
                     Database::execute(
-                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled) VALUES (?, ?, ?, ?, ?, ?, ?)',
-                        [$userId, 'flagged-email-count', 'Flagged Emails', $newPosition, 1, 1, true]
+                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled, screen) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                        [$userId, 'flagged-email-count', 'Flagged Emails', $newPosition, 1, 1, true, DashboardScreens::firstId($userId)]
                     );
                     Session::setFlash('success', 'Flagged email count tile added. Refresh your dashboard to see it.');
                 } catch (Exception $e) {
@@ -640,8 +692,8 @@ if (isPost()) {
                 $newPosition = ($maxPos['max_pos'] ?? 0) + 1;
                 try {
                     Database::execute(
-                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled) VALUES (?, ?, ?, ?, ?, ?, ?)',
-                        [$userId, 'overdue-tasks-count', 'Overdue Tasks', $newPosition, 1, 1, true]
+                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled, screen) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                        [$userId, 'overdue-tasks-count', 'Overdue Tasks', $newPosition, 1, 1, true, DashboardScreens::firstId($userId)]
                     );
                     cacheClear("overdue_tasks_count_{$userId}");
                     Session::setFlash('success', 'Overdue tasks count tile added. Refresh your dashboard to see it.');
@@ -666,8 +718,8 @@ if (isPost()) {
                 $newPosition = ($maxPos['max_pos'] ?? 0) + 1;
                 try {
                     Database::execute(
-                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled) VALUES (?, ?, ?, ?, ?, ?, ?)',
-                        [$userId, 'todo-personal', 'Personal Tasks', $newPosition, 1, 1, true]
+                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled, screen) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                        [$userId, 'todo-personal', 'Personal Tasks', $newPosition, 1, 1, true, DashboardScreens::firstId($userId)]
                     );
                     cacheClear("todo_personal_{$userId}");
                     Session::setFlash('success', 'Personal Tasks tile added. Refresh your dashboard to see it.');
@@ -692,8 +744,8 @@ if (isPost()) {
                 $newPosition = ($maxPos['max_pos'] ?? 0) + 1;
                 try {
                     Database::execute(
-                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled) VALUES (?, ?, ?, ?, ?, ?, ?)',
-                        [$userId, 'planner-overview', 'Planner overview', $newPosition, 2, 1, true]
+                        'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled, screen) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                        [$userId, 'planner-overview', 'Planner overview', $newPosition, 2, 1, true, DashboardScreens::firstId($userId)]
                     );
                     cacheClear("planner_overview_v2_{$userId}");
                     Session::setFlash('success', 'Planner overview tile added. Refresh your dashboard to see it.');
@@ -737,8 +789,8 @@ if (isPost()) {
                     ]);
                     try {
                         Database::execute(
-                            'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled, settings) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-                            [$userId, 'train-departures', 'Train Departures', $newPosition, 1, 1, true, $settings]
+                            'INSERT INTO tiles (user_id, tile_type, title, position, column_span, row_span, is_enabled, settings, screen) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                            [$userId, 'train-departures', 'Train Departures', $newPosition, 1, 1, true, $settings, DashboardScreens::firstId($userId)]
                         );
                         cacheClear("train_departures_{$userId}_%");
                         Session::setFlash('success', 'Train departures tile added. Refresh your dashboard to see it.');
@@ -819,6 +871,248 @@ if (isPost()) {
             }
             break;
 
+        case 'save_email_tile_views':
+            $views = post('email_tile_views', []);
+            $updated = 0;
+            foreach ((array) $views as $tileId => $view) {
+                $tileId = (int) $tileId;
+                $view = in_array($view, ['list', 'threads', 'senders'], true) ? $view : 'list';
+                $tile = Database::queryOne(
+                    'SELECT id, settings FROM tiles WHERE id = ? AND user_id = ? AND tile_type = ?',
+                    [$tileId, $userId, 'email']
+                );
+                if (!$tile) {
+                    continue;
+                }
+                $settings = !empty($tile['settings']) ? json_decode($tile['settings'], true) : [];
+                if (!is_array($settings)) {
+                    $settings = [];
+                }
+                $settings['email_view'] = $view;
+                try {
+                    Database::execute(
+                        'UPDATE tiles SET settings = ? WHERE id = ? AND user_id = ?',
+                        [json_encode($settings), $tileId, $userId]
+                    );
+                    $updated++;
+                } catch (Exception $e) {
+                    Session::setFlash('error', 'Failed to save: ' . $e->getMessage());
+                    break 2;
+                }
+            }
+            Session::setFlash('success', $updated > 0 ? 'Email tile layout saved. Refresh your dashboard to see changes.' : 'No changes to save.');
+            break;
+
+        case 'save_calendar_tile_views':
+            $views = post('calendar_tile_views', []);
+            $updated = 0;
+            foreach ((array) $views as $tileId => $view) {
+                $tileId = (int) $tileId;
+                $view = in_array($view, ['day', 'agenda', 'week'], true) ? $view : 'day';
+                $tile = Database::queryOne(
+                    'SELECT id, settings FROM tiles WHERE id = ? AND user_id = ? AND tile_type = ?',
+                    [$tileId, $userId, 'calendar']
+                );
+                if (!$tile) {
+                    continue;
+                }
+                $settings = !empty($tile['settings']) ? json_decode($tile['settings'], true) : [];
+                if (!is_array($settings)) {
+                    $settings = [];
+                }
+                $settings['calendar_view'] = $view;
+                try {
+                    Database::execute(
+                        'UPDATE tiles SET settings = ? WHERE id = ? AND user_id = ?',
+                        [json_encode($settings), $tileId, $userId]
+                    );
+                    $updated++;
+                } catch (Exception $e) {
+                    Session::setFlash('error', 'Failed to save: ' . $e->getMessage());
+                    break 2;
+                }
+            }
+            Session::setFlash('success', $updated > 0 ? 'Calendar tile view saved. Refresh your dashboard to see changes.' : 'No changes to save.');
+            break;
+
+        case 'save_calendar_heatmap_options':
+            $options = post('heatmap_options', []);
+            $updated = 0;
+            foreach ((array) $options as $tileId => $tileOptions) {
+                $tileId = (int) $tileId;
+                $tile = Database::queryOne(
+                    'SELECT id, settings FROM tiles WHERE id = ? AND user_id = ? AND tile_type = ?',
+                    [$tileId, $userId, 'calendar-heatmap']
+                );
+                if (!$tile) {
+                    continue;
+                }
+                $settings = !empty($tile['settings']) ? json_decode($tile['settings'], true) : [];
+                if (!is_array($settings)) {
+                    $settings = [];
+                }
+                $tileOptions = is_array($tileOptions) ? $tileOptions : [];
+                // Same rules as normalizeHeatmapOptions() in api/tiles.php, which re-checks them on read
+                $settings['heatmap'] = [
+                    'weeks' => max(4, min(12, (int) ($tileOptions['weeks'] ?? 5))),
+                    'weekends' => !empty($tileOptions['weekends']),
+                    'metric' => ($tileOptions['metric'] ?? '') === 'hours' ? 'hours' : 'count',
+                ];
+                try {
+                    Database::execute(
+                        'UPDATE tiles SET settings = ? WHERE id = ? AND user_id = ?',
+                        [json_encode($settings), $tileId, $userId]
+                    );
+                    $updated++;
+                } catch (Exception $e) {
+                    Session::setFlash('error', 'Failed to save: ' . $e->getMessage());
+                    break 2;
+                }
+            }
+            Session::setFlash('success', $updated > 0 ? 'Heat map options saved. Refresh your dashboard to see changes.' : 'No changes to save.');
+            break;
+
+        case 'save_meeting_reminders':
+            $reminders = post('meeting_reminders', []);
+            $updated = 0;
+            foreach ((array) $reminders as $tileId => $reminder) {
+                $tileId = (int) $tileId;
+                $reminder = is_array($reminder) ? $reminder : [];
+                $tile = Database::queryOne(
+                    'SELECT id, settings FROM tiles WHERE id = ? AND user_id = ? AND tile_type = ?',
+                    [$tileId, $userId, 'next-event']
+                );
+                if (!$tile) {
+                    continue;
+                }
+                // Minutes before the start (0 = when it starts), largest first, up to five
+                $offsets = array_filter(array_map('trim', preg_split('/[\s,;]+/', (string) ($reminder['offsets'] ?? ''))), 'is_numeric');
+                $offsets = array_values(array_unique(array_map(fn($minutes) => max(0, min(120, (int) $minutes)), $offsets)));
+                rsort($offsets);
+                $settings = !empty($tile['settings']) ? json_decode($tile['settings'], true) : [];
+                if (!is_array($settings)) {
+                    $settings = [];
+                }
+                $settings['reminders'] = [
+                    'enabled' => !empty($reminder['enabled']),
+                    'offsets' => array_slice($offsets ?: [10], 0, 5),
+                ];
+                try {
+                    Database::execute(
+                        'UPDATE tiles SET settings = ? WHERE id = ? AND user_id = ?',
+                        [json_encode($settings), $tileId, $userId]
+                    );
+                    $updated++;
+                } catch (Exception $e) {
+                    Session::setFlash('error', 'Failed to save: ' . $e->getMessage());
+                    break 2;
+                }
+            }
+            Session::setFlash('success', $updated > 0 ? 'Meeting reminders saved. Refresh your dashboard to see changes.' : 'No changes to save.');
+            break;
+
+        case 'save_availability_options':
+            $options = post('availability_options', []);
+            $updated = 0;
+            foreach ((array) $options as $tileId => $tileOptions) {
+                $tileId = (int) $tileId;
+                $tile = Database::queryOne(
+                    'SELECT id, settings FROM tiles WHERE id = ? AND user_id = ? AND tile_type = ?',
+                    [$tileId, $userId, 'availability']
+                );
+                if (!$tile) {
+                    continue;
+                }
+                $settings = !empty($tile['settings']) ? json_decode($tile['settings'], true) : [];
+                if (!is_array($settings)) {
+                    $settings = [];
+                }
+                $tileOptions = is_array($tileOptions) ? $tileOptions : [];
+                $time = fn(string $key, string $default): string => preg_match('/^([01]\d|2[0-3]):[0-5]\d$/', (string) ($tileOptions[$key] ?? '')) ? $tileOptions[$key] : $default;
+                $workStart = $time('work_start', '09:00');
+                $workEnd = $time('work_end', '17:00');
+                $lunchStart = $time('lunch_start', '13:00');
+                $lunchEnd = $time('lunch_end', '14:00');
+                if ($workEnd <= $workStart) {
+                    Session::setFlash('error', 'The working day must end after it starts.');
+                    break 2;
+                }
+                if (!empty($tileOptions['lunch']) && $lunchEnd <= $lunchStart) {
+                    Session::setFlash('error', 'Lunch must end after it starts.');
+                    break 2;
+                }
+                // Same rules as normalizeAvailabilityOptions() in api/tiles.php, which re-checks them on read
+                $settings['availability'] = [
+                    'start' => in_array($tileOptions['start'] ?? '', ['today', 'tomorrow', 'next_week'], true) ? $tileOptions['start'] : 'next_week',
+                    'days' => max(1, min(28, (int) ($tileOptions['days'] ?? 14))),
+                    'max_days' => max(1, min(10, (int) ($tileOptions['max_days'] ?? 4))),
+                    'work_start' => $workStart,
+                    'work_end' => $workEnd,
+                    'min_slot' => max(15, min(480, (int) ($tileOptions['min_slot'] ?? 60))),
+                    'buffer' => max(0, min(120, (int) ($tileOptions['buffer'] ?? 60))),
+                    'lunch' => !empty($tileOptions['lunch']),
+                    'lunch_start' => $lunchStart,
+                    'lunch_end' => $lunchEnd,
+                    'format' => in_array($tileOptions['format'] ?? '', ['text', 'markdown', 'html'], true) ? $tileOptions['format'] : 'text',
+                    'timezone' => in_array($tileOptions['timezone'] ?? '', DateTimeZone::listIdentifiers(), true) ? $tileOptions['timezone'] : '',
+                ];
+                try {
+                    Database::execute(
+                        'UPDATE tiles SET settings = ? WHERE id = ? AND user_id = ?',
+                        [json_encode($settings), $tileId, $userId]
+                    );
+                    $updated++;
+                } catch (Exception $e) {
+                    Session::setFlash('error', 'Failed to save: ' . $e->getMessage());
+                    break 2;
+                }
+            }
+            Session::setFlash('success', $updated > 0 ? 'Availability options saved. Refresh your dashboard to see changes.' : 'No changes to save.');
+            break;
+
+        case 'add_calendar_source':
+            try {
+                CalendarSources::add(
+                    $userId,
+                    (string) post('source_type', 'ics'),
+                    (string) post('source_name', ''),
+                    (string) post('source_url', ''),
+                    (string) post('source_color', ''),
+                    (string) post('source_username', ''),
+                    (string) post('source_password', '')
+                );
+                Session::setFlash('success', 'Calendar added. Its events now show in your calendar tiles.');
+            } catch (InvalidArgumentException $e) {
+                Session::setFlash('error', $e->getMessage());
+            } catch (Exception $e) {
+                Session::setFlash('error', 'Failed to add calendar: ' . $e->getMessage());
+            }
+            break;
+
+        case 'update_calendar_source':
+            try {
+                CalendarSources::update(
+                    $userId,
+                    (int) post('source_id', 0),
+                    (string) post('source_name', ''),
+                    (string) post('source_color', ''),
+                    post('source_enabled') === '1'
+                );
+                Session::setFlash('success', 'Calendar updated.');
+            } catch (Exception $e) {
+                Session::setFlash('error', 'Failed to update calendar: ' . $e->getMessage());
+            }
+            break;
+
+        case 'remove_calendar_source':
+            try {
+                CalendarSources::remove($userId, (int) post('source_id', 0));
+                Session::setFlash('success', 'Calendar removed.');
+            } catch (Exception $e) {
+                Session::setFlash('error', 'Failed to remove calendar: ' . $e->getMessage());
+            }
+            break;
+
         case 'save_tile_refresh_rates':
             $tileRefreshRates = post('tile_refresh_rates', []);
             $updated = 0;
@@ -898,6 +1192,11 @@ try {
         Database::execute('ALTER TABLE users ADD COLUMN planner_overview_max_plans TINYINT UNSIGNED DEFAULT NULL');
         Database::execute('ALTER TABLE users ADD COLUMN planner_overview_max_tasks_per_plan TINYINT UNSIGNED DEFAULT NULL');
     }
+    $kioskKeyCol = Database::query("SHOW COLUMNS FROM users LIKE 'kiosk_key'");
+    if (empty($kioskKeyCol)) {
+        Database::execute('ALTER TABLE users ADD COLUMN kiosk_key VARCHAR(64) NULL DEFAULT NULL');
+        Database::execute('CREATE UNIQUE INDEX idx_users_kiosk_key ON users (kiosk_key)');
+    }
     $shareKeyCol = Database::query("SHOW COLUMNS FROM users LIKE 'link_board_share_key'");
     if (empty($shareKeyCol)) {
         Database::execute('ALTER TABLE users ADD COLUMN link_board_share_key VARCHAR(64) NULL DEFAULT NULL');
@@ -914,6 +1213,8 @@ $userTheme = Database::queryOne(
     [$userId]
 );
 
+$dashboardScreens = DashboardScreens::forUser($userId);
+
 $emailPreviewChars = (int) ($userTheme['email_preview_chars'] ?? 320);
 $emailPreviewChars = max(100, min(2000, $emailPreviewChars));
 
@@ -1316,6 +1617,358 @@ $pageTitle = 'Settings - CrashBoard';
                         Save
                     </button>
                 </form>
+                <?php
+                $emailTiles = array_filter($userTiles, function ($tile) {
+                    return $tile['tile_type'] === 'email';
+                });
+                ?>
+                <?php if (!empty($emailTiles)): ?>
+                <form action="" method="POST" class="mt-6 pt-6 border-t border-gray-200 flex flex-wrap items-end gap-4">
+                    <?= Session::csrfField() ?>
+                    <input type="hidden" name="action" value="save_email_tile_views">
+                    <?php foreach ($emailTiles as $emailTile): ?>
+                    <?php
+                    $emailTileSettings = !empty($emailTile['settings']) ? json_decode($emailTile['settings'], true) : [];
+                    $emailTileView = is_array($emailTileSettings) ? ($emailTileSettings['email_view'] ?? 'list') : 'list';
+                    ?>
+                    <div>
+                        <label for="email_tile_view_<?= (int) $emailTile['id'] ?>" class="block text-sm font-medium text-gray-700">Layout: <?= e($emailTile['title'] ?? 'Inbox') ?></label>
+                        <select id="email_tile_view_<?= (int) $emailTile['id'] ?>" name="email_tile_views[<?= (int) $emailTile['id'] ?>]"
+                            class="mt-1 block w-56 px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm">
+                            <option value="list" <?= $emailTileView === 'list' ? 'selected' : '' ?>>Messages (newest first)</option>
+                            <option value="threads" <?= $emailTileView === 'threads' ? 'selected' : '' ?>>Conversations (threaded)</option>
+                            <option value="senders" <?= $emailTileView === 'senders' ? 'selected' : '' ?>>Grouped by sender</option>
+                        </select>
+                    </div>
+                    <?php endforeach; ?>
+                    <button type="submit" class="inline-flex items-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500">
+                        Save layout
+                    </button>
+                </form>
+                <?php endif; ?>
+                <form action="" method="POST" class="mt-6 pt-6 border-t border-gray-200 flex flex-wrap items-end gap-4">
+                    <?= Session::csrfField() ?>
+                    <input type="hidden" name="action" value="add_email_tile">
+                    <div>
+                        <label for="email_tile_title" class="block text-sm font-medium text-gray-700">Add another email tile</label>
+                        <input type="text" id="email_tile_title" name="email_tile_title" maxlength="100" placeholder="e.g. From clients"
+                            class="mt-1 block w-56 px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm">
+                    </div>
+                    <button type="submit" class="inline-flex items-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500">
+                        Add Tile
+                    </button>
+                    <p class="w-full text-xs text-gray-500">Each email tile has its own filter: folder or search folder, Focused/Other, senders and subject keywords. Set it from the filter button in the tile header.</p>
+                </form>
+            </div>
+        </section>
+
+        <?php
+        $calendarTiles = array_filter($userTiles, function ($tile) {
+            return $tile['tile_type'] === 'calendar';
+        });
+        $heatmapTiles = array_filter($userTiles, function ($tile) {
+            return $tile['tile_type'] === 'calendar-heatmap';
+        });
+        $nextEventTiles = array_filter($userTiles, function ($tile) {
+            return $tile['tile_type'] === 'next-event';
+        });
+        $availabilityTiles = array_filter($userTiles, function ($tile) {
+            return $tile['tile_type'] === 'availability';
+        });
+        ?>
+        <!-- Calendar -->
+        <section class="bg-white rounded-xl shadow-sm border border-gray-200 mb-6">
+            <div class="p-6 border-b border-gray-200">
+                <h2 class="text-lg font-semibold text-gray-900">Calendar</h2>
+                <p class="mt-1 text-sm text-gray-500">What each Calendar tile shows. Use the arrows on the tile to move between days or weeks.</p>
+            </div>
+            <div class="p-6">
+                <?php if (!empty($calendarTiles)): ?>
+                <form action="" method="POST" class="flex flex-wrap items-end gap-4">
+                    <?= Session::csrfField() ?>
+                    <input type="hidden" name="action" value="save_calendar_tile_views">
+                    <?php foreach ($calendarTiles as $calendarTile): ?>
+                    <?php
+                    $calendarTileSettings = !empty($calendarTile['settings']) ? json_decode($calendarTile['settings'], true) : [];
+                    $calendarTileView = is_array($calendarTileSettings) ? ($calendarTileSettings['calendar_view'] ?? 'day') : 'day';
+                    ?>
+                    <div>
+                        <label for="calendar_tile_view_<?= (int) $calendarTile['id'] ?>" class="block text-sm font-medium text-gray-700">View: <?= e($calendarTile['title'] ?? 'Calendar') ?></label>
+                        <select id="calendar_tile_view_<?= (int) $calendarTile['id'] ?>" name="calendar_tile_views[<?= (int) $calendarTile['id'] ?>]"
+                            class="mt-1 block w-56 px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm">
+                            <option value="day" <?= $calendarTileView === 'day' ? 'selected' : '' ?>>Day</option>
+                            <option value="agenda" <?= $calendarTileView === 'agenda' ? 'selected' : '' ?>>Agenda (next 7 days)</option>
+                            <option value="week" <?= $calendarTileView === 'week' ? 'selected' : '' ?>>Week grid</option>
+                        </select>
+                    </div>
+                    <?php endforeach; ?>
+                    <button type="submit" class="inline-flex items-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500">
+                        Save view
+                    </button>
+                </form>
+                <?php else: ?>
+                <p class="text-sm text-gray-500">No Calendar tile on your dashboard.</p>
+                <?php endif; ?>
+
+                <?php if (!empty($heatmapTiles)): ?>
+                <form action="" method="POST" class="mt-6 pt-6 border-t border-gray-200 flex flex-wrap items-end gap-4">
+                    <?= Session::csrfField() ?>
+                    <input type="hidden" name="action" value="save_calendar_heatmap_options">
+                    <p class="w-full text-sm text-gray-500">Heat map: how many weeks to show from this week, and whether shading counts events or booked hours (all-day and free events excluded). Switch between the two on the tile too.</p>
+                    <?php foreach ($heatmapTiles as $heatmapTile): ?>
+                    <?php
+                    $heatmapTileSettings = !empty($heatmapTile['settings']) ? json_decode($heatmapTile['settings'], true) : [];
+                    $heatmapOptions = is_array($heatmapTileSettings['heatmap'] ?? null) ? $heatmapTileSettings['heatmap'] : [];
+                    $heatmapId = (int) $heatmapTile['id'];
+                    $heatmapWeeks = (int) ($heatmapOptions['weeks'] ?? 5);
+                    ?>
+                    <div>
+                        <label for="heatmap_weeks_<?= $heatmapId ?>" class="block text-sm font-medium text-gray-700">Weeks: <?= e($heatmapTile['title'] ?? 'Calendar heat map') ?></label>
+                        <select id="heatmap_weeks_<?= $heatmapId ?>" name="heatmap_options[<?= $heatmapId ?>][weeks]"
+                            class="mt-1 block w-32 px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm">
+                            <?php for ($weeks = 4; $weeks <= 12; $weeks++): ?>
+                            <option value="<?= $weeks ?>" <?= $heatmapWeeks === $weeks ? 'selected' : '' ?>><?= $weeks ?> weeks</option>
+                            <?php endfor; ?>
+                        </select>
+                    </div>
+                    <div>
+                        <label for="heatmap_metric_<?= $heatmapId ?>" class="block text-sm font-medium text-gray-700">Shade by</label>
+                        <select id="heatmap_metric_<?= $heatmapId ?>" name="heatmap_options[<?= $heatmapId ?>][metric]"
+                            class="mt-1 block w-40 px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm">
+                            <option value="count" <?= ($heatmapOptions['metric'] ?? 'count') !== 'hours' ? 'selected' : '' ?>>Number of events</option>
+                            <option value="hours" <?= ($heatmapOptions['metric'] ?? 'count') === 'hours' ? 'selected' : '' ?>>Booked hours</option>
+                        </select>
+                    </div>
+                    <label class="inline-flex items-center gap-2 pb-2 text-sm text-gray-700">
+                        <input type="checkbox" name="heatmap_options[<?= $heatmapId ?>][weekends]" value="1" <?= !empty($heatmapOptions['weekends']) ? 'checked' : '' ?> class="rounded border-gray-300 text-primary-600 focus:ring-primary-500">
+                        Include weekends
+                    </label>
+                    <?php endforeach; ?>
+                    <button type="submit" class="inline-flex items-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500">
+                        Save heat map
+                    </button>
+                </form>
+                <?php endif; ?>
+
+                <?php if (!empty($nextEventTiles)): ?>
+                <form action="" method="POST" class="mt-6 pt-6 border-t border-gray-200 flex flex-wrap items-end gap-4">
+                    <?= Session::csrfField() ?>
+                    <input type="hidden" name="action" value="save_meeting_reminders">
+                    <p class="w-full text-sm text-gray-500">
+                        Meeting reminders: while the dashboard is open, the Next event tile can show a desktop notification before each meeting,
+                        with a Join button for Teams and other online meetings. Your browser asks for permission from the tile; if notifications
+                        are blocked, a banner appears at the top of the dashboard instead. One reminder per meeting, however many tabs are open.
+                    </p>
+                    <?php foreach ($nextEventTiles as $nextEventTile): ?>
+                    <?php
+                    $nextEventSettings = !empty($nextEventTile['settings']) ? json_decode($nextEventTile['settings'], true) : [];
+                    $reminderSettings = is_array($nextEventSettings['reminders'] ?? null) ? $nextEventSettings['reminders'] : [];
+                    $reminderTileId = (int) $nextEventTile['id'];
+                    ?>
+                    <label class="inline-flex items-center gap-2 pb-2 text-sm text-gray-700">
+                        <input type="checkbox" name="meeting_reminders[<?= $reminderTileId ?>][enabled]" value="1" <?= !empty($reminderSettings['enabled']) ? 'checked' : '' ?> class="rounded border-gray-300 text-primary-600 focus:ring-primary-500">
+                        Remind me: <?= e($nextEventTile['title'] ?? 'Next event') ?>
+                    </label>
+                    <div>
+                        <label for="meeting_reminder_offsets_<?= $reminderTileId ?>" class="block text-sm font-medium text-gray-700">Minutes before (comma-separated, 0 = at start)</label>
+                        <input type="text" id="meeting_reminder_offsets_<?= $reminderTileId ?>" name="meeting_reminders[<?= $reminderTileId ?>][offsets]" maxlength="40"
+                            value="<?= e(implode(', ', $reminderSettings['offsets'] ?? [10, 1])) ?>" placeholder="10, 1"
+                            class="mt-1 block w-56 px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm">
+                    </div>
+                    <?php endforeach; ?>
+                    <button type="submit" class="inline-flex items-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500">
+                        Save reminders
+                    </button>
+                </form>
+                <?php endif; ?>
+
+                <?php if (!empty($availabilityTiles)): ?>
+                <form action="" method="POST" class="mt-6 pt-6 border-t border-gray-200 space-y-4">
+                    <?= Session::csrfField() ?>
+                    <input type="hidden" name="action" value="save_availability_options">
+                    <p class="text-sm text-gray-500">
+                        Availability: where to look for free time and what counts as free. On the tile, click a slot to leave it out before copying;
+                        the copy uses the template and time zone below, which you can also change on the tile for a one-off.
+                    </p>
+                    <?php foreach ($availabilityTiles as $availabilityTile): ?>
+                    <?php
+                    $availabilityTileSettings = !empty($availabilityTile['settings']) ? json_decode($availabilityTile['settings'], true) : [];
+                    $availabilityOptions = (is_array($availabilityTileSettings['availability'] ?? null) ? $availabilityTileSettings['availability'] : []) + [
+                        'start' => 'next_week', 'days' => 14, 'max_days' => 4, 'work_start' => '09:00', 'work_end' => '17:00',
+                        'min_slot' => 60, 'buffer' => 60, 'lunch' => true, 'lunch_start' => '13:00', 'lunch_end' => '14:00',
+                        'format' => 'text', 'timezone' => '',
+                    ];
+                    $availabilityId = (int) $availabilityTile['id'];
+                    $availabilityField = fn(string $key): string => 'availability_options[' . $availabilityId . '][' . $key . ']';
+                    $availabilitySelectClass = 'mt-1 block px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm';
+                    ?>
+                    <fieldset class="flex flex-wrap items-end gap-4">
+                        <legend class="w-full mb-2 text-sm font-medium text-gray-900"><?= e($availabilityTile['title'] ?? 'Availability') ?></legend>
+                        <div>
+                            <label for="availability_start_<?= $availabilityId ?>" class="block text-sm font-medium text-gray-700">Search from</label>
+                            <select id="availability_start_<?= $availabilityId ?>" name="<?= $availabilityField('start') ?>" class="<?= $availabilitySelectClass ?> w-36">
+                                <option value="today" <?= $availabilityOptions['start'] === 'today' ? 'selected' : '' ?>>Today</option>
+                                <option value="tomorrow" <?= $availabilityOptions['start'] === 'tomorrow' ? 'selected' : '' ?>>Tomorrow</option>
+                                <option value="next_week" <?= $availabilityOptions['start'] === 'next_week' ? 'selected' : '' ?>>Next Monday</option>
+                            </select>
+                        </div>
+                        <div>
+                            <label for="availability_days_<?= $availabilityId ?>" class="block text-sm font-medium text-gray-700">Look ahead</label>
+                            <select id="availability_days_<?= $availabilityId ?>" name="<?= $availabilityField('days') ?>" class="<?= $availabilitySelectClass ?> w-32">
+                                <?php foreach ([3, 5, 7, 10, 14, 21, 28] as $days): ?>
+                                <option value="<?= $days ?>" <?= (int) $availabilityOptions['days'] === $days ? 'selected' : '' ?>><?= $days ?> days</option>
+                                <?php endforeach; ?>
+                            </select>
+                        </div>
+                        <div>
+                            <label for="availability_max_days_<?= $availabilityId ?>" class="block text-sm font-medium text-gray-700">Days to list</label>
+                            <input type="number" id="availability_max_days_<?= $availabilityId ?>" name="<?= $availabilityField('max_days') ?>" min="1" max="10"
+                                value="<?= (int) $availabilityOptions['max_days'] ?>" class="<?= $availabilitySelectClass ?> w-20">
+                        </div>
+                        <div>
+                            <label for="availability_work_start_<?= $availabilityId ?>" class="block text-sm font-medium text-gray-700">Working hours</label>
+                            <div class="flex items-center gap-2">
+                                <input type="time" id="availability_work_start_<?= $availabilityId ?>" name="<?= $availabilityField('work_start') ?>" value="<?= e($availabilityOptions['work_start']) ?>" step="900" class="<?= $availabilitySelectClass ?>">
+                                <span class="mt-1 text-sm text-gray-500">to</span>
+                                <input type="time" name="<?= $availabilityField('work_end') ?>" value="<?= e($availabilityOptions['work_end']) ?>" step="900" aria-label="Working day ends" class="<?= $availabilitySelectClass ?>">
+                            </div>
+                        </div>
+                        <div>
+                            <label for="availability_min_slot_<?= $availabilityId ?>" class="block text-sm font-medium text-gray-700">Shortest slot</label>
+                            <select id="availability_min_slot_<?= $availabilityId ?>" name="<?= $availabilityField('min_slot') ?>" class="<?= $availabilitySelectClass ?> w-32">
+                                <?php foreach ([15 => '15 min', 30 => '30 min', 45 => '45 min', 60 => '1 hour', 90 => '1½ hours', 120 => '2 hours', 180 => '3 hours', 240 => '4 hours'] as $minutes => $label): ?>
+                                <option value="<?= $minutes ?>" <?= (int) $availabilityOptions['min_slot'] === $minutes ? 'selected' : '' ?>><?= $label ?></option>
+                                <?php endforeach; ?>
+                            </select>
+                        </div>
+                        <div>
+                            <label for="availability_buffer_<?= $availabilityId ?>" class="block text-sm font-medium text-gray-700">Buffer around meetings</label>
+                            <select id="availability_buffer_<?= $availabilityId ?>" name="<?= $availabilityField('buffer') ?>" class="<?= $availabilitySelectClass ?> w-32">
+                                <?php foreach ([0 => 'None', 10 => '10 min', 15 => '15 min', 30 => '30 min', 45 => '45 min', 60 => '1 hour', 90 => '1½ hours', 120 => '2 hours'] as $minutes => $label): ?>
+                                <option value="<?= $minutes ?>" <?= (int) $availabilityOptions['buffer'] === $minutes ? 'selected' : '' ?>><?= $label ?></option>
+                                <?php endforeach; ?>
+                            </select>
+                        </div>
+                        <div>
+                            <label class="inline-flex items-center gap-2 text-sm font-medium text-gray-700">
+                                <input type="checkbox" name="<?= $availabilityField('lunch') ?>" value="1" <?= !empty($availabilityOptions['lunch']) ? 'checked' : '' ?> class="rounded border-gray-300 text-primary-600 focus:ring-primary-500">
+                                Keep lunch free
+                            </label>
+                            <div class="flex items-center gap-2">
+                                <input type="time" name="<?= $availabilityField('lunch_start') ?>" value="<?= e($availabilityOptions['lunch_start']) ?>" step="900" aria-label="Lunch starts" class="<?= $availabilitySelectClass ?>">
+                                <span class="mt-1 text-sm text-gray-500">to</span>
+                                <input type="time" name="<?= $availabilityField('lunch_end') ?>" value="<?= e($availabilityOptions['lunch_end']) ?>" step="900" aria-label="Lunch ends" class="<?= $availabilitySelectClass ?>">
+                            </div>
+                        </div>
+                        <div>
+                            <label for="availability_format_<?= $availabilityId ?>" class="block text-sm font-medium text-gray-700">Copy as</label>
+                            <select id="availability_format_<?= $availabilityId ?>" name="<?= $availabilityField('format') ?>" class="<?= $availabilitySelectClass ?> w-40">
+                                <option value="text" <?= $availabilityOptions['format'] === 'text' ? 'selected' : '' ?>>Plain text</option>
+                                <option value="markdown" <?= $availabilityOptions['format'] === 'markdown' ? 'selected' : '' ?>>Markdown</option>
+                                <option value="html" <?= $availabilityOptions['format'] === 'html' ? 'selected' : '' ?>>Formatted (HTML)</option>
+                            </select>
+                        </div>
+                        <div>
+                            <label for="availability_timezone_<?= $availabilityId ?>" class="block text-sm font-medium text-gray-700">Recipient's time zone</label>
+                            <select id="availability_timezone_<?= $availabilityId ?>" name="<?= $availabilityField('timezone') ?>" class="<?= $availabilitySelectClass ?> w-56">
+                                <option value="">Same as mine (<?= e(config('app.timezone', 'UTC')) ?>)</option>
+                                <?php foreach (DateTimeZone::listIdentifiers() as $zone): ?>
+                                <option value="<?= e($zone) ?>" <?= $availabilityOptions['timezone'] === $zone ? 'selected' : '' ?>><?= e(str_replace('_', ' ', $zone)) ?></option>
+                                <?php endforeach; ?>
+                            </select>
+                        </div>
+                    </fieldset>
+                    <?php endforeach; ?>
+                    <button type="submit" class="inline-flex items-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500">
+                        Save availability
+                    </button>
+                </form>
+                <?php endif; ?>
+
+                <?php $calendarSources = CalendarSources::forUser($userId); ?>
+                <div class="mt-6 pt-6 border-t border-gray-200">
+                    <h3 class="text-sm font-semibold text-gray-900">Other calendars</h3>
+                    <p class="mt-1 text-sm text-gray-500">
+                        Subscribe to ICS feeds (e.g. a shared Google or iCloud calendar, public holidays) or CalDAV calendars.
+                        Their events appear in the calendar, heat map, next event and availability tiles in their own colour.
+                    </p>
+
+                    <?php if (!empty($calendarSources)): ?>
+                    <ul class="mt-4 divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                        <?php foreach ($calendarSources as $source): ?>
+                        <li class="p-4">
+                            <form action="" method="POST" class="flex flex-wrap items-center gap-3">
+                                <?= Session::csrfField() ?>
+                                <input type="hidden" name="action" value="update_calendar_source">
+                                <input type="hidden" name="source_id" value="<?= (int) $source['id'] ?>">
+                                <input type="color" name="source_color" value="<?= e($source['color']) ?>" class="h-8 w-8 border border-gray-300 rounded cursor-pointer" title="Colour">
+                                <input type="text" name="source_name" value="<?= e($source['name']) ?>" maxlength="100"
+                                    class="w-48 px-3 py-1.5 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm">
+                                <span class="text-xs text-gray-500"><?= e(CalendarSources::TYPES[$source['type']] ?? $source['type']) ?> · <?= e(parse_url($source['url'], PHP_URL_HOST) ?: $source['url']) ?></span>
+                                <label class="inline-flex items-center gap-1 text-sm text-gray-700">
+                                    <input type="checkbox" name="source_enabled" value="1" <?= $source['is_enabled'] ? 'checked' : '' ?> class="rounded border-gray-300 text-primary-600 focus:ring-primary-500">
+                                    Show
+                                </label>
+                                <button type="submit" class="text-sm text-primary-600 hover:text-primary-700">Save</button>
+                                <button type="submit" name="action" value="remove_calendar_source" class="text-sm text-red-600 hover:text-red-700"
+                                    onclick="return confirm('Remove this calendar?')">Remove</button>
+                            </form>
+                            <?php if (!empty($source['last_error'])): ?>
+                            <p class="mt-2 text-xs text-red-600">Last refresh failed: <?= e($source['last_error']) ?></p>
+                            <?php endif; ?>
+                        </li>
+                        <?php endforeach; ?>
+                    </ul>
+                    <?php endif; ?>
+
+                    <form action="" method="POST" class="mt-4 space-y-3">
+                        <?= Session::csrfField() ?>
+                        <input type="hidden" name="action" value="add_calendar_source">
+                        <div class="flex flex-wrap items-end gap-3">
+                            <div>
+                                <label for="source_type" class="block text-sm font-medium text-gray-700">Type</label>
+                                <select id="source_type" name="source_type"
+                                    onchange="document.getElementById('calendar_source_credentials').classList.toggle('hidden', this.value !== 'caldav')"
+                                    class="mt-1 block w-40 px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm">
+                                    <?php foreach (CalendarSources::TYPES as $type => $label): ?>
+                                    <option value="<?= e($type) ?>"><?= e($label) ?></option>
+                                    <?php endforeach; ?>
+                                </select>
+                            </div>
+                            <div>
+                                <label for="source_name" class="block text-sm font-medium text-gray-700">Name</label>
+                                <input type="text" id="source_name" name="source_name" maxlength="100" placeholder="Family"
+                                    class="mt-1 block w-48 px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm">
+                            </div>
+                            <div>
+                                <label for="source_color" class="block text-sm font-medium text-gray-700">Colour</label>
+                                <input type="color" id="source_color" name="source_color"
+                                    value="<?= e(CalendarSources::COLORS[count($calendarSources) % count(CalendarSources::COLORS)]) ?>"
+                                    class="mt-1 h-9 w-9 border border-gray-300 rounded cursor-pointer">
+                            </div>
+                        </div>
+                        <div>
+                            <label for="source_url" class="block text-sm font-medium text-gray-700">URL</label>
+                            <input type="text" id="source_url" name="source_url" required placeholder="webcal://… or https://…/calendar.ics (CalDAV: the calendar collection URL)"
+                                class="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm">
+                        </div>
+                        <div id="calendar_source_credentials" class="hidden flex flex-wrap gap-3">
+                            <div>
+                                <label for="source_username" class="block text-sm font-medium text-gray-700">Username</label>
+                                <input type="text" id="source_username" name="source_username" autocomplete="off"
+                                    class="mt-1 block w-56 px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm">
+                            </div>
+                            <div>
+                                <label for="source_password" class="block text-sm font-medium text-gray-700">Password or app password</label>
+                                <input type="password" id="source_password" name="source_password" autocomplete="new-password"
+                                    class="mt-1 block w-56 px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm">
+                            </div>
+                        </div>
+                        <button type="submit" class="inline-flex items-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500">
+                            Add calendar
+                        </button>
+                    </form>
+                </div>
             </div>
         </section>
 
@@ -1649,6 +2302,56 @@ $pageTitle = 'Settings - CrashBoard';
                         </div>
                     </div>
 
+                    <!-- Kiosk / wall display -->
+                    <?php
+                    $kioskRow = Database::queryOne('SELECT kiosk_key FROM users WHERE id = ?', [$userId]);
+                    $kioskKey = $kioskRow['kiosk_key'] ?? null;
+                    $kioskUrl = $kioskKey ? rtrim(config('app.url', ''), '/') . '/kiosk.php?key=' . $kioskKey : '';
+                    ?>
+                    <div class="p-4 bg-gray-50 rounded-lg border border-gray-200">
+                        <div class="flex items-start">
+                            <div class="w-10 h-10 bg-slate-100 rounded-lg flex items-center justify-center flex-shrink-0">
+                                <svg class="w-6 h-6 text-slate-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z"/>
+                                </svg>
+                            </div>
+                            <div class="ml-4 flex-1 min-w-0">
+                                <h3 class="text-sm font-medium text-gray-900">Kiosk / wall display</h3>
+                                <p class="text-sm text-gray-500 mt-1">Open this secret link on an office TV to show your dashboard without signing in. The display gets a read-only session with no header, rotates between your screens every <?= (int) config('kiosk.rotate_seconds', 60) ?> seconds and uses larger text.</p>
+                                <?php if ($kioskKey): ?>
+                                <div class="mt-4 space-y-3">
+                                    <div>
+                                        <label class="block text-xs font-medium text-gray-600 mb-1">Kiosk link</label>
+                                        <div class="flex flex-wrap items-center gap-2">
+                                            <input type="text" id="kiosk-url" readonly value="<?= e($kioskUrl) ?>" class="block flex-1 min-w-0 rounded-lg border border-gray-300 px-3 py-2 text-sm bg-gray-50 font-mono">
+                                            <button type="button" onclick="navigator.clipboard && navigator.clipboard.writeText(document.getElementById('kiosk-url').value)" class="inline-flex items-center px-3 py-2 rounded-lg border border-gray-300 bg-white text-sm font-medium text-gray-700 hover:bg-gray-50">Copy URL</button>
+                                        </div>
+                                        <p class="text-xs text-gray-500 mt-1">Per display, append <code class="bg-gray-200 px-1 rounded">&amp;rotate=30</code> (seconds per screen, 0 to stay put), <code class="bg-gray-200 px-1 rounded">&amp;scale=2</code> (text size) or <code class="bg-gray-200 px-1 rounded">&amp;screens=main,screen3</code> (screens to show).</p>
+                                    </div>
+                                    <div class="flex flex-wrap gap-4">
+                                        <form action="" method="POST" class="inline">
+                                            <?= Session::csrfField() ?>
+                                            <input type="hidden" name="action" value="generate_kiosk_key">
+                                            <button type="submit" class="text-sm text-amber-600 hover:text-amber-800" onclick="return confirm('Regenerate the kiosk link? Displays using the current link will be signed out.');">Regenerate link</button>
+                                        </form>
+                                        <form action="" method="POST" class="inline">
+                                            <?= Session::csrfField() ?>
+                                            <input type="hidden" name="action" value="disable_kiosk_key">
+                                            <button type="submit" class="text-sm text-red-600 hover:text-red-800" onclick="return confirm('Disable the kiosk link? Displays using it will be signed out.');">Disable kiosk link</button>
+                                        </form>
+                                    </div>
+                                </div>
+                                <?php else: ?>
+                                <form action="" method="POST" class="mt-4">
+                                    <?= Session::csrfField() ?>
+                                    <input type="hidden" name="action" value="generate_kiosk_key">
+                                    <button type="submit" class="inline-flex items-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-slate-600 hover:bg-slate-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-slate-500">Generate kiosk link</button>
+                                </form>
+                                <?php endif; ?>
+                            </div>
+                        </div>
+                    </div>
+
                     <!-- Next event by category (Outlook calendar) -->
                     <?php
                     $calendarNextTile = Database::queryOne(
@@ -1751,7 +2454,7 @@ $pageTitle = 'Settings - CrashBoard';
                             </div>
                             <div class="ml-4 min-w-0">
                                 <h3 class="text-sm font-medium text-gray-900">Calendar heat map</h3>
-                                <p class="text-sm text-gray-500 mt-1">Shows the current week plus the next four weeks (weekdays only) with background shading by number of events per day. Connect Microsoft 365 first.</p>
+                                <p class="text-sm text-gray-500 mt-1">Shows this week and the weeks ahead (5 weekday weeks by default; change it under Calendar) shaded by events or booked hours per day. Click a day for its agenda. Connect Microsoft 365 or add a calendar feed first.</p>
                             </div>
                         </div>
                         <div class="flex-shrink-0 w-28 text-right">
@@ -1787,7 +2490,7 @@ $pageTitle = 'Settings - CrashBoard';
                             </div>
                             <div class="ml-4 min-w-0">
                                 <h3 class="text-sm font-medium text-gray-900">Availability</h3>
-                                <p class="text-sm text-gray-500 mt-1">Shows your available meeting times for the coming fortnight (starting next week). Finds gaps in your calendar with a 1-hour buffer. Includes a button to copy the list to your clipboard. Connect Microsoft 365 first.</p>
+                                <p class="text-sm text-gray-500 mt-1">Finds free meeting times in your calendar (by default the fortnight from next Monday, 9am–5pm, with a 1-hour buffer around meetings). Pick the slots to offer and copy them as text, Markdown or HTML, in the recipient's time zone. Change the search under Calendar above. Connect Microsoft 365 first.</p>
                             </div>
                         </div>
                         <div class="flex-shrink-0 w-28 text-right">
@@ -2524,32 +3227,21 @@ $pageTitle = 'Settings - CrashBoard';
 
                     <div class="mt-6 pt-6 border-t border-gray-200">
                         <h3 class="text-sm font-medium text-gray-900 mb-3">Dashboard screen names</h3>
-                        <p class="text-xs text-gray-500 mb-4">Customise the labels for your dashboard tabs (e.g. "Home" and "Work").</p>
+                        <p class="text-xs text-gray-500 mb-4">Customise the labels for your dashboard tabs (e.g. "Home" and "Work"). Add, delete and reorder screens from the dashboard itself.</p>
                         <div class="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            <?php foreach ($dashboardScreens as $screenIndex => $screen): ?>
                             <div>
-                                <label for="dashboard_screen1_label" class="block text-sm font-medium text-gray-700">First screen</label>
-                                <input
-                                    type="text"
-                                    id="dashboard_screen1_label"
-                                    name="dashboard_screen1_label"
-                                    maxlength="50"
-                                    value="<?= e($userTheme['dashboard_screen1_label'] ?? 'Main') ?>"
-                                    placeholder="Main"
-                                    class="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
-                                >
-                            </div>
-                            <div>
-                                <label for="dashboard_screen2_label" class="block text-sm font-medium text-gray-700">Second screen</label>
+                                <label for="dashboard_screen_label_<?= e($screen['id']) ?>" class="block text-sm font-medium text-gray-700">Screen <?= $screenIndex + 1 ?></label>
                                 <input
                                     type="text"
-                                    id="dashboard_screen2_label"
-                                    name="dashboard_screen2_label"
-                                    maxlength="50"
-                                    value="<?= e($userTheme['dashboard_screen2_label'] ?? 'Screen 2') ?>"
-                                    placeholder="Screen 2"
+                                    id="dashboard_screen_label_<?= e($screen['id']) ?>"
+                                    name="dashboard_screen_labels[<?= e($screen['id']) ?>]"
+                                    maxlength="<?= DashboardScreens::MAX_LABEL_LENGTH ?>"
+                                    value="<?= e($screen['label']) ?>"
                                     class="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
                                 >
                             </div>
+                            <?php endforeach; ?>
                         </div>
                     </div>
 
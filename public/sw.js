@@ -0,0 +1,263 @@
+/**
+ * CrashBoard Service Worker
+ *
+ * Keeps the dashboard usable when the network drops:
+ * - App shell (dashboard page, scripts, styles): pages are network-first, assets stale-while-revalidate.
+ * - Tile data: the last successful /api/tiles.php response per tile id is cached. When a tile
+ *   request fails offline, the cached data is returned with an `_offline: { updated_at }` marker
+ *   so dashboard.js can show an "offline – last updated" badge. Batch (NDJSON) requests are
+ *   cached line by line and rebuilt from the cache when offline.
+ *
+ * Served from /sw.js (rewritten to public/sw.js) so its scope covers the whole site.
+ * Writes are not handled here; dashboard.js queues them and replays when back online.
+ * Meeting reminder notifications are shown through this worker so they can offer a "Join meeting" action.
+ */
+
+'use strict';
+
+const SHELL_CACHE = 'crashboard-shell-v2';
+const TILE_CACHE = 'crashboard-tiles-v1';
+const TILES_ENDPOINT = '/api/tiles.php';
+const TAILWIND_CDN_HOST = 'cdn.tailwindcss.com';
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    const keep = [SHELL_CACHE, TILE_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key.startsWith('crashboard-') && !keep.includes(key)).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (request.method === 'POST' && url.origin === self.location.origin && url.pathname === TILES_ENDPOINT) {
+        event.respondWith(handleTileRequest(request));
+        return;
+    }
+    if (request.method !== 'GET') return;
+
+    if (request.mode === 'navigate' && url.origin === self.location.origin && isDashboardPage(url)) {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+    // Same-origin scripts/styles and the Tailwind CDN script
+    const isAsset = (url.origin === self.location.origin && /\.(js|css)$/.test(url.pathname) && url.pathname !== '/sw.js')
+        || url.host === TAILWIND_CDN_HOST;
+    if (isAsset) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+// Meeting reminder: "Join meeting" or a click on the notification opens the join link; otherwise bring up the dashboard
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const joinUrl = (event.notification.data && event.notification.data.joinUrl) || '';
+    event.waitUntil((async () => {
+        if (joinUrl) {
+            await self.clients.openWindow(joinUrl);
+            return;
+        }
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const dashboard = windows.find(client => isDashboardPage(new URL(client.url)));
+        if (dashboard) {
+            await dashboard.focus();
+        } else {
+            await self.clients.openWindow('/');
+        }
+    })());
+});
+
+/**
+ * Only the dashboard itself is cached as the shell (not settings, login or API pages)
+ */
+function isDashboardPage(url) {
+    return url.pathname === '/' || url.pathname === '/index.php' || url.pathname === '/public/index.php';
+}
+
+/**
+ * Page: try the network, fall back to the last good copy
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        // Don't cache the login redirect or error pages
+        if (response.ok && !response.redirected) {
+            cache.put('/', response.clone());
+        }
+        return response;
+    } catch (err) {
+        const cached = await cache.match('/');
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+/**
+ * Asset: answer from cache straight away, refresh the copy in the background. Versioned URLs (?v=<mtime>
+ * from asset()) only match exactly, so a deploy's new script is fetched rather than the old one served;
+ * the other versions of that file are removed once the new one is stored.
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    const network = fetch(request).then(async response => {
+        if (response.ok || response.type === 'opaque') {
+            await cache.put(request, response.clone());
+            await pruneOtherVersions(cache, request);
+        }
+        return response;
+    }).catch(async err => {
+        // Offline with a version we never stored: any copy of the file beats a broken page
+        const fallback = cached || await cache.match(request, { ignoreSearch: true });
+        if (fallback) return fallback;
+        throw err;
+    });
+    return cached || network;
+}
+
+/**
+ * Drop cached copies of the same file under a different query string
+ */
+async function pruneOtherVersions(cache, request) {
+    const url = new URL(request.url);
+    const copies = await cache.keys(request, { ignoreSearch: true });
+    await Promise.all(copies.filter(copy => new URL(copy.url).search !== url.search).map(copy => cache.delete(copy)));
+}
+
+/**
+ * Cache key for one tile's last good data
+ */
+function tileCacheKey(tileId) {
+    return '/__crashboard/tile-data/' + encodeURIComponent(String(tileId));
+}
+
+/**
+ * Store a tile's data with the time it was fetched
+ */
+async function putTileData(tileId, data) {
+    if (!tileId || !data || typeof data !== 'object' || Array.isArray(data) || data.error) return;
+    const cache = await caches.open(TILE_CACHE);
+    const body = JSON.stringify({ updated_at: Date.now(), data });
+    await cache.put(tileCacheKey(tileId), new Response(body, { headers: { 'Content-Type': 'application/json' } }));
+}
+
+/**
+ * Cached tile data with the offline marker added, or null
+ */
+async function getTileData(tileId) {
+    if (!tileId) return null;
+    const cache = await caches.open(TILE_CACHE);
+    const response = await cache.match(tileCacheKey(tileId));
+    if (!response) return null;
+    try {
+        const entry = await response.json();
+        return Object.assign({}, entry.data, { _offline: { updated_at: entry.updated_at } });
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * POST /api/tiles.php: single tile ({type, tile_id}) or batch ({tiles: [...]})
+ */
+async function handleTileRequest(request) {
+    let payload = {};
+    try {
+        payload = await request.clone().json();
+    } catch (e) {
+        return fetch(request);
+    }
+    if (Array.isArray(payload.tiles)) {
+        return handleTileBatch(request, payload.tiles);
+    }
+
+    const tileId = parseInt(payload.tile_id, 10) || 0;
+    let response;
+    try {
+        response = await fetch(request);
+    } catch (err) {
+        const cached = await getTileData(tileId);
+        if (cached) return jsonResponse(cached);
+        throw err;
+    }
+    if (response.ok) {
+        response.clone().json().then(data => putTileData(tileId, data)).catch(() => {});
+    }
+    return response;
+}
+
+/**
+ * Batch request: cache each streamed line as it passes through; when offline, rebuild the stream from cache
+ */
+async function handleTileBatch(request, items) {
+    let response;
+    try {
+        response = await fetch(request);
+    } catch (err) {
+        const lines = await Promise.all(items.map(async (item) => {
+            const line = { key: item.key, type: item.type, tile_id: item.tile_id };
+            const cached = await getTileData(parseInt(item.tile_id, 10) || 0);
+            if (cached) {
+                line.data = cached;
+            } else {
+                line.error = 'Offline – no saved data for this tile yet';
+            }
+            return JSON.stringify(line) + '\n';
+        }));
+        return new Response(lines.join(''), { headers: { 'Content-Type': 'application/x-ndjson' } });
+    }
+
+    if (!response.ok || !response.body) return response;
+
+    const [forPage, forCache] = response.body.tee();
+    cacheBatchStream(forCache);
+    return new Response(forPage, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+/**
+ * Read an NDJSON tile batch stream and cache each tile's data
+ */
+async function cacheBatchStream(stream) {
+    const reader = stream.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    const handleLine = (line) => {
+        if (!line.trim()) return;
+        try {
+            const part = JSON.parse(line);
+            if (part.data) putTileData(parseInt(part.tile_id, 10) || 0, part.data);
+        } catch (e) {
+            // Ignore malformed lines; the page reports them
+        }
+    };
+    try {
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            let newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                handleLine(buffer.slice(0, newline));
+                buffer = buffer.slice(newline + 1);
+            }
+        }
+        handleLine(buffer + decoder.decode());
+    } catch (e) {
+        // Stream aborted; whatever was cached so far is kept
+    }
+}
+
+/**
+ * JSON response helper
+ */
+function jsonResponse(data) {
+    return new Response(JSON.stringify(data), { headers: { 'Content-Type': 'application/json' } });
+}
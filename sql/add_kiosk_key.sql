@@ -0,0 +1,3 @@
+-- Secret key for the read-only kiosk / wall display link (public/kiosk.php?key=...)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS kiosk_key VARCHAR(64) NULL DEFAULT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_kiosk_key ON users (kiosk_key);
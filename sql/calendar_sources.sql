@@ -0,0 +1,16 @@
+-- ICS feeds and CalDAV calendars shown in the calendar tiles (see includes/calendar-sources.php)
+CREATE TABLE IF NOT EXISTS calendar_sources (
+    id INT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+    user_id INT UNSIGNED NOT NULL,
+    type VARCHAR(20) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    url VARCHAR(1000) NOT NULL,
+    username VARCHAR(255) NOT NULL DEFAULT '',
+    password TEXT NULL,
+    color VARCHAR(7) NOT NULL DEFAULT '#0ea5e9',
+    is_enabled TINYINT(1) NOT NULL DEFAULT 1,
+    last_error VARCHAR(255) NULL,
+    last_fetched_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,10 @@
+-- User-defined dashboard screens (tabs); tiles.screen holds screen_key
+CREATE TABLE IF NOT EXISTS dashboard_screens (
+    id INT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+    user_id INT UNSIGNED NOT NULL,
+    screen_key VARCHAR(20) NOT NULL,
+    label VARCHAR(50) NOT NULL,
+    position INT UNSIGNED NOT NULL DEFAULT 0,
+    UNIQUE KEY uniq_user_screen (user_id, screen_key),
+    INDEX idx_user_pos (user_id, position)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,10 @@
+-- Flagged emails snoozed from the flagged email reminder tile (see includes/email-snoozes.php)
+CREATE TABLE IF NOT EXISTS email_snoozes (
+    id INT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+    user_id INT UNSIGNED NOT NULL,
+    message_id VARCHAR(255) NOT NULL,
+    snoozed_until DATETIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_user_message (user_id, message_id),
+    INDEX idx_until (snoozed_until)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
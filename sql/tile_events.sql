@@ -0,0 +1,10 @@
+-- Live tile update events (published by writes and cron warm-up, streamed by api/events.php)
+CREATE TABLE IF NOT EXISTS tile_events (
+    id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+    user_id INT UNSIGNED NOT NULL,
+    tile_types VARCHAR(255) NOT NULL,
+    tile_id INT UNSIGNED NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_user_id (user_id, id),
+    INDEX idx_created (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;